@@ -1,574 +1,4338 @@
 #!/usr/bin/env node
 
-const { Command } = require('commander');
-const axios = require('axios');
+const { Command, Option } = require('commander');
 const shell = require('shelljs');
 const { createPromptModule } = require('inquirer');
-const prompt = createPromptModule();
+// Prompts render on stderr so stdout stays clean for --format json/yaml
+const prompt = createPromptModule({ output: process.stderr });
 const chalk = require('chalk');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const http = require('http');
+const { spawn, spawnSync } = require('child_process');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { MantleForgeClient, MantleForgeError } = require('./lib/client');
+const {
+  SECRET_ENVELOPE_ALGORITHM,
+  SECRET_KEY_PATTERN,
+  keyFingerprint,
+  normalizePublicKey,
+  checkPublicKey,
+  verifiedPublicKey,
+  parseEnvFile,
+  planSecretsCopy,
+} = require('./lib/secrets');
+const { computeMetrics } = require('./lib/metrics');
+const chain = require('./lib/chain');
+const { calculateBranchHash, parseRepoUrl, normalizeRepoUrl, repoUrlVariants, repoLabel } = require('./lib/repo');
+const configSchema = require('./lib/config');
+const strategy = require('./lib/strategy');
+const webhooks = require('./lib/webhooks');
+const workspace = require('./lib/workspace');
+const alerts = require('./lib/alerts');
+const history = require('./lib/history');
+const local = require('./lib/local');
+const { parseDuration, parseWindow, parseTime, windowSummary } = require('./lib/time');
+const stats = require('./lib/stats');
+const compare = require('./lib/compare');
+const logs = require('./lib/logs');
+const deployments = require('./lib/deployments');
+const watch = require('./lib/watch');
+const { toAgentListing, deployedBranches, findAlternateRepoUrl } = require('./lib/agents');
+const doctor = require('./lib/doctor');
+const wallet = require('./lib/wallet');
+
+const { AGENT_KEY_SECRET } = wallet;
 
 const program = new Command();
 program.name('mantle-forge');
 program.version('1.0.0');
+program
+  .option('-p, --profile <name>', 'Backend profile to use (e.g. prod, local, staging)')
+  .option('--api-url <url>', 'Override the MantleForge backend URL for this command')
+  .addOption(new Option('--format <format>', 'Output format (csv, jsonl and parquet are for history export)').choices(['table', 'plain', 'json', 'yaml', 'csv', 'jsonl', 'parquet']).default('table'))
+  .option('--json', 'Shorthand for --format json')
+  .option('--verbose', 'Log each backend request with its request ID and timing (stderr)')
+  .option('--no-color', 'Disable colored output');
+// Invalid arguments and unknown options exit with the usage code (see EXIT_CODES)
+program.exitOverride((err) => {
+  process.exit(err.exitCode === 0 ? 0 : EXIT_CODES.USAGE);
+});
 
 // --- Configuration ---
-// MantleForge backend API endpoint
-// For local development, use http://localhost:3005
-// For production deployments, use your deployed backend URL
-const API_BASE_URL = 'https://mantle-git-agent.onrender.com'; // Production MantleForge backend
+// MantleForge backend API endpoints, selected with --profile / --api-url or the
+// MANTLE_FORGE_PROFILE / MANTLE_FORGE_API_URL environment variables.
+// Additional profiles (e.g. staging, self-hosted) can be declared under "profiles"
+// in .mantlepush.json or in the user-level ~/.mantle-forge/config.json.
+// A profile may also set rpc_url, factory_address and explorer_url for on-chain commands.
+const DEFAULT_PROFILE = 'prod';
+const BUILTIN_PROFILES = {
+  prod: { api_url: 'https://mantle-git-agent.onrender.com', rpc_url: 'https://rpc.sepolia.mantle.xyz' }, // Production MantleForge backend on Mantle Sepolia
+  local: { api_url: 'http://localhost:3005', rpc_url: 'http://127.0.0.1:8545' }, // Local backend development server and Anvil/Hardhat node
+};
 const CONFIG_FILE = '.mantlepush.json';
+const LEGACY_CONFIG_FILE = '.gitagent.json';
+const USER_CONFIG_DIR = process.env.MANTLE_FORGE_HOME || path.join(os.homedir(), '.mantle-forge');
+const USER_CONFIG_FILE = path.join(USER_CONFIG_DIR, 'config.json');
+const CREDENTIALS_FILE = path.join(USER_CONFIG_DIR, 'credentials.json');
+const KNOWN_KEYS_FILE = path.join(USER_CONFIG_DIR, 'known_keys.json');
+const WORKSPACE_FILE = path.join(USER_CONFIG_DIR, 'workspace.json');
+const KEYSTORE_DIR = path.join(USER_CONFIG_DIR, 'keystores');
+const MIN_KEYSTORE_PASSWORD_LENGTH = 8;
+const LOGIN_TIMEOUT_MS = 5 * 60 * 1000;
+const LOG_POLL_LIMIT = 200;
+const EXPORT_FORMATS = ['csv', 'jsonl', 'parquet']; // Only accepted by `history export`
+const CHART_WIDTH = 48; // Time slots per `stats --chart` sparkline
+
+// Process exit codes (documented in README)
+const EXIT_CODES = {
+  ERROR: 1, // Unexpected failure
+  USAGE: 2, // Invalid arguments or configuration
+  NOT_FOUND: 3, // Agent or branch not found on the backend
+  MISSING_SECRETS: 4, // Required secrets are not set
+  BACKEND: 5, // Backend unreachable or returned a server error
+  AUTH: 6, // Not logged in, or not allowed to access the agent
+  TIMEOUT: 7, // Timed out waiting for a deployment
+  ALERT: 8, // A `watch` alert rule fired
+};
+
+// --- Errors and Output ---
+
+// Error with a stable machine-readable code, a process exit code and fix hints
+class CliError extends Error {
+  constructor(code, message, { exitCode = EXIT_CODES.ERROR, hints = [], status, requestId } = {}) {
+    super(message);
+    this.name = 'CliError';
+    this.code = code;
+    this.exitCode = exitCode;
+    this.hints = hints;
+    this.status = status;
+    this.requestId = requestId;
+  }
+}
+
+// Error for a branch whose agent the backend does not know about
+// `alternate` is another spelling of the repository URL the backend does
+// know the agent under (see findAlternateRepoUrl)
+function agentNotFoundError(branch_name, alternate = null) {
+  const hints = alternate
+    ? [
+      `The backend has an agent for "${branch_name}" under a different repository URL: ${alternate}`,
+      `Register the canonical URL by re-running ${chalk.cyan('mantle-forge init --force')}, then push again`,
+      `See ${chalk.cyan(`mantle-forge hash ${branch_name}`)} for the URL variants checked`,
+    ]
+    : [
+      `Make sure you've pushed this branch: ${chalk.cyan(`git push origin ${branch_name}`)}`,
+      'The backend webhook will deploy it automatically',
+    ];
+  return new CliError('AGENT_NOT_FOUND', `Agent not found for branch "${branch_name}"`, {
+    exitCode: EXIT_CODES.NOT_FOUND,
+    status: 404,
+    hints,
+  });
+}
+
+// How client errors (lib/errors) are reported: the exit code follows the
+// error class unless the code overrides it, and generic HTTP errors are
+// prefixed with what was being attempted
+const CLIENT_ERROR_EXIT_CODES = {
+  AuthError: EXIT_CODES.AUTH,
+  NotFoundError: EXIT_CODES.NOT_FOUND,
+  RequestError: EXIT_CODES.ERROR,
+  BackendError: EXIT_CODES.BACKEND,
+  NetworkError: EXIT_CODES.BACKEND,
+  SECRET_DECRYPT_FAILED: EXIT_CODES.AUTH,
+  INVALID_ARGUMENT: EXIT_CODES.USAGE,
+  INVALID_CONFIG: EXIT_CODES.USAGE,
+  INVALID_ENV_FILE: EXIT_CODES.USAGE,
+  INVALID_ENCRYPTION_KEY: EXIT_CODES.USAGE,
+  UNKNOWN_GIT_HOST: EXIT_CODES.USAGE,
+  DEPLOY_TIMEOUT: EXIT_CODES.TIMEOUT,
+  RPC_UNREACHABLE: EXIT_CODES.BACKEND,
+  ANVIL_NOT_FOUND: EXIT_CODES.USAGE,
+  ANVIL_FAILED: EXIT_CODES.BACKEND,
+  ANVIL_TIMEOUT: EXIT_CODES.TIMEOUT,
+  INVALID_PRICE_DATA: EXIT_CODES.USAGE,
+  INVALID_KEYSTORE: EXIT_CODES.USAGE,
+  KEYSTORE_DECRYPT_FAILED: EXIT_CODES.AUTH,
+  TRANSFER_FAILED: EXIT_CODES.BACKEND,
+};
+const GENERIC_CLIENT_ERRORS = ['NOT_FOUND', 'REQUEST_FAILED', 'BACKEND_ERROR', 'BACKEND_UNREACHABLE', 'BACKEND_TIMEOUT'];
+const NETWORK_HINT = 'Check your network connection, or select another backend with --profile / --api-url';
+
+// Fix hints for client errors, by code
+const CLIENT_ERROR_HINTS = {
+  UNAUTHENTICATED: () => [getAuthToken()
+    ? `Your session has expired or was revoked. Run ${chalk.cyan('mantle-forge login')} again`
+    : `You are not logged in to ${getApiBaseUrl()}. Run ${chalk.cyan('mantle-forge login')}`],
+  FORBIDDEN: () => [getAuthToken()
+    ? `Your account does not have access to this agent. Check ${chalk.cyan('mantle-forge whoami')}`
+    : `You are not logged in to ${getApiBaseUrl()}. Run ${chalk.cyan('mantle-forge login')}`],
+  BACKEND_UNREACHABLE: () => [NETWORK_HINT],
+  BACKEND_TIMEOUT: () => [NETWORK_HINT, `Run with ${chalk.cyan('--verbose')} to see each attempt`],
+  ENCRYPTION_UNSUPPORTED: () => ['Upgrade the MantleForge backend; secrets are never uploaded unencrypted.'],
+  SECRETS_EXPORT_UNSUPPORTED: () => [`Use a local file instead: ${chalk.cyan('--env-file .env')}`],
+  HISTORY_UNAVAILABLE: () => ['The backend may be older than this CLI; check with the MantleForge team'],
+  ENCRYPTION_KEY_MISMATCH: () => [`If the backend rotated its key, verify the new fingerprint with your backend operator and update it with ${chalk.cyan('mantle-forge secrets key --pin')}`],
+  ENCRYPTION_KEY_CHANGED: () => [`If the backend rotated its key, verify the new fingerprint with your backend operator and run ${chalk.cyan('mantle-forge secrets key --trust')}`],
+  DEPLOY_FAILED: err => [`Check the agent logs on ${err.branch}: ${chalk.cyan('mantle-forge logs')}`],
+  DEPLOY_TIMEOUT: err => [
+    err.state === 'not_deployed' || err.state === 'pending' ? 'Check that the repository webhook is installed and firing' : `Check progress with ${chalk.cyan('mantle-forge deploy status')}`,
+  ],
+  UNKNOWN_GIT_HOST: () => [`Pass ${chalk.cyan(`--provider <${Object.keys(webhooks.PROVIDERS).join('|')}>`)}, or save it with ${chalk.cyan('mantle-forge config set webhook.provider <provider>')}`],
+  GIT_HOST_AUTH: err => [`The token needs ${err.tokenScopes} on ${err.repoPath}`],
+  GIT_HOST_NOT_FOUND: () => [
+    'Check repo_url, and that the token can see the repository (private repositories answer 404 otherwise)',
+    `For self-hosted servers, set the API URL with ${chalk.cyan('--git-api-url')} or ${chalk.cyan('mantle-forge config set webhook.api_url <url>')}`,
+  ],
+  GIT_HOST_UNREACHABLE: () => [`Check the API URL, or set it with ${chalk.cyan('--git-api-url')}`],
+  WEBHOOK_SECRET_UNAVAILABLE: () => ['Set MANTLE_FORGE_WEBHOOK_SECRET to the secret the backend was configured with'],
+  RPC_UNREACHABLE: () => ['Check --rpc-url, or start a local node with `anvil` (or `npx hardhat node`)'],
+  ANVIL_NOT_FOUND: () => [
+    'Install Foundry: https://book.getfoundry.sh/getting-started/installation',
+    `Or use a node that is already running with ${chalk.cyan('--rpc-url <url>')}, or run without a chain with ${chalk.cyan('--no-anvil')}`,
+  ],
+  ANVIL_FAILED: err => [`Check that the fork URL ${err.forkUrl} is reachable, or pass ${chalk.cyan('--fork-url <url>')}`],
+  KEYSTORE_DECRYPT_FAILED: () => ['Check the keystore password'],
+  TRANSFER_FAILED: err => [
+    `${AGENT_KEY_SECRET} already holds the new key (${err.newAddress}); the agent was not restarted`,
+    `The old key is still in ${err.backup}; move the remaining funds from ${err.oldAddress} with a wallet`,
+  ],
+};
+
+// Converts a client or unexpected error into a CliError. `action` describes
+// what was being attempted, e.g. "Error fetching logs".
+function toCliError(err, action = 'Request failed') {
+  if (err instanceof CliError) {
+    return err;
+  }
+  if (!(err instanceof MantleForgeError)) {
+    return new CliError('INTERNAL_ERROR', `${action}: ${err.message}`);
+  }
+  if (err.code === 'AGENT_NOT_FOUND') {
+    return agentNotFoundError(err.branch);
+  }
+  const exitCode = CLIENT_ERROR_EXIT_CODES[err.code] ?? CLIENT_ERROR_EXIT_CODES[err.name] ?? EXIT_CODES.ERROR;
+  return new CliError(err.code, GENERIC_CLIENT_ERRORS.includes(err.code) ? `${action}: ${err.message}` : err.message, {
+    exitCode,
+    status: err.status ?? undefined,
+    requestId: err.requestId ?? undefined,
+    hints: CLIENT_ERROR_HINTS[err.code] ? CLIENT_ERROR_HINTS[err.code](err) : [],
+  });
+}
+
+// Like toCliError, but an unknown agent is looked up under other spellings
+// of the repository URL (see findAlternateRepoUrl)
+async function toAgentCliError(err, action) {
+  if (err.code === 'AGENT_NOT_FOUND') {
+    return agentNotFound(err.repoUrl, err.branch);
+  }
+  return toCliError(err, action);
+}
+
+// The selected output format (--json wins over --format)
+function getOutputFormat() {
+  const opts = program.opts();
+  return opts.json ? 'json' : (opts.format || 'table');
+}
+
+// json and yaml output must stay parseable, so progress text is suppressed
+function isMachineFormat() {
+  return ['json', 'yaml'].includes(getOutputFormat());
+}
+
+// Prints human-readable progress text (only for the default table output)
+function note(...args) {
+  if (getOutputFormat() === 'table') {
+    console.log(...args);
+  }
+}
+
+// Prints a warning to stderr, so it is seen even when stdout is parsed
+function warn(message) {
+  console.error(chalk.yellow(`⚠️  ${message}`));
+}
+
+// Formats a YAML scalar, quoting anything that could be misread
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return '[]';
+  if (typeof value === 'object') return '{}';
+  if (typeof value !== 'string') return String(value);
+  if (/^[A-Za-z_][\w./-]*$/.test(value) && !/^(true|false|null|yes|no|on|off|y|n)$/i.test(value)) {
+    return value;
+  }
+  return JSON.stringify(value);
+}
+
+// Serializes plain data (objects, arrays, scalars) as YAML
+function toYaml(value, indent = 0) {
+  const pad = '  '.repeat(indent);
+  const isNested = v => v !== null && typeof v === 'object' && Object.keys(v).length > 0;
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return `${pad}[]`;
+    return value.map((item) => {
+      if (isNested(item) && !Array.isArray(item)) {
+        return `${pad}- ${toYaml(item, indent + 1).trimStart()}`;
+      }
+      if (isNested(item)) {
+        return `${pad}-\n${toYaml(item, indent + 1)}`;
+      }
+      return `${pad}- ${yamlScalar(item)}`;
+    }).join('\n');
+  }
+
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+    if (entries.length === 0) return `${pad}{}`;
+    return entries.map(([key, v]) => (isNested(v)
+      ? `${pad}${key}:\n${toYaml(v, indent + 1)}`
+      : `${pad}${key}: ${yamlScalar(v)}`)).join('\n');
+  }
+
+  return `${pad}${yamlScalar(value)}`;
+}
+
+// Flattens data into "dotted.key<TAB>value" lines for --format plain
+function toPlainLines(value, prefix = '') {
+  if (value !== null && typeof value === 'object') {
+    return Object.entries(value)
+      .filter(([, v]) => v !== undefined)
+      .flatMap(([key, v]) => toPlainLines(v, prefix ? `${prefix}.${key}` : key));
+  }
+  return [`${prefix}\t${value === null ? '' : value}`];
+}
+
+// Serializes data for json/yaml output
+function formatData(data, format = getOutputFormat()) {
+  return format === 'yaml' ? toYaml(data) : JSON.stringify(data, null, 2);
+}
+
+// Prints a command result in the selected format. `renderTable` draws the
+// default human-readable view; plain output defaults to key/value lines.
+function printResult(data, renderTable, renderPlain) {
+  const format = getOutputFormat();
+  if (format === 'json' || format === 'yaml') {
+    console.log(formatData(data, format));
+  } else if (format === 'plain') {
+    if (renderPlain) {
+      renderPlain(data);
+    } else {
+      toPlainLines(data).forEach(line => console.log(line));
+    }
+  } else {
+    renderTable(data);
+  }
+}
+
+// The command being run, e.g. "secrets list" (set before each action)
+let runningCommand = null;
+
+// Reports an error on stderr (structured for json/yaml) and exits with its
+// code. Client errors from any command are mapped here, so actions call the
+// client and lib helpers directly.
+async function exitWithError(err) {
+  const action = runningCommand ? `Error running ${runningCommand}` : undefined;
+  let error;
+  try {
+    error = await toAgentCliError(err, action);
+  } catch (lookupErr) {
+    // Looking up the agent under other repository URLs failed too
+    error = toCliError(err, action);
+  }
+  if (isMachineFormat()) {
+    const payload = { error: { code: error.code, message: error.message, status: error.status, request_id: error.requestId, hints: error.hints } };
+    process.stderr.write(`${formatData(payload)}\n`);
+  } else {
+    console.error(chalk.red(`Error: ${error.message}`));
+    error.hints.forEach(hint => console.error(chalk.yellow(`  → ${hint}`)));
+    if (error.requestId && error.status >= 500) {
+      console.error(chalk.gray(`  Request ID: ${error.requestId} (include it when reporting the problem)`));
+    }
+  }
+  process.exit(error.exitCode);
+}
 
 // --- Helper Functions ---
 
-// Reads the .mantlepush.json file (or migrates from .gitagent.json)
-function getConfig() {
-  // Check for new config file first
-  if (fs.existsSync(CONFIG_FILE)) {
-    return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+// Reads a JSON file, returning null if it does not exist
+function readJsonFile(file) {
+  if (!fs.existsSync(file)) {
+    return null;
   }
-  
-  // Check for old config file and migrate
-  const oldConfigFile = '.gitagent.json';
-  if (fs.existsSync(oldConfigFile)) {
-    console.log(chalk.yellow(`Migrating from ${oldConfigFile} to ${CONFIG_FILE}...`));
-    const oldConfig = JSON.parse(fs.readFileSync(oldConfigFile, 'utf8'));
-    fs.writeFileSync(CONFIG_FILE, JSON.stringify(oldConfig, null, 2));
-    console.log(chalk.green(`✅ Migrated to ${CONFIG_FILE}`));
-    return oldConfig;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new CliError('INVALID_CONFIG', `Could not parse ${file}: ${err.message}`, { exitCode: EXIT_CODES.USAGE });
+  }
+}
+
+// Reads the user-level config (~/.mantle-forge/config.json)
+function getUserConfig() {
+  return readJsonFile(USER_CONFIG_FILE) || {};
+}
+
+// Writes the user-level config, creating its directory if needed
+function saveUserConfig(userConfig) {
+  fs.mkdirSync(USER_CONFIG_DIR, { recursive: true });
+  fs.writeFileSync(USER_CONFIG_FILE, JSON.stringify(userConfig, null, 2));
+}
+
+// Merges built-in, user-level and project-level profiles (project wins).
+// A cloned repository can define profiles, so every api_url must be a plain
+// http(s) URL before anything is sent to it.
+function getProfiles() {
+  const sources = [
+    [USER_CONFIG_FILE, getUserConfig().profiles],
+    [CONFIG_FILE, (readJsonFile(CONFIG_FILE) || {}).profiles],
+  ];
+  sources.forEach(([file, profiles]) => {
+    Object.entries(profiles || {}).forEach(([name, profile]) => {
+      if (profile?.api_url !== undefined && !configSchema.isHttpUrl(profile.api_url)) {
+        throw new CliError('INVALID_CONFIG', `Profile "${name}" in ${file} has an invalid api_url (expected an http:// or https:// URL).`, {
+          exitCode: EXIT_CODES.USAGE,
+          hints: [`Fix it with ${chalk.cyan(`mantle-forge profile add ${name} <api_url>`)}${file === CONFIG_FILE ? ' --project' : ''}`],
+        });
+      }
+    });
+  });
+  return {
+    ...BUILTIN_PROFILES,
+    ...(sources[0][1] || {}),
+    ...(sources[1][1] || {}),
+  };
+}
+
+// Resolves which backend to talk to. Precedence:
+// --api-url > MANTLE_FORGE_API_URL > --profile > MANTLE_FORGE_PROFILE
+// > "profile" in .mantlepush.json > "profile" in user config > prod
+function resolveBackend() {
+  const opts = program.opts();
+  const projectConfig = readJsonFile(CONFIG_FILE) || {};
+  const profileName = opts.profile
+    || process.env.MANTLE_FORGE_PROFILE
+    || projectConfig.profile
+    || getUserConfig().profile
+    || DEFAULT_PROFILE;
+
+  const apiUrlOverride = opts.apiUrl || process.env.MANTLE_FORGE_API_URL;
+  if (apiUrlOverride) {
+    if (!configSchema.isHttpUrl(apiUrlOverride)) {
+      throw new CliError('INVALID_ARGUMENT', `Invalid API URL "${apiUrlOverride}" (expected an http:// or https:// URL).`, { exitCode: EXIT_CODES.USAGE });
+    }
+    return { profile: profileName, api_url: apiUrlOverride.replace(/\/+$/, '') };
+  }
+
+  const profiles = getProfiles();
+  const profile = profiles[profileName];
+  if (!profile || !profile.api_url) {
+    throw new CliError('UNKNOWN_PROFILE', `Unknown backend profile "${profileName}".`, {
+      exitCode: EXIT_CODES.USAGE,
+      hints: [
+        `Available profiles: ${Object.keys(profiles).join(', ')}`,
+        `Add one with ${chalk.cyan('mantle-forge profile add <name> <api_url>')}`,
+      ],
+    });
+  }
+  return { ...profile, profile: profileName, api_url: profile.api_url.replace(/\/+$/, '') };
+}
+
+// Base URL of the selected MantleForge backend
+function getApiBaseUrl() {
+  return resolveBackend().api_url;
+}
+
+// Resolves the chain settings for on-chain commands. Precedence:
+// command option > MANTLE_FORGE_RPC_URL / MANTLE_FORGE_FACTORY_ADDRESS
+// > active profile > chain info published by the backend. Commands that only
+// need the RPC node pass requireFactory: false.
+async function resolveChain(options = {}, { requireFactory = true } = {}) {
+  const backend = resolveBackend();
+  const profile = getProfiles()[backend.profile] || {};
+  const settings = {
+    rpc_url: options.rpcUrl || process.env.MANTLE_FORGE_RPC_URL || profile.rpc_url || null,
+    factory_address: options.factory || process.env.MANTLE_FORGE_FACTORY_ADDRESS || profile.factory_address || null,
+    explorer_url: profile.explorer_url || null,
+  };
+
+  if (!settings.rpc_url || (requireFactory && !settings.factory_address)) {
+    try {
+      const data = await getClient().getChain();
+      settings.rpc_url = settings.rpc_url || data.rpc_url || null;
+      settings.factory_address = settings.factory_address || data.factory_address || null;
+      settings.explorer_url = settings.explorer_url || data.explorer_url || null;
+    } catch (err) {
+      // Older backends do not publish chain info; fall through to the checks below
+    }
+  }
+
+  if (!settings.rpc_url) {
+    throw new CliError('RPC_NOT_CONFIGURED', 'No RPC URL configured for on-chain commands.', {
+      exitCode: EXIT_CODES.USAGE,
+      hints: [`Pass ${chalk.cyan('--rpc-url <url>')} or set MANTLE_FORGE_RPC_URL`],
+    });
+  }
+  if (!requireFactory) {
+    return settings;
+  }
+  if (!settings.factory_address) {
+    throw new CliError('FACTORY_NOT_CONFIGURED', 'No AgentFactory address configured, and the backend does not publish one.', {
+      exitCode: EXIT_CODES.USAGE,
+      hints: [
+        `Pass ${chalk.cyan('--factory <address>')} or set MANTLE_FORGE_FACTORY_ADDRESS`,
+        `Or store it in a profile: ${chalk.cyan(`mantle-forge profile add ${backend.profile} ${backend.api_url} --factory <address>`)}`,
+      ],
+    });
+  }
+  if (!ethers.isAddress(settings.factory_address)) {
+    throw new CliError('INVALID_ARGUMENT', `Invalid factory address "${settings.factory_address}".`, { exitCode: EXIT_CODES.USAGE });
+  }
+  return settings;
+}
+
+// Reads stored API tokens, keyed by backend URL
+function getCredentials() {
+  return readJsonFile(CREDENTIALS_FILE) || {};
+}
+
+// Writes stored API tokens, readable only by the current user
+function saveCredentials(credentials) {
+  fs.mkdirSync(USER_CONFIG_DIR, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(CREDENTIALS_FILE, JSON.stringify(credentials, null, 2), { mode: 0o600 });
+  fs.chmodSync(CREDENTIALS_FILE, 0o600);
+}
+
+// Token for the selected backend: MANTLE_FORGE_TOKEN wins over the stored session
+function getAuthToken() {
+  if (process.env.MANTLE_FORGE_TOKEN) {
+    return { token: process.env.MANTLE_FORGE_TOKEN, source: 'MANTLE_FORGE_TOKEN' };
+  }
+  const session = getCredentials()[getApiBaseUrl()];
+  return session?.token ? { ...session, source: CREDENTIALS_FILE } : null;
+}
+
+// Client for a backend. Under --verbose every request, response and retry is
+// logged to stderr with its request ID.
+function createClient(apiUrl, token) {
+  return new MantleForgeClient({
+    apiUrl,
+    token,
+    logger: program.opts().verbose ? message => console.error(chalk.gray(`[http] ${message}`)) : null,
+  });
+}
+
+// Shared client for the selected backend and its stored token
+let client = null;
+function getClient() {
+  if (!client) {
+    client = createClient(getApiBaseUrl(), getAuthToken()?.token);
+  }
+  return client;
+}
+
+// Opens a URL in the default browser (best effort). The opener is run
+// without a shell, so nothing in the URL is interpreted as a command; on
+// Windows `start` is a cmd built-in, and the quoted URL is passed verbatim.
+function openBrowser(url) {
+  const { href } = new URL(url);
+  const [command, args, options] = process.platform === 'win32'
+    ? ['cmd', ['/d', '/s', '/c', `start "" "${href}"`], { windowsVerbatimArguments: true }]
+    : [process.platform === 'darwin' ? 'open' : 'xdg-open', [href], {}];
+  try {
+    const child = spawn(command, args, { ...options, detached: true, stdio: 'ignore' });
+    child.on('error', () => {});
+    child.unref();
+  } catch (err) {
+    // The URL is printed too, so a missing opener is not an error
+  }
+}
+
+// Starts a one-shot localhost server that receives the token from the
+// backend's OAuth redirect. Resolves with the port once listening; `token`
+// settles when the browser hits /callback with a matching state.
+function startLoginCallbackServer(state) {
+  return new Promise((resolveServer) => {
+    let settle;
+    const token = new Promise((resolve, reject) => {
+      settle = { resolve, reject };
+    });
+
+    const server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://127.0.0.1');
+      if (url.pathname !== '/callback') {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+
+      if (url.searchParams.get('state') !== state || !url.searchParams.get('token')) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('MantleForge login failed. You can close this window.');
+        settle.reject(new Error(url.searchParams.get('error') || 'Invalid login callback (state mismatch or missing token)'));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('MantleForge CLI login complete. You can close this window.');
+      settle.resolve(url.searchParams.get('token'));
+    });
+
+    const timer = setTimeout(() => settle.reject(new Error('Timed out waiting for browser login')), LOGIN_TIMEOUT_MS);
+    const cleanup = () => {
+      clearTimeout(timer);
+      server.close();
+    };
+    token.then(cleanup, cleanup);
+
+    server.listen(0, '127.0.0.1', () => {
+      resolveServer({ port: server.address().port, token });
+    });
+  });
+}
+
+// Reads all of stdin (used for `login --with-token`)
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let input = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', (chunk) => { input += chunk; });
+    process.stdin.on('end', () => resolve(input));
+    process.stdin.on('error', reject);
+  });
+}
+
+// Reads the project config as stored: .mantlepush.json, or the pre-rename
+// .gitagent.json. Returns { file, config } or null when neither exists.
+function readProjectConfig() {
+  const file = [CONFIG_FILE, LEGACY_CONFIG_FILE].find(name => fs.existsSync(name));
+  return file ? { file, config: readJsonFile(file) } : null;
+}
+
+// Readable INVALID_CONFIG error listing every schema violation
+function invalidConfigError(file, errors) {
+  return new CliError('INVALID_CONFIG', `${file} is invalid: ${errors[0].path} ${errors[0].message}${errors.length > 1 ? ` (and ${errors.length - 1} more)` : ''}.`, {
+    exitCode: EXIT_CODES.USAGE,
+    hints: [
+      ...errors.slice(1).map(error => `${error.path} ${error.message}`),
+      `Fix it with ${chalk.cyan('mantle-forge config set <key> <value>')}, or check it with ${chalk.cyan('mantle-forge config validate')}`,
+    ],
+  });
+}
+
+// NOT_CONFIGURED error for a repository without .mantlepush.json
+function notConfiguredError() {
+  return new CliError('NOT_CONFIGURED', `This repository is not configured for MantleForge. Missing ${CONFIG_FILE}.`, {
+    exitCode: EXIT_CODES.USAGE,
+    hints: [`Run ${chalk.cyan('mantle-forge init')} to initialize MantleForge in this repository.`],
+  });
+}
+
+// Reads and validates the project config, migrated in memory to the current
+// version. Returns the file it came from and the migrations that were applied.
+function loadConfig() {
+  const project = readProjectConfig();
+  if (!project) {
+    throw notConfiguredError();
+  }
+  const { file, config: stored } = project;
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+    throw invalidConfigError(file, [{ path: '(root)', message: 'must be a JSON object' }]);
+  }
+  if (Number.isInteger(stored.version) && stored.version > configSchema.CONFIG_VERSION) {
+    throw new CliError('CONFIG_TOO_NEW', `${file} has config version ${stored.version}; this CLI supports up to ${configSchema.CONFIG_VERSION}.`, {
+      exitCode: EXIT_CODES.USAGE,
+      hints: ['Upgrade mantle-forge'],
+    });
+  }
+
+  const { config, changes } = configSchema.migrateConfig(stored);
+  const { errors } = configSchema.validateConfig(config);
+  if (errors.length > 0) {
+    throw invalidConfigError(file, errors);
+  }
+  return { file, config, outdated: file !== CONFIG_FILE || changes.length > 0 };
+}
+
+// Reads and validates .mantlepush.json. Older config versions are migrated
+// in memory only, with a warning: the file changes only through
+// `config migrate` (or `init`).
+function getConfig({ warnOutdated = true } = {}) {
+  const { file, config, outdated } = loadConfig();
+  if (warnOutdated && outdated) {
+    warn(`${file} uses an older config format; update it with: mantle-forge config migrate`);
+  }
+  return config;
+}
+
+// getConfig for commands that change .mantlepush.json. Refuses older or
+// legacy files, so a migration is never applied as a side effect.
+function getWritableConfig() {
+  const { file, config, outdated } = loadConfig();
+  if (outdated) {
+    throw new CliError('CONFIG_OUTDATED', `${file} uses an older config format and was not changed.`, {
+      exitCode: EXIT_CODES.USAGE,
+      hints: [`Update it first with ${chalk.cyan('mantle-forge config migrate')}`],
+    });
   }
-  
-  // No config file found
-  console.error(chalk.red(`Error: This repository is not configured for MantleForge. Missing ${CONFIG_FILE}.`));
-  console.log(chalk.yellow('Run `mantle-forge init` to initialize MantleForge in this repository.'));
-    process.exit(1);
-  const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
   return config;
 }
 
+// Writes .mantlepush.json at the current schema version
+function saveConfig(config) {
+  const { version, ...rest } = config;
+  fs.writeFileSync(CONFIG_FILE, JSON.stringify({ version: configSchema.CONFIG_VERSION, ...rest }, null, 2));
+}
+
 // Gets the current git branch
 function getCurrentBranch() {
   const branch = shell.exec('git rev-parse --abbrev-ref HEAD', { silent: true }).stdout.trim();
   if (!branch) {
-    console.error(chalk.red('Error: Could not determine git branch.'));
-    process.exit(1);
+    throw new CliError('NO_GIT_BRANCH', 'Could not determine git branch.', { exitCode: EXIT_CODES.USAGE });
   }
   return branch;
 }
 
-// Calculate branch_hash (same as backend)
-const { ethers } = require('ethers');
+// Checks whether the backend knows an agent by branch hash: true, false, or
+// null when the backend could not tell
+async function agentExists(branch_hash) {
+  return getClient().agentExists(branch_hash);
+}
+
+// AGENT_NOT_FOUND error for a branch, pointing at an alternate repository URL
+// when the backend knows the agent under one
+async function agentNotFound(repo_url, branch_name) {
+  return agentNotFoundError(branch_name, await findAlternateRepoUrl(getClient(), repo_url, branch_name));
+}
+
+// Parses a --window value: "all" or a duration such as 24h, 7d or 30d
+function parseWindowArg(value) {
+  const window = parseWindow(value);
+  if (!window) {
+    throw new CliError('INVALID_ARGUMENT', `Invalid --window value "${value}". Use all or a duration such as 24h, 7d or 30d.`, {
+      exitCode: EXIT_CODES.USAGE,
+    });
+  }
+  return window;
+}
+
+// Formats a signed quote-currency amount, e.g. +$12.3400
+function formatMoney(value) {
+  if (value === null || value === undefined) return '—';
+  return `${value < 0 ? '-' : '+'}$${Math.abs(value).toFixed(4)}`;
+}
+
+// Formats a signed percentage, e.g. +3.45%
+function formatPercent(value) {
+  if (value === null || value === undefined) return '—';
+  return `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+// Colors a value green when positive and red when negative
+function colorBySign(value, text) {
+  if (value === null || value === undefined) return chalk.gray(text);
+  return value > 0 ? chalk.green(text) : (value < 0 ? chalk.red(text) : text);
+}
+
+// Prints the `stats` report (also used for `backtest` results). `emptyHints`
+// are shown when the agent has not made a decision yet.
+function printStatsReport(summary, {
+  title = 'Mantle Agent Performance',
+  windowLabel = summary.window.label === 'all' ? 'all time' : `last ${summary.window.label}`,
+  emptyHints = [`Check agent status: ${chalk.cyan('mantle-forge logs')}`, 'Verify the agent process is running on MantleForge backend'],
+} = {}) {
+  if (!summary.stats) {
+    console.log(chalk.yellow('No performance metrics available yet. The agent needs to make trading decisions first.'));
+    return;
+  }
+
+  const s = summary.stats;
+  const windowed = summary.window.label !== 'all';
+  console.log(chalk.bold(`\n--- ${title}: ${summary.branch}${windowed ? ` (${windowLabel})` : ''} ---`));
+  console.log(chalk.green(`  Total Decisions:  ${s.total_decisions}`));
+  console.log(chalk.cyan(`  BUY Signals:     ${s.buy_count}`));
+  console.log(chalk.yellow(`  HOLD Signals:    ${s.hold_count}`));
+  console.log(chalk.magenta(`  Trades Executed: ${s.trades_executed}`));
+  
+  if (s.total_decisions === 0 && windowed) {
+    console.log(chalk.yellow(`\n⚠️  No trading decisions in the ${windowLabel}.`));
+  } else if (s.total_decisions === 0) {
+    console.log(chalk.yellow(`\n⚠️  No trading decisions recorded yet.`));
+    emptyHints.forEach(hint => console.log(chalk.yellow(`   → ${hint}`)));
+    return;
+  }
+  
+  if (s.avg_price) {
+    console.log(`\n  Price Statistics:`);
+    console.log(`    Average: $${s.avg_price.toFixed(4)}`);
+    if (s.min_price !== null) console.log(`    Min:     $${s.min_price.toFixed(4)}`);
+    if (s.max_price !== null) console.log(`    Max:     $${s.max_price.toFixed(4)}`);
+  }
+  
+  if (s.first_decision && s.last_decision) {
+    console.log(`\n  Activity:`);
+    console.log(`    First Decision: ${s.first_decision}`);
+    console.log(`    Last Decision:  ${s.last_decision}`);
+  }
+  
+  if (s.trades_executed > 0) {
+    console.log(chalk.gray(`\n  Trade Rate: ${s.success_rate.toFixed(1)}% of decisions executed a trade`));
+  }
+
+  if (summary.chart) {
+    printCharts(summary.chart);
+  }
+
+  const m = summary.metrics;
+  if (!m) {
+    console.log(chalk.gray(`\n  Profit & Loss: trade history is not available from the backend.`));
+    return;
+  }
+  if (m.trades === 0) {
+    console.log(chalk.gray(`\n  Profit & Loss (${windowLabel}): no trades in this window.`));
+    return;
+  }
+
+  console.log(chalk.bold(`\n  Profit & Loss (${windowLabel}):`));
+  console.log(`    Realized PnL:     ${colorBySign(m.realized_pnl, formatMoney(m.realized_pnl))} ${chalk.gray(`(${m.closed_trades} closed)`)}`);
+  console.log(`    Unrealized PnL:   ${colorBySign(m.unrealized_pnl, formatMoney(m.unrealized_pnl))} ${chalk.gray(`(${m.open_trades} open)`)}`);
+  console.log(`    ROI:              ${colorBySign(m.roi_pct, formatPercent(m.roi_pct))} ${chalk.gray(`on $${m.capital_deployed.toFixed(2)} deployed`)}`);
+  console.log(`    Max Drawdown:     ${m.max_drawdown > 0 ? chalk.red(`-${m.max_drawdown_pct.toFixed(2)}%`) : '0.00%'} ${chalk.gray(`($${m.max_drawdown.toFixed(4)})`)}`);
+  console.log(`    Wins / Losses:    ${m.wins} / ${m.losses}${m.win_rate_pct !== null ? chalk.gray(` (${m.win_rate_pct.toFixed(1)}% win rate)`) : ''}`);
+  console.log(`    Profit Factor:    ${m.profit_factor ?? '—'}`);
+  console.log(`    Sharpe / Sortino: ${m.sharpe ?? '—'} / ${m.sortino ?? '—'}`);
+  console.log(`    Exposure:         ${m.exposure_pct !== null ? `${m.exposure_pct.toFixed(1)}% of the window` : '—'} ${chalk.gray(`(${m.exposure_hours}h in market)`)}`);
+}
+
+// --- Secret Encryption ---
+// Secrets are sealed to the backend's agent-runtime public key before upload
+// (ECIES: ephemeral secp256k1 ECDH → HKDF-SHA256 → AES-256-GCM), so only the
+// agent runtime holding the private key can decrypt them.
+
+// The keys the backend's secrets key is checked against: the key pinned in
+// .mantlepush.json or, if none is pinned, the fingerprint remembered from
+// first use
+function getSecretsTrust(config) {
+  return {
+    pinned: config.secrets_public_key ? normalizePublicKey(config.secrets_public_key, CONFIG_FILE) : null,
+    pinnedIn: CONFIG_FILE,
+    known: (readJsonFile(KNOWN_KEYS_FILE) || {})[getApiBaseUrl()]?.fingerprint || null,
+  };
+}
+
+// Fetches the backend's secrets public key
+async function fetchSecretsPublicKey() {
+  return normalizePublicKey(await getClient().getSecretsPublicKey(), getApiBaseUrl());
+}
+
+// Remembers a backend key fingerprint in ~/.mantle-forge/known_keys.json
+function trustSecretsPublicKey(publicKey) {
+  const knownKeys = readJsonFile(KNOWN_KEYS_FILE) || {};
+  knownKeys[getApiBaseUrl()] = {
+    public_key: publicKey,
+    fingerprint: keyFingerprint(publicKey),
+    trusted_at: new Date().toISOString(),
+  };
+  fs.mkdirSync(USER_CONFIG_DIR, { recursive: true });
+  fs.writeFileSync(KNOWN_KEYS_FILE, JSON.stringify(knownKeys, null, 2));
+}
+
+// Resolves the key to encrypt secrets with. Refuses to encrypt if the backend
+// key differs from the pinned key or from the one trusted on first use.
+let secretsPublicKey = null;
+async function getSecretsPublicKey(config) {
+  if (secretsPublicKey) {
+    return secretsPublicKey;
+  }
+
+  const key = await verifiedPublicKey(getClient(), getSecretsTrust(config));
+  if (key.status === 'new') {
+    trustSecretsPublicKey(key.public_key);
+    note(chalk.gray(`   Trusting backend secrets key ${key.fingerprint} (first use)`));
+  }
+
+  secretsPublicKey = key.public_key;
+  return secretsPublicKey;
+}
+
+// Secret names must be valid environment variable names
+function assertSecretKey(key) {
+  if (!SECRET_KEY_PATTERN.test(key || '')) {
+    throw new CliError('INVALID_ARGUMENT', `Invalid secret name "${key}". Use letters, digits and underscores (e.g. GROQ_API_KEY).`, {
+      exitCode: EXIT_CODES.USAGE,
+    });
+  }
+}
+
+// Encrypts and stores one secret for a branch
+async function setSecret(config, branch_name, key, value) {
+  const publicKey = await getSecretsPublicKey(config);
+  await getClient().setSecret(config.repo_url, branch_name, key, value, { publicKey });
+}
+
+// Asks the user to confirm a change. --yes skips the prompt; without a
+// terminal there is nobody to ask, so --yes is required.
+async function confirmAction(message, options = {}) {
+  if (options.yes) {
+    return true;
+  }
+  if (!process.stdin.isTTY) {
+    throw new CliError('CONFIRMATION_REQUIRED', `Confirmation required: ${message} Re-run with --yes to confirm non-interactively.`, {
+      exitCode: EXIT_CODES.USAGE,
+    });
+  }
+  const { confirmed } = await prompt([{ type: 'confirm', name: 'confirmed', message, default: false }]);
+  return confirmed;
+}
+
+// Prints a secrets copy plan (table output only)
+function noteSecretsPlan(changes, skipReason = 'already set, use --overwrite to replace') {
+  changes.forEach((change) => {
+    if (change.action === 'create') note(chalk.green(`  + ${change.key}`));
+    if (change.action === 'update') note(chalk.yellow(`  ~ ${change.key}`) + chalk.gray(' (overwrites existing value)'));
+    if (change.action === 'skip') note(chalk.gray(`  = ${change.key} (${skipReason})`));
+  });
+}
+
+// Lifecycle actions on a branch's agent, with the wording used in messages
+const AGENT_ACTIONS = {
+  restart: { doing: 'Restarting', done: 'restarted' },
+  stop: { doing: 'Stopping', done: 'stopped' },
+  start: { doing: 'Starting', done: 'started' },
+  delete: { doing: 'Deleting', done: 'deleted' },
+};
+
+// Human-readable duration, e.g. 3d 4h, 5h 12m, 42s
+function formatUptime(seconds) {
+  if (seconds === null || seconds === undefined) return '—';
+  const units = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+  const parts = [];
+  let rest = Math.floor(seconds);
+  units.forEach(([unit, size]) => {
+    if (parts.length < 2 && (rest >= size || (unit === 's' && parts.length === 0))) {
+      parts.push(`${Math.floor(rest / size)}${unit}`);
+      rest %= size;
+    }
+  });
+  return parts.join(' ');
+}
+
+// Colors an agent status for display
+function colorStatus(status) {
+  const text = status || 'unknown';
+  if (text === 'running') return chalk.green(text);
+  if (['crashed', 'failed', 'errored'].includes(text)) return chalk.red(text);
+  if (text === 'stopped') return chalk.gray(text);
+  return chalk.yellow(text);
+}
+
+// Strips ANSI color codes, for width calculations
+function stripAnsi(str) {
+  return String(str).replace(/\u001b\[[0-9;]*m/g, '');
+}
+
+// Pads a string to a visible width, accounting for ANSI codes
+function padWithAnsi(str, width, alignRight = false) {
+  const padding = ' '.repeat(Math.max(0, width - stripAnsi(str).length));
+  return alignRight ? padding + str : str + padding;
+}
+
+// Shortens plain text to a visible width with an ellipsis
+function truncate(str, width) {
+  return str.length > width ? `${str.slice(0, Math.max(0, width - 1))}…` : str;
+}
+
+// Draws values as a one-line sparkline; null values are left blank. The scale
+// runs from `min` (default: the smallest value) to the largest value.
+function sparkline(values, { min } = {}) {
+  const bars = '▁▂▃▄▅▆▇█';
+  const known = values.filter(v => v !== null);
+  const low = min ?? Math.min(...known);
+  const high = Math.max(...known);
+  return values.map((v) => {
+    if (v === null) return ' ';
+    return bars[high > low ? Math.round(((v - low) / (high - low)) * (bars.length - 1)) : 0];
+  }).join('');
+}
+
+// Renders rows as a box-drawn table that fits the terminal. Columns are
+// { key, label, align, minWidth, optional }; when the table is too wide the
+// truncatable column shrinks first, then optional columns are dropped from
+// the right.
+function renderTable(columns, rows, { title, maxWidth = process.stdout.columns || Number(process.env.COLUMNS) || 100 } = {}) {
+  let visible = columns.slice();
+  const widthOf = col => Math.max(stripAnsi(col.label).length, ...rows.map(row => stripAnsi(row[col.key] ?? '').length));
+  const totalWidth = cols => cols.reduce((sum, col) => sum + col.width + 3, 1);
+
+  visible.forEach((col) => { col.width = widthOf(col); });
+  const shrinkable = visible.find(col => col.truncate);
+  if (shrinkable && totalWidth(visible) > maxWidth) {
+    shrinkable.width = Math.max(shrinkable.minWidth || 8, shrinkable.width - (totalWidth(visible) - maxWidth));
+  }
+  while (totalWidth(visible) > maxWidth && visible.some(col => col.optional)) {
+    const dropIndex = visible.map(col => col.optional).lastIndexOf(true);
+    visible = visible.filter((col, i) => i !== dropIndex);
+  }
+
+  const cell = (col, value) => {
+    const text = col.truncate && stripAnsi(value).length > col.width ? truncate(stripAnsi(value), col.width) : value;
+    return padWithAnsi(text, col.width, col.align === 'right');
+  };
+  const border = (left, mid, right) => chalk.bold(left + visible.map(col => '═'.repeat(col.width + 2)).join(mid) + right);
+  const inner = totalWidth(visible) - 2;
+
+  const lines = [];
+  if (title) {
+    lines.push(chalk.bold(`╔${'═'.repeat(inner)}╗`));
+    lines.push(chalk.bold(`║${padWithAnsi(truncate(`  ${title}`, inner), inner)}║`));
+    lines.push(border('╠', '╦', '╣'));
+  } else {
+    lines.push(border('╔', '╦', '╗'));
+  }
+  lines.push(`║ ${visible.map(col => cell(col, chalk.bold(col.label))).join(' ║ ')} ║`);
+  lines.push(border('╠', '╬', '╣'));
+  rows.forEach(row => lines.push(`║ ${visible.map(col => cell(col, row[col.key] ?? '')).join(' ║ ')} ║`));
+  lines.push(border('╚', '╩', '╝'));
+  return lines.join('\n');
+}
+
+// Parses a --since/--until value: a relative duration ("10m" = 10 minutes ago)
+// or anything Date can parse. Throws a readable CliError otherwise.
+function parseTimeArg(value, optionName) {
+  const date = parseTime(value);
+  if (!date) {
+    throw new CliError('INVALID_ARGUMENT', `Invalid ${optionName} value "${value}". Use a duration (e.g. 10m, 2h, 7d) or a date (e.g. 2025-01-31T12:00:00Z).`, {
+      exitCode: EXIT_CODES.USAGE,
+    });
+  }
+  return date;
+}
+
+// Checks a numeric option parsed with parseInt. Throws a readable CliError
+// for NaN, zero or negative values.
+function assertPositiveInt(value, optionName) {
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new CliError('INVALID_ARGUMENT', `${optionName} must be a positive integer.`, { exitCode: EXIT_CODES.USAGE });
+  }
+}
+
+// Colors a log line by decision type (BUY / HOLD / trade executed) and level
+function colorizeLogLine(entry) {
+  const line = entry.raw;
+  if (entry.level === 'error') return chalk.red(line);
+  if (/trade executed|executed trade|tx hash/i.test(line)) return chalk.magenta(line);
+  if (/\bBUY\b/.test(line)) return chalk.cyan(line);
+  if (/\bHOLD\b/.test(line)) return chalk.yellow(line);
+  if (entry.level === 'warn') return chalk.yellow.bold(line);
+  if (entry.level === 'debug') return chalk.gray(line);
+  return line;
+}
+
+// --- Deployments ---
+
+// Full SHA of a local commit (HEAD by default), or null if the ref does not exist
+function getLocalCommit(ref = 'HEAD') {
+  const result = spawnSync('git', ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], { encoding: 'utf8' });
+  const sha = (result.stdout || '').trim();
+  return /^[0-9a-f]{40}$/.test(sha) ? sha : null;
+}
+
+// Polls the backend until `commit` is live on the branch, noting each state
+// change. Throws DEPLOY_FAILED or DEPLOY_TIMEOUT (see lib/deployments).
+async function waitForDeployment(repo_url, branch_name, commit, { timeoutMs, intervalMs }) {
+  const messages = {
+    not_deployed: () => 'Waiting for the backend to receive the push...',
+    pending: () => 'Waiting for the backend to pick up this commit...',
+    deploying: deployment => `Deploying (${deployment?.status || 'in progress'}${deployment?.process_state ? `, process ${deployment.process_state}` : ''})...`,
+    unreachable: () => 'Backend unreachable, retrying...',
+  };
+  const onState = (state, deployment) => {
+    if (messages[state]) note(chalk.gray(`   ${messages[state](deployment)}`));
+  };
+  return deployments.waitForDeployment(getClient(), repo_url, branch_name, commit, { timeoutMs, intervalMs, onState });
+}
+
+// --- History ---
+
+// Picks the `history export` file format: --format, then the --output file
+// extension, then CSV. json/yaml/plain are rejected since exports are row data.
+function getExportFormat(output) {
+  const format = getOutputFormat();
+  if (EXPORT_FORMATS.includes(format)) {
+    return format;
+  }
+  if (format !== 'table') {
+    throw new CliError('INVALID_ARGUMENT', `history export writes ${EXPORT_FORMATS.join(', ')}, not ${format}.`, {
+      exitCode: EXIT_CODES.USAGE,
+      hints: [`Use ${chalk.cyan('--format jsonl')} for JSON (one record per line)`],
+    });
+  }
+  const extension = output ? path.extname(output).slice(1).toLowerCase() : '';
+  return EXPORT_FORMATS.includes(extension) ? extension : 'csv';
+}
+
+// Chart series for `stats --chart`: the window's decisions bucketed into
+// CHART_WIDTH slots
+function getChartSeries(repo_url, branch_name, window, summary) {
+  return history.chartSeries(getClient(), repo_url, branch_name, window, summary, { buckets: CHART_WIDTH });
+}
+
+// Prints the `stats --chart` sparklines
+function printCharts(chart) {
+  const prices = chart.price.filter(v => v !== null);
+  const rates = chart.decisions_per_hour;
+  const trades = chart.cumulative_trades;
+  const row = (label, line, detail) => console.log(`    ${label.padEnd(18)}${line}  ${chalk.gray(detail)}`);
+  const start = chart.start.slice(0, 16).replace('T', ' ');
+  const column = formatUptime(chart.bucket_minutes * 60);
+
+  console.log(chalk.bold(`\n  Activity ${chalk.gray(`(${column} per column)`)}:`));
+  row('Price', chalk.cyan(sparkline(chart.price)), prices.length > 0
+    ? `$${Math.min(...prices).toFixed(4)} – $${Math.max(...prices).toFixed(4)}`
+    : 'no prices');
+  row('Decisions / hour', chalk.yellow(sparkline(rates, { min: 0 })), `max ${Math.max(...rates)}, last ${rates[rates.length - 1]}`);
+  row('Cumulative Trades', chalk.magenta(sparkline(trades, { min: 0 })), `${trades[trades.length - 1]} in window`);
+  console.log(chalk.gray(`    ${' '.repeat(18)}${start.padEnd(CHART_WIDTH - 3)}now`));
+  if (rates[rates.length - 1] === 0) {
+    console.log(chalk.yellow(`    ⚠️  No decisions in the last ${column} — check ${chalk.cyan('mantle-forge logs')}`));
+  }
+}
+
+// --- Watch ---
+
+// Resolves `watch` settings from options, MANTLE_FORGE_WATCH_WEBHOOK and the
+// "watch" section of .mantlepush.json (or of the workspace file)
+function getWatchSettings(config, options, file = CONFIG_FILE) {
+  return watch.resolveWatchSettings(config.watch, {
+    interval: options.interval,
+    webhookUrl: options.webhook || process.env.MANTLE_FORGE_WATCH_WEBHOOK,
+    source: file,
+  });
+}
+
+// Prints one watch poll: a refreshing table on a terminal (one per repository
+// in workspace mode), appended tables otherwise, one JSON line or YAML
+// document per poll for json/yaml
+function renderWatchPoll(poll, { live, settings, format }) {
+  if (format === 'json') {
+    console.log(JSON.stringify(poll));
+    return;
+  }
+  if (format === 'yaml') {
+    console.log(`---\n${toYaml(poll)}`);
+    return;
+  }
+  if (format === 'plain') {
+    // Workspace polls lead each line with the repository
+    const repo = item => (item.repo_url ? [item.repo_url] : []);
+    poll.branches.forEach((b) => {
+      console.log([poll.at, ...repo(b), b.branch, b.status || '', b.stats?.total_decisions ?? '', b.stats?.trades_executed ?? '', b.stats?.last_decision || '', b.error || ''].join('\t'));
+    });
+    poll.alerts.forEach(alert => console.log([poll.at, ...repo(alert), alert.branch, 'ALERT', alert.rule, alert.message].join('\t')));
+    return;
+  }
+
+  const columns = [
+    { key: 'branch', label: 'Branch', truncate: true, minWidth: 10 },
+    { key: 'status', label: 'Status' },
+    { key: 'decisions', label: 'Decisions', align: 'right' },
+    { key: 'trades', label: 'Trades', align: 'right' },
+    { key: 'last', label: 'Last Decision', optional: true },
+    { key: 'drawdown', label: 'Max DD', align: 'right', optional: true },
+    { key: 'alerts', label: 'Alerts', truncate: true, minWidth: 8 },
+  ];
+  const rowsFor = branches => branches.map((b) => {
+    const branchAlerts = poll.alerts.filter(alert => alert.branch === b.branch && alert.repo_url === b.repo_url);
+    return {
+      branch: chalk.bold(b.branch),
+      status: b.status ? colorStatus(b.status) : chalk.gray('—'),
+      decisions: b.stats ? String(b.stats.total_decisions) : chalk.gray('—'),
+      trades: b.stats ? String(b.stats.trades_executed) : chalk.gray('—'),
+      last: b.stats?.last_decision || chalk.gray('—'),
+      drawdown: b.max_drawdown_pct !== null ? `${b.max_drawdown_pct.toFixed(2)}%` : chalk.gray('—'),
+      alerts: b.error ? chalk.yellow(b.error) : (branchAlerts.length > 0 ? chalk.red(branchAlerts.map(alert => alert.rule).join(', ')) : chalk.green('ok')),
+    };
+  });
+
+  if (live) {
+    process.stdout.write('\u001b[2J\u001b[H');
+  }
+  const time = new Date(poll.at).toLocaleTimeString();
+  const title = `Watching ${poll.branches.length} agent(s) every ${settings.interval} — ${time}`;
+  const repos = [...new Set(poll.branches.map(b => b.repo_url))];
+  if (repos[0] === undefined) {
+    console.log(renderTable(columns, rowsFor(poll.branches), { title }));
+  } else {
+    console.log(chalk.bold(title));
+    repos.forEach((repo_url) => {
+      console.log(`\n${renderTable(columns, rowsFor(poll.branches.filter(b => b.repo_url === repo_url)), { title: repoLabel(repo_url) })}`);
+    });
+  }
+  poll.alerts.filter(alert => alert.new).forEach((alert) => {
+    console.log(chalk.red(`🚨 ${alerts.alertTarget(alert)}: ${alert.message} (rule: ${alert.rule})`));
+  });
+  poll.resolved.forEach((alert) => {
+    console.log(chalk.green(`✅ ${alerts.alertTarget(alert)}: resolved (rule: ${alert.rule})`));
+  });
+  if (live) {
+    console.log(chalk.gray(`\nRules: ${settings.rules.map(alerts.describeRule).join('; ')}${settings.webhook_url ? ' → webhook' : ''}. Ctrl+C to stop.`));
+  }
+}
+
+// --- Local Runs ---
+
+// Shell command that starts the agent: "run.command" in .mantlepush.json,
+// otherwise the package.json start script
+function getAgentCommand(config) {
+  if (config.run?.command) {
+    return config.run.command;
+  }
+  if (readJsonFile('package.json')?.scripts?.start) {
+    return 'npm start';
+  }
+  throw new CliError('NO_AGENT_COMMAND', 'Could not tell how to start the agent.', {
+    exitCode: EXIT_CODES.USAGE,
+    hints: [`Add a "start" script to package.json, or set "run": { "command": "node agent.js" } in ${CONFIG_FILE}`],
+  });
+}
+
+// Secrets for a local run: a .env file, the branch's secrets from the backend,
+// or none with --no-secrets. Returns [{ key, value }] and where they came from.
+async function getLocalSecrets(config, branch_name, options) {
+  if (options.envFile) {
+    if (!fs.existsSync(options.envFile)) {
+      throw new CliError('FILE_NOT_FOUND', `File not found: ${options.envFile}`, { exitCode: EXIT_CODES.USAGE });
+    }
+    return { source: options.envFile, secrets: parseEnvFile(fs.readFileSync(options.envFile, 'utf8')) };
+  }
+  if (options.secrets === false) {
+    return { source: null, secrets: [] };
+  }
+  note(chalk.cyan(`🔐 Downloading secrets for ${branch_name}...`));
+  return { source: `branch ${branch_name}`, secrets: await getClient().exportSecrets(config.repo_url, branch_name) };
+}
+
+// Upstream RPC node for the Anvil fork: --fork-url, MANTLE_FORGE_FORK_URL, the
+// active profile's RPC URL unless it is itself local, then Mantle Sepolia
+function getForkUrl(options) {
+  if (options.forkUrl || process.env.MANTLE_FORGE_FORK_URL) {
+    return options.forkUrl || process.env.MANTLE_FORGE_FORK_URL;
+  }
+  const rpcUrl = process.env.MANTLE_FORGE_RPC_URL || getProfiles()[resolveBackend().profile]?.rpc_url;
+  return rpcUrl && !/^https?:\/\/(localhost|127\.0\.0\.1)([:/]|$)/.test(rpcUrl) ? rpcUrl : BUILTIN_PROFILES.prod.rpc_url;
+}
+
+// Price source for the mock feed (see local.priceSource) from --prices/--data
+// or the synthetic price options
+function getPriceSource(file, options, limits) {
+  if (file && !fs.existsSync(file)) {
+    throw new CliError('FILE_NOT_FOUND', `File not found: ${file}`, { exitCode: EXIT_CODES.USAGE });
+  }
+  return local.priceSource({ ...options, csv: file ? fs.readFileSync(file, 'utf8') : undefined, file }, limits);
+}
+
+// Starts the local chain and price feed for a run or backtest. The chain is
+// an Anvil fork unless --rpc-url points at a running node or --no-anvil
+// skips it.
+async function startLocalEnvironment(config, branch_name, options, feedOptions) {
+  const { source, secrets } = await getLocalSecrets(config, branch_name, options);
+  const forkUrl = !options.rpcUrl && options.anvil !== false ? getForkUrl(options) : null;
+  const localEnv = await local.startLocalEnvironment({
+    branch: branch_name,
+    secrets,
+    rpcUrl: options.rpcUrl,
+    forkUrl,
+    port: options.port,
+    feed: feedOptions,
+    onAnvil: () => note(chalk.cyan(`⛓️  Starting Anvil fork of ${forkUrl}...`)),
+  });
+  return { ...localEnv, secrets_source: source, secret_count: secrets.length };
+}
+
+// --- Agent Wallet ---
+// Keystores live under ~/.mantle-forge/keystores (see lib/wallet); the CLI
+// adds the password prompt and the messages.
+
+// Keystore password from MANTLE_FORGE_KEYSTORE_PASSWORD or a prompt. New
+// passwords are prompted twice and must be at least 8 characters.
+async function getKeystorePassword({ confirm = false } = {}) {
+  let password = process.env.MANTLE_FORGE_KEYSTORE_PASSWORD;
+  if (!password) {
+    if (!process.stdin.isTTY) {
+      throw new CliError('PASSWORD_REQUIRED', 'A keystore password is required.', {
+        exitCode: EXIT_CODES.USAGE,
+        hints: ['Set MANTLE_FORGE_KEYSTORE_PASSWORD when running without a terminal'],
+      });
+    }
+    ({ password } = await prompt([{ type: 'password', name: 'password', mask: '*', message: 'Keystore password:' }]));
+    if (confirm) {
+      const { repeated } = await prompt([{ type: 'password', name: 'repeated', mask: '*', message: 'Repeat password:' }]);
+      if (repeated !== password) {
+        throw new CliError('INVALID_ARGUMENT', 'Passwords do not match.', { exitCode: EXIT_CODES.USAGE });
+      }
+    }
+  }
+  if (confirm && password.length < MIN_KEYSTORE_PASSWORD_LENGTH) {
+    throw new CliError('INVALID_ARGUMENT', `The keystore password must be at least ${MIN_KEYSTORE_PASSWORD_LENGTH} characters.`, { exitCode: EXIT_CODES.USAGE });
+  }
+  return password;
+}
+
+// Decrypts a branch's keystore. Returns the wallet, the keystore and the
+// password (so a replacement keystore can reuse it).
+async function loadWallet(repo_url, branch_name) {
+  const keystore = wallet.readKeystore(KEYSTORE_DIR, repo_url, branch_name);
+  if (!keystore) {
+    throw walletNotFound(branch_name);
+  }
+  const password = await getKeystorePassword();
+  return { wallet: await wallet.decryptKeystore(keystore, password), keystore, password };
+}
+
+// WALLET_NOT_FOUND error for a branch without a local keystore
+function walletNotFound(branch_name) {
+  return new CliError('WALLET_NOT_FOUND', `No local agent wallet for ${branch_name}.`, {
+    exitCode: EXIT_CODES.NOT_FOUND,
+    hints: [
+      `Create one with ${chalk.cyan(`mantle-forge wallet new ${branch_name}`)}`,
+      `Or pass the agent's address with ${chalk.cyan('--address <address>')}`,
+    ],
+  });
+}
+
+// ERC-20 tokens whose balances are shown and moved: --token options plus
+// "wallet.tokens" in .mantlepush.json
+function getWalletTokens(config, options) {
+  const tokens = [...new Set([...(config.wallet?.tokens || []), ...(options.token || [])])];
+  const invalid = tokens.find(token => !ethers.isAddress(token));
+  if (invalid) {
+    throw new CliError('INVALID_ARGUMENT', `Invalid token address "${invalid}".`, { exitCode: EXIT_CODES.USAGE });
+  }
+  return tokens.map(token => ethers.getAddress(token));
+}
+
+// --- Doctor ---
+// The checks live in lib/doctor; these render their results
+
+const DOCTOR_STATUS = {
+  pass: { icon: '✔', color: chalk.green },
+  warn: { icon: '!', color: chalk.yellow },
+  fail: { icon: '✗', color: chalk.red },
+  skip: { icon: '-', color: chalk.gray },
+};
+
+// Highlights the `quoted` commands in a doctor hint
+function highlightCommands(text) {
+  return text.replace(/`([^`]+)`/g, (_, command) => chalk.cyan(command));
+}
+
+// --- Strategy ---
+
+// Reads and validates mantle-forge.strategy.json from the repository root
+function readStrategyFile() {
+  const doc = readJsonFile(strategy.STRATEGY_FILE);
+  if (!doc) {
+    throw new CliError('STRATEGY_NOT_FOUND', `No ${strategy.STRATEGY_FILE} in this directory.`, {
+      exitCode: EXIT_CODES.USAGE,
+      hints: [`Declare each branch's settings in it, e.g. { "defaults": { "model": "..." }, "branches": { "main": { "prompt": "..." } } }`],
+    });
+  }
+  const errors = strategy.validateStrategy(doc);
+  if (errors.length > 0) {
+    throw new CliError('INVALID_STRATEGY', `${strategy.STRATEGY_FILE} is invalid: ${errors[0]}.`, {
+      exitCode: EXIT_CODES.USAGE,
+      hints: errors.slice(1),
+    });
+  }
+  return doc;
+}
+
+// Branches to plan: the arguments, every declared branch with --all, or the current branch
+function getStrategyBranches(doc, branchArgs, options) {
+  const branches = options.all ? Object.keys(doc.branches) : (branchArgs.length > 0 ? branchArgs : [getCurrentBranch()]);
+  const undeclared = branches.filter(branch => !strategy.declaredSettings(doc, branch));
+  if (undeclared.length > 0) {
+    throw new CliError('STRATEGY_NOT_DECLARED', `${strategy.STRATEGY_FILE} does not declare ${undeclared.join(', ')}.`, {
+      exitCode: EXIT_CODES.USAGE,
+      hints: [`Add ${undeclared.map(branch => `"${branch}": { ... }`).join(', ')} under "branches"`, `Declared: ${Object.keys(doc.branches).join(', ') || 'none'}`],
+    });
+  }
+  return branches;
+}
+
+// One-line display of a setting value (long prompts are shortened)
+function formatSettingValue(value) {
+  return truncate(JSON.stringify(value).replace(/\s+/g, ' '), 60);
+}
+
+// Shows the plan as +/~/- lines per branch (table output only)
+function noteStrategyPlan(plans) {
+  const marks = { add: chalk.green('+'), change: chalk.yellow('~'), remove: chalk.red('-') };
+  plans.forEach((plan) => {
+    note(chalk.bold(`\n--- ${plan.branch} ---`));
+    if (plan.in_sync) {
+      note(chalk.gray('    up to date'));
+    }
+    plan.changes.forEach((change) => {
+      const value = {
+        add: formatSettingValue(change.to),
+        change: `${formatSettingValue(change.from)} → ${formatSettingValue(change.to)}`,
+        remove: chalk.gray(formatSettingValue(change.from)),
+      }[change.action];
+      note(`  ${marks[change.action]} ${chalk.bold(change.key)}: ${value}`);
+    });
+  });
+  note('');
+}
+
+// --- Push Webhooks ---
+
+// The git host serving the repository, its REST API and the backend URL its
+// push webhook delivers to. The provider comes from --provider,
+// webhook.provider or the repository's host name.
+function resolveGitHost(config, options = {}) {
+  const settings = config.webhook || {};
+  return webhooks.resolveGitHost(config.repo_url, {
+    provider: options.provider || settings.provider,
+    apiUrl: options.gitApiUrl || process.env.MANTLE_FORGE_GIT_API_URL || settings.api_url,
+    backendUrl: getApiBaseUrl(),
+  });
+}
+
+// Token for the git host's API: MANTLE_FORGE_GIT_TOKEN, the host's usual
+// variable (e.g. GITHUB_TOKEN), or a prompt
+async function getGitHostToken(host) {
+  const names = ['MANTLE_FORGE_GIT_TOKEN', ...host.adapter.tokenEnv];
+  const name = names.find(n => process.env[n]);
+  if (name) {
+    return process.env[name];
+  }
+  if (!process.stdin.isTTY) {
+    throw new CliError('MISSING_GIT_TOKEN', `No ${host.adapter.name} token to manage webhooks with.`, {
+      exitCode: EXIT_CODES.AUTH,
+      hints: [`Set ${names.join(' or ')} to a token with ${host.adapter.tokenScopes}`],
+    });
+  }
+  const { token } = await prompt([{ type: 'password', name: 'token', mask: '*', message: `${host.adapter.name} token (needs ${host.adapter.tokenScopes}):` }]);
+  if (!token) {
+    throw new CliError('MISSING_GIT_TOKEN', `A ${host.adapter.name} token is required.`, { exitCode: EXIT_CODES.AUTH });
+  }
+  return token;
+}
+
+// Status line for a webhook delivery's HTTP status
+function formatDeliveryStatus(delivery) {
+  if (delivery.status_code === null || delivery.status_code === 0) {
+    return chalk.red('no response');
+  }
+  const status = String(delivery.status_code);
+  return webhooks.deliverySucceeded(delivery) ? chalk.green(status) : chalk.red(status);
+}
+
+// --- Init ---
+
+// Repository URL of the origin remote, or '' outside a repository
+function getOriginUrl() {
+  return shell.exec('git remote get-url origin', { silent: true }).stdout.trim();
+}
+
+// Prints what to do after `init`: install the webhook, set secrets, push.
+// `provider` is the git host (null when it could not be detected).
+function printInitNextSteps(repoUrl, apiBaseUrl, provider) {
+  const { repo } = webhooks.detectProvider(repoUrl);
+  const adapter = webhooks.PROVIDERS[provider];
+  const letters = ['A', 'B', 'C'];
+  console.log('');
+  console.log(chalk.bold('📋 Next Steps:'));
+  console.log('');
+
+  console.log(chalk.cyan(`🚀 Option ${letters.shift()}: Install the Webhook from the CLI (Recommended)`));
+  if (adapter) {
+    console.log(`   ${chalk.cyan('mantle-forge webhook install')} - Uses a ${adapter.name} token from ${adapter.tokenEnv[0]}, or asks for one`);
+  } else {
+    console.log(`   ${chalk.cyan(`mantle-forge webhook install --provider <${Object.keys(webhooks.PROVIDERS).join('|')}>`)} - ${repo ? repo.host : 'This host'} was not recognized, so name its API`);
+  }
+  console.log(`   Then check it with ${chalk.cyan('mantle-forge webhook verify')}`);
+  console.log('');
+
+  if (provider === 'github') {
+    console.log(chalk.cyan(`🔑 Option ${letters.shift()}: Automatic Webhook Configuration`));
+    console.log(`   Visit: ${chalk.underline(`${apiBaseUrl}/auth/github?repo_url=${encodeURIComponent(repoUrl)}`)}`);
+    console.log(`   Authorize GitHub to automatically set up deployment webhooks`);
+    console.log('');
+  }
+
+  console.log(chalk.yellow(`⚙️  Option ${letters.shift()}: Manual Webhook Configuration`));
+  if (adapter && repo) {
+    console.log(`   Navigate to: ${chalk.underline(adapter.settingsUrl(repo))}`);
+  } else {
+    console.log(`   Navigate to: your git host → ${repo ? repo.path : 'the repository'} → Settings → Webhooks`);
+  }
+  console.log(`   Webhook URL: ${chalk.cyan(`${apiBaseUrl}/webhook/${provider || '<github|gitlab|gitea>'}/push`)}`);
+  console.log(`   Content type: ${chalk.cyan('application/json')}`);
+  console.log(`   Events: ${chalk.cyan('Just the push event')}`);
+  console.log('');
+
+  console.log(chalk.bold('🔐 Configure Agent Secrets:'));
+  console.log(`   ${chalk.cyan('mantle-forge secrets set GROQ_API_KEY')}`);
+  console.log(`   ${chalk.cyan('mantle-forge wallet new')} - Generate the agent's AGENT_PRIVATE_KEY without ever seeing it`);
+  console.log(`   These secrets are encrypted and securely stored for each branch`);
+  console.log('');
+
+  console.log(chalk.bold('🚀 Deploy to Mantle Sepolia:'));
+  console.log(`   ${chalk.cyan('git push origin main')}`);
+  console.log(`   Each push automatically deploys a new smart contract on Mantle Sepolia testnet`);
+  console.log(`   Your agent will be live on-chain within 30 seconds!`);
+  console.log(`   Track it with: ${chalk.cyan('mantle-forge deploy wait')} (or push with ${chalk.cyan('mantle-forge push')})`);
+  console.log('');
+
+  console.log(chalk.bold('📊 Monitor Your Agents:'));
+  console.log(`   ${chalk.cyan('mantle-forge stats')} - View real-time performance metrics`);
+  console.log(`   ${chalk.cyan('mantle-forge logs')} - Stream live agent decision logs`);
+  console.log(`   Web Dashboard: ${chalk.underline(`${apiBaseUrl}/dashboard`)}`);
+}
+
+// --- Workspace ---
+
+// Reads and validates the workspace file; an empty workspace when there is none
+function readWorkspace() {
+  const doc = readJsonFile(WORKSPACE_FILE);
+  if (!doc) {
+    return { repos: [] };
+  }
+  const errors = workspace.validateWorkspace(doc);
+  if (errors.length > 0) {
+    throw new CliError('INVALID_WORKSPACE', `${WORKSPACE_FILE} is invalid: ${errors[0]}.`, {
+      exitCode: EXIT_CODES.USAGE,
+      hints: errors.slice(1),
+    });
+  }
+  return doc;
+}
+
+// Writes the workspace file at the current version
+function saveWorkspace(doc) {
+  const { version, ...rest } = doc;
+  fs.mkdirSync(USER_CONFIG_DIR, { recursive: true });
+  fs.writeFileSync(WORKSPACE_FILE, JSON.stringify({ version: workspace.WORKSPACE_VERSION, ...rest }, null, 2));
+}
+
+// Validates a repository URL argument and returns its canonical form
+function parseRepoArg(value) {
+  if (!parseRepoUrl(value)) {
+    throw new CliError('INVALID_ARGUMENT', `Invalid repository URL "${value}". Use e.g. https://github.com/org/repo.git`, { exitCode: EXIT_CODES.USAGE });
+  }
+  return normalizeRepoUrl(value);
+}
+
+// Collects the values of a repeatable option
+const collectValues = (value, previous) => [...previous, value];
+
+// Adds the options that aggregate a command over several repositories
+function addWorkspaceOptions(command) {
+  return command
+    .option('--workspace', `Aggregate over every repository in ${WORKSPACE_FILE}`)
+    .option('--repo <url>', 'Aggregate over this repository (repeatable; works outside a checkout)', collectValues, []);
+}
+
+// Repositories selected with --workspace and --repo, each with its branch
+// filters (null for every branch), or null when neither option was given
+function getWorkspaceRepos(options) {
+  if (!options.workspace && options.repo.length === 0) {
+    return null;
+  }
+  const repos = [];
+  const add = (repo_url, branches) => {
+    if (!repos.some(repo => repo.repo_url === repo_url)) {
+      repos.push({ repo_url, branches });
+    }
+  };
+  if (options.workspace) {
+    const doc = readWorkspace();
+    if (doc.repos.length === 0) {
+      throw new CliError('EMPTY_WORKSPACE', `No repositories in ${WORKSPACE_FILE}.`, {
+        exitCode: EXIT_CODES.USAGE,
+        hints: [`Add one with ${chalk.cyan('mantle-forge workspace add <repo_url>')}`],
+      });
+    }
+    doc.repos.forEach(repo => add(normalizeRepoUrl(repo.repo_url), repo.branches || null));
+  }
+  options.repo.forEach(value => add(parseRepoArg(value), null));
+  return repos;
+}
+
+// Lists each repository's agents, keeping the branches that pass its filters
+// and `patterns` (branch arguments). A repository that cannot be listed gets
+// an `error` instead; auth errors abort.
+async function listWorkspaceAgents(repos, patterns = []) {
+  const listed = await workspace.listWorkspaceAgents(getClient(), repos, patterns);
+  return listed.map(repo => (repo.error ? { ...repo, error: toCliError(repo.error, 'Error listing agents') } : repo));
+}
+
+// Exit code for partial failures: NOT_FOUND when every failure is a missing
+// agent, otherwise the first failure's
+function failureExitCode(errors) {
+  return errors.every(error => error.code === 'AGENT_NOT_FOUND') ? EXIT_CODES.NOT_FOUND : errors[0].exitCode;
+}
+
+// --- CLI Commands ---
+
+/**
+ * 1. INIT
+ * Initializes the project by creating .mantlepush.json
+ */
+program
+  .command('init')
+  .description('Initialize MantleForge deployment pipeline for this repository')
+  .option('--repo-url <url>', 'Repository URL (default: the origin remote)')
+  .option('-y, --yes', 'Do not prompt; use --repo-url or the origin remote')
+  .option('--force', `Reinitialize an existing ${CONFIG_FILE} (other settings are kept)`)
+  .addOption(new Option('--provider <provider>', 'Git host, for self-hosted servers not recognized by name (stored as webhook.provider)').choices(Object.keys(webhooks.PROVIDERS)))
+  .addHelpText('after', `\nThe global --profile option is stored in ${CONFIG_FILE} as the repository's backend profile.`)
+  .action(async (options) => {
+    const existing = readProjectConfig();
+    if (existing && existing.file === CONFIG_FILE && !options.force) {
+      printResult({ config_file: CONFIG_FILE, repo_url: existing.config?.repo_url || null, already_initialized: true }, () => {
+        console.log(chalk.yellow(`This project is already initialized.`));
+        console.log(chalk.cyan(`Current repository: ${existing.config?.repo_url}`));
+        console.log(chalk.yellow(`\nTo reinitialize, run ${chalk.cyan('mantle-forge init --force')}; to change one setting, ${chalk.cyan('mantle-forge config set <key> <value>')}.`));
+      });
+      return;
+    }
+
+    // Settings of an existing or pre-rename config are kept
+    const previous = existing && existing.config && typeof existing.config === 'object' ? existing.config : {};
+    const defaultUrl = normalizeRepoUrl(previous.repo_url || getOriginUrl());
+    let repoUrl = options.repoUrl;
+    if (!repoUrl && options.yes) {
+      repoUrl = defaultUrl;
+    } else if (!repoUrl) {
+      if (!process.stdin.isTTY) {
+        throw new CliError('INVALID_ARGUMENT', 'No terminal to prompt for the repository URL.', {
+          exitCode: EXIT_CODES.USAGE,
+          hints: [`Pass ${chalk.cyan('--repo-url <url>')}, or ${chalk.cyan('--yes')} to use the origin remote`],
+        });
+      }
+      if (existing) {
+        note(chalk.yellow(`Found ${existing.file}.`));
+        note(chalk.cyan(`Current repository: ${previous.repo_url}`));
+      }
+      ({ repo_url: repoUrl } = await prompt([
+        {
+          type: 'input',
+          name: 'repo_url',
+          message: 'What is your repository URL (e.g., https://github.com/user/repo.git)?',
+          default: defaultUrl || undefined,
+        }
+      ]));
+    }
+    if (!repoUrl) {
+      throw new CliError('INVALID_ARGUMENT', 'Repository URL is required.', {
+        exitCode: EXIT_CODES.USAGE,
+        hints: [`Pass ${chalk.cyan('--repo-url <url>')}, or add an origin remote`],
+      });
+    }
+
+    let config = configSchema.migrateConfig(previous).config;
+    config = { ...config, repo_url: normalizeRepoUrl(repoUrl) };
+    if (program.getOptionValueSource('profile') === 'cli') {
+      const profileName = program.opts().profile;
+      if (!getProfiles()[profileName]) {
+        throw new CliError('UNKNOWN_PROFILE', `Unknown backend profile "${profileName}".`, {
+          exitCode: EXIT_CODES.USAGE,
+          hints: [`Available profiles: ${Object.keys(getProfiles()).join(', ')}`],
+        });
+      }
+      config.profile = profileName;
+    }
+    if (options.provider) {
+      config.webhook = { ...(config.webhook || {}), provider: options.provider };
+    }
+    const { errors } = configSchema.validateConfig(config);
+    if (errors.length > 0) {
+      throw new CliError('INVALID_ARGUMENT', `Not initialized: ${errors[0].path} ${errors[0].message}.`, {
+        exitCode: EXIT_CODES.USAGE,
+        hints: errors.slice(1).map(error => `${error.path} ${error.message}`),
+      });
+    }
+    saveConfig(config);
+    if (existing && existing.file !== CONFIG_FILE) {
+      fs.unlinkSync(existing.file);
+    }
+
+    const apiBaseUrl = getApiBaseUrl();
+    const { provider } = webhooks.detectProvider(config.repo_url, config.webhook?.provider);
+    const result = {
+      config_file: CONFIG_FILE,
+      repo_url: config.repo_url,
+      profile: config.profile || null,
+      provider,
+      version: configSchema.CONFIG_VERSION,
+      migrated_from: existing && existing.file !== CONFIG_FILE ? existing.file : null,
+      reinitialized: Boolean(existing && existing.file === CONFIG_FILE),
+      oauth_url: provider === 'github' ? `${apiBaseUrl}/auth/github?repo_url=${encodeURIComponent(config.repo_url)}` : null,
+      webhook_url: provider ? `${apiBaseUrl}/webhook/${provider}/push` : null,
+      dashboard_url: `${apiBaseUrl}/dashboard`,
+    };
+    printResult(result, () => {
+      if (result.migrated_from) {
+        console.log(chalk.green(`✅ Migrated from ${result.migrated_from} to ${CONFIG_FILE}`));
+      } else {
+        console.log(chalk.green(`✅ ${CONFIG_FILE} ${result.reinitialized ? 'reinitialized' : 'created'}.`));
+      }
+      console.log(chalk.cyan(`   Repository: ${result.repo_url}${result.profile ? ` · profile ${result.profile}` : ''}`));
+      printInitNextSteps(result.repo_url, apiBaseUrl, provider);
+    });
+  });
+
+/**
+ * 2. SECRETS - Create a command group for secrets
+ */
+const secretsCommand = program
+  .command('secrets')
+  .description('Manage secrets for the current branch');
+
+// SECRETS SET - Set a secret
+secretsCommand
+  .command('set <KEY>')
+  .description('Set a secret for the current branch (prompts for the value, or KEY=VALUE)')
+  .option('--stdin', 'Read the value from stdin so it never appears in argv or shell history')
+  .action(async (keyArg, options) => {
+    let [key, ...valueParts] = keyArg.split('=');
+    let value = keyArg.includes('=') ? valueParts.join('=') : null;
+
+    if (value !== null && options.stdin) {
+      throw new CliError('INVALID_ARGUMENT', 'Use either KEY=VALUE or KEY --stdin, not both.', { exitCode: EXIT_CODES.USAGE });
+    }
+    assertSecretKey(key);
+
+    if (options.stdin) {
+      value = (await readStdin()).replace(/\r?\n$/, '');
+    } else if (value === null) {
+      if (!process.stdin.isTTY) {
+        throw new CliError('INVALID_ARGUMENT', `No value given for ${key}. Pipe it in with --stdin.`, { exitCode: EXIT_CODES.USAGE });
+      }
+      ({ value } = await prompt([{ type: 'password', name: 'value', mask: '*', message: `Value for ${key}:` }]));
+    } else {
+      note(chalk.gray(`   Tip: KEY=VALUE leaves the value in your shell history. Use ${chalk.cyan(`mantle-forge secrets set ${key}`)} to be prompted instead.`));
+    }
+
+    if (!value) {
+      throw new CliError('INVALID_ARGUMENT', `Secret ${key} cannot be empty.`, { exitCode: EXIT_CODES.USAGE });
+    }
+
+    const config = getConfig();
+    const branch_name = getCurrentBranch();
+
+    note(chalk.cyan(`Setting secret ${key} for branch ${branch_name}...`));
+    await setSecret(config, branch_name, key, value);
+
+    printResult({ branch: branch_name, key, set: true }, () => {
+      console.log(chalk.green(`✅ Secret ${key} set.`));
+    });
+  });
+
+// SECRETS LIST - Show secret names (never values)
+secretsCommand
+  .command('list')
+  .description('List secret names and when they were last updated for the current branch')
+  .action(async () => {
+    const config = getConfig();
+    const branch_name = getCurrentBranch();
+
+    note(chalk.cyan(`🔍 Listing secrets for branch: ${chalk.bold(branch_name)}...`));
+    const secrets = await getClient().listSecrets(config.repo_url, branch_name);
+
+    printResult({ branch: branch_name, secrets }, () => {
+      console.log(chalk.bold(`\n--- Secrets for ${branch_name} ---`));
+      if (secrets.length === 0) {
+        console.log(chalk.yellow('  No secrets set.'));
+        return;
+      }
+      const width = Math.max(...secrets.map(secret => secret.key.length));
+      secrets.forEach((secret) => {
+        console.log(`  ${chalk.bold(secret.key.padEnd(width))}  ${chalk.gray(secret.updated_at ? `updated ${secret.updated_at}` : '')}`);
+      });
+    }, () => secrets.forEach(secret => console.log(`${secret.key}\t${secret.updated_at || ''}`)));
+  });
+
+// SECRETS UNSET - Remove a secret
+secretsCommand
+  .command('unset <KEY>')
+  .description('Remove a secret from the current branch')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action(async (key, options) => {
+    assertSecretKey(key);
+    const config = getConfig();
+    const branch_name = getCurrentBranch();
+
+    if (!await confirmAction(`Remove secret ${key} from branch ${branch_name}?`, options)) {
+      note(chalk.yellow('Cancelled.'));
+      return;
+    }
+
+    await getClient().deleteSecret(config.repo_url, branch_name, key);
+
+    printResult({ branch: branch_name, key, set: false }, () => {
+      console.log(chalk.green(`✅ Secret ${key} removed.`));
+    });
+  });
+
+// SECRETS IMPORT - Bulk upload from a .env file
+secretsCommand
+  .command('import <file>')
+  .description('Upload every KEY=VALUE in a .env file to the current branch')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .option('--dry-run', 'Show what would change without uploading anything')
+  .action(async (file, options) => {
+    if (!fs.existsSync(file)) {
+      throw new CliError('FILE_NOT_FOUND', `File not found: ${file}`, { exitCode: EXIT_CODES.USAGE });
+    }
+    const entries = parseEnvFile(fs.readFileSync(file, 'utf8'));
+    entries.forEach(entry => assertSecretKey(entry.key));
+    if (entries.length === 0) {
+      throw new CliError('INVALID_ENV_FILE', `No KEY=VALUE entries found in ${file}.`, { exitCode: EXIT_CODES.USAGE });
+    }
+
+    const config = getConfig();
+    const branch_name = getCurrentBranch();
+    const existing = new Map((await getClient().listSecrets(config.repo_url, branch_name)).map(secret => [secret.key, secret]));
+    const changes = entries.map(entry => ({ key: entry.key, action: existing.has(entry.key) ? 'update' : 'create' }));
+
+    // Values are never shown, only which names will be created or overwritten
+    note(chalk.bold(`\n--- Importing ${file} into ${branch_name} ---`));
+    changes.forEach((change) => {
+      if (change.action === 'create') {
+        note(chalk.green(`  + ${change.key}`));
+      } else {
+        const updatedAt = existing.get(change.key).updated_at;
+        note(chalk.yellow(`  ~ ${change.key}`) + chalk.gray(` (overwrites value${updatedAt ? ` from ${updatedAt}` : ''})`));
+      }
+    });
+    note('');
+
+    const result = { branch: branch_name, file, changes, applied: false };
+    if (options.dryRun) {
+      printResult(result, () => console.log(chalk.gray('Dry run: no secrets were uploaded.')));
+      return;
+    }
+
+    if (!await confirmAction(`Upload ${entries.length} secret(s) to branch ${branch_name}?`, options)) {
+      note(chalk.yellow('Cancelled.'));
+      return;
+    }
+
+    for (const entry of entries) {
+      await setSecret(config, branch_name, entry.key, entry.value);
+      note(chalk.green(`  ✅ ${entry.key}`));
+    }
+
+    result.applied = true;
+    printResult(result, () => {
+      console.log(chalk.green(`\n✅ Imported ${entries.length} secret(s) into ${branch_name}.`));
+    });
+  });
+
+// SECRETS COPY - Inherit secrets from another branch
+secretsCommand
+  .command('copy')
+  .description('Copy secrets from another branch to the current branch (values stay on the backend)')
+  .requiredOption('--from <branch>', 'Branch to copy secrets from')
+  .option('--to <branch>', 'Branch to copy secrets to (defaults to the current branch)')
+  .option('--keys <keys>', 'Only copy these secrets (comma-separated)')
+  .option('--overwrite', 'Replace secrets that are already set on the target branch')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action(async (options) => {
+    const config = getConfig();
+    const from_branch = options.from;
+    const to_branch = options.to || getCurrentBranch();
+    if (from_branch === to_branch) {
+      throw new CliError('INVALID_ARGUMENT', 'Source and target branch are the same.', { exitCode: EXIT_CODES.USAGE });
+    }
+
+    const wanted = options.keys ? options.keys.split(',').map(key => key.trim()).filter(Boolean) : null;
+    const changes = await planSecretsCopy(getClient(), config.repo_url, from_branch, to_branch, { keys: wanted, overwrite: options.overwrite });
+    const keys = changes.filter(change => change.action !== 'skip').map(change => change.key);
+
+    note(chalk.bold(`\n--- Copying secrets: ${from_branch} → ${to_branch} ---`));
+    noteSecretsPlan(changes);
+    note('');
+
+    const result = { from_branch, to_branch, changes, copied: [] };
+    if (keys.length === 0) {
+      printResult(result, () => console.log(chalk.yellow('Nothing to copy.')));
+      return;
+    }
+
+    if (!await confirmAction(`Copy ${keys.length} secret(s) from ${from_branch} to ${to_branch}?`, options)) {
+      note(chalk.yellow('Cancelled.'));
+      return;
+    }
+
+    result.copied = await getClient().copySecrets(config.repo_url, from_branch, to_branch, keys, { overwrite: options.overwrite });
+
+    printResult(result, () => {
+      console.log(chalk.green(`✅ Copied ${result.copied.length} secret(s) from ${from_branch} to ${to_branch}.`));
+    });
+  });
+
+// SECRETS KEY - Inspect, pin or trust the backend encryption key
+secretsCommand
+  .command('key')
+  .description('Show the backend key secrets are encrypted to, and pin or trust it')
+  .option('--pin', `Pin the current key in ${CONFIG_FILE} so the whole team verifies it`)
+  .option('--trust', 'Accept the current key after it changed (user-level)')
+  .option('-f, --force', 'Replace a pinned or trusted key that does not match without asking')
+  .addHelpText('after', '\nThe status is reported as it was before --pin or --trust changed anything.')
+  .action(async (options) => {
+    const config = options.pin ? getWritableConfig() : getConfig();
+    const publicKey = await fetchSecretsPublicKey();
+    const key = checkPublicKey(publicKey, getSecretsTrust(config));
+    const mismatch = key.status === 'changed' || key.status === 'pin-mismatch';
+    const previous = key.status === 'pin-mismatch' ? key.pinned_fingerprint : key.known_fingerprint;
+
+    // Replacing a key that does not match is what an attacker serving their
+    // own key needs, so it takes --force or a confirmation naming both keys
+    if (mismatch && (options.pin || options.trust) && !options.force) {
+      const what = key.status === 'pin-mismatch' ? `the key pinned in ${CONFIG_FILE}` : 'the trusted key';
+      const message = `Replace ${what} (${previous}) with the backend's key (${key.fingerprint})? Only do this after verifying the new fingerprint with your backend operator.`;
+      if (!process.stdin.isTTY) {
+        throw new CliError(key.status === 'pin-mismatch' ? 'ENCRYPTION_KEY_MISMATCH' : 'ENCRYPTION_KEY_CHANGED', `The backend's secrets key (${key.fingerprint}) does not match ${what} (${previous}).`, {
+          exitCode: EXIT_CODES.AUTH,
+          hints: ['Verify the new fingerprint with your backend operator, then re-run with --force to replace it'],
+        });
+      }
+      if (!await confirmAction(message)) {
+        note(chalk.yellow('Cancelled; nothing was changed.'));
+        process.exitCode = EXIT_CODES.AUTH;
+        return;
+      }
+    }
+
+    const updated = [];
+    if (options.pin) {
+      config.secrets_public_key = publicKey;
+      saveConfig(config);
+      updated.push('pinned');
+    }
+    if (options.trust || key.status === 'new') {
+      trustSecretsPublicKey(publicKey);
+      updated.push('trusted');
+    }
+
+    const statusText = {
+      new: chalk.yellow('🆕 Seen for the first time, now trusted'),
+      pinned: chalk.green(`✅ Matches the key pinned in ${CONFIG_FILE}`),
+      trusted: chalk.green('✅ Matches the trusted key'),
+      changed: chalk.red(`❌ Changed since it was trusted (was ${key.known_fingerprint})`),
+      'pin-mismatch': chalk.red(`❌ Does not match the key pinned in ${CONFIG_FILE} (${key.pinned_fingerprint})`),
+    };
+
+    printResult({ backend: getApiBaseUrl(), algorithm: SECRET_ENVELOPE_ALGORITHM, ...key, updated }, () => {
+      console.log(chalk.bold('--- Secrets Encryption Key ---'));
+      console.log(`  Backend:     ${getApiBaseUrl()}`);
+      console.log(`  Public key:  ${key.public_key}`);
+      console.log(`  Fingerprint: ${chalk.bold(key.fingerprint)}`);
+      console.log(`  Status:      ${statusText[key.status]}`);
+      if (updated.includes('pinned')) {
+        console.log(chalk.green(`\n✅ Pinned ${key.fingerprint} in ${CONFIG_FILE}${key.pinned_fingerprint && key.pinned_fingerprint !== key.fingerprint ? ` (replacing ${key.pinned_fingerprint})` : ''}.`));
+        console.log(chalk.cyan(`💡 Commit ${CONFIG_FILE} so everyone encrypts to this key.`));
+      }
+      if (updated.includes('trusted') && key.status !== 'new') {
+        console.log(chalk.green(`\n✅ Trusted ${key.fingerprint}${key.known_fingerprint && key.known_fingerprint !== key.fingerprint ? ` (replacing ${key.known_fingerprint})` : ''}.`));
+      }
+    });
+
+    // Trusting a key does not override a pin, so only --pin resolves a pin mismatch
+    const resolved = key.status === 'pin-mismatch' ? updated.includes('pinned') : updated.length > 0;
+    if (mismatch && !resolved) {
+      process.exitCode = EXIT_CODES.AUTH;
+    }
+  });
+
+// SECRETS CHECK - Check which secrets are set
+secretsCommand
+  .command('check')
+  .description('Check which required secrets are set for the current branch')
+  .action(async () => {
+    const config = getConfig();
+    const branch_name = getCurrentBranch();
+
+    note(chalk.cyan(`🔍 Checking secrets for branch: ${chalk.bold(branch_name)}...`));
+    const result = await getClient().checkSecrets(config.repo_url, branch_name);
+
+    printResult(result, () => {
+      console.log(chalk.bold(`\n--- Secrets Status for ${branch_name} ---`));
+      
+      // Required secrets
+      console.log(chalk.bold('\n📋 Required Secrets:'));
+      result.required.forEach(secret => {
+        const status = secret.set ? chalk.green('✅ Set') : chalk.red('❌ Missing');
+        console.log(`  ${status} ${chalk.bold(secret.key)}`);
+      });
+      
+      // Optional secrets
+      if (result.optional.length > 0) {
+        console.log(chalk.bold('\n⚙️  Optional Secrets:'));
+        result.optional.forEach(secret => {
+          const status = secret.set ? chalk.cyan('✓ Set') : chalk.gray('○ Not set');
+          console.log(`  ${status} ${secret.key}`);
+        });
+      }
+      
+      // Overall status
+      console.log(chalk.bold('\n📊 Status:'));
+      if (result.all_required_set) {
+        console.log(chalk.green(`  ✅ All required secrets are set! Agent is ready to run.`));
+      } else {
+        console.log(chalk.red(`  ❌ Missing required secrets: ${chalk.bold(result.missing.join(', '))}`));
+        console.log(chalk.yellow(`\n💡 Set missing secrets with:`));
+        result.missing.forEach(key => {
+          console.log(chalk.cyan(`     mantle-forge secrets set ${key}`));
+        });
+      }
+    });
+
+    if (!result.all_required_set) {
+      process.exitCode = EXIT_CODES.MISSING_SECRETS;
+    }
+  });
+
+/**
+ * 4. STATS
+ * Gets stats for the current branch, or every branch of the selected repositories
+ */
+// Stats of every deployed branch of each repository, for `stats --workspace`.
+// Branches that fail are listed under `missing`; auth errors abort.
+async function getWorkspaceStats(repos, window) {
+  return Promise.all((await listWorkspaceAgents(repos)).map(async (repo) => {
+    const branches = repo.agents.map(agent => agent.branch_name).sort();
+    const settled = await Promise.allSettled(branches.map(branch => stats.getPerformance(getClient(), repo.repo_url, branch, window)));
+    const failures = settled
+      .map((r, i) => (r.status === 'rejected' ? { branch: branches[i], error: toCliError(r.reason, `Error fetching stats for ${branches[i]}`) } : null))
+      .filter(Boolean);
+    const authFailure = failures.find(f => f.error.exitCode === EXIT_CODES.AUTH);
+    if (authFailure) {
+      throw authFailure.error;
+    }
+    return {
+      repo_url: repo.repo_url,
+      branches: settled
+        .map((r, i) => (r.status === 'fulfilled' ? stats.performanceEntry(branches[i], r.value) : null))
+        .filter(Boolean),
+      missing: failures.map(f => ({ branch: f.branch, code: f.error.code, message: f.error.message })),
+      error: repo.error ? { code: repo.error.code, message: repo.error.message } : null,
+      errors: [...(repo.error ? [repo.error] : []), ...failures.map(f => f.error)],
+    };
+  }));
+}
+
+// One table per repository for `stats --workspace`
+function printWorkspaceStats(report, windowLabel) {
+  const columns = [
+    { key: 'branch', label: 'Branch', truncate: true, minWidth: 10 },
+    { key: 'decisions', label: 'Decisions', align: 'right' },
+    { key: 'trades', label: 'Trades', align: 'right' },
+    { key: 'rate', label: 'Trade Rate', align: 'right' },
+    { key: 'roi', label: 'ROI', align: 'right' },
+    { key: 'pnl', label: 'PnL', align: 'right' },
+    { key: 'drawdown', label: 'Max DD', align: 'right', optional: true },
+    { key: 'last', label: 'Last Decision', optional: true },
+  ];
+  report.repos.forEach((repo) => {
+    console.log('');
+    const title = `${repoLabel(repo.repo_url)} (${windowLabel})`;
+    if (repo.error || repo.branches.length === 0) {
+      console.log(chalk.bold(title));
+      console.log(repo.error ? chalk.yellow(`  ${repo.error.message}`) : chalk.gray('  No agents deployed (or none match the workspace filters).'));
+    } else {
+      const rows = repo.branches.map(({ branch, stats: st, metrics: m }) => ({
+        branch: chalk.bold(branch),
+        decisions: st ? String(st.total_decisions) : chalk.gray('—'),
+        trades: st ? chalk.magenta(String(st.trades_executed)) : chalk.gray('—'),
+        rate: st?.success_rate !== null && st?.success_rate !== undefined ? `${st.success_rate.toFixed(1)}%` : chalk.gray('—'),
+        roi: m ? colorBySign(m.roi_pct, formatPercent(m.roi_pct)) : chalk.gray('—'),
+        pnl: m ? colorBySign(m.total_pnl, formatMoney(m.total_pnl)) : chalk.gray('—'),
+        drawdown: m ? (m.max_drawdown_pct > 0 ? chalk.red(`-${m.max_drawdown_pct.toFixed(2)}%`) : '0.00%') : chalk.gray('—'),
+        last: st?.last_decision || chalk.gray('—'),
+      }));
+      console.log(renderTable(columns, rows, { title }));
+    }
+    repo.missing.forEach(m => console.log(chalk.yellow(`  ${m.branch}: ${m.message}`)));
+  });
+}
+
+addWorkspaceOptions(program
+  .command('stats')
+  .description('View real-time performance metrics for your Mantle agent')
+  .option('-w, --window <window>', 'Time window for decision stats and PnL/risk metrics: 24h, 7d, 30d, ... or all', 'all')
+  .option('--chart', 'Chart price, decisions per hour and cumulative trades over the window'))
+  .action(async (options) => {
+    const repos = getWorkspaceRepos(options);
+    if (repos) {
+      if (options.chart) {
+        throw new CliError('INVALID_ARGUMENT', '--chart charts a single branch; it cannot be combined with --workspace or --repo.', { exitCode: EXIT_CODES.USAGE });
+      }
+      const window = parseWindowArg(options.window);
+      note(chalk.cyan(`📊 Fetching stats for ${repos.length} repositor${repos.length === 1 ? 'y' : 'ies'}...`));
+      const results = await getWorkspaceStats(repos, window);
+      const report = {
+        window: windowSummary(window),
+        repos: results.map(({ errors, ...repo }) => repo),
+      };
+      printResult(report, () => printWorkspaceStats(report, window.label === 'all' ? 'all time' : `last ${window.label}`));
+      const errors = results.flatMap(repo => repo.errors);
+      if (errors.length > 0) {
+        process.exitCode = failureExitCode(errors);
+      }
+      return;
+    }
+
+    const config = getConfig();
+    const branch_name = getCurrentBranch();
+    const window = parseWindowArg(options.window);
+
+    note(chalk.cyan(`📊 Fetching stats for ${branch_name}...`));
+    const result = await stats.getPerformance(getClient(), config.repo_url, branch_name, window);
+    const summary = {
+      branch: branch_name,
+      repo_url: config.repo_url,
+      branch_hash: result.branch_hash,
+      stats: result.stats ? stats.summarizeStats(result.stats) : null,
+      window: { label: window.label, start: window.start?.toISOString() || null, end: window.end.toISOString() },
+      metrics: result.metrics,
+    };
+    if (options.chart && summary.stats) {
+      summary.chart = await getChartSeries(config.repo_url, branch_name, window, summary.stats);
+    }
+
+    printResult(summary, () => printStatsReport(summary));
+  });
+
+/**
+ * 5. LOGS
+ * Gets logs for the current branch, optionally following new entries
+ */
+program
+  .command('logs')
+  .description('Stream real-time logs from your Mantle agent process')
+  .option('-f, --follow', 'Keep streaming new log entries until interrupted')
+  .option('-n, --tail <n>', 'Number of recent entries to show', (v) => parseInt(v, 10), 50)
+  .option('--since <time>', 'Only show entries after a time or duration ago (e.g. 10m, 2h, 2025-01-31)')
+  .option('--until <time>', 'Only show entries before a time or duration ago')
+  .option('--before <cursor>', 'Page back through older history using a cursor from a previous page')
+  .option('--grep <pattern>', 'Only show entries matching a regular expression (case-insensitive)')
+  .option('--level <levels>', `Only show these levels, comma-separated (${logs.LOG_LEVELS.join(', ')})`)
+  .option('--interval <seconds>', 'Polling interval when live streaming is unavailable', (v) => parseInt(v, 10), 5)
+  .option('-o, --output <file>', 'Also write raw log lines (no colors) to a file')
+  .action(async (options) => {
+    const config = getConfig();
+    const branch_name = getCurrentBranch();
+
+    if (!Number.isInteger(options.tail) || options.tail <= 0) {
+      throw new CliError('INVALID_ARGUMENT', '--tail must be a positive number.', { exitCode: EXIT_CODES.USAGE });
+    }
+    assertPositiveInt(options.interval, '--interval');
+    if (options.follow && (options.until || options.before)) {
+      throw new CliError('INVALID_ARGUMENT', '--follow cannot be combined with --until or --before.', { exitCode: EXIT_CODES.USAGE });
+    }
+
+    let grep = null;
+    if (options.grep) {
+      try {
+        grep = new RegExp(options.grep, 'i');
+      } catch (err) {
+        throw new CliError('INVALID_ARGUMENT', `Invalid --grep pattern: ${err.message}`, { exitCode: EXIT_CODES.USAGE });
+      }
+    }
+
+    let levels = null;
+    if (options.level) {
+      levels = options.level.split(',').map(level => level.trim().toLowerCase()).filter(Boolean);
+      const unknown = levels.filter(level => !logs.LOG_LEVELS.includes(level));
+      if (unknown.length > 0) {
+        throw new CliError('INVALID_ARGUMENT', `Unknown log level(s): ${unknown.join(', ')}. Use ${logs.LOG_LEVELS.join(', ')}.`, {
+          exitCode: EXIT_CODES.USAGE,
+        });
+      }
+    }
+
+    const filters = {
+      since: options.since ? parseTimeArg(options.since, '--since') : null,
+      until: options.until ? parseTimeArg(options.until, '--until') : null,
+      grep,
+      levels,
+    };
+    const params = {
+      limit: options.tail,
+      since: filters.since?.toISOString(),
+      until: filters.until?.toISOString(),
+      before: options.before,
+      level: levels?.join(','),
+    };
+
+    let output = options.output ? fs.createWriteStream(options.output, { flags: 'w' }) : null;
+    const toResult = entry => ({ id: entry.id, timestamp: entry.timestamp, level: entry.level, message: entry.raw });
+
+    // Prints one entry as it arrives: colored for table, raw for plain,
+    // one JSON object per line for json and one document per entry for yaml
+    const printEntry = (entry) => {
+      const format = getOutputFormat();
+      if (format === 'json') {
+        console.log(JSON.stringify(toResult(entry)));
+      } else if (format === 'yaml') {
+        console.log(`---\n${toYaml(toResult(entry))}`);
+      } else {
+        console.log(format === 'plain' ? entry.raw : colorizeLogLine(entry));
+      }
+    };
+
+    // De-duplicates entries seen via history, stream and polling
+    const tracker = logs.logTracker(filters);
+    const accept = (entry) => {
+      if (!tracker.accept(entry)) return false;
+      if (output) output.write(`${entry.raw}\n`);
+      return true;
+    };
+    const emit = (entry) => {
+      if (accept(entry)) printEntry(entry);
+    };
+
+    note(chalk.cyan(`Fetching logs for ${branch_name}...`));
+    const page = await logs.fetchLogs(getClient(), config.repo_url, branch_name, params);
+
+    if (!options.follow) {
+      const entries = page.entries.filter(accept);
+      if (output) {
+        output.end();
+      }
+
+      printResult({ branch: branch_name, entries: entries.map(toResult), next_cursor: page.next_cursor }, () => {
+        console.log(chalk.bold(`--- Recent Agent Logs: ${branch_name} (Last ${options.tail} entries) ---`));
+        if (entries.length > 0) {
+          entries.forEach(entry => console.log(colorizeLogLine(entry)));
+        } else {
+          console.log(chalk.yellow('No logs found.'));
+        }
+        if (page.next_cursor) {
+          console.log(chalk.gray(`\n  Older entries: mantle-forge logs --tail ${options.tail} --before ${page.next_cursor}`));
+        }
+        if (output) {
+          console.log(chalk.gray(`  Raw log lines written to ${options.output}`));
+        }
+      }, () => entries.forEach(entry => console.log(entry.raw)));
+      return;
+    }
+
+    note(chalk.bold(`--- Recent Agent Logs: ${branch_name} (Last ${options.tail} entries) ---`));
+    if (page.entries.length > 0) {
+      page.entries.forEach(emit);
+    } else {
+      note(chalk.yellow('No logs found.'));
+    }
+
+    // The stream and polling keep the process alive, so exit explicitly, but
+    // only once the output file has been flushed; entries arriving meanwhile
+    // are still printed but no longer written to it
+    process.on('SIGINT', () => {
+      note(chalk.gray('\nStopped following logs.'));
+      if (!output) process.exit(0);
+      const file = output;
+      output = null;
+      file.end(() => process.exit(0));
+    });
+
+    // Only show entries newer than the history already printed
+    if (tracker.lastTimestamp()) {
+      filters.since = new Date(tracker.lastTimestamp());
+    }
+
+    note(chalk.gray(`--- Following new entries (Ctrl+C to stop) ---`));
+    try {
+      await logs.streamLogs(getClient(), config.repo_url, branch_name, { since: tracker.lastTimestamp() || params.since }, emit);
+      note(chalk.gray(`Live stream closed, falling back to polling every ${options.interval}s...`));
+    } catch (err) {
+      if (toCliError(err).exitCode === EXIT_CODES.AUTH) {
+        throw toCliError(err);
+      }
+      note(chalk.gray(`Live stream unavailable (${err.status ? `HTTP ${err.status}` : err.message}), polling every ${options.interval}s...`));
+    }
+
+    // Poll for new entries; overlaps with already-printed entries are de-duplicated
+    for (;;) {
+      await new Promise(resolve => setTimeout(resolve, options.interval * 1000));
+      try {
+        const { entries } = await logs.fetchLogs(getClient(), config.repo_url, branch_name, {
+          limit: LOG_POLL_LIMIT,
+          since: tracker.lastTimestamp() || params.since,
+          level: params.level,
+        });
+        entries.forEach(emit);
+      } catch (err) {
+        const error = toCliError(err, 'Error fetching logs');
+        if (error.exitCode === EXIT_CODES.AUTH) {
+          throw error;
+        }
+        // Transient failures are reported but do not stop following
+        console.error(chalk.red(`Error: ${error.message}`));
+      }
+    }
+  });
+
+/**
+ * 6. RESTART
+ * Restarts the agent for the current (or a given) branch
+ */
+program
+  .command('restart [branch]')
+  .description('Restart the Mantle agent for the current branch, or the given one')
+  .action(async (branchArg) => {
+    const config = getConfig();
+    const branch_name = branchArg || getCurrentBranch();
+
+    note(chalk.cyan(`🔄 Restarting agent for branch: ${chalk.bold(branch_name)}...`));
+    const data = await getClient().agentAction(config.repo_url, branch_name, 'restart');
+
+    const result = {
+      branch: data.agent?.branch_name || branch_name,
+      repo_url: data.agent?.repo_url || config.repo_url,
+      branch_hash: data.branch_hash,
+      restarted: true,
+    };
+    printResult(result, () => {
+      console.log(chalk.green(`✅ Agent restarted successfully!`));
+      console.log(chalk.gray(`   Branch: ${result.branch}`));
+      console.log(chalk.gray(`   Repository: ${result.repo_url}`));
+      console.log(chalk.cyan(`\n💡 The agent will reload with the latest code and secrets.`));
+    });
+  });
+
+/**
+ * 7. COMPARE
+ * Ranks two or more branches side-by-side
+ */
+// Leaderboard columns for the metrics of lib/compare, in display order
+const COMPARE_COLUMNS = {
+  roi_pct: { label: 'ROI', format: v => colorBySign(v, formatPercent(v)) },
+  total_pnl: { label: 'PnL', format: v => colorBySign(v, formatMoney(v)) },
+  max_drawdown_pct: { label: 'Max DD', format: v => (v > 0 ? chalk.red(`-${v.toFixed(2)}%`) : '0.00%') },
+  success_rate: { label: 'Trade Rate', format: v => `${v.toFixed(1)}%` },
+  trades_executed: { label: 'Trades', format: v => chalk.magenta(String(v)) },
+  sharpe: { label: 'Sharpe', format: v => v.toFixed(2), optional: true },
+  win_rate_pct: { label: 'Win Rate', format: v => `${v.toFixed(1)}%`, optional: true },
+  total_decisions: { label: 'Decisions', format: v => String(v), optional: true },
+  buy_count: { label: 'BUY', format: v => chalk.cyan(String(v)), optional: true },
+  hold_count: { label: 'HOLD', format: v => chalk.yellow(String(v)), optional: true },
+  avg_price: { label: 'Avg Price', format: v => `$${v.toFixed(4)}`, optional: true },
+};
+
+addWorkspaceOptions(program
+  .command('compare [branches...]')
+  .description('Rank agent strategies on Mantle by performance (two or more branches, or --all)')
+  .option('-a, --all', 'Compare every deployed branch of this repository')
+  .addOption(new Option('-s, --sort <metric>', 'Metric to rank by').choices(Object.keys(compare.COMPARE_METRICS)).default('roi_pct'))
+  .option('-w, --window <window>', 'Time window for decision stats and PnL/risk metrics: 24h, 7d, 30d, ... or all', 'all')
+  .option('--alpha <level>', 'Significance level for trade-rate differences', parseFloat, 0.05))
+  .action(async (branchArgs, options) => {
+    const repos = getWorkspaceRepos(options);
+
+    // Branches to rank, as { repo_url, branch }. Workspace mode ranks every
+    // deployed branch passing the filters; branch arguments filter further.
+    let targets;
+    let repoErrors = [];
+    if (repos) {
+      note(chalk.cyan('🔍 Looking up deployed branches...'));
+      const listed = await listWorkspaceAgents(repos, branchArgs);
+      repoErrors = listed.filter(repo => repo.error).map(repo => ({ repo_url: repo.repo_url, branch: null, error: repo.error }));
+      targets = listed.flatMap(repo => repo.agents.map(agent => ({ repo_url: repo.repo_url, branch: agent.branch_name })));
+    } else {
+      const config = getConfig();
+      let branches = branchArgs;
+      if (options.all) {
+        note(chalk.cyan('🔍 Looking up deployed branches...'));
+        branches = await deployedBranches(getClient(), config.repo_url, branchArgs);
+      }
+      targets = branches.map(branch => ({ repo_url: config.repo_url, branch }));
+    }
+    if (targets.length < 2) {
+      throw new CliError('INVALID_ARGUMENT', options.all || repos ? 'Fewer than two deployed branches to compare.' : 'Pass at least two branches, or use --all.', {
+        exitCode: EXIT_CODES.USAGE,
+        hints: repoErrors.map(f => `${f.repo_url}: ${f.error.message}`),
+      });
+    }
+    // Across repositories, branches are named org/repo:branch
+    const nameOf = target => (repos ? `${repoLabel(target.repo_url)}:${target.branch}` : target.branch);
+    if (!(options.alpha > 0 && options.alpha < 1)) {
+      throw new CliError('INVALID_ARGUMENT', '--alpha must be between 0 and 1.', { exitCode: EXIT_CODES.USAGE });
+    }
+
+    const window = parseWindowArg(options.window);
+
+    note(chalk.cyan(`📊 Comparing Mantle agent strategies: ${targets.map(target => chalk.bold(nameOf(target))).join(' vs ')}...`));
+
+    const settled = await Promise.allSettled(targets.map(target => stats.getPerformance(getClient(), target.repo_url, target.branch, window)));
+    const branchFailures = settled
+      .map((r, i) => (r.status === 'rejected' ? { ...targets[i], error: toCliError(r.reason, `Error fetching stats for ${targets[i].branch}`) } : null))
+      .filter(Boolean);
+    const failures = [...repoErrors, ...branchFailures];
+
+    const authFailure = failures.find(f => f.error.exitCode === EXIT_CODES.AUTH);
+    if (authFailure) {
+      throw authFailure.error;
+    }
+    if (branchFailures.length > targets.length - 2) {
+      const allNotFound = failures.every(f => f.error.code === 'AGENT_NOT_FOUND');
+      throw new CliError(allNotFound ? 'AGENT_NOT_FOUND' : 'COMPARE_FAILED', 'Could not fetch stats for at least two branches.', {
+        exitCode: failureExitCode(failures.map(f => f.error)),
+        hints: failures.flatMap(f => [
+          `${f.branch ? nameOf(f) : f.repo_url}: ${f.error.message}`,
+          ...(f.error.code === 'AGENT_NOT_FOUND' ? [`Make sure you've pushed: ${chalk.cyan(`git push origin ${f.branch}`)}`] : []),
+        ]),
+      });
+    }
+
+    // Rank branches by the chosen metric; branches without a value (no
+    // decisions or no trade history yet) go last
+    const metric = options.sort;
+    const entries = compare.rankBranches(settled
+      .map((r, i) => (r.status === 'fulfilled' ? { branch: targets[i].branch, repo_url: targets[i].repo_url, ...stats.performanceEntry(targets[i].branch, r.value) } : null))
+      .filter(Boolean), metric);
+
+    const comparison = {
+      sort_by: metric,
+      window: windowSummary(window),
+      branches: entries,
+      missing: failures.map(f => ({ branch: f.branch, repo_url: f.repo_url, code: f.error.code, message: f.error.message })),
+      analysis: compare.analyzeComparison(entries, { alpha: options.alpha, nameOf }),
+    };
+    const { comparisons } = comparison.analysis.significance;
+
+    printResult(comparison, () => {
+      const columns = [
+        { key: 'rank', label: '#', align: 'right' },
+        ...(repos ? [{ key: 'repo', label: 'Repo', truncate: true, minWidth: 10 }] : []),
+        { key: 'branch', label: 'Branch', truncate: true, minWidth: 10 },
+        ...Object.entries(COMPARE_COLUMNS).map(([key, m]) => ({ key, label: key === metric ? `${m.label} ▼` : m.label, align: 'right', optional: m.optional && key !== metric })),
+      ];
+      const rows = entries.map(entry => ({
+        rank: String(entry.rank),
+        repo: repoLabel(entry.repo_url),
+        branch: chalk.bold(entry.branch),
+        ...Object.fromEntries(Object.entries(COMPARE_COLUMNS).map(([key, m]) => {
+          const value = compare.compareValue(entry, key);
+          return [key, value !== null ? m.format(value) : chalk.gray('—')];
+        })),
+      }));
+      const windowLabel = window.label === 'all' ? 'all time' : `last ${window.label}`;
+      console.log('');
+      console.log(renderTable(columns, rows, { title: `Mantle Agent Strategy Comparison (${windowLabel})` }));
+
+      console.log('\n' + chalk.bold('🏆 Performance Analysis:'));
+      entries.filter(entry => !entry.stats).forEach((entry) => {
+        console.log(chalk.yellow(`  ${nameOf(entry)}: Waiting for first decision...`));
+      });
+      comparison.missing.forEach((m) => {
+        console.log(chalk.yellow(`  ${m.branch ? nameOf(m) : m.repo_url}: ${m.message}`));
+      });
+
+      if (comparison.analysis.best_roi) {
+        console.log(chalk.green(`  ${comparison.analysis.best_roi} has the best return on capital`));
+      }
+      if (comparison.analysis.lowest_drawdown) {
+        console.log(chalk.green(`  ${comparison.analysis.lowest_drawdown} has the smallest max drawdown`));
+      }
+      if (comparison.analysis.most_trades) {
+        console.log(chalk.green(`  ${comparison.analysis.most_trades} has executed the most trades`));
+      } else if (entries.filter(entry => entry.stats).length > 1) {
+        console.log(chalk.yellow(`  No single strategy leads on trade execution`));
+      }
+
+      if (comparisons.length === 0) {
+        return;
+      }
+      const named = name => entries.find(entry => nameOf(entry) === name);
+      const best = named(comparisons[0].versus);
+      console.log(chalk.bold(`\n  Trade rate vs ${nameOf(best)} (${best.stats.success_rate.toFixed(1)}%), α = ${comparison.analysis.significance.adjusted_alpha}${comparisons.length > 1 ? ' (Bonferroni)' : ''}:`));
+      comparisons.forEach((c) => {
+        const entry = named(c.branch);
+        const rates = `${entry.stats.success_rate.toFixed(1)}% (n=${entry.stats.total_decisions})`;
+        if (!c.sufficient_sample) {
+          console.log(chalk.gray(`    ${c.branch}: ${rates} — not enough decisions to tell`));
+        } else if (c.significant) {
+          console.log(chalk.green(`    ${c.branch}: ${rates} — significantly lower (p = ${c.p_value})`));
+        } else {
+          console.log(chalk.yellow(`    ${c.branch}: ${rates} — difference not significant (p = ${c.p_value})`));
+        }
+      });
+    });
+
+    if (failures.length > 0) {
+      process.exitCode = failureExitCode(failures.map(f => f.error));
+    }
+  });
+
+/**
+ * 8. PROFILE - Create a command group for backend profiles
+ */
+const profileCommand = program
+  .command('profile')
+  .description('Manage MantleForge backend profiles (prod, local, staging, ...)');
+
+// PROFILE LIST - Show all known profiles and which one is active
+profileCommand
+  .command('list')
+  .description('List available backend profiles')
+  .action(() => {
+    const active = resolveBackend();
+    const profiles = getProfiles();
+    const result = {
+      active: { profile: active.profile, api_url: active.api_url },
+      profiles: Object.entries(profiles).map(([name, profile]) => ({
+        name,
+        api_url: profile.api_url || null,
+        active: name === active.profile,
+      })),
+    };
+
+    printResult(result, () => {
+      console.log(chalk.bold('--- Backend Profiles ---'));
+      result.profiles.forEach((profile) => {
+        const marker = profile.active ? chalk.green('●') : ' ';
+        console.log(`  ${marker} ${chalk.bold(profile.name.padEnd(12))} ${profile.api_url || chalk.gray('(no api_url)')}`);
+      });
+      if (active.api_url !== (profiles[active.profile]?.api_url || '').replace(/\/+$/, '')) {
+        console.log(chalk.yellow(`\n  API URL overridden: ${active.api_url}`));
+      }
+    });
+  });
+
+// PROFILE ADD - Register a new profile
+profileCommand
+  .command('add <name> <api_url>')
+  .description('Add or update a backend profile (user-level by default)')
+  .option('--project', `Store the profile in ${CONFIG_FILE} so it is shared with the repository`)
+  .option('--rpc-url <url>', 'JSON-RPC endpoint for on-chain commands')
+  .option('--factory <address>', 'AgentFactory contract address')
+  .option('--explorer-url <url>', 'Block explorer base URL for links')
+  .action((name, apiUrl, options) => {
+    if (!configSchema.isHttpUrl(apiUrl)) {
+      throw new CliError('INVALID_ARGUMENT', 'API URL must be an http:// or https:// URL', { exitCode: EXIT_CODES.USAGE });
+    }
+    if (options.factory && !ethers.isAddress(options.factory)) {
+      throw new CliError('INVALID_ARGUMENT', `Invalid factory address "${options.factory}".`, { exitCode: EXIT_CODES.USAGE });
+    }
+    const profile = { api_url: apiUrl };
+    if (options.rpcUrl) profile.rpc_url = options.rpcUrl;
+    if (options.factory) profile.factory_address = options.factory;
+    if (options.explorerUrl) profile.explorer_url = options.explorerUrl;
+
+    let file;
+    if (options.project) {
+      const config = getWritableConfig();
+      config.profiles = { ...(config.profiles || {}), [name]: profile };
+      saveConfig(config);
+      file = CONFIG_FILE;
+    } else {
+      const userConfig = getUserConfig();
+      userConfig.profiles = { ...(userConfig.profiles || {}), [name]: profile };
+      saveUserConfig(userConfig);
+      file = USER_CONFIG_FILE;
+    }
+
+    printResult({ name, ...profile, file }, () => {
+      console.log(chalk.green(`✅ Profile "${name}" saved to ${file}.`));
+      console.log(chalk.cyan(`   Use it with: mantle-forge --profile ${name} stats`));
+    });
+  });
+
+// PROFILE USE - Set the default profile
+profileCommand
+  .command('use <name>')
+  .description('Set the default backend profile (user-level by default)')
+  .option('--project', `Store the default in ${CONFIG_FILE} instead of the user config`)
+  .action((name, options) => {
+    const profiles = getProfiles();
+    if (!profiles[name]) {
+      throw new CliError('UNKNOWN_PROFILE', `Unknown backend profile "${name}".`, {
+        exitCode: EXIT_CODES.USAGE,
+        hints: [`Available profiles: ${Object.keys(profiles).join(', ')}`],
+      });
+    }
+
+    if (options.project) {
+      const config = getWritableConfig();
+      config.profile = name;
+      saveConfig(config);
+    } else {
+      const userConfig = getUserConfig();
+      userConfig.profile = name;
+      saveUserConfig(userConfig);
+    }
+    printResult({ profile: name, api_url: profiles[name].api_url, file: options.project ? CONFIG_FILE : USER_CONFIG_FILE }, () => {
+      console.log(chalk.green(`✅ Default profile set to "${name}" (${profiles[name].api_url}).`));
+    });
+  });
+
+/**
+ * 9. LOGIN
+ * Authenticates the CLI against the selected backend and stores an API token
+ */
+program
+  .command('login')
+  .description('Log in to the MantleForge backend with your GitHub account')
+  .option('--with-token', 'Read an API token from stdin instead of using the browser flow')
+  .option('--no-browser', 'Print the login URL instead of opening a browser')
+  .action(async (options) => {
+    const apiBaseUrl = getApiBaseUrl();
+    let token;
+
+    if (options.withToken) {
+      token = (await readStdin()).trim();
+      if (!token) {
+        throw new CliError('INVALID_ARGUMENT', 'No token received on stdin.', { exitCode: EXIT_CODES.USAGE });
+      }
+    } else {
+      const state = crypto.randomBytes(16).toString('hex');
+      const { port, token: callbackToken } = await startLoginCallbackServer(state);
+      const callbackUrl = `http://127.0.0.1:${port}/callback`;
+      const loginUrl = `${apiBaseUrl}/auth/github?cli_callback=${encodeURIComponent(callbackUrl)}&state=${state}`;
+
+      // The URL must reach the user even with --format json, so it goes to stderr
+      console.error(chalk.cyan(`🔐 Logging in to ${chalk.bold(apiBaseUrl)}...`));
+      console.error(`   Open this URL to authorize the CLI with GitHub:`);
+      console.error(`   ${chalk.underline(loginUrl)}`);
+      if (options.browser) {
+        openBrowser(loginUrl);
+      }
+      console.error(chalk.gray('\n   Waiting for authorization...'));
+
+      try {
+        token = await callbackToken;
+      } catch (err) {
+        throw new CliError('LOGIN_FAILED', `Login failed: ${err.message}`, { exitCode: EXIT_CODES.AUTH });
+      }
+    }
+
+    // Verify the token before storing it
+    let user;
+    try {
+      user = await createClient(apiBaseUrl, token).whoami();
+    } catch (err) {
+      if (err.code === 'UNAUTHENTICATED' || err.code === 'FORBIDDEN') {
+        throw new CliError('INVALID_TOKEN', 'The backend rejected this token.', { exitCode: EXIT_CODES.AUTH, status: err.status, requestId: err.requestId });
+      }
+      throw toCliError(err, 'Error verifying token');
+    }
+
+    const credentials = getCredentials();
+    credentials[apiBaseUrl] = {
+      token,
+      login: user.login,
+      created_at: new Date().toISOString(),
+    };
+    saveCredentials(credentials);
+
+    printResult({ login: user.login || null, backend: apiBaseUrl, credentials_file: CREDENTIALS_FILE }, () => {
+      console.log(chalk.green(`✅ Logged in as ${chalk.bold(user.login || 'unknown user')}.`));
+      console.log(chalk.gray(`   Token stored in ${CREDENTIALS_FILE}`));
+    });
+  });
+
+/**
+ * 10. LOGOUT
+ * Removes the stored API token for the selected backend
+ */
+program
+  .command('logout')
+  .description('Log out and remove the stored API token')
+  .option('--all', 'Remove stored tokens for every backend')
+  .action(async (options) => {
+    const apiBaseUrl = getApiBaseUrl();
+    const credentials = getCredentials();
+    const backends = options.all ? Object.keys(credentials) : [apiBaseUrl].filter(url => credentials[url]);
+
+    if (backends.length === 0) {
+      printResult({ logged_out: [] }, () => {
+        console.log(chalk.yellow(`Not logged in to ${apiBaseUrl}.`));
+      });
+      return;
+    }
+
+    for (const url of backends) {
+      // Revoke the token server-side; the local copy is removed regardless
+      try {
+        await createClient(url, credentials[url].token).logout();
+      } catch (err) {
+        note(chalk.gray(`   Could not revoke token on ${url}: ${err.message}`));
+      }
+      delete credentials[url];
+    }
+    saveCredentials(credentials);
+
+    printResult({ logged_out: backends }, () => {
+      backends.forEach(url => console.log(chalk.green(`✅ Logged out of ${url}.`)));
+    });
+  });
+
+/**
+ * 11. WHOAMI
+ * Shows the account the CLI is authenticated as
+ */
+program
+  .command('whoami')
+  .description('Show the account the CLI is logged in as')
+  .action(async () => {
+    const backend = resolveBackend();
+    const auth = getAuthToken();
+
+    if (!auth) {
+      throw new CliError('UNAUTHENTICATED', `Not logged in to ${backend.api_url}.`, {
+        exitCode: EXIT_CODES.AUTH,
+        hints: [`Run ${chalk.cyan('mantle-forge login')}`],
+      });
+    }
+
+    const user = await getClient().whoami();
+
+    const result = {
+      login: user.login || null,
+      name: user.name || null,
+      backend: backend.api_url,
+      profile: backend.profile,
+      token_source: auth.source,
+      since: auth.created_at || null,
+    };
+    printResult(result, () => {
+      console.log(chalk.bold('--- MantleForge Account ---'));
+      console.log(`  User:     ${chalk.green(result.login || 'unknown')}${result.name ? chalk.gray(` (${result.name})`) : ''}`);
+      console.log(`  Backend:  ${result.backend} ${chalk.gray(`[${result.profile}]`)}`);
+      console.log(`  Token:    ${chalk.gray(result.token_source)}`);
+      if (result.since) {
+        console.log(`  Since:    ${result.since}`);
+      }
+    });
+  });
+
+/**
+ * 12. AGENT - Create a command group for on-chain agent contracts
+ */
+const agentCommand = program
+  .command('agent')
+  .description('Inspect Mantle agent contracts on-chain');
+
+// AGENT INSPECT - Resolve a branch's contract through the AgentFactory and verify it
+agentCommand
+  .command('inspect [branch]')
+  .description('Show a branch\'s agent contract, balance and recent events, and cross-check trades with the backend')
+  .option('--rpc-url <url>', 'JSON-RPC endpoint (e.g. http://127.0.0.1:8545 for Anvil/Hardhat)')
+  .option('--factory <address>', 'AgentFactory contract address')
+  .option('--from-block <number>', 'First block to search for the agent deployment (default: the deployment the backend reports, else the last 50000 blocks)', v => parseInt(v, 10))
+  .option('--blocks <number>', 'Number of recent blocks to list events from', v => parseInt(v, 10), 10000)
+  .option('-n, --limit <number>', 'Maximum number of recent events to show', v => parseInt(v, 10), 10)
+  .action(async (branchArg, options) => {
+    assertPositiveInt(options.blocks, '--blocks');
+    assertPositiveInt(options.limit, '--limit');
+    const config = getConfig();
+    const branch_name = branchArg || getCurrentBranch();
+    const branch_hash = calculateBranchHash(config.repo_url, branch_name);
+    const settings = await resolveChain(options);
+
+    note(chalk.cyan(`⛓️  Inspecting ${branch_name} on-chain via ${settings.rpc_url}...`));
+    const network = await chain.connectNode(settings.rpc_url);
+    const explorerUrl = (settings.explorer_url || network.explorer_url || '').replace(/\/+$/, '') || null;
+    const link = (type, value) => (explorerUrl && value ? `${explorerUrl}/${type}/${value}` : null);
+
+    // Where the backend says the agent was deployed saves scanning for it;
+    // the chain stays the source of truth, so a backend error is not fatal
+    const deployment = options.fromBlock === undefined
+      ? await getClient().getDeployment(config.repo_url, branch_name).catch(() => null)
+      : null;
+
+    let agent;
+    try {
+      agent = await chain.inspectAgent(network.provider, {
+        factoryAddress: settings.factory_address,
+        branchHash: branch_hash,
+        fromBlock: options.fromBlock ?? deployment?.deploy_block ?? null,
+        deploymentTx: deployment?.deploy_tx_hash || null,
+        recentBlocks: options.blocks,
+        limit: options.limit,
+      });
+    } catch (err) {
+      if (err.code === 'FACTORY_NOT_FOUND') {
+        throw new CliError('FACTORY_NOT_FOUND', `${err.message} on ${network.name} (chain ${network.chain_id}).`, {
+          exitCode: EXIT_CODES.USAGE,
+          hints: ['Check --factory and that --rpc-url points at the chain the factory is deployed to'],
+        });
+      }
+      throw new CliError('RPC_ERROR', `Error reading ${branch_name} from ${network.name}: ${err.shortMessage || err.message}`, { exitCode: EXIT_CODES.BACKEND });
+    } finally {
+      network.provider.destroy();
+    }
+    if (!agent) {
+      throw new CliError('AGENT_NOT_DEPLOYED', `No agent contract for branch "${branch_name}" in factory ${settings.factory_address}.`, {
+        exitCode: EXIT_CODES.NOT_FOUND,
+        hints: [`Deploy it with ${chalk.cyan(`git push origin ${branch_name}`)}`],
+      });
+    }
+
+    // Cross-check the backend's trade count against the chain. A missing
+    // backend agent is reported, not fatal: the chain is the source of truth.
+    let backendTrades = null;
+    let backendError = null;
+    try {
+      const result = await getClient().getStats(config.repo_url, branch_name);
+      backendTrades = result.stats ? stats.summarizeStats(result.stats).trades_executed : 0;
+    } catch (err) {
+      const error = toCliError(err, 'Error fetching stats');
+      if (error.exitCode === EXIT_CODES.AUTH) throw error;
+      backendError = error.message;
+    }
+    const match = backendTrades === null ? null : backendTrades === agent.trade_count;
+
+    const result = {
+      branch: branch_name,
+      repo_url: config.repo_url,
+      branch_hash,
+      chain: { chain_id: network.chain_id, name: network.name, rpc_url: settings.rpc_url, explorer_url: explorerUrl },
+      factory_address: settings.factory_address,
+      agent: {
+        address: agent.address,
+        deployer: agent.deployer,
+        deployment_block: agent.deployment_block,
+        deployment_tx: agent.deployment_tx,
+        balance_wei: agent.balance_wei,
+        balance: agent.balance,
+        trade_count: agent.trade_count,
+        trade_count_source: agent.trade_count_source,
+      },
+      links: {
+        agent: link('address', agent.address),
+        deployer: link('address', agent.deployer),
+        deployment_tx: link('tx', agent.deployment_tx),
+      },
+      recent_events: agent.recent_events.map(event => ({ ...event, url: link('tx', event.tx_hash) })),
+      cross_check: {
+        backend_trades_executed: backendTrades,
+        on_chain_trades: agent.trade_count,
+        match,
+        backend_error: backendError,
+      },
+    };
+
+    printResult(result, () => {
+      console.log(chalk.bold(`\n--- On-Chain Agent: ${branch_name} ---`));
+      console.log(`  Network:    ${result.chain.name} ${chalk.gray(`(chain ${result.chain.chain_id}, block ${agent.latest_block})`)}`);
+      console.log(`  Contract:   ${chalk.green(agent.address)}`);
+      if (result.links.agent) console.log(chalk.gray(`              ${result.links.agent}`));
+      console.log(`  Deployer:   ${agent.deployer || chalk.gray(`unknown (deployment not found since block ${agent.deployment_search_from}; try --from-block)`)}`);
+      if (agent.deployment_tx) {
+        console.log(`  Deployed:   block ${agent.deployment_block} ${chalk.gray(result.links.deployment_tx || agent.deployment_tx)}`);
+      }
+      console.log(`  Balance:    ${agent.balance} MNT`);
+      console.log(`  Trades:     ${agent.trade_count} ${chalk.gray(`(from ${agent.trade_count_source})`)}`);
+
+      console.log(chalk.bold(`\n  Recent Events (last ${options.blocks} blocks):`));
+      if (result.recent_events.length === 0) {
+        console.log(chalk.gray('    None'));
+      }
+      result.recent_events.forEach((event) => {
+        const args = event.args ? Object.entries(event.args).map(([k, v]) => `${k}=${v}`).join(' ') : chalk.gray(event.topic);
+        console.log(`    #${event.block} ${chalk.cyan(event.name || 'unknown')} ${args}`);
+        if (event.url) console.log(chalk.gray(`      ${event.url}`));
+      });
+
+      console.log(chalk.bold('\n  Backend Cross-Check:'));
+      if (match === null) {
+        console.log(chalk.yellow(`    Backend stats unavailable: ${backendError}`));
+      } else if (match) {
+        console.log(chalk.green(`    ✅ trades_executed matches on-chain trades (${agent.trade_count})`));
+      } else {
+        console.log(chalk.red(`    ❌ Mismatch: backend reports ${backendTrades} trades executed, chain has ${agent.trade_count}`));
+      }
+    });
+
+    if (match === false) {
+      process.exitCode = EXIT_CODES.ERROR;
+    }
+  });
+
+/**
+ * 13. DEPLOY - Create a command group for tracking deployments after a push
+ */
+const deployCommand = program
+  .command('deploy')
+  .description('Track agent deployments after git push');
+
+// DEPLOY STATUS - Compare the deployed commit with the local one
+deployCommand
+  .command('status [branch]')
+  .description('Show the deployed commit, contract and agent process state for a branch')
+  .action(async (branchArg) => {
+    const config = getConfig();
+    const branch_name = branchArg || getCurrentBranch();
+    const local_commit = getLocalCommit(branchArg || 'HEAD');
+
+    note(chalk.cyan(`🚀 Fetching deployment status for ${branch_name}...`));
+    const deployment = await getClient().getDeployment(config.repo_url, branch_name);
+    const state = deployments.deploymentState(deployment, local_commit);
+    const result = {
+      branch: branch_name,
+      branch_hash: calculateBranchHash(config.repo_url, branch_name),
+      local_commit,
+      state,
+      up_to_date: state === 'live',
+      deployment,
+    };
+
+    printResult(result, () => {
+      console.log(chalk.bold(`\n--- Deployment: ${branch_name} ---`));
+      console.log(`  Local commit:    ${local_commit ? local_commit.slice(0, 7) : chalk.gray('none (branch not checked out locally)')}`);
+      if (!deployment) {
+        console.log(chalk.yellow(`\n⚠️  No deployment found for ${branch_name}.`));
+        console.log(chalk.yellow(`   → Deploy it with: ${chalk.cyan(`git push origin ${branch_name}`)} (or ${chalk.cyan('mantle-forge push')})`));
+        return;
+      }
+
+      const stateLabels = {
+        live: chalk.green('✅ live, up to date with local commit'),
+        pending: chalk.yellow('⚠️  differs from local commit (not pushed, or not picked up yet)'),
+        deploying: chalk.cyan('⏳ deploying'),
+        failed: chalk.red('❌ failed'),
+      };
+      console.log(`  Deployed commit: ${deployment.commit_sha ? deployment.commit_sha.slice(0, 7) : chalk.gray('unknown')} ${stateLabels[state]}`);
+      console.log(`  Status:          ${deployment.status || chalk.gray('unknown')}`);
+      console.log(`  Contract:        ${deployment.contract_address || chalk.gray('not deployed yet')}`);
+      console.log(`  Deploy tx:       ${deployment.deploy_tx_hash || chalk.gray('—')}`);
+      console.log(`  Process:         ${deployment.process_state || chalk.gray('unknown')}`);
+      if (deployment.updated_at) {
+        console.log(`  Updated:         ${deployment.updated_at}`);
+      }
+      if (deployment.error) {
+        console.log(chalk.red(`  Error:           ${deployment.error}`));
+      }
+      if (state === 'pending' || state === 'deploying') {
+        console.log(chalk.cyan(`\n💡 Wait for it with: mantle-forge deploy wait`));
+      }
+    });
+  });
+
+// Options shared by `deploy wait` and `push`
+function addWaitOptions(command) {
+  return command
+    .option('-t, --timeout <seconds>', 'Give up after this many seconds', v => parseInt(v, 10), 300)
+    .option('--interval <seconds>', 'Seconds between status checks', v => parseInt(v, 10), 5);
+}
+
+// Rejects --timeout / --interval values that would never time out or poll in a tight loop
+function checkWaitOptions(options) {
+  assertPositiveInt(options.timeout, '--timeout');
+  assertPositiveInt(options.interval, '--interval');
+}
+
+// Waits for a commit to go live and prints the result
+async function waitAndReport(config, branch_name, commit, options, extra = {}) {
+  note(chalk.cyan(`⏳ Waiting for ${commit.slice(0, 7)} to go live on ${branch_name} (timeout ${options.timeout}s)...`));
+  const { deployment, waited_seconds } = await waitForDeployment(config.repo_url, branch_name, commit, {
+    timeoutMs: options.timeout * 1000,
+    intervalMs: options.interval * 1000,
+  });
+
+  const result = { ...extra, branch: branch_name, commit, state: 'live', waited_seconds, deployment };
+  printResult(result, () => {
+    console.log(chalk.green(`✅ ${commit.slice(0, 7)} is live on ${branch_name} (${waited_seconds}s)`));
+    if (deployment.contract_address) {
+      console.log(chalk.gray(`   Contract:  ${deployment.contract_address}`));
+    }
+    if (deployment.deploy_tx_hash) {
+      console.log(chalk.gray(`   Deploy tx: ${deployment.deploy_tx_hash}`));
+    }
+  });
+}
+
+// DEPLOY WAIT - Block until the pushed commit is live
+addWaitOptions(deployCommand
+  .command('wait [branch]')
+  .description('Wait until the local commit is deployed and the agent is running')
+  .option('--commit <sha>', 'Commit to wait for (defaults to the branch\'s local commit)'))
+  .action(async (branchArg, options) => {
+    checkWaitOptions(options);
+    const config = getConfig();
+    const branch_name = branchArg || getCurrentBranch();
+    const commit = options.commit || getLocalCommit(branchArg || 'HEAD');
+    if (!commit) {
+      throw new CliError('NO_GIT_COMMIT', `Could not determine the commit for ${branch_name}.`, {
+        exitCode: EXIT_CODES.USAGE,
+        hints: ['Pass the commit to wait for with --commit <sha>'],
+      });
+    }
+    await waitAndReport(config, branch_name, commit, options);
+  });
+
+/**
+ * 14. PUSH
+ * Wraps git push and waits for the pushed commit to go live
+ */
+addWaitOptions(program
+  .command('push [remote]')
+  .description('git push the current branch, then wait until the agent is live')
+  .option('--no-wait', 'Only push, do not wait for the deployment'))
+  .action(async (remote = 'origin', options) => {
+    checkWaitOptions(options);
+    const config = getConfig();
+    const branch_name = getCurrentBranch();
+    const commit = getLocalCommit();
+    const remotes = shell.exec('git remote', { silent: true }).stdout.split('\n').map(r => r.trim()).filter(Boolean);
+    if (!remotes.includes(remote)) {
+      throw new CliError('UNKNOWN_REMOTE', `Unknown git remote "${remote}".`, {
+        exitCode: EXIT_CODES.USAGE,
+        hints: remotes.length > 0 ? [`Available remotes: ${remotes.join(', ')}`] : [],
+      });
+    }
+
+    // git's own output goes to stderr so stdout stays parseable
+    note(chalk.cyan(`📤 Pushing ${branch_name} to ${remote}...`));
+    const push = spawnSync('git', ['push', remote, branch_name], { stdio: ['inherit', 2, 2] });
+    if (push.status !== 0) {
+      throw new CliError('GIT_PUSH_FAILED', `git push ${remote} ${branch_name} failed.`);
+    }
+
+    const pushed = { remote, pushed: true };
+    if (options.wait === false) {
+      printResult({ ...pushed, branch: branch_name, commit }, () => {
+        console.log(chalk.green(`✅ Pushed ${commit.slice(0, 7)} to ${remote}/${branch_name}`));
+        console.log(chalk.cyan(`   Track the deployment with: mantle-forge deploy wait`));
+      });
+      return;
+    }
+    await waitAndReport(config, branch_name, commit, options, pushed);
+  });
+
+/**
+ * 15. HASH
+ * Prints a branch's agent identity and checks the URL spellings it may be registered under
+ */
+program
+  .command('hash [branch]')
+  .description('Print the branch hash that identifies an agent, and the repository URL variants tried')
+  .option('--offline', 'Do not ask the backend which variants it knows')
+  .action(async (branchArg, options) => {
+    const config = getConfig();
+    const branch_name = branchArg || getCurrentBranch();
+    const variants = repoUrlVariants(config.repo_url).map(repo_url => ({
+      repo_url,
+      branch_hash: calculateBranchHash(repo_url, branch_name),
+      canonical: repo_url === config.repo_url,
+      known: null,
+    }));
+
+    if (!options.offline) {
+      note(chalk.cyan(`🔍 Checking ${variants.length} repository URL variants with the backend...`));
+      const known = await Promise.all(variants.map(variant => agentExists(variant.branch_hash)));
+      variants.forEach((variant, i) => { variant.known = known[i]; });
+    }
+
+    const result = {
+      branch: branch_name,
+      repo_url: config.repo_url,
+      branch_hash: calculateBranchHash(config.repo_url, branch_name),
+      variants,
+    };
+    printResult(result, () => {
+      console.log(chalk.bold(`\n--- Branch Hash: ${branch_name} ---`));
+      console.log(`  Repository:  ${result.repo_url}`);
+      console.log(`  Branch hash: ${chalk.green(result.branch_hash)}`);
+      console.log(chalk.bold('\n  Variants tried:'));
+      variants.forEach((variant) => {
+        const status = { true: chalk.green('✔ known'), false: chalk.gray('✗ not found'), null: chalk.gray('? unchecked') }[variant.known];
+        console.log(`    ${padWithAnsi(status, 12)} ${variant.repo_url}${variant.canonical ? chalk.cyan(' (canonical)') : ''}`);
+        console.log(chalk.gray(`      ${variant.branch_hash}`));
+      });
+
+      const alternate = variants.find(variant => !variant.canonical && variant.known);
+      if (alternate && !variants.find(variant => variant.canonical).known) {
+        console.log(chalk.yellow(`\n⚠️  The backend knows this agent as ${alternate.repo_url}, not the canonical URL.`));
+        console.log(chalk.yellow(`   → Register the canonical URL by re-running ${chalk.cyan('mantle-forge init --force')}, then push again.`));
+      }
+    });
+  });
+
+/**
+ * 16. AGENTS - Create a command group for agent lifecycle management
+ */
+const agentsCommand = program
+  .command('agents')
+  .description('List and manage the agents deployed for this repository');
+
+// Table of agents for `agents list`
+function renderAgentsTable(agents, title) {
+  const columns = [
+    { key: 'branch', label: 'Branch', truncate: true, minWidth: 10 },
+    { key: 'status', label: 'Status' },
+    { key: 'uptime', label: 'Uptime', align: 'right' },
+    { key: 'contract_address', label: 'Contract', optional: true },
+  ];
+  const rows = agents.map(agent => ({
+    branch: agent.current ? chalk.bold(`* ${agent.branch}`) : `  ${agent.branch}`,
+    status: colorStatus(agent.status),
+    uptime: agent.status === 'running' ? formatUptime(agent.uptime_seconds) : chalk.gray('—'),
+    contract_address: agent.contract_address || chalk.gray('—'),
+  }));
+  return renderTable(columns, rows, { title });
+}
+
+// AGENTS LIST - Every agent deployed for the repository (or the workspace)
+addWorkspaceOptions(agentsCommand
+  .command('list')
+  .description('List every agent for this repository with its status, uptime and contract'))
+  .action(async (options) => {
+    const repos = getWorkspaceRepos(options);
+    if (repos) {
+      note(chalk.cyan(`🔍 Fetching agents for ${repos.length} repositor${repos.length === 1 ? 'y' : 'ies'}...`));
+      const now = Date.now();
+      const results = await listWorkspaceAgents(repos);
+      const listed = results.map(repo => ({
+        repo_url: repo.repo_url,
+        agents: repo.agents.map(agent => toAgentListing(agent, repo.repo_url, null, now))
+          .sort((a, b) => a.branch.localeCompare(b.branch)),
+        error: repo.error ? { code: repo.error.code, message: repo.error.message } : null,
+      }));
+
+      printResult({ repos: listed }, () => {
+        listed.forEach((repo) => {
+          console.log('');
+          if (repo.error) {
+            console.log(chalk.bold(`Agents for ${repoLabel(repo.repo_url)}`));
+            console.log(chalk.yellow(`  ${repo.error.message}`));
+          } else if (repo.agents.length === 0) {
+            console.log(chalk.bold(`Agents for ${repoLabel(repo.repo_url)}`));
+            console.log(chalk.gray('  No agents deployed (or none match the workspace filters).'));
+          } else {
+            console.log(renderAgentsTable(repo.agents, `Agents for ${repoLabel(repo.repo_url)}`));
+          }
+        });
+      });
+      const errors = results.filter(repo => repo.error).map(repo => repo.error);
+      if (errors.length > 0) {
+        process.exitCode = failureExitCode(errors);
+      }
+      return;
+    }
+
+    const config = getConfig();
+    let currentBranch = null;
+    try {
+      currentBranch = getCurrentBranch();
+    } catch (err) {
+      // Not on a branch (e.g. detached HEAD); nothing to highlight
+    }
+
+    note(chalk.cyan('🔍 Fetching agents...'));
+    const now = Date.now();
+    const agents = (await getClient().listAgents(config.repo_url)).map(agent => toAgentListing(agent, config.repo_url, currentBranch, now));
+    agents.sort((a, b) => (b.current - a.current) || a.branch.localeCompare(b.branch));
+
+    printResult({ repo_url: config.repo_url, agents }, () => {
+      if (agents.length === 0) {
+        console.log(chalk.yellow('No agents deployed for this repository yet.'));
+        console.log(chalk.yellow(`   → Deploy one with: ${chalk.cyan('git push origin <branch>')}`));
+        return;
+      }
+      console.log('');
+      console.log(renderAgentsTable(agents, `Agents for ${config.repo_url}`));
+      if (agents.some(agent => !agent.current && agent.status === 'running')) {
+        console.log(chalk.gray(`\n💡 Stop experiments you are done with: mantle-forge agents stop <branch>`));
+      }
+    });
+  });
+
+// AGENTS STOP|START|DELETE|RESTART - Lifecycle actions on an explicit branch
+[
+  ['stop', 'Stop a branch\'s agent (it stops trading until started again)'],
+  ['start', 'Start a stopped agent'],
+  ['restart', 'Restart a branch\'s agent'],
+  ['delete', 'Stop a branch\'s agent and remove it from the backend'],
+].forEach(([action, description]) => {
+  const command = agentsCommand
+    .command(`${action} <branch>`)
+    .description(description);
+  if (action !== 'restart') {
+    command.option('-y, --yes', 'Skip the confirmation prompt');
+  }
+  command
+    .action(async (branch_name, options) => {
+      const config = getConfig();
+      const { doing, done } = AGENT_ACTIONS[action];
+      const warning = action === 'delete' ? ' This cannot be undone.' : '';
+      const confirmOptions = action === 'restart' ? { yes: true } : options;
+      if (!await confirmAction(`${action.charAt(0).toUpperCase() + action.slice(1)} the agent for branch ${branch_name}?${warning}`, confirmOptions)) {
+        note(chalk.yellow('Cancelled.'));
+        return;
+      }
+
+      note(chalk.cyan(`${doing} agent for branch: ${chalk.bold(branch_name)}...`));
+      const data = await getClient().agentAction(config.repo_url, branch_name, action);
+      const result = { branch: branch_name, repo_url: config.repo_url, branch_hash: data.branch_hash, action, status: data.agent?.status || done };
+      printResult(result, () => {
+        console.log(chalk.green(`✅ Agent for ${branch_name} ${done}.`));
+      });
+    });
+});
+
+// AGENTS PROMOTE - Copy a branch's secrets and strategy settings to another branch
+agentsCommand
+  .command('promote <branch>')
+  .description('Copy a branch\'s secrets and strategy settings to another branch (e.g. main)')
+  .option('--to <branch>', 'Branch to promote to', 'main')
+  .option('--no-secrets', 'Do not copy secrets')
+  .option('--no-settings', 'Do not copy strategy settings')
+  .option('--keep-existing', 'Keep secrets that are already set on the target branch')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action(async (from_branch, options) => {
+    const config = getConfig();
+    const to_branch = options.to;
+    if (from_branch === to_branch) {
+      throw new CliError('INVALID_ARGUMENT', 'Source and target branch are the same.', { exitCode: EXIT_CODES.USAGE });
+    }
+
+    const [changes, settings] = await Promise.all([
+      options.secrets ? planSecretsCopy(getClient(), config.repo_url, from_branch, to_branch, { overwrite: !options.keepExisting }) : [],
+      options.settings ? getClient().getSettings(config.repo_url, from_branch) : null,
+    ]);
+    const keys = changes.filter(change => change.action !== 'skip').map(change => change.key);
+
+    note(chalk.bold(`\n--- Promoting ${from_branch} → ${to_branch} ---`));
+    if (options.secrets) {
+      note(chalk.bold('  Secrets:'));
+      noteSecretsPlan(changes, 'already set, kept with --keep-existing');
+      if (changes.length === 0) note(chalk.gray('    none set'));
+    }
+    if (options.settings) {
+      note(chalk.bold('  Strategy settings:'));
+      note(settings ? chalk.yellow(`  ~ replace with ${from_branch}'s settings (${Object.keys(settings).length} keys)`) : chalk.gray(`    none on ${from_branch}`));
+    }
+    note('');
+
+    const result = { from_branch, to_branch, secrets: { changes, copied: [] }, settings: { copied: false, keys: settings ? Object.keys(settings) : [] } };
+    if (keys.length === 0 && !settings) {
+      printResult(result, () => console.log(chalk.yellow('Nothing to promote.')));
+      return;
+    }
+    if (!await confirmAction(`Promote ${from_branch} to ${to_branch}?`, options)) {
+      note(chalk.yellow('Cancelled.'));
+      return;
+    }
+
+    if (keys.length > 0) {
+      result.secrets.copied = await getClient().copySecrets(config.repo_url, from_branch, to_branch, keys, { overwrite: !options.keepExisting });
+    }
+    if (settings) {
+      await getClient().putSettings(config.repo_url, to_branch, settings);
+      result.settings.copied = true;
+    }
+
+    printResult(result, () => {
+      console.log(chalk.green(`✅ Promoted ${from_branch} to ${to_branch}: ${result.secrets.copied.length} secret(s)${result.settings.copied ? ' and strategy settings' : ''} copied.`));
+      console.log(chalk.cyan(`\n💡 Merge the code with git, then restart the agent to apply: mantle-forge agents restart ${to_branch}`));
+    });
+  });
+
+/**
+ * 17. WATCH
+ * Polls agents on an interval and raises alerts from the rules in .mantlepush.json
+ */
+addWorkspaceOptions(program
+  .command('watch [branches...]')
+  .description('Watch agents on an interval and alert when a rule fires')
+  .option('-a, --all', 'Watch every deployed branch'))
+  .option('-i, --interval <duration>', 'Time between polls, e.g. 30s or 5m (default: watch.interval or 30s)')
+  .option('--webhook <url>', 'Post alerts to this Slack-compatible webhook URL (overrides watch.webhook_url)')
+  .option('--exit-on-alert', `Stop and exit with code ${EXIT_CODES.ALERT} as soon as a rule fires`)
+  .option('--once', `Poll once, then exit (code ${EXIT_CODES.ALERT} if a rule fired)`)
+  .action(async (branchArgs, options) => {
+    const repos = getWorkspaceRepos(options);
+    const config = repos ? null : getConfig();
+    const settings = repos ? getWatchSettings(readWorkspace(), options, WORKSPACE_FILE) : getWatchSettings(config, options);
+
+    // Branches to watch per repository. In workspace mode that is every
+    // deployed branch passing the filters (branch arguments filter further).
+    let targets;
+    if (repos) {
+      note(chalk.cyan('🔍 Looking up deployed branches...'));
+      const listed = await listWorkspaceAgents(repos, branchArgs);
+      listed.filter(repo => repo.error).forEach(repo => warn(`Not watching ${repo.repo_url}: ${repo.error.message}`));
+      targets = listed
+        .map(repo => ({ repo_url: repo.repo_url, branches: repo.agents.map(agent => agent.branch_name) }))
+        .filter(target => target.branches.length > 0);
+      if (targets.length === 0) {
+        throw new CliError('AGENT_NOT_FOUND', 'No deployed branches to watch in the selected repositories.', { exitCode: EXIT_CODES.NOT_FOUND });
+      }
+    } else {
+      let branches = branchArgs.length > 0 ? branchArgs : [];
+      if (options.all) {
+        branches = await deployedBranches(getClient(), config.repo_url, branches);
+      }
+      if (branches.length === 0) {
+        branches = [getCurrentBranch()];
+      }
+      targets = [{ repo_url: config.repo_url, branches }];
+    }
+
+    const format = getOutputFormat();
+    const live = format === 'table' && process.stdout.isTTY && !options.once;
+
+    process.on('SIGINT', () => {
+      note(chalk.gray('\nStopped watching.'));
+      process.exit(0);
+    });
+
+    // Webhook delivery failures are reported but never stop the watch
+    const polls = watch.watchAgents(getClient(), targets, settings, { workspace: Boolean(repos), onWarning: warn });
+    for await (const poll of polls) {
+      renderWatchPoll(poll, { live, settings, format });
+      if (poll.alerts.length > 0 && (options.once || options.exitOnAlert)) {
+        process.exitCode = EXIT_CODES.ALERT;
+        return;
+      }
+      if (options.once) {
+        return;
+      }
+    }
+  });
+
+/**
+ * 18. HISTORY - Create a command group for raw decision and trade history
+ */
+const historyCommand = program
+  .command('history')
+  .description('Export the raw decision and trade history behind stats');
+
+// HISTORY EXPORT - Page through every record and write CSV, JSON Lines or Parquet
+historyCommand
+  .command('export [branches...]')
+  .description('Export every decision or trade record for one or more branches (--format csv|jsonl|parquet)')
+  .addOption(new Option('-t, --type <type>', 'Records to export').choices(Object.keys(history.HISTORY_COLUMNS)).default('decisions'))
+  .option('-a, --all', 'Export every deployed branch')
+  .option('--since <time>', 'Only export records after a time or duration ago (e.g. 24h, 7d, 2025-01-31)')
+  .option('--until <time>', 'Only export records before a time or duration ago')
+  .option('-o, --output <file>', 'Write to a file instead of stdout (the extension picks the format when --format is not given)')
+  .action(async (branchArgs, options) => {
+    const config = getConfig();
+    const format = getExportFormat(options.output);
+    const since = options.since ? parseTimeArg(options.since, '--since') : null;
+    const until = options.until ? parseTimeArg(options.until, '--until') : null;
+    if (format === 'parquet' && !options.output && process.stdout.isTTY) {
+      throw new CliError('INVALID_ARGUMENT', 'Parquet is binary; write it to a file with --output or pipe stdout.', { exitCode: EXIT_CODES.USAGE });
+    }
+
+    let branches = branchArgs;
+    if (options.all) {
+      branches = await deployedBranches(getClient(), config.repo_url, branchArgs);
+    }
+    if (branches.length === 0) {
+      branches = [getCurrentBranch()];
+    }
+
+    // Rows are streamed for CSV and JSON Lines; Parquet is columnar, so it is
+    // written once every page has been fetched
+    const partialFile = options.output ? `${options.output}.partial` : null;
+    const out = partialFile ? fs.createWriteStream(partialFile) : process.stdout;
+    const writeChunk = history.chunkWriter(out);
+    const columns = history.HISTORY_COLUMNS[options.type].map(column => column.name);
+    const parquetRows = [];
+    const counts = {};
+    let headerWritten = format !== 'csv';
+    const writeHeader = async () => {
+      if (!headerWritten) {
+        headerWritten = true;
+        await writeChunk(history.csvLine(columns));
+      }
+    };
+    // A closed pipe (e.g. `| head`) ends the export quietly; other write
+    // errors surface through writeChunk
+    out.on('error', (err) => {
+      if (err.code === 'EPIPE') process.exit(0);
+    });
+
+    try {
+      for (const branch of branches) {
+        counts[branch] = 0;
+        console.error(chalk.cyan(`📥 Exporting ${options.type} for ${branch}...`));
+        for await (const records of history.fetchHistory(getClient(), config.repo_url, branch, options.type, { since, until })) {
+          const rows = records.map(record => history.toRow(options.type, branch, record));
+          counts[branch] += rows.length;
+          if (format === 'parquet') {
+            parquetRows.push(...rows);
+          } else if (rows.length > 0) {
+            await writeHeader();
+            const lines = rows.map(row => (format === 'csv' ? history.csvLine(columns.map(name => row[name])) : `${JSON.stringify(row)}\n`));
+            await writeChunk(lines.join(''));
+          }
+        }
+      }
+      if (format === 'parquet') {
+        await writeChunk(await history.toParquet(options.type, parquetRows));
+      }
+      await writeHeader();
+      if (partialFile) {
+        await new Promise((resolve, reject) => out.end(err => (err ? reject(err) : resolve())));
+        fs.renameSync(partialFile, options.output);
+      }
+    } catch (err) {
+      if (partialFile) {
+        out.destroy();
+        fs.rmSync(partialFile, { force: true });
+      }
+      throw err;
+    }
+
+    const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+    const perBranch = Object.entries(counts).map(([branch, n]) => `${branch}: ${n}`).join(', ');
+    console.error(chalk.green(`✅ Exported ${total} ${options.type} as ${format}${options.output ? ` to ${options.output}` : ''} (${perBranch})`));
+  });
+
+// Options shared by `run --local` and `backtest`
+function addLocalRunOptions(command) {
+  return command
+    .option('--env-file <file>', 'Load secrets from a local .env file instead of the branch secrets')
+    .option('--no-secrets', 'Start the agent without any secrets')
+    .option('--fork-url <url>', 'RPC node for Anvil to fork (default: the profile RPC, else Mantle Sepolia)')
+    .option('--rpc-url <url>', 'Use an already running node instead of starting Anvil')
+    .option('--no-anvil', 'Do not start a local chain')
+    .option('--port <port>', 'Port for the Anvil node', v => parseInt(v, 10), 8545)
+    .option('--start-price <price>', 'First synthetic price', parseFloat, 1)
+    .option('--volatility <ratio>', 'Synthetic price volatility per step, e.g. 0.01 = 1%', parseFloat, 0.01)
+    .option('--seed <n>', 'Seed for synthetic prices (same seed, same prices)', v => parseInt(v, 10), 42);
+}
+
+// Prints what a local run or backtest is wired to
+function noteLocalEnvironment(localEnv, command, priceLabel) {
+  const { node, feed } = localEnv;
+  let chainLabel = chalk.gray('none (--no-anvil)');
+  if (node) {
+    chainLabel = `${node.name} (chain ${node.chain_id}) at ${node.rpc_url}${node.fork_url ? chalk.gray(` — fork of ${node.fork_url}`) : ''}`;
+  }
+  note(`   Agent:      ${chalk.cyan(command)}`);
+  note(`   Chain:      ${chainLabel}`);
+  note(`   Price feed: ${feed.url}/price ${chalk.gray(`(${priceLabel})`)}`);
+  note(`   Decisions:  ${feed.url}/decisions`);
+  note(`   Secrets:    ${localEnv.secrets_source ? `${localEnv.secret_count} from ${localEnv.secrets_source}` : chalk.gray('none')}`);
+}
+
+/**
+ * 19. RUN
+ * Runs the current branch's agent on this machine against a local chain and a mock price feed
+ */
+addLocalRunOptions(program
+  .command('run')
+  .description('Run the agent locally against an Anvil fork and a mock price feed (--local)')
+  .option('--local', 'Run on this machine (required; deployed agents run on the backend)')
+  .option('--prices <file>', 'Replay recorded prices from a CSV file instead of synthetic ones (loops at the end)')
+  .option('--tick <duration>', 'Time between price updates', '5s'))
+  .action(async (options) => {
+    if (!options.local) {
+      throw new CliError('INVALID_ARGUMENT', 'Only local runs are supported: pass --local.', {
+        exitCode: EXIT_CODES.USAGE,
+        hints: [`Deployed agents start on ${chalk.cyan('git push')}; restart one with ${chalk.cyan('mantle-forge restart')}`],
+      });
+    }
+    const config = getConfig();
+    const branch_name = getCurrentBranch();
+    const command = getAgentCommand(config);
+    const tickMs = parseDuration(options.tick);
+    if (!tickMs) {
+      throw new CliError('INVALID_ARGUMENT', `Invalid --tick value "${options.tick}". Use a duration such as 5s or 1m.`, { exitCode: EXIT_CODES.USAGE });
+    }
+    const prices = getPriceSource(options.prices, { ...options, step: options.tick }, { loop: true });
+
+    const localEnv = await startLocalEnvironment(config, branch_name, options, {
+      next: prices.next,
+      onDecision: (d) => {
+        const color = { BUY: chalk.cyan, SELL: chalk.magenta }[d.decision] || chalk.yellow;
+        note(chalk.gray(`[mantle-forge] ${d.timestamp} `) + color(d.decision) + chalk.gray(` @ ${d.price}${d.trade_executed ? ' (trade executed)' : ''}`));
+      },
+    });
+    const ticker = setInterval(localEnv.feed.advance, tickMs);
+
+    note(chalk.bold(`\n🧪 Running ${branch_name} locally`));
+    noteLocalEnvironment(localEnv, command, prices.label);
+    note(chalk.gray('   Press Ctrl+C to stop.\n'));
+
+    const agent = local.spawnAgent(command, localEnv.env, 'inherit');
+    let interrupted = false;
+    process.on('SIGINT', () => {
+      interrupted = true;
+      agent.kill('SIGINT');
+    });
+    const agentCode = await local.waitForExit(agent);
+    const code = interrupted ? 0 : agentCode; // Ctrl+C is a normal way to stop
+    clearInterval(ticker);
+    await localEnv.stop();
+
+    printResult({
+      branch: branch_name,
+      command,
+      exit_code: code,
+      decisions: localEnv.feed.decisions.length,
+      prices: localEnv.feed.prices.length,
+    }, () => {
+      console.log(chalk.gray(`\nAgent exited with code ${code} after ${localEnv.feed.decisions.length} decisions.`));
+    });
+    process.exitCode = code === 0 ? 0 : EXIT_CODES.ERROR;
+  });
+
+/**
+ * 20. BACKTEST
+ * Replays recorded or synthetic prices through the agent and reports like `stats`
+ */
+addLocalRunOptions(program
+  .command('backtest')
+  .description('Replay recorded (--data) or synthetic prices through the agent and report the results like stats')
+  .option('-d, --data <file>', 'CSV of recorded prices (timestamp and price columns; history export output works)')
+  .option('--synthetic <count>', 'Replay this many synthetic prices instead of recorded ones', v => parseInt(v, 10))
+  .option('--step <duration>', 'Simulated time between synthetic prices', '1m')
+  .option('--timeout <duration>', 'Stop the agent if the replay takes longer than this', '10m'))
+  .action(async (options) => {
+    if (!options.data === !options.synthetic) {
+      throw new CliError('INVALID_ARGUMENT', 'Pass either --data <file> or --synthetic <count>.', { exitCode: EXIT_CODES.USAGE });
+    }
+    if (options.synthetic !== undefined && !(options.synthetic > 0)) {
+      throw new CliError('INVALID_ARGUMENT', '--synthetic must be a positive number.', { exitCode: EXIT_CODES.USAGE });
+    }
+    const timeoutMs = parseDuration(options.timeout);
+    if (!timeoutMs) {
+      throw new CliError('INVALID_ARGUMENT', `Invalid --timeout value "${options.timeout}". Use a duration such as 10m.`, { exitCode: EXIT_CODES.USAGE });
+    }
+    const config = getConfig();
+    const branch_name = getCurrentBranch();
+    const command = getAgentCommand(config);
+    const prices = getPriceSource(options.data, options, { count: options.synthetic || Infinity });
+
+    const localEnv = await startLocalEnvironment(config, branch_name, options, { next: prices.next, replay: true });
+    note(chalk.bold(`\n⏪ Backtesting ${branch_name}`));
+    noteLocalEnvironment(localEnv, command, prices.label);
+    note('');
+
+    // Agent output goes to stderr so stdout only carries the report
+    const agent = local.spawnAgent(command, localEnv.env, ['ignore', 2, 2]);
+    let timer;
+    const outcome = await Promise.race([
+      localEnv.feed.done.then(() => 'completed'),
+      local.waitForExit(agent).then(() => 'agent_exited'),
+      new Promise((resolve) => { timer = setTimeout(() => resolve('timed_out'), timeoutMs); }),
+    ]);
+    clearTimeout(timer);
+    if (agent.exitCode === null) {
+      agent.kill();
+    }
+    const exitCode = await local.waitForExit(agent);
+    await localEnv.stop();
+
+    const { decisions, prices: replayed } = localEnv.feed;
+    const first = replayed[0];
+    const last = replayed[replayed.length - 1];
+    const start = new Date(first.timestamp);
+    const end = new Date(last.timestamp);
+    const summary = {
+      branch: branch_name,
+      repo_url: config.repo_url,
+      branch_hash: calculateBranchHash(config.repo_url, branch_name),
+      stats: stats.summarizeStats(stats.statsFromDecisions(decisions)),
+      window: { label: 'all', start: start.toISOString(), end: end.toISOString() },
+      metrics: computeMetrics(local.tradesFromDecisions(decisions), { currentPrice: last.price, start, end }),
+      backtest: {
+        data: options.data || null,
+        prices_total: prices.total,
+        prices_replayed: replayed.length,
+        decisions: decisions.length,
+        outcome,
+        agent_exit_code: outcome === 'agent_exited' ? exitCode : null,
+      },
+    };
+
+    if (outcome === 'agent_exited') {
+      warn(`The agent exited with code ${exitCode} after ${replayed.length} of ${prices.total} prices; results are partial.`);
+    } else if (outcome === 'timed_out') {
+      warn(`Stopped the agent after ${options.timeout} at ${replayed.length} of ${prices.total} prices; results are partial.`);
+    }
+
+    printResult(summary, () => printStatsReport(summary, {
+      title: 'Backtest',
+      windowLabel: `${start.toISOString()} → ${end.toISOString()}`,
+      emptyHints: [`Make sure the agent reports each decision with POST ${chalk.cyan('$DECISIONS_URL')}`],
+    }));
+    if (outcome === 'timed_out') {
+      process.exitCode = EXIT_CODES.TIMEOUT;
+    } else if (outcome === 'agent_exited' && exitCode !== 0) {
+      process.exitCode = EXIT_CODES.ERROR;
+    }
+  });
+
+/**
+ * 21. WALLET - Create a command group for the agent's signing key
+ */
+const walletCommand = program
+  .command('wallet')
+  .description(`Create, inspect and rotate the agent wallet behind ${AGENT_KEY_SECRET}`);
+
+// Repeatable --token option
+const collectTokens = (value, previous) => [...previous, value];
+
+// Connects to the configured RPC node for wallet commands
+async function connectWalletChain(options) {
+  const settings = await resolveChain(options, { requireFactory: false });
+  const network = await chain.connectNode(settings.rpc_url);
+  const explorerUrl = (settings.explorer_url || network.explorer_url || '').replace(/\/+$/, '') || null;
+  return { ...network, rpc_url: settings.rpc_url, explorer_url: explorerUrl };
+}
+
+// WALLET NEW - Generate a key into the keystore and upload it as the secret
+walletCommand
+  .command('new [branch]')
+  .description(`Generate an agent key into an encrypted local keystore and upload it as ${AGENT_KEY_SECRET}`)
+  .option('--force', `Replace an existing keystore or ${AGENT_KEY_SECRET} secret (the old keystore is kept as a backup)`)
+  .action(async (branchArg, options) => {
+    const config = getConfig();
+    const branch_name = branchArg || getCurrentBranch();
+    const file = wallet.keystorePath(KEYSTORE_DIR, config.repo_url, branch_name);
+    const existing = wallet.readKeystore(KEYSTORE_DIR, config.repo_url, branch_name);
+    if (existing && !options.force) {
+      throw new CliError('WALLET_EXISTS', `${branch_name} already has an agent wallet (${existing.address}).`, {
+        exitCode: EXIT_CODES.USAGE,
+        hints: [`Replace it and move its funds with ${chalk.cyan(`mantle-forge wallet rotate ${branch_name}`)}`],
+      });
+    }
+
+    let secrets = [];
+    try {
+      secrets = await getClient().listSecrets(config.repo_url, branch_name);
+    } catch (err) {
+      // Branches that were not pushed yet have no secrets
+      if (err.code !== 'AGENT_NOT_FOUND') throw err;
+    }
+    if (secrets.some(secret => secret.key === AGENT_KEY_SECRET) && !options.force) {
+      throw new CliError('SECRET_EXISTS', `${AGENT_KEY_SECRET} is already set for ${branch_name}.`, {
+        exitCode: EXIT_CODES.USAGE,
+        hints: [`Pass ${chalk.cyan('--force')} to replace it; funds held by the current key are not moved`],
+      });
+    }
+
+    const password = await getKeystorePassword({ confirm: true });
+    const agentWallet = ethers.Wallet.createRandom();
+    const backup = existing ? wallet.backupKeystore(file) : null;
+    note(chalk.gray('   Encrypting keystore (this takes a few seconds)...'));
+    await wallet.saveKeystore(file, agentWallet, password);
+    note(chalk.cyan(`🔐 Uploading ${AGENT_KEY_SECRET} for ${branch_name}...`));
+    await setSecret(config, branch_name, AGENT_KEY_SECRET, agentWallet.privateKey);
 
-function calculateBranchHash(repo_url, branch_name) {
-  return ethers.id(repo_url + "/" + branch_name);
-}
+    printResult({ branch: branch_name, address: agentWallet.address, keystore: file, backup_keystore: backup, secret: AGENT_KEY_SECRET }, () => {
+      console.log(chalk.green(`✅ Created the agent wallet for ${branch_name}`));
+      console.log(`   Address:  ${chalk.cyan(agentWallet.address)}`);
+      console.log(`   Keystore: ${file}`);
+      if (backup) console.log(chalk.gray(`   Previous keystore kept at ${backup}`));
+      console.log(chalk.gray(`\n   The private key was uploaded as ${AGENT_KEY_SECRET} and never shown.`));
+      console.log(chalk.yellow(`   Fund the address with MNT for gas, then restart the agent: ${chalk.cyan(`mantle-forge restart ${branch_name}`)}`));
+    });
+  });
 
-// Helper function to fetch stats for a specific branch
-async function getStats(repo_url, branch_name) {
-  try {
-    const branch_hash = calculateBranchHash(repo_url, branch_name);
-    const url = `${API_BASE_URL}/api/stats/${branch_hash}`;
-    const { data } = await axios.get(url);
-    return { ...data, branch_name, repo_url };
-  } catch (err) {
-    const errorMsg = err.response?.data?.error || err.message;
-    if (err.response?.status === 404) {
-      console.error(chalk.red(`Agent not found for branch "${branch_name}"`));
-      console.log(chalk.yellow(`  → Make sure you've pushed this branch: ${chalk.cyan(`git push origin ${branch_name}`)}`));
-      console.log(chalk.yellow(`  → The backend webhook will deploy it automatically`));
-    } else {
-      console.error(chalk.red(`Error fetching stats for ${branch_name}: ${errorMsg}`));
+// WALLET ADDRESS - The agent's public address from the keystore
+walletCommand
+  .command('address [branch]')
+  .description('Show the agent wallet address of a branch')
+  .action(async (branchArg) => {
+    const config = getConfig();
+    const branch_name = branchArg || getCurrentBranch();
+    const keystore = wallet.readKeystore(KEYSTORE_DIR, config.repo_url, branch_name);
+    if (!keystore) {
+      throw walletNotFound(branch_name);
     }
-    return null;
-  }
-}
+    printResult({ branch: branch_name, address: keystore.address, keystore: keystore.file }, () => {
+      console.log(keystore.address);
+    }, () => {
+      console.log(keystore.address);
+    });
+  });
 
-// --- CLI Commands ---
+// WALLET BALANCE - Native and token balances over the configured RPC
+walletCommand
+  .command('balance [branch]')
+  .description('Show the agent wallet\'s MNT and token balances')
+  .option('--address <address>', 'Check this address instead of the local keystore\'s')
+  .option('--token <address>', 'ERC-20 token to include (repeatable; adds to wallet.tokens)', collectTokens, [])
+  .option('--rpc-url <url>', 'JSON-RPC endpoint (default: the profile or backend RPC)')
+  .action(async (branchArg, options) => {
+    const config = getConfig();
+    const branch_name = branchArg || getCurrentBranch();
+    let address = options.address;
+    if (!address) {
+      const keystore = wallet.readKeystore(KEYSTORE_DIR, config.repo_url, branch_name);
+      if (!keystore) throw walletNotFound(branch_name);
+      address = keystore.address;
+    }
+    if (!ethers.isAddress(address)) {
+      throw new CliError('INVALID_ARGUMENT', `Invalid address "${address}".`, { exitCode: EXIT_CODES.USAGE });
+    }
+    const tokens = getWalletTokens(config, options);
 
-/**
- * 1. INIT
- * Initializes the project by creating .mantlepush.json
- */
-program
-  .command('init')
-  .description('Initialize MantleForge deployment pipeline for this repository')
-  .action(async () => {
-    // Check for both old and new config file names
-    const oldConfigFile = '.gitagent.json';
-    const hasOldConfig = fs.existsSync(oldConfigFile);
-    const hasNewConfig = fs.existsSync(CONFIG_FILE);
-    
-    if (hasNewConfig) {
-      const existingConfig = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
-      console.log(chalk.yellow(`This project is already initialized.`));
-      console.log(chalk.cyan(`Current repository: ${existingConfig.repo_url}`));
-      console.log(chalk.yellow(`\nTo reinitialize with a different repository, delete ${CONFIG_FILE} first.`));
-      return;
+    const network = await connectWalletChain(options);
+    note(chalk.cyan(`💰 Reading balances of ${address} on ${network.name}...`));
+    let balances;
+    try {
+      balances = await chain.getBalances(network.provider, address, { currency: network.currency, tokens });
+    } catch (err) {
+      throw new CliError('RPC_ERROR', `Error reading balances from ${network.name}: ${err.shortMessage || err.message}`, { exitCode: EXIT_CODES.BACKEND });
+    } finally {
+      network.provider.destroy();
     }
-    
-    // Migrate from old config file if it exists, but still prompt to confirm/change
-    if (hasOldConfig) {
-      const oldConfig = JSON.parse(fs.readFileSync(oldConfigFile, 'utf8'));
-      console.log(chalk.yellow(`Found old config file (${oldConfigFile}).`));
-      console.log(chalk.cyan(`Current repository: ${oldConfig.repo_url}`));
-      console.log(chalk.yellow(`\nDo you want to keep this repository or change it?`));
-      
-      const answers = await prompt([
-        {
-          type: 'input',
-          name: 'repo_url',
-          message: 'What is your GitHub repository URL (e.g., https://github.com/user/repo.git)?',
-          default: oldConfig.repo_url || shell.exec('git remote get-url origin', { silent: true }).stdout.trim(),
-        }
-      ]);
 
-      if (!answers.repo_url) {
-        console.error(chalk.red('Error: Repository URL is required.'));
-        return;
+    const result = {
+      branch: branch_name,
+      address: ethers.getAddress(address),
+      chain: { chain_id: network.chain_id, name: network.name, rpc_url: network.rpc_url },
+      url: network.explorer_url ? `${network.explorer_url}/address/${ethers.getAddress(address)}` : null,
+      balances,
+    };
+    printResult(result, () => {
+      const rows = balances.map(b => ({
+        asset: chalk.bold(b.symbol),
+        balance: BigInt(b.balance_raw) > 0n ? b.balance : chalk.gray(b.balance),
+        token: b.token || chalk.gray('native'),
+      }));
+      console.log(renderTable([
+        { key: 'asset', label: 'Asset' },
+        { key: 'balance', label: 'Balance', align: 'right' },
+        { key: 'token', label: 'Token', optional: true },
+      ], rows, { title: `${branch_name} wallet` }));
+      console.log(`  ${result.address} on ${network.name}`);
+      if (result.url) console.log(chalk.gray(`  ${result.url}`));
+      if (BigInt(balances[0].balance_raw) === 0n) {
+        console.log(chalk.yellow(`\n⚠️  The wallet has no ${network.currency} for gas; the agent cannot trade until it is funded.`));
       }
+    });
+  });
 
-      const config = { repo_url: answers.repo_url };
-      fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
-      
-      // Remove old config file after successful migration
-      if (fs.existsSync(oldConfigFile)) {
-        fs.unlinkSync(oldConfigFile);
-      }
-      
-      console.log(chalk.green(`✅ ${CONFIG_FILE} created.`));
-      if (answers.repo_url !== oldConfig.repo_url) {
-        console.log(chalk.green(`✅ Repository URL updated from old config.`));
-      } else {
-        console.log(chalk.green(`✅ Migrated from ${oldConfigFile} to ${CONFIG_FILE}`));
-      }
-      
-      // Continue with next steps (same as new initialization)
-      console.log('');
-      console.log(chalk.bold('📋 Next Steps:'));
-      console.log('');
-      
-      const repoUrl = answers.repo_url;
-      const oauthUrl = `https://mantle-git-agent.onrender.com/auth/github?repo_url=${encodeURIComponent(repoUrl)}`;
-      
-      console.log(chalk.cyan('🚀 Option A: Automatic Webhook Configuration (Recommended)'));
-      console.log(`   Visit: ${chalk.underline(oauthUrl)}`);
-      console.log(`   Authorize GitHub to automatically set up deployment webhooks`);
-      console.log('');
-      
-      console.log(chalk.yellow('⚙️  Option B: Manual Webhook Configuration'));
-      console.log(`   Navigate to: GitHub → ${answers.repo_url.split('/').slice(-2).join('/')} → Settings → Webhooks`);
-      console.log(`   Webhook URL: ${chalk.cyan('https://mantle-git-agent.onrender.com/webhook/github/push')}`);
-      console.log(`   Content type: ${chalk.cyan('application/json')}`);
-      console.log(`   Events: ${chalk.cyan('Just the push event')}`);
-      console.log('');
-      
-      console.log(chalk.bold('🔐 Configure Agent Secrets:'));
-      console.log(`   ${chalk.cyan('mantle-forge secrets set GROQ_API_KEY=your-key-here')}`);
-      console.log(`   ${chalk.cyan('mantle-forge secrets set AGENT_PRIVATE_KEY=0x...')}`);
-      console.log(`   These secrets are encrypted and securely stored for each branch`);
-      console.log('');
-      
-      console.log(chalk.bold('🚀 Deploy to Mantle Sepolia:'));
-      console.log(`   ${chalk.cyan('git push origin main')}`);
-      console.log(`   Each push automatically deploys a new smart contract on Mantle Sepolia testnet`);
-      console.log(`   Your agent will be live on-chain within 30 seconds!`);
-      console.log('');
-      
-      console.log(chalk.bold('📊 Monitor Your Agents:'));
-      console.log(`   ${chalk.cyan('mantle-forge stats')} - View real-time performance metrics`);
-      console.log(`   ${chalk.cyan('mantle-forge logs')} - Stream live agent decision logs`);
-      console.log(`   Web Dashboard: ${chalk.underline('https://mantle-git-agent.onrender.com/dashboard')}`);
-      
-      return;
-    }
+// WALLET ROTATE - New key, funds moved, secret updated, agent restarted
+walletCommand
+  .command('rotate [branch]')
+  .description(`Replace the agent key: move the funds to a new key, update ${AGENT_KEY_SECRET} and restart the agent`)
+  .option('--token <address>', 'ERC-20 token to move as well (repeatable; adds to wallet.tokens)', collectTokens, [])
+  .option('--rpc-url <url>', 'JSON-RPC endpoint (default: the profile or backend RPC)')
+  .option('--no-transfer', 'Do not move funds to the new key')
+  .option('--no-restart', 'Do not restart the agent afterwards')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action(async (branchArg, options) => {
+    const config = getConfig();
+    const branch_name = branchArg || getCurrentBranch();
+    const tokens = getWalletTokens(config, options);
+    const { wallet: oldWallet, keystore, password } = await loadWallet(config.repo_url, branch_name);
 
-    const answers = await prompt([
-      {
-        type: 'input',
-        name: 'repo_url',
-        message: 'What is your GitHub repository URL (e.g., https://github.com/user/repo.git)?',
-        default: shell.exec('git remote get-url origin', { silent: true }).stdout.trim(),
+    let network = null;
+    let balances = [];
+    if (options.transfer) {
+      network = await connectWalletChain(options);
+      try {
+        balances = await chain.getBalances(network.provider, oldWallet.address, { currency: network.currency, tokens });
+      } catch (err) {
+        network.provider.destroy();
+        throw new CliError('RPC_ERROR', `Error reading balances from ${network.name}: ${err.shortMessage || err.message}`, { exitCode: EXIT_CODES.BACKEND });
       }
-    ]);
+    }
 
-    if (!answers.repo_url) {
-      console.error(chalk.red('Error: Repository URL is required.'));
+    note(chalk.bold(`\n🔄 Rotating the agent key of ${branch_name}`));
+    note(`   Current address: ${oldWallet.address}`);
+    if (options.transfer) {
+      note(`   Funds to move:   ${balances.map(b => `${b.balance} ${b.symbol}`).join(', ')} ${chalk.gray(`on ${network.name}`)}`);
+    }
+    note(`   Then:            update ${AGENT_KEY_SECRET}${options.restart ? ' and restart the agent' : ''}`);
+    if (!(await confirmAction(`Rotate the agent key of ${branch_name}?`, options))) {
+      network?.provider.destroy();
+      note(chalk.yellow('Aborted.'));
       return;
     }
 
-    const config = { repo_url: answers.repo_url };
-    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+    const steps = newAddress => ({
+      encrypt: chalk.gray('   Encrypting keystore (this takes a few seconds)...'),
+      upload: chalk.cyan(`🔐 Uploading the new ${AGENT_KEY_SECRET}...`),
+      transfer: chalk.cyan(`💸 Moving funds to ${newAddress}...`),
+      restart: chalk.cyan(`🔄 Restarting the agent for ${branch_name}...`),
+    });
+    let rotated;
+    try {
+      rotated = await wallet.rotateWallet(getClient(), config.repo_url, branch_name, {
+        wallet: oldWallet,
+        keystore,
+        password,
+        publicKey: await getSecretsPublicKey(config),
+        provider: network?.provider,
+        balances,
+        restart: options.restart,
+        onStep: (step, newAddress) => note(steps(newAddress)[step]),
+      });
+    } finally {
+      network?.provider.destroy();
+    }
+    const { new_address: newAddress, backup_keystore: backup, transfers, restarted } = rotated;
 
-    console.log(chalk.green(`✅ ${CONFIG_FILE} created.`));
-    console.log('');
-    console.log(chalk.bold('📋 Next Steps:'));
-    console.log('');
-    
-    // Show OAuth URL for automatic setup
-    const repoUrl = answers.repo_url;
-    const oauthUrl = `https://mantle-git-agent.onrender.com/auth/github?repo_url=${encodeURIComponent(repoUrl)}`;
-    
-    console.log(chalk.cyan('🚀 Option A: Automatic Webhook Configuration (Recommended)'));
-    console.log(`   Visit: ${chalk.underline(oauthUrl)}`);
-    console.log(`   Authorize GitHub to automatically set up deployment webhooks`);
-    console.log('');
-    
-    console.log(chalk.yellow('⚙️  Option B: Manual Webhook Configuration'));
-    console.log(`   Navigate to: GitHub → ${answers.repo_url.split('/').slice(-2).join('/')} → Settings → Webhooks`);
-    console.log(`   Webhook URL: ${chalk.cyan('https://mantle-git-agent.onrender.com/webhook/github/push')}`);
-    console.log(`   Content type: ${chalk.cyan('application/json')}`);
-    console.log(`   Events: ${chalk.cyan('Just the push event')}`);
-    console.log('');
-    
-    console.log(chalk.bold('🔐 Configure Agent Secrets:'));
-    console.log(`   ${chalk.cyan('mantle-forge secrets set GROQ_API_KEY=your-key-here')}`);
-    console.log(`   ${chalk.cyan('mantle-forge secrets set AGENT_PRIVATE_KEY=0x...')}`);
-    console.log(`   These secrets are encrypted and securely stored for each branch`);
-    console.log('');
-    
-    console.log(chalk.bold('🚀 Deploy to Mantle Sepolia:'));
-    console.log(`   ${chalk.cyan('git push origin main')}`);
-    console.log(`   Each push automatically deploys a new smart contract on Mantle Sepolia testnet`);
-    console.log(`   Your agent will be live on-chain within 30 seconds!`);
-    console.log('');
-    
-    console.log(chalk.bold('📊 Monitor Your Agents:'));
-    console.log(`   ${chalk.cyan('mantle-forge stats')} - View real-time performance metrics`);
-    console.log(`   ${chalk.cyan('mantle-forge logs')} - Stream live agent decision logs`);
-    console.log(`   Web Dashboard: ${chalk.underline('https://mantle-git-agent.onrender.com/dashboard')}`);
+    const result = { branch: branch_name, ...rotated };
+    printResult(result, () => {
+      console.log(chalk.green(`✅ Rotated the agent key of ${branch_name}`));
+      console.log(`   New address: ${chalk.cyan(newAddress)}`);
+      transfers.forEach(t => console.log(`   Moved ${t.amount} ${t.symbol} ${chalk.gray(`(tx ${t.tx_hash})`)}`));
+      console.log(chalk.gray(`   Old keystore kept at ${backup}`));
+      if (!restarted) {
+        console.log(chalk.yellow(`   The agent still runs with the old key until you run ${chalk.cyan(`mantle-forge restart ${branch_name}`)}`));
+      }
+    });
   });
 
 /**
- * 2. SECRETS - Create a command group for secrets
+ * 22. DOCTOR
+ * Checks each step from git remote to running agent and suggests fixes
  */
-const secretsCommand = program
-  .command('secrets')
-  .description('Manage secrets for the current branch');
+program
+  .command('doctor [branch]')
+  .description('Diagnose the setup step by step: git, config, backend, webhook, agent, secrets and RPC')
+  .action(async (branchArg) => {
+    note(chalk.bold('\n🩺 MantleForge doctor\n'));
+    const report = await doctor.runDoctor(getClient(), {
+      branch: branchArg || null,
+      backend: resolveBackend(),
+      auth: getAuthToken(),
+      configFile: CONFIG_FILE,
+      loadConfig: () => (readProjectConfig() ? loadConfig() : null),
+      resolveChain: () => resolveChain({}, { requireFactory: false }),
+    }, {
+      onCheck: (check) => {
+        const { icon, color } = DOCTOR_STATUS[check.status];
+        note(`  ${color(icon)} ${padWithAnsi(chalk.bold(check.name), 24)} ${check.status === 'skip' ? chalk.gray(check.message) : check.message}`);
+        check.hints.forEach(hint => note(chalk.yellow(`      → ${highlightCommands(hint)}`)));
+      },
+    });
 
-// SECRETS SET - Set a secret
-secretsCommand
-  .command('set <KEY_VALUE>')
-  .description('Set a secret for the current branch (e.g., KEY=VALUE)')
-  .action(async (keyValue) => {
-    // Handle the case where commander might parse this incorrectly
-    const fullCommand = process.argv.slice(2).join(' ');
-    const match = fullCommand.match(/secrets set (.+)/);
-    
-    if (!match) {
-      console.error(chalk.red('Error: Invalid format. Use KEY=VALUE'));
-      return;
-    }
-    
-    const keyValueStr = match[1];
-    const [key, ...valueParts] = keyValueStr.split('=');
-    const value = valueParts.join('=');
+    const { checks } = report;
+    const result = {
+      branch: report.branch,
+      repo_url: report.repo_url,
+      backend: getApiBaseUrl(),
+      backend_version: report.backend_version,
+      checks: checks.map(check => ({ ...check, message: stripAnsi(check.message), hints: check.hints.map(hint => stripAnsi(highlightCommands(hint))) })),
+      summary: report.summary,
+      ok: report.ok,
+    };
+    printResult(result, () => {
+      const { summary } = result;
+      const parts = [chalk.green(`${summary.passed} passed`), summary.warnings && chalk.yellow(`${summary.warnings} warnings`), summary.failed && chalk.red(`${summary.failed} failed`), summary.skipped && chalk.gray(`${summary.skipped} skipped`)];
+      console.log(`\n${result.ok ? '✅' : '❌'} ${parts.filter(Boolean).join(', ')}`);
+    }, () => {
+      checks.forEach(check => console.log(`${check.status}\t${check.id}\t${stripAnsi(check.message)}`));
+    });
 
-    if (!key || !value) {
-      console.error(chalk.red('Error: Invalid format. Use KEY=VALUE'));
-      return;
+    if (!result.ok) {
+      process.exitCode = EXIT_CODES.ERROR;
     }
+  });
 
-    const config = getConfig();
-    const branch_name = getCurrentBranch();
+/**
+ * 23. CONFIG - Create a command group for .mantlepush.json
+ */
+const configCommand = program
+  .command('config')
+  .description(`Read, change, validate and migrate ${CONFIG_FILE}`);
 
-    try {
-      console.log(chalk.cyan(`Setting secret ${key} for branch ${branch_name}...`));
-      await axios.post(`${API_BASE_URL}/api/secrets`, {
-        repo_url: config.repo_url,
-        branch_name: branch_name,
-        key: key,
-        value: value,
+// Formats a setting for display: JSON for lists and sections
+const formatConfigValue = value => (typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value));
+
+// CONFIG GET - One setting, or the whole config
+configCommand
+  .command('get [key]')
+  .description('Show a setting (dotted path, e.g. watch.interval), or the whole config')
+  .action((key) => {
+    const config = getConfig();
+    if (!key) {
+      printResult(config, () => {
+        console.log(JSON.stringify(config, null, 2));
+      });
+      return;
+    }
+    const value = configSchema.getValue(config, key);
+    if (value === undefined) {
+      throw new CliError('CONFIG_KEY_NOT_SET', `${key} is not set in ${CONFIG_FILE}.`, {
+        exitCode: EXIT_CODES.NOT_FOUND,
+        hints: configSchema.findField(key) ? [] : [`Known settings: ${configSchema.CONFIG_FIELDS.filter(f => f.type !== 'section').map(f => f.path).join(', ')}`],
       });
-      console.log(chalk.green(`✅ Secret ${key} set.`));
-    } catch (err) {
-      console.error(chalk.red(`Error setting secret: ${err.response?.data?.error || err.message}`));
     }
+    printResult({ key, value }, () => {
+      console.log(formatConfigValue(value));
+    }, () => {
+      console.log(formatConfigValue(value));
+    });
   });
 
-// SECRETS CHECK - Check which secrets are set
-secretsCommand
-  .command('check')
-  .description('Check which required secrets are set for the current branch')
-  .action(async () => {
-    const config = getConfig();
-    const branch_name = getCurrentBranch();
-    const branch_hash = calculateBranchHash(config.repo_url, branch_name);
-
+// CONFIG SET - Change one setting, validating the result before writing
+configCommand
+  .command('set <key> <value>')
+  .description('Change a setting; lists and rules take JSON, e.g. wallet.tokens \'["0x..."]\'')
+  .action((key, rawValue) => {
+    const field = configSchema.findField(key);
+    if (!field || key === 'version') {
+      throw new CliError('INVALID_ARGUMENT', `Unknown setting "${key}".`, {
+        exitCode: EXIT_CODES.USAGE,
+        hints: [`Settings: ${configSchema.CONFIG_FIELDS.filter(f => f.type !== 'section' && f.path !== 'version').map(f => f.path).join(', ')}`],
+      });
+    }
+    const config = getWritableConfig();
+    let value;
     try {
-      console.log(chalk.cyan(`🔍 Checking secrets for branch: ${chalk.bold(branch_name)}...`));
-      const { data } = await axios.get(`${API_BASE_URL}/api/secrets/check/${branch_hash}`);
-      
-      console.log(chalk.bold(`\n--- Secrets Status for ${branch_name} ---`));
-      
-      // Required secrets
-      console.log(chalk.bold('\n📋 Required Secrets:'));
-      data.secrets.required.forEach(secret => {
-        const status = secret.set ? chalk.green('✅ Set') : chalk.red('❌ Missing');
-        console.log(`  ${status} ${chalk.bold(secret.key)}`);
+      value = configSchema.parseValue(field, rawValue);
+    } catch (err) {
+      throw new CliError('INVALID_ARGUMENT', err.message, { exitCode: EXIT_CODES.USAGE });
+    }
+    const updated = configSchema.setValue(config, key, value);
+    const { errors } = configSchema.validateConfig(updated);
+    if (errors.length > 0) {
+      throw new CliError('INVALID_ARGUMENT', `Not saved: ${errors[0].path} ${errors[0].message}.`, {
+        exitCode: EXIT_CODES.USAGE,
+        hints: [...errors.slice(1).map(error => `${error.path} ${error.message}`), `${field.path}: ${field.description}`],
       });
-      
-      // Optional secrets
-      if (data.secrets.optional.length > 0) {
-        console.log(chalk.bold('\n⚙️  Optional Secrets:'));
-        data.secrets.optional.forEach(secret => {
-          const status = secret.set ? chalk.cyan('✓ Set') : chalk.gray('○ Not set');
-          console.log(`  ${status} ${secret.key}`);
-        });
+    }
+    saveConfig(updated);
+    printResult({ key, value, file: CONFIG_FILE }, () => {
+      console.log(chalk.green(`✅ ${key} = ${formatConfigValue(value)}`));
+      if (key === 'repo_url') {
+        console.log(chalk.yellow(`   Agents are identified by repo_url: push again to deploy under ${value}.`));
       }
-      
-      // Overall status
-      console.log(chalk.bold('\n📊 Status:'));
-      if (data.all_required_set) {
-        console.log(chalk.green(`  ✅ All required secrets are set! Agent is ready to run.`));
+    });
+  });
+
+// CONFIG VALIDATE - Check the file against the schema without changing it
+configCommand
+  .command('validate')
+  .description(`Check ${CONFIG_FILE} against the config schema`)
+  .action(() => {
+    const project = readProjectConfig();
+    if (!project) {
+      throw notConfiguredError();
+    }
+    const stored = project.config;
+    const isObject = stored !== null && typeof stored === 'object' && !Array.isArray(stored);
+    const version = isObject && Number.isInteger(stored.version) ? stored.version : 0;
+    const migration = isObject && version <= configSchema.CONFIG_VERSION ? configSchema.migrateConfig(stored) : null;
+    // Files awaiting migration are validated as they will be after it
+    const { errors, warnings } = configSchema.validateConfig(migration ? migration.config : stored);
+    if (version > configSchema.CONFIG_VERSION) {
+      errors.unshift({ path: 'version', message: `is ${version}; this CLI supports up to ${configSchema.CONFIG_VERSION}` });
+    }
+    const pending = [...(migration?.changes || [])];
+    if (project.file !== CONFIG_FILE) pending.unshift(`rename ${project.file} to ${CONFIG_FILE}`);
+
+    const result = {
+      file: project.file,
+      version,
+      latest_version: configSchema.CONFIG_VERSION,
+      valid: errors.length === 0,
+      errors,
+      warnings,
+      pending_migrations: pending,
+    };
+    printResult(result, () => {
+      if (result.valid) {
+        console.log(chalk.green(`✅ ${project.file} is valid (config version ${version})`));
       } else {
-        console.log(chalk.red(`  ❌ Missing required secrets: ${chalk.bold(data.missing.join(', '))}`));
-        console.log(chalk.yellow(`\n💡 Set missing secrets with:`));
-        data.missing.forEach(key => {
-          console.log(chalk.cyan(`     mantle-forge secrets set ${key}=<your-value>`));
-        });
+        console.log(chalk.red(`❌ ${project.file} has ${errors.length} error${errors.length === 1 ? '' : 's'}:`));
+        errors.forEach(error => console.log(chalk.red(`   ${error.path} ${error.message}`)));
       }
-      
-    } catch (err) {
-      if (err.response?.status === 404) {
-        console.error(chalk.red(`Agent not found for branch "${branch_name}"`));
-        console.log(chalk.yellow(`  → Make sure you've pushed this branch: ${chalk.cyan(`git push origin ${branch_name}`)}`));
-      } else {
-        console.error(chalk.red(`Error checking secrets: ${err.response?.data?.error || err.message}`));
+      warnings.forEach(warning => console.log(chalk.yellow(`   ⚠️  ${warning.path} ${warning.message}`)));
+      if (pending.length > 0) {
+        console.log(chalk.yellow(`\n   Pending migrations (apply with ${chalk.cyan('mantle-forge config migrate')}):`));
+        pending.forEach(change => console.log(chalk.yellow(`   - ${change}`)));
       }
+    });
+    if (!result.valid) {
+      process.exitCode = EXIT_CODES.USAGE;
+    }
+  });
+
+// CONFIG MIGRATE - Rewrite the file at the current schema version
+configCommand
+  .command('migrate')
+  .description(`Update ${CONFIG_FILE} to the current config version`)
+  .option('--dry-run', 'Only show the changes')
+  .action((options) => {
+    const config = getConfig({ warnOutdated: false });
+    const project = readProjectConfig();
+    const { from, changes } = configSchema.migrateConfig(project.config);
+    if (project.file !== CONFIG_FILE) changes.unshift(`rename ${project.file} to ${CONFIG_FILE}`);
+
+    const written = changes.length > 0 && !options.dryRun;
+    if (written) {
+      saveConfig(config);
+      if (project.file !== CONFIG_FILE) fs.unlinkSync(project.file);
     }
+    const result = { file: CONFIG_FILE, from_version: from, to_version: configSchema.CONFIG_VERSION, changes, written };
+    printResult(result, () => {
+      if (changes.length === 0) {
+        console.log(chalk.green(`✅ ${CONFIG_FILE} is up to date (config version ${from})`));
+        return;
+      }
+      console.log(chalk.bold(`${options.dryRun ? 'Would migrate' : 'Migrated'} ${project.file} from config version ${from} to ${configSchema.CONFIG_VERSION}:`));
+      changes.forEach(change => console.log(`   - ${change}`));
+      if (written) console.log(chalk.cyan(`\n💡 Commit ${CONFIG_FILE} so the whole team uses the new format.`));
+    });
   });
 
 /**
- * 4. STATS
- * Gets stats for the current branch
+ * 24. PLAN
+ * Diffs the strategy settings declared in mantle-forge.strategy.json against the backend's
  */
 program
-  .command('stats')
-  .description('View real-time performance metrics for your Mantle agent')
-  .action(async () => {
+  .command('plan [branches...]')
+  .description(`Show how the backend's strategy settings differ from ${strategy.STRATEGY_FILE}`)
+  .option('-a, --all', 'Plan every branch declared in the file')
+  .action(async (branchArgs, options) => {
     const config = getConfig();
-    const branch_name = getCurrentBranch();
+    const doc = readStrategyFile();
+    const branches = getStrategyBranches(doc, branchArgs, options);
 
-    console.log(chalk.cyan(`📊 Fetching stats for ${branch_name}...`));
-    const result = await getStats(config.repo_url, branch_name);
-
-    if (!result) {
-      console.log(chalk.yellow(`\n⚠️  Could not fetch stats for "${branch_name}"`));
-      console.log(chalk.yellow(`   The agent may not be deployed yet, or there was an error.`));
-      return;
-    }
-
-    if (result && result.stats) {
-      const s = result.stats;
-      const totalDecisions = s.total_decisions || 0;
-      
-      console.log(chalk.bold(`\n--- Mantle Agent Performance: ${branch_name} ---`));
-      console.log(chalk.green(`  Total Decisions:  ${totalDecisions}`));
-      console.log(chalk.cyan(`  BUY Signals:     ${s.buy_count || 0}`));
-      console.log(chalk.yellow(`  HOLD Signals:    ${s.hold_count || 0}`));
-      console.log(chalk.magenta(`  Trades Executed: ${s.trades_executed || 0}`));
-      
-      if (totalDecisions === 0) {
-      console.log(chalk.yellow(`\n⚠️  No trading decisions recorded yet.`));
-      console.log(chalk.yellow(`   → Check agent status: ${chalk.cyan('mantle-forge logs')}`));
-      console.log(chalk.yellow(`   → Verify the agent process is running on MantleForge backend`));
-        return;
-      }
-      
-      if (s.avg_price) {
-        console.log(`\n  Price Statistics:`);
-        console.log(`    Average: $${parseFloat(s.avg_price).toFixed(4)}`);
-        console.log(`    Min:     $${parseFloat(s.min_price).toFixed(4)}`);
-        console.log(`    Max:     $${parseFloat(s.max_price).toFixed(4)}`);
-      }
-      
-      if (s.first_decision && s.last_decision) {
-        console.log(`\n  Activity:`);
-        console.log(`    First Decision: ${s.first_decision}`);
-        console.log(`    Last Decision:  ${s.last_decision}`);
-      }
-      
-      if (s.trades_executed > 0 && totalDecisions > 0) {
-        const successRate = ((s.trades_executed / totalDecisions) * 100).toFixed(1);
-        console.log(chalk.green(`\n  Success Rate: ${successRate}%`));
+    note(chalk.cyan(`🔍 Comparing ${strategy.STRATEGY_FILE} with the backend...`));
+    const plans = await strategy.planStrategy(getClient(), config.repo_url, doc, branches);
+    const result = { file: strategy.STRATEGY_FILE, branches: plans, in_sync: plans.every(plan => plan.in_sync) };
+    printResult(result, () => {
+      noteStrategyPlan(plans);
+      const total = plans.reduce((sum, plan) => sum + plan.changes.length, 0);
+      if (result.in_sync) {
+        console.log(chalk.green(`✅ The backend matches ${strategy.STRATEGY_FILE}.`));
+      } else {
+        console.log(chalk.yellow(`${total} change${total === 1 ? '' : 's'} to apply. Run ${chalk.cyan(`mantle-forge apply${options.all ? ' --all' : ` ${branches.join(' ')}`}`)} to push them.`));
       }
-    } else {
-      console.log(chalk.yellow('No performance metrics available yet. The agent needs to make trading decisions first.'));
-    }
+    }, () => {
+      plans.forEach(plan => plan.changes.forEach(change => console.log(`${plan.branch}\t${change.action}\t${change.key}\t${JSON.stringify(change.to)}`)));
+    });
   });
 
 /**
- * 5. LOGS
- * Gets logs for the current branch
+ * 25. APPLY
+ * Pushes the declared strategy settings to the backend
  */
 program
-  .command('logs')
-  .description('Stream real-time logs from your Mantle agent process')
-  .action(async () => {
+  .command('apply [branches...]')
+  .description(`Push the strategy settings in ${strategy.STRATEGY_FILE} to the backend`)
+  .option('-a, --all', 'Apply every branch declared in the file')
+  .option('--restart', 'Restart each changed agent so it picks up the settings')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action(async (branchArgs, options) => {
     const config = getConfig();
-    const branch_name = getCurrentBranch();
+    const doc = readStrategyFile();
+    const branches = getStrategyBranches(doc, branchArgs, options);
 
-    try {
-      console.log(chalk.cyan(`Fetching logs for ${branch_name}...`));
-      const url = `${API_BASE_URL}/api/logs/${encodeURIComponent(config.repo_url)}/${encodeURIComponent(branch_name)}`;
-      const { data } = await axios.get(url);
+    note(chalk.cyan(`🔍 Comparing ${strategy.STRATEGY_FILE} with the backend...`));
+    const plans = await strategy.planStrategy(getClient(), config.repo_url, doc, branches);
+    const changed = plans.filter(plan => !plan.in_sync);
+    noteStrategyPlan(plans);
 
-      console.log(chalk.bold(`--- Recent Agent Logs: ${branch_name} (Last 50 entries) ---`));
-      if (data.logs && data.logs.length > 0) {
-        data.logs.forEach(line => console.log(line));
-      } else {
-        console.log(chalk.yellow('No logs found.'));
+    const result = {
+      file: strategy.STRATEGY_FILE,
+      branches: plans.map(plan => ({ branch: plan.branch, changes: plan.changes, applied: false, restarted: false })),
+    };
+    if (changed.length === 0) {
+      printResult(result, () => console.log(chalk.green(`✅ The backend already matches ${strategy.STRATEGY_FILE}.`)));
+      return;
+    }
+    const names = changed.map(plan => plan.branch).join(', ');
+    if (!await confirmAction(`Apply these settings to ${names}${options.restart ? ' and restart the agents' : ''}?`, options)) {
+      note(chalk.yellow('Cancelled.'));
+      return;
+    }
+
+    for (const plan of changed) {
+      const entry = result.branches.find(item => item.branch === plan.branch);
+      note(chalk.cyan(`📝 Updating ${plan.branch}...`));
+      await getClient().putSettings(config.repo_url, plan.branch, plan.declared);
+      entry.applied = true;
+      if (options.restart) {
+        note(chalk.cyan(`🔄 Restarting the agent for ${plan.branch}...`));
+        await getClient().agentAction(config.repo_url, plan.branch, 'restart');
+        entry.restarted = true;
       }
-    } catch (err) {
-      console.error(chalk.red(`Error fetching logs: ${err.response?.data?.error || err.message}`));
     }
+
+    printResult(result, () => {
+      console.log(chalk.green(`✅ Applied ${strategy.STRATEGY_FILE} to ${names}.`));
+      if (!options.restart) {
+        console.log(chalk.cyan(`\n💡 Agents pick up new settings when they restart: ${changed.map(plan => `mantle-forge restart ${plan.branch}`).join(', ')}`));
+      }
+    });
   });
 
 /**
- * 6. RESTART
- * Restarts the agent for the current branch
+ * 26. WEBHOOK - Create a command group for the repository's push webhook
  */
-program
-  .command('restart')
-  .description('Restart the Mantle agent for the current branch')
-  .action(async () => {
+const webhookCommand = program
+  .command('webhook')
+  .description('Install, verify and test the push webhook that deploys each branch')
+  .addHelpText('after', `
+The git host is detected from repo_url (github.com, gitlab.*, gitea.*, forgejo.*, codeberg.org);
+name it with --provider or webhook.provider otherwise. Host tokens are read from
+MANTLE_FORGE_GIT_TOKEN, GITHUB_TOKEN / GH_TOKEN, GITLAB_TOKEN or GITEA_TOKEN.`);
+
+const providerOption = () => new Option('--provider <provider>', 'Git host (default: webhook.provider, or detected from repo_url)').choices(Object.keys(webhooks.PROVIDERS));
+const gitApiUrlOption = () => new Option('--git-api-url <url>', 'Git host REST API URL (default: MANTLE_FORGE_GIT_API_URL, webhook.api_url or the host\'s own)');
+
+// WEBHOOK INSTALL - Creates the webhook, or repairs an existing one
+webhookCommand
+  .command('install')
+  .description('Create the push webhook on the git host (an existing one is updated)')
+  .addOption(providerOption())
+  .addOption(gitApiUrlOption())
+  .action(async (options) => {
     const config = getConfig();
-    const branch_name = getCurrentBranch();
-    const branch_hash = calculateBranchHash(config.repo_url, branch_name);
+    const host = resolveGitHost(config, options);
+    const token = await getGitHostToken(host);
+    const secret = await webhooks.resolveWebhookSecret(getClient(), config.repo_url, host.provider, { secret: process.env.MANTLE_FORGE_WEBHOOK_SECRET });
 
-    try {
-      console.log(chalk.cyan(`🔄 Restarting agent for branch: ${chalk.bold(branch_name)}...`));
-      const url = `${API_BASE_URL}/api/agents/branch/${branch_hash}/restart`;
-      const { data } = await axios.post(url);
-
-      if (data.success) {
-        console.log(chalk.green(`✅ Agent restarted successfully!`));
-        console.log(chalk.gray(`   Branch: ${data.agent?.branch_name || branch_name}`));
-        console.log(chalk.gray(`   Repository: ${data.agent?.repo_url || config.repo_url}`));
-        console.log(chalk.cyan(`\n💡 The agent will reload with the latest code and secrets.`));
+    note(chalk.cyan(`🔍 Looking for an existing webhook on ${host.adapter.name} ${host.repo.path}...`));
+    const { hook, created } = await webhooks.installHook(host, token, secret);
+
+    const result = { provider: host.provider, repo: host.repo.path, api_url: host.api_url, hook, created };
+    printResult(result, () => {
+      console.log(chalk.green(`✅ ${created ? 'Installed' : 'Updated'} the push webhook on ${host.adapter.name} ${host.repo.path}`));
+      console.log(chalk.cyan(`   ${hook.url || host.hook_url} (id ${hook.id})`));
+      console.log(chalk.cyan(`\n💡 Check it end to end with ${chalk.bold('mantle-forge webhook test')}, then push.`));
+    });
+  });
+
+// WEBHOOK VERIFY - Checks the webhook exists and its recent deliveries succeeded
+webhookCommand
+  .command('verify')
+  .description('Check that the webhook exists, sends push events and that its latest delivery succeeded')
+  .addOption(providerOption())
+  .addOption(gitApiUrlOption())
+  .option('-n, --limit <count>', 'Recent deliveries to check', '10')
+  .action(async (options) => {
+    const limit = parseInt(options.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      throw new CliError('INVALID_ARGUMENT', `Invalid --limit "${options.limit}" (expected 1-100).`, { exitCode: EXIT_CODES.USAGE });
+    }
+    const config = getConfig();
+    const host = resolveGitHost(config, options);
+    const token = await getGitHostToken(host);
+
+    const hook = await webhooks.findRepoHook(host, token);
+    if (!hook) {
+      throw new CliError('WEBHOOK_NOT_FOUND', `${host.adapter.name} ${host.repo.path} has no webhook for ${host.hook_url}.`, {
+        exitCode: EXIT_CODES.NOT_FOUND,
+        hints: [`Install it with ${chalk.cyan('mantle-forge webhook install')}`],
+      });
+    }
+
+    // Deliveries are newest first. Older GitLab servers and Gitea have no
+    // delivery API, so those are reported as unavailable rather than failing.
+    const deliveries = await webhooks.listDeliveries(host, token, hook.id, limit);
+    const problems = webhooks.hookProblems(host, hook, deliveries);
+
+    const result = {
+      provider: host.provider,
+      repo: host.repo.path,
+      hook,
+      deliveries,
+      failed_deliveries: deliveries ? deliveries.filter(delivery => !webhooks.deliverySucceeded(delivery)).length : null,
+      problems,
+      ok: problems.length === 0,
+    };
+    printResult(result, () => {
+      console.log(chalk.cyan(`🔗 ${host.adapter.name} ${host.repo.path} → ${hook.url} (id ${hook.id}, ${hook.active ? 'active' : 'disabled'}, events: ${hook.events.join(', ') || 'none'})`));
+      if (deliveries === null) {
+        console.log(chalk.gray(`   ${host.adapter.name} does not report deliveries here; send one with ${chalk.cyan('mantle-forge webhook test')}`));
+      } else if (deliveries.length === 0) {
+        console.log(chalk.gray(`   No deliveries yet; push, or send one with ${chalk.cyan('mantle-forge webhook test')}`));
       } else {
-        console.log(chalk.yellow(`⚠️  Restart response: ${JSON.stringify(data)}`));
+        const columns = [
+          { key: 'delivered_at', label: 'Delivered' },
+          { key: 'event', label: 'Event' },
+          { key: 'status', label: 'Status' },
+          { key: 'id', label: 'Delivery', optional: true, truncate: true },
+        ];
+        const rows = deliveries.map(delivery => ({
+          delivered_at: delivery.delivered_at || '-',
+          event: delivery.event || '-',
+          status: formatDeliveryStatus(delivery),
+          id: delivery.id,
+        }));
+        console.log(renderTable(columns, rows, { title: `Recent deliveries (${result.failed_deliveries} failed)` }));
       }
-    } catch (err) {
-      const errorMsg = err.response?.data?.error || err.message;
-      if (err.response?.status === 404) {
-        console.error(chalk.red(`Agent not found for branch "${branch_name}"`));
-        console.log(chalk.yellow(`  → Make sure you've pushed this branch: ${chalk.cyan(`git push origin ${branch_name}`)}`));
-        console.log(chalk.yellow(`  → The backend webhook will deploy it automatically`));
+      if (result.ok) {
+        console.log(chalk.green('✅ The webhook is installed and working.'));
       } else {
-        console.error(chalk.red(`Error restarting agent: ${errorMsg}`));
+        problems.forEach(problem => console.log(chalk.red(`❌ ${problem}`)));
+        console.log(chalk.cyan(`\n💡 Re-run ${chalk.bold('mantle-forge webhook install')} to repair it, and check that ${getApiBaseUrl()} is reachable from ${host.repo.host}.`));
       }
+    });
+    if (!result.ok) {
+      process.exitCode = EXIT_CODES.ERROR;
     }
   });
 
-/**
- * 7. COMPARE
- * Compares two branches side-by-side
- */
-program
-  .command('compare <branch1> <branch2>')
-  .description('Compare performance metrics between two agent strategies on Mantle')
-  .action(async (branch1, branch2) => {
+// WEBHOOK TEST - Sends a signed sample push straight to the backend
+webhookCommand
+  .command('test [branch]')
+  .description('Send a signed sample push for a branch to the backend, as the git host would')
+  .addOption(providerOption())
+  .option('--commit <sha>', 'Commit to report (default: the pushed head of the branch)')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .addHelpText('after', '\nThe backend handles the sample like a real push, so it deploys the commit.')
+  .action(async (branchArg, options) => {
     const config = getConfig();
+    const host = resolveGitHost(config, options);
+    const branch = branchArg || getCurrentBranch();
 
-    console.log(chalk.cyan(`📊 Comparing Mantle agent strategies: ${chalk.bold(branch1)} vs ${chalk.bold(branch2)}...`));
-
-    const [result1, result2] = await Promise.all([
-      getStats(config.repo_url, branch1),
-      getStats(config.repo_url, branch2)
-    ]);
-
-    if (!result1 || !result2) {
-      console.error(chalk.red('Could not fetch stats for comparison.'));
-      if (!result1) {
-        console.log(chalk.yellow(`  ${branch1}: Agent not found or error occurred`));
-        console.log(chalk.yellow(`    → Make sure you've pushed: ${chalk.cyan(`git push origin ${branch1}`)}`));
+    let commit;
+    if (options.commit) {
+      commit = getLocalCommit(options.commit) || (/^[0-9a-f]{40}$/i.test(options.commit) ? options.commit.toLowerCase() : null);
+      if (!commit) {
+        throw new CliError('INVALID_ARGUMENT', `Unknown commit "${options.commit}" (use a local ref or a full SHA).`, { exitCode: EXIT_CODES.USAGE });
       }
-      if (!result2) {
-        console.log(chalk.yellow(`  ${branch2}: Agent not found or error occurred`));
-        console.log(chalk.yellow(`    → Make sure you've pushed: ${chalk.cyan(`git push origin ${branch2}`)}`));
+    } else {
+      commit = getLocalCommit(`refs/remotes/origin/${branch}`);
+      if (!commit) {
+        commit = getLocalCommit(`refs/heads/${branch}`);
+        if (!commit) {
+          throw new CliError('NO_GIT_BRANCH', `No branch "${branch}" here or on origin.`, { exitCode: EXIT_CODES.USAGE, hints: ['Pass --commit <sha>'] });
+        }
+        warn(`${branch} is not pushed to origin; the backend may not be able to fetch ${commit.slice(0, 7)}.`);
       }
-      return;
     }
 
-    if (!result1.stats || !result2.stats) {
-      console.log(chalk.yellow('\n⚠️  One or both agents have no metrics yet.'));
-      if (!result1.stats) console.log(chalk.yellow(`  ${branch1}: Waiting for first decision...`));
-      if (!result2.stats) console.log(chalk.yellow(`  ${branch2}: Waiting for first decision...`));
+    if (!await confirmAction(`Send a sample push for ${branch} at ${commit.slice(0, 7)} to ${host.hook_url}? The backend will deploy that commit.`, options)) {
+      note(chalk.yellow('Cancelled.'));
       return;
     }
+    const secret = await webhooks.resolveWebhookSecret(getClient(), config.repo_url, host.provider, { secret: process.env.MANTLE_FORGE_WEBHOOK_SECRET });
+    const delivery = webhooks.signedSamplePush(host.provider, { repo: host.repo, repoUrl: config.repo_url, branch, commit, secret });
+
+    note(chalk.cyan(`📨 Sending a signed ${host.adapter.name} push for ${branch} (${commit.slice(0, 7)})...`));
+    let response;
+    try {
+      response = await getClient().deliverWebhook(host.provider, delivery.body, delivery.headers);
+    } catch (err) {
+      const { status } = err;
+      if (status === 401 || status === 403) {
+        throw new CliError('WEBHOOK_REJECTED', `The backend rejected the delivery's signature (HTTP ${status}).`, {
+          exitCode: EXIT_CODES.AUTH,
+          status,
+          hints: [
+            'The secret used here differs from the one the backend verifies with',
+            `Re-run ${chalk.cyan('mantle-forge webhook install')} so the git host signs with the same secret${process.env.MANTLE_FORGE_WEBHOOK_SECRET ? ', or check MANTLE_FORGE_WEBHOOK_SECRET' : ''}`,
+          ],
+        });
+      }
+      throw toCliError(err, 'Error delivering the sample push');
+    }
 
-    const s1 = result1.stats;
-    const s2 = result2.stats;
+    const result = {
+      provider: host.provider,
+      url: host.hook_url,
+      branch,
+      commit,
+      delivery_id: delivery.delivery_id,
+      status: response.status,
+      response: response.data,
+    };
+    printResult(result, () => {
+      console.log(chalk.green(`✅ The backend accepted the push (HTTP ${response.status}, delivery ${delivery.delivery_id}).`));
+      console.log(chalk.cyan(`\n💡 Follow the deployment with ${chalk.bold(`mantle-forge deploy wait ${branch} --commit ${commit.slice(0, 7)}`)}`));
+    });
+  });
+
+/**
+ * 27. WORKSPACE - Create a command group for the repositories aggregated by --workspace
+ */
+const workspaceCommand = program
+  .command('workspace')
+  .description(`Manage the repositories that --workspace aggregates over (${WORKSPACE_FILE})`);
 
-    // Helper function to strip ANSI codes for width calculation
-    const stripAnsi = (str) => str.replace(/\u001b\[[0-9;]*m/g, '');
-    
-    // Helper function to pad string accounting for ANSI codes
-    const padWithAnsi = (str, width) => {
-      const visibleLength = stripAnsi(str).length;
-      const padding = Math.max(0, width - visibleLength);
-      return str + ' '.repeat(padding);
+// WORKSPACE LIST - Show the repositories and their branch filters
+workspaceCommand
+  .command('list')
+  .description('List the repositories in the workspace')
+  .action(() => {
+    const doc = readWorkspace();
+    const result = {
+      file: WORKSPACE_FILE,
+      repos: doc.repos.map(repo => ({ repo_url: normalizeRepoUrl(repo.repo_url), branches: repo.branches || null })),
     };
 
-    console.log(chalk.bold('\n╔═════════════════════╦═══════════════════════════╦════════════════════════════╗'));
-    const titleText = '  Mantle Agent Strategy Comparison';
-    const titlePadding = 78 - titleText.length; // 77 total width minus title and borders
-    console.log(chalk.bold(`║${titleText}${' '.repeat(titlePadding)}║`));
-    console.log(chalk.bold('╠═════════════════════╬═══════════════════════════╬════════════════════════════╣'));
-    
-    // Create comparison table
-    const metrics = [
-      { label: 'Total Decisions', v1: s1.total_decisions || 0, v2: s2.total_decisions || 0, format: (v) => v.toString() },
-      { label: 'BUY Signals', v1: s1.buy_count || 0, v2: s2.buy_count || 0, format: (v) => chalk.cyan(v.toString()) },
-      { label: 'HOLD Signals', v1: s1.hold_count || 0, v2: s2.hold_count || 0, format: (v) => chalk.yellow(v.toString()) },
-      { label: 'Trades Executed', v1: s1.trades_executed || 0, v2: s2.trades_executed || 0, format: (v) => chalk.magenta(v.toString()) },
-      { label: 'Avg Price', v1: s1.avg_price || 0, v2: s2.avg_price || 0, format: (v) => `$${parseFloat(v).toFixed(4)}` },
-      { label: 'Success Rate', 
-        v1: s1.total_decisions ? ((s1.trades_executed / s1.total_decisions) * 100).toFixed(1) : '0.0', 
-        v2: s2.total_decisions ? ((s2.trades_executed / s2.total_decisions) * 100).toFixed(1) : '0.0',
-        format: (v) => chalk.green(`${v}%`)
-      },
-    ];
+    printResult(result, () => {
+      console.log(chalk.bold('--- Workspace Repositories ---'));
+      if (result.repos.length === 0) {
+        console.log(chalk.yellow(`  None yet. Add one with: ${chalk.cyan('mantle-forge workspace add <repo_url>')}`));
+        return;
+      }
+      result.repos.forEach((repo) => {
+        console.log(`  ${chalk.bold(repo.repo_url)} ${chalk.gray(repo.branches ? `branches: ${repo.branches.join(', ')}` : 'all branches')}`);
+      });
+      console.log(chalk.cyan(`\n💡 Aggregate over them with: mantle-forge stats --workspace`));
+    });
+  });
 
-    // Header row
-    const headerMetric = padWithAnsi('Metric', 19);
-    const header1 = padWithAnsi(chalk.bold(branch1), 27);
-    const header2 = padWithAnsi(chalk.bold(branch2), 27);
-    console.log(`║ ${headerMetric}║ ${header1}║ ${header2}║`);
-    console.log(chalk.bold('╠═════════════════════╬═══════════════════════════╬═══════════════════════════╣'));
-    
-    // Data rows
-    metrics.forEach((m, idx) => {
-      const label = padWithAnsi(m.label, 19);
-      const v1Str = padWithAnsi(m.format(m.v1), 27);
-      const v2Str = padWithAnsi(m.format(m.v2), 27);
-      console.log(`║ ${label}║ ${v1Str}║ ${v2Str}║`);
-    });
-    
-    console.log(chalk.bold('╚═════════════════════╩═══════════════════════════╩════════════════════════════╝'));
-
-    // Determine winner
-    console.log('\n' + chalk.bold('🏆 Performance Analysis:'));
-    if ((s1.trades_executed || 0) > (s2.trades_executed || 0)) {
-      console.log(chalk.green(`  ${branch1} has executed more trades`));
-    } else if ((s2.trades_executed || 0) > (s1.trades_executed || 0)) {
-      console.log(chalk.green(`  ${branch2} has executed more trades`));
+// WORKSPACE ADD - Add a repository, or replace its branch filters
+workspaceCommand
+  .command('add [repo_url]')
+  .description(`Add a repository to the workspace (default: this repository's repo_url)`)
+  .option('-b, --branch <pattern>', 'Only include these branches (repeatable; * matches anything, e.g. exp-*)', collectValues, [])
+  .action((repoArg, options) => {
+    const repo_url = repoArg ? parseRepoArg(repoArg) : getConfig().repo_url;
+    const doc = readWorkspace();
+    const entry = { repo_url, ...(options.branch.length > 0 ? { branches: options.branch } : {}) };
+    const index = doc.repos.findIndex(repo => normalizeRepoUrl(repo.repo_url) === repo_url);
+    const updated = index >= 0;
+    if (updated) {
+      doc.repos[index] = entry;
     } else {
-      console.log(chalk.yellow(`  Both strategies show similar trade execution patterns`));
+      doc.repos.push(entry);
     }
+    saveWorkspace(doc);
 
-    if (s1.total_decisions && s2.total_decisions) {
-      const rate1 = (s1.trades_executed / s1.total_decisions) * 100;
-      const rate2 = (s2.trades_executed / s2.total_decisions) * 100;
-      if (rate1 > rate2) {
-        console.log(chalk.green(`  ${branch1} has better success rate (${rate1.toFixed(1)}% vs ${rate2.toFixed(1)}%)`));
-      } else if (rate2 > rate1) {
-        console.log(chalk.green(`  ${branch2} has better success rate (${rate2.toFixed(1)}% vs ${rate1.toFixed(1)}%)`));
-      }
+    printResult({ repo_url, branches: entry.branches || null, updated, file: WORKSPACE_FILE }, () => {
+      console.log(chalk.green(`✅ ${updated ? 'Updated' : 'Added'} ${repo_url} in ${WORKSPACE_FILE}${entry.branches ? ` (branches: ${entry.branches.join(', ')})` : ''}.`));
+    });
+  });
+
+// WORKSPACE REMOVE - Remove a repository
+workspaceCommand
+  .command('remove <repo_url>')
+  .description('Remove a repository from the workspace')
+  .action((repoArg) => {
+    const repo_url = parseRepoArg(repoArg);
+    const doc = readWorkspace();
+    const repos = doc.repos.filter(repo => normalizeRepoUrl(repo.repo_url) !== repo_url);
+    if (repos.length === doc.repos.length) {
+      throw new CliError('NOT_IN_WORKSPACE', `${repo_url} is not in ${WORKSPACE_FILE}.`, {
+        exitCode: EXIT_CODES.NOT_FOUND,
+        hints: [`See the workspace with ${chalk.cyan('mantle-forge workspace list')}`],
+      });
     }
+    saveWorkspace({ ...doc, repos });
+
+    printResult({ repo_url, removed: true, file: WORKSPACE_FILE }, () => {
+      console.log(chalk.green(`✅ Removed ${repo_url} from ${WORKSPACE_FILE}.`));
+    });
   });
 
 // --- Parse and Run ---
-program.parse(process.argv);
+program.hook('preAction', (thisCommand, actionCommand) => {
+  const names = [];
+  for (let command = actionCommand; command.parent; command = command.parent) {
+    names.unshift(command.name());
+  }
+  runningCommand = names.join(' ');
+  // Colors are for humans: drop them for pipes, NO_COLOR, --no-color and json/yaml
+  if (!process.stdout.isTTY || process.env.NO_COLOR || program.opts().color === false || isMachineFormat()) {
+    chalk.level = 0;
+  }
+  if (EXPORT_FORMATS.includes(getOutputFormat()) && actionCommand.parent !== historyCommand) {
+    throw new CliError('INVALID_ARGUMENT', `--format ${getOutputFormat()} is only supported by history export.`, { exitCode: EXIT_CODES.USAGE });
+  }
+});
+
+program.parseAsync(process.argv).catch(exitWithError);
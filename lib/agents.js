@@ -0,0 +1,47 @@
+// --- Deployed Agents ---
+// Which agents the backend runs for a repository, in the `agents list`
+// schema, and finding an agent registered under another spelling of the
+// repository URL.
+
+const { calculateBranchHash, repoUrlVariants } = require('./repo');
+
+// The `agents list` schema of a backend agent; uptime is derived from
+// started_at when the backend does not report it
+function toAgentListing(agent, repoUrl, currentBranch, now = Date.now()) {
+  const startedAt = agent.started_at ? new Date(agent.started_at).getTime() : null;
+  const status = agent.status ? String(agent.status).toLowerCase() : null;
+  let uptime = agent.uptime_seconds ?? null;
+  if (uptime === null && status === 'running' && startedAt) {
+    uptime = Math.max(0, Math.round((now - startedAt) / 1000));
+  }
+  return {
+    branch: agent.branch_name,
+    branch_hash: agent.branch_hash || calculateBranchHash(repoUrl, agent.branch_name),
+    status,
+    started_at: agent.started_at || null,
+    uptime_seconds: uptime,
+    contract_address: agent.contract_address || null,
+    current: agent.branch_name === currentBranch,
+  };
+}
+
+// Adds every branch with a deployed agent to `branches` (for --all),
+// keeping their order and dropping duplicates
+async function deployedBranches(client, repoUrl, branches = []) {
+  const agents = await client.listAgents(repoUrl);
+  return [...new Set([...branches, ...agents.map(agent => agent.branch_name)])];
+}
+
+// Looks for the agent under other spellings of the repository URL, which
+// older CLI versions registered verbatim. Returns the URL found, or null.
+async function findAlternateRepoUrl(client, repoUrl, branch) {
+  const alternates = repoUrlVariants(repoUrl).filter(url => url !== repoUrl);
+  const found = await Promise.all(alternates.map(url => client.agentExists(calculateBranchHash(url, branch))));
+  return alternates.find((url, i) => found[i]) || null;
+}
+
+module.exports = {
+  toAgentListing,
+  deployedBranches,
+  findAlternateRepoUrl,
+};
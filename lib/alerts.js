@@ -0,0 +1,109 @@
+// --- Watch Alerts ---
+// Evaluates `watch` alert rules against agent snapshots. Pure functions only:
+// polling and webhook delivery are in ./watch, rendering is done by the CLI.
+
+const { repoLabel } = require('./repo');
+
+// Supported rule types, with the settings each one needs
+const RULE_TYPES = {
+  no_decision: { requires: ['for'], description: rule => `no decision for ${rule.for}` },
+  trades_dropped: { requires: [], description: () => 'trades_executed dropped' },
+  drawdown: { requires: ['above'], description: rule => `drawdown > ${rule.above}%` },
+  process_down: { requires: [], description: () => 'agent process not running' },
+};
+
+// Human-readable description of a rule, e.g. "no decision for 10m"
+function describeRule(rule) {
+  return rule.name || RULE_TYPES[rule.type].description(rule);
+}
+
+// Formats a duration in milliseconds as the largest whole unit, e.g. 12m
+function formatAge(ms) {
+  const units = [['d', 86400000], ['h', 3600000], ['m', 60000], ['s', 1000]];
+  const [unit, size] = units.find(([, s]) => ms >= s) || units[units.length - 1];
+  return `${Math.floor(ms / size)}${unit}`;
+}
+
+// Key of a snapshot across polls. Snapshots carry `repo_url` only when
+// several repositories are watched (workspace mode).
+function snapshotKey(snapshot) {
+  return snapshot.repo_url ? `${snapshot.repo_url} ${snapshot.branch}` : snapshot.branch;
+}
+
+// Where an alert fired, e.g. main or org/repo:main
+function alertTarget(alert) {
+  return alert.repo_url ? `${repoLabel(alert.repo_url)}:${alert.branch}` : alert.branch;
+}
+
+// Checks one rule against a branch snapshot. Returns the alert message when
+// the rule fires, otherwise null. `previous` is the branch's snapshot from the
+// last poll (null on the first one).
+function checkRule(rule, snapshot, previous, now) {
+  const { stats, metrics, status } = snapshot;
+  switch (rule.type) {
+    case 'no_decision': {
+      if (!stats?.last_decision) return null;
+      const age = now - new Date(stats.last_decision).getTime();
+      return age > rule.for_ms ? `no decision for ${formatAge(age)} (last at ${stats.last_decision})` : null;
+    }
+    case 'trades_dropped': {
+      const before = previous?.stats?.trades_executed;
+      if (before === undefined || !stats) return null;
+      return stats.trades_executed < before ? `trades_executed dropped from ${before} to ${stats.trades_executed}` : null;
+    }
+    case 'drawdown': {
+      const drawdown = metrics?.max_drawdown_pct;
+      if (drawdown === null || drawdown === undefined) return null;
+      return drawdown > rule.above ? `max drawdown ${drawdown.toFixed(2)}% is above ${rule.above}%` : null;
+    }
+    case 'process_down':
+      if (status === null || status === undefined || status === 'running') return null;
+      return status === 'missing' ? 'agent is not deployed on the backend' : `agent process is ${status}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Evaluates every rule against every branch snapshot.
+ *
+ * @param {object[]} rules Validated rules (durations already in `for_ms`)
+ * @param {object[]} snapshots `{ branch, repo_url?, stats, metrics, status }` per branch
+ * @param {Map<string, object>} previous Snapshots from the last poll, by snapshotKey
+ * @param {number} [now] Current time in epoch milliseconds
+ * @returns {object[]} One `{ id, branch, repo_url?, rule, message }` per firing rule
+ */
+function evaluateRules(rules, snapshots, previous, now = Date.now()) {
+  const alerts = [];
+  snapshots.forEach((snapshot) => {
+    const key = snapshotKey(snapshot);
+    rules.forEach((rule, i) => {
+      const message = checkRule(rule, snapshot, previous.get(key) || null, now);
+      if (message) {
+        const where = snapshot.repo_url ? { branch: snapshot.branch, repo_url: snapshot.repo_url } : { branch: snapshot.branch };
+        alerts.push({ id: `${key}#${i}`, ...where, rule: describeRule(rule), message });
+      }
+    });
+  });
+  return alerts;
+}
+
+// Slack-compatible webhook payload for an alert that started firing or resolved.
+// Slack reads `text`; other receivers can use the structured `alert` field.
+function webhookPayload(alert, state, repoUrl) {
+  const icon = state === 'firing' ? '🚨' : '✅';
+  const verb = state === 'firing' ? '' : 'resolved: ';
+  return {
+    text: `${icon} [mantle-forge] ${alertTarget(alert)}: ${verb}${alert.message} (rule: ${alert.rule})`,
+    alert: { ...alert, state, repo_url: alert.repo_url || repoUrl, at: new Date().toISOString() },
+  };
+}
+
+module.exports = {
+  RULE_TYPES,
+  describeRule,
+  snapshotKey,
+  alertTarget,
+  evaluateRules,
+  webhookPayload,
+};
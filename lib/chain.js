@@ -0,0 +1,277 @@
+// --- On-Chain Agents ---
+// Reads MantleForge agents straight from the chain through any EVM JSON-RPC
+// node (Mantle, or a local Anvil/Hardhat fork). Only CLI-independent reads
+// live here; configuration and rendering are done by the CLI.
+
+const { ethers } = require('ethers');
+const { MantleForgeError } = require('./errors');
+
+// Subset of the AgentFactory and Agent.sol interfaces the CLI reads
+const FACTORY_ABI = [
+  'function getAgent(bytes32 branchHash) view returns (address)',
+  'event AgentDeployed(bytes32 indexed branchHash, address indexed agent, address indexed deployer)',
+];
+const AGENT_ABI = [
+  'function tradeCount() view returns (uint256)',
+  'event TradeExecuted(address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut)',
+];
+const ERC20_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+];
+
+// Known chains, used for display names, native currency symbols and default
+// block explorers
+const CHAINS = {
+  5000: { name: 'Mantle', currency: 'MNT', explorer_url: 'https://mantlescan.xyz' },
+  5003: { name: 'Mantle Sepolia', currency: 'MNT', explorer_url: 'https://sepolia.mantlescan.xyz' },
+  31337: { name: 'Local (Anvil/Hardhat)', currency: 'ETH', explorer_url: null },
+};
+
+const RPC_TIMEOUT_MS = 15 * 1000;
+const LOG_CHUNK_BLOCKS = 10000; // Block range per eth_getLogs request when the node limits ranges
+const DEPLOYMENT_LOOKBACK_BLOCKS = 50000; // Deployment search range when nothing says where to start
+
+// Connects to a JSON-RPC node. The chain ID is fetched once up front so
+// ethers does not keep retrying network detection against a dead node.
+async function connect(rpcUrl) {
+  const request = new ethers.FetchRequest(rpcUrl);
+  request.timeout = RPC_TIMEOUT_MS;
+  request.body = { jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] };
+  const response = await request.send();
+  response.assertOk();
+  if (!response.bodyJson?.result) {
+    throw new Error(response.bodyJson?.error?.message || 'eth_chainId returned no result');
+  }
+  const chainId = Number(response.bodyJson.result);
+
+  const fetchRequest = new ethers.FetchRequest(rpcUrl);
+  fetchRequest.timeout = RPC_TIMEOUT_MS;
+  const provider = new ethers.JsonRpcProvider(fetchRequest, chainId, { staticNetwork: true });
+  return {
+    provider,
+    chain_id: chainId,
+    name: CHAINS[chainId]?.name || `Chain ${chainId}`,
+    currency: CHAINS[chainId]?.currency || 'ETH',
+    explorer_url: CHAINS[chainId]?.explorer_url || null,
+  };
+}
+
+// connect() for commands that need the node: failures throw RPC_UNREACHABLE
+async function connectNode(rpcUrl) {
+  try {
+    return await connect(rpcUrl);
+  } catch (err) {
+    throw new MantleForgeError('RPC_UNREACHABLE', `Could not reach the RPC node at ${rpcUrl}: ${err.shortMessage || err.message}`, { details: { rpcUrl } });
+  }
+}
+
+// Fetches logs over a block range. The whole range is tried first; nodes
+// that cap the range (most public RPCs) are queried in chunks instead.
+async function scanLogs(provider, filter, fromBlock, toBlock) {
+  try {
+    return await provider.getLogs({ ...filter, fromBlock, toBlock });
+  } catch (err) {
+    if (toBlock - fromBlock <= LOG_CHUNK_BLOCKS) throw err;
+  }
+  const logs = [];
+  for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK_BLOCKS) {
+    const end = Math.min(start + LOG_CHUNK_BLOCKS - 1, toBlock);
+    logs.push(...await provider.getLogs({ ...filter, fromBlock: start, toBlock: end }));
+  }
+  return logs;
+}
+
+// Converts decoded event arguments into JSON-safe values
+function toPlainArgs(fragment, args) {
+  return Object.fromEntries(fragment.inputs.map((input, i) => {
+    const value = args[i];
+    return [input.name || String(i), typeof value === 'bigint' ? value.toString() : value];
+  }));
+}
+
+// Decodes an agent log; events outside the known ABI keep only their topic
+function decodeLog(iface, log) {
+  let parsed = null;
+  try {
+    parsed = iface.parseLog(log);
+  } catch (err) {
+    parsed = null;
+  }
+  return {
+    block: log.blockNumber,
+    tx_hash: log.transactionHash,
+    log_index: log.index,
+    name: parsed ? parsed.name : null,
+    topic: log.topics[0] || null,
+    args: parsed ? toPlainArgs(parsed.fragment, parsed.args) : null,
+  };
+}
+
+/**
+ * Resolves a branch's agent contract through the factory and reads its
+ * on-chain state.
+ *
+ * The trade count comes from the agent's `tradeCount()` view when it has one,
+ * otherwise from its TradeExecuted events since deployment.
+ *
+ * The deployment event is searched from `fromBlock`, else from the block of
+ * `deploymentTx` (as reported by the backend), else over the last 50000
+ * blocks, so public nodes are never scanned from genesis.
+ *
+ * @param {ethers.Provider} provider Connected provider (see `connect`)
+ * @param {object} options
+ * @param {string} options.factoryAddress AgentFactory contract address
+ * @param {string} options.branchHash `calculateBranchHash` of the branch
+ * @param {number|null} [options.fromBlock] First block to search for the deployment
+ * @param {string|null} [options.deploymentTx] Hash of the deployment transaction
+ * @param {number} [options.recentBlocks] How many recent blocks to list events from
+ * @param {number} [options.limit] Maximum number of recent events to return
+ * @returns {Promise<object|null>} Agent details, or null when the factory has no agent for the branch
+ */
+async function inspectAgent(provider, { factoryAddress, branchHash, fromBlock = null, deploymentTx = null, recentBlocks = 10000, limit = 10 }) {
+  if ((await provider.getCode(factoryAddress)) === '0x') {
+    const err = new Error(`No contract deployed at factory address ${factoryAddress}`);
+    err.code = 'FACTORY_NOT_FOUND';
+    throw err;
+  }
+
+  const factory = new ethers.Contract(factoryAddress, FACTORY_ABI, provider);
+  const address = await factory.getAgent(branchHash);
+  if (address === ethers.ZeroAddress) {
+    return null;
+  }
+
+  const latestBlock = await provider.getBlockNumber();
+  let searchFrom = fromBlock;
+  if (searchFrom === null && deploymentTx) {
+    // An unknown hash (e.g. on another chain) falls back to the recent range
+    const receipt = await provider.getTransactionReceipt(deploymentTx);
+    searchFrom = receipt ? receipt.blockNumber : null;
+  }
+  if (searchFrom === null) {
+    searchFrom = Math.max(0, latestBlock - DEPLOYMENT_LOOKBACK_BLOCKS + 1);
+  }
+  const deployedTopics = [factory.interface.getEvent('AgentDeployed').topicHash, branchHash];
+  const [balance, deployments] = await Promise.all([
+    provider.getBalance(address),
+    scanLogs(provider, { address: factoryAddress, topics: deployedTopics }, searchFrom, latestBlock),
+  ]);
+  const deploymentLog = deployments.length > 0 ? deployments[deployments.length - 1] : null;
+  const deployment = deploymentLog ? factory.interface.parseLog(deploymentLog) : null;
+
+  const agent = new ethers.Contract(address, AGENT_ABI, provider);
+  let tradeCount;
+  let tradeCountSource;
+  try {
+    tradeCount = Number(await agent.tradeCount());
+    tradeCountSource = 'tradeCount()';
+  } catch (err) {
+    const trades = await scanLogs(provider, { address, topics: [agent.interface.getEvent('TradeExecuted').topicHash] }, deploymentLog ? deploymentLog.blockNumber : searchFrom, latestBlock);
+    tradeCount = trades.length;
+    tradeCountSource = 'TradeExecuted events';
+  }
+
+  const recentLogs = await scanLogs(provider, { address }, Math.max(0, latestBlock - recentBlocks + 1), latestBlock);
+  const recentEvents = recentLogs
+    .sort((a, b) => b.blockNumber - a.blockNumber || b.index - a.index)
+    .slice(0, limit)
+    .map(log => decodeLog(agent.interface, log));
+
+  return {
+    address,
+    deployer: deployment ? deployment.args.deployer : null,
+    deployment_block: deploymentLog ? deploymentLog.blockNumber : null,
+    deployment_tx: deploymentLog ? deploymentLog.transactionHash : null,
+    deployment_search_from: searchFrom,
+    balance_wei: balance.toString(),
+    balance: ethers.formatEther(balance),
+    trade_count: tradeCount,
+    trade_count_source: tradeCountSource,
+    latest_block: latestBlock,
+    recent_events: recentEvents,
+  };
+}
+
+/**
+ * Reads the native and ERC-20 token balances of an address.
+ *
+ * @param {ethers.Provider} provider Connected provider (see `connect`)
+ * @param {string} address Account to read
+ * @param {object} options
+ * @param {string} options.currency Symbol of the native currency
+ * @param {string[]} [options.tokens] ERC-20 contract addresses
+ * @returns {Promise<object[]>} `{ symbol, token, decimals, balance_raw, balance }`, native first
+ */
+async function getBalances(provider, address, { currency, tokens = [] }) {
+  const native = await provider.getBalance(address);
+  const balances = [{ symbol: currency, token: null, decimals: 18, balance_raw: native.toString(), balance: ethers.formatEther(native) }];
+  for (const token of tokens) {
+    const contract = new ethers.Contract(token, ERC20_ABI, provider);
+    const [raw, decimals, symbol] = await Promise.all([
+      contract.balanceOf(address),
+      contract.decimals(),
+      contract.symbol().catch(() => null),
+    ]);
+    balances.push({
+      symbol: symbol || token,
+      token,
+      decimals: Number(decimals),
+      balance_raw: raw.toString(),
+      balance: ethers.formatUnits(raw, decimals),
+    });
+  }
+  return balances;
+}
+
+/**
+ * Moves every token balance and then the native balance of a wallet to
+ * another address, waiting for each transaction to be mined.
+ *
+ * Tokens go first, while the wallet still has gas. The native transfer keeps
+ * back twice the estimated fee: on Mantle and other rollups the L1 data fee
+ * is charged on top of the L2 gas, so a few wei of dust stay behind.
+ *
+ * @param {ethers.Wallet} signer Wallet connected to a provider
+ * @param {string} to Recipient address
+ * @param {object[]} balances Balances from `getBalances` for the signer
+ * @returns {Promise<object[]>} `{ symbol, token, amount, tx_hash }` per transfer made
+ */
+async function sweepWallet(signer, to, balances) {
+  const transfers = [];
+  for (const balance of balances.filter(b => b.token && BigInt(b.balance_raw) > 0n)) {
+    const contract = new ethers.Contract(balance.token, ERC20_ABI, signer);
+    const tx = await contract.transfer(to, BigInt(balance.balance_raw));
+    await tx.wait();
+    transfers.push({ symbol: balance.symbol, token: balance.token, amount: balance.balance, tx_hash: tx.hash });
+  }
+
+  const { provider } = signer;
+  const available = await provider.getBalance(signer.address);
+  const feeData = await provider.getFeeData();
+  const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+  const gasLimit = await provider.estimateGas({ from: signer.address, to, value: 1n });
+  const reserve = gasLimit * gasPrice * 2n;
+  if (available > reserve) {
+    const value = available - reserve;
+    const tx = await signer.sendTransaction({ to, value, gasLimit });
+    await tx.wait();
+    transfers.push({ symbol: balances[0].symbol, token: null, amount: ethers.formatEther(value), tx_hash: tx.hash });
+  }
+  return transfers;
+}
+
+module.exports = {
+  FACTORY_ABI,
+  AGENT_ABI,
+  ERC20_ABI,
+  CHAINS,
+  connect,
+  connectNode,
+  scanLogs,
+  inspectAgent,
+  getBalances,
+  sweepWallet,
+};
@@ -0,0 +1,570 @@
+// --- MantleForge API Client ---
+// Programmatic access to a MantleForge backend (exported by ./index, the
+// package's entry point):
+//
+//   const { MantleForgeClient } = require('mantle-forge');
+//   const client = new MantleForgeClient({ apiUrl, token });
+//   const stats = await client.getStats('https://github.com/org/repo.git', 'main');
+//
+// Methods return plain data and throw the typed errors of ./errors. Every
+// request goes through one axios instance with a timeout, an X-Request-Id
+// header and retries with exponential backoff for transient failures (the
+// hosted backend answers 502/503 while it wakes up). The CLI and the helpers
+// in the other lib modules are thin layers over this class.
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { version } = require('../package.json');
+const { calculateBranchHash, normalizeRepoUrl } = require('./repo');
+const { encryptSecret, decryptSecret } = require('./secrets');
+const {
+  MantleForgeError,
+  AuthError,
+  NotFoundError,
+  RequestError,
+  BackendError,
+  NetworkError,
+} = require('./errors');
+
+const DEFAULT_API_URL = 'https://mantle-git-agent.onrender.com';
+const DEFAULT_TIMEOUT_MS = 60 * 1000; // Generous: the hosted backend can take ~50s to wake up
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+const HISTORY_PAGE_LIMIT = 500;
+
+// Methods that are safe to send twice
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+// Answers worth retrying: rate limits and proxies reporting a sleeping or
+// restarting backend
+const RETRY_STATUSES = [408, 429, 502, 503, 504];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Converts an axios error into a typed client error
+function toClientError(err, { baseUrl, requestId, timeout }) {
+  const status = err.response?.status ?? null;
+  const serverRequestId = err.response?.headers?.['x-request-id'] || requestId;
+  const data = err.response?.data;
+  const detail = (data && typeof data === 'object' && !data.pipe && data.error) || err.message;
+  const meta = { status, requestId: serverRequestId };
+
+  if (!err.response) {
+    if (TIMEOUT_CODES.includes(err.code)) {
+      return new NetworkError('BACKEND_TIMEOUT', `${baseUrl} did not answer within ${timeout / 1000}s`, meta);
+    }
+    return new NetworkError('BACKEND_UNREACHABLE', `could not reach ${baseUrl} (${err.message})`, meta);
+  }
+  if (status === 401 || status === 403) {
+    const message = (data && data.error) || (status === 401 ? 'Not authenticated' : 'Permission denied');
+    return new AuthError(status === 401 ? 'UNAUTHENTICATED' : 'FORBIDDEN', `${message} (HTTP ${status})`, meta);
+  }
+  if (status === 404) {
+    return new NotFoundError('NOT_FOUND', detail, meta);
+  }
+  if (status >= 500) {
+    return new BackendError('BACKEND_ERROR', detail, meta);
+  }
+  return new RequestError('REQUEST_FAILED', detail, meta);
+}
+
+// Whether a failed attempt may be repeated. Refused connections never reached
+// the backend, so they are retried for every method.
+function isRetryable(err, method) {
+  if (!err.response && err.code === 'ECONNREFUSED') {
+    return true;
+  }
+  if (!IDEMPOTENT_METHODS.includes(method)) {
+    return false;
+  }
+  return !err.response || RETRY_STATUSES.includes(err.response.status);
+}
+
+// Delay before the next attempt: Retry-After when the backend sends one,
+// otherwise exponential backoff with jitter
+function retryDelay(err, attempt, baseDelay) {
+  const retryAfter = Number(err.response?.headers?.['retry-after']);
+  if (Number.isFinite(retryAfter) && retryAfter >= 0) {
+    return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+  }
+  const backoff = baseDelay * (2 ** (attempt - 1));
+  return Math.min(Math.round(backoff * (0.75 + Math.random() * 0.5)), MAX_RETRY_DELAY_MS);
+}
+
+// Normalizes a deployment record into the documented schema
+function toDeployment(data) {
+  const d = data.deployment || data;
+  return {
+    status: d.status ? String(d.status).toLowerCase() : null,
+    commit_sha: d.commit_sha || null,
+    contract_address: d.contract_address || null,
+    deploy_tx_hash: d.deploy_tx_hash || null,
+    deploy_block: d.deploy_block != null && Number.isInteger(Number(d.deploy_block)) ? Number(d.deploy_block) : null,
+    process_state: d.process_state ? String(d.process_state).toLowerCase() : null,
+    error: d.error || null,
+    updated_at: d.updated_at || null,
+  };
+}
+
+class MantleForgeClient {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.apiUrl] Backend URL (default: the hosted backend)
+   * @param {string} [options.token] API token (`mantle-forge login`, or MANTLE_FORGE_TOKEN)
+   * @param {number} [options.timeout] Per-request timeout in ms (default 60s)
+   * @param {number} [options.retries] Retries for transient failures (default 3)
+   * @param {number} [options.retryDelay] First backoff delay in ms, doubled on each retry (default 1s)
+   * @param {function(string): void} [options.logger] Receives one line per request, response and retry
+   */
+  constructor({
+    apiUrl = DEFAULT_API_URL,
+    token = null,
+    timeout = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+    retryDelay = DEFAULT_RETRY_DELAY_MS,
+    logger = null,
+  } = {}) {
+    this.apiUrl = apiUrl.replace(/\/+$/, '');
+    this.timeout = timeout;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.logger = logger;
+    this.http = axios.create({
+      baseURL: this.apiUrl,
+      headers: {
+        'User-Agent': `mantle-forge/${version}`,
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+    });
+  }
+
+  log(message) {
+    if (this.logger) this.logger(message);
+  }
+
+  /**
+   * Sends a request to the backend, retrying transient failures.
+   *
+   * @param {string} method HTTP method
+   * @param {string} url Path below the API URL, e.g. `/api/agents`
+   * @param {object} [options] `params`, `data`, `headers`, `responseType`,
+   *   and per-request `timeout` (0 = none) and `retries`
+   * @returns {Promise<object>} The axios response
+   */
+  async request(method, url, { params, data, headers = {}, responseType, timeout = this.timeout, retries = this.retries } = {}) {
+    const verb = method.toLowerCase();
+    for (let attempt = 1; ; attempt += 1) {
+      const requestId = crypto.randomUUID();
+      const started = Date.now();
+      this.log(`→ ${verb.toUpperCase()} ${url} [${requestId}]`);
+      try {
+        const response = await this.http.request({
+          method: verb,
+          url,
+          params,
+          data,
+          responseType,
+          timeout,
+          headers: { ...headers, 'X-Request-Id': requestId },
+        });
+        this.log(`← ${response.status} ${verb.toUpperCase()} ${url} in ${Date.now() - started} ms [${requestId}]`);
+        return response;
+      } catch (err) {
+        const error = toClientError(err, { baseUrl: this.apiUrl, requestId, timeout });
+        this.log(`← ${error.status || error.code} ${verb.toUpperCase()} ${url} in ${Date.now() - started} ms [${error.requestId}]`);
+        if (attempt > retries || !isRetryable(err, verb)) {
+          throw error;
+        }
+        const delay = retryDelay(err, attempt, this.retryDelay);
+        this.log(`↻ Retry ${attempt}/${retries} in ${delay} ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Sends a request about a branch's agent; a 404 becomes AGENT_NOT_FOUND
+  async agentRequest(method, url, repoUrl, branch, options) {
+    try {
+      return await this.request(method, url, options);
+    } catch (err) {
+      if (err.code === 'NOT_FOUND') {
+        throw this.agentNotFound(repoUrl, branch, err);
+      }
+      throw err;
+    }
+  }
+
+  // AGENT_NOT_FOUND error for a branch
+  agentNotFound(repoUrl, branch, cause = {}) {
+    return new NotFoundError('AGENT_NOT_FOUND', `Agent not found for branch "${branch}"`, {
+      status: 404,
+      requestId: cause.requestId || null,
+      details: { branch, repoUrl, branchHash: calculateBranchHash(repoUrl, branch) },
+    });
+  }
+
+  // --- Backend ---
+
+  /**
+   * Checks the backend is up.
+   *
+   * @param {object} [options] `timeout` and `retries` for this request
+   * @returns {Promise<object>} The health payload, with `version` (null when not published)
+   */
+  async health(options) {
+    const response = await this.request('get', '/api/health', options);
+    return { ...response.data, version: response.data?.version || response.headers['x-mantle-forge-version'] || null };
+  }
+
+  // Chain settings the backend publishes: { rpc_url, factory_address, explorer_url }
+  async getChain(options) {
+    return (await this.request('get', '/api/chain', options)).data;
+  }
+
+  // The account the token belongs to ({ login, name, ... })
+  async whoami(options) {
+    const { data } = await this.request('get', '/api/auth/whoami', options);
+    return data.user || data;
+  }
+
+  // Revokes the token on the backend
+  async logout() {
+    await this.request('post', '/api/auth/logout');
+  }
+
+  // --- Agents ---
+
+  // Whether the backend knows an agent by branch hash: true, false, or null
+  // when it could not tell
+  async agentExists(branchHash) {
+    try {
+      await this.request('get', `/api/stats/${branchHash}`);
+      return true;
+    } catch (err) {
+      return err.code === 'NOT_FOUND' ? false : null;
+    }
+  }
+
+  // Every agent the backend knows for a repository
+  async listAgents(repoUrl) {
+    const { data } = await this.request('get', '/api/agents', { params: { repo_url: repoUrl } });
+    return data.agents || [];
+  }
+
+  /**
+   * Runs a lifecycle action on a branch's agent.
+   *
+   * @param {string} repoUrl Repository URL
+   * @param {string} branch Branch name
+   * @param {string} action `restart`, `stop`, `start` or `delete`
+   * @returns {Promise<object>} The backend's answer, with `branch_hash`
+   * @throws {BackendError} `<ACTION>_FAILED` when the backend does not confirm it
+   */
+  async agentAction(repoUrl, branch, action) {
+    const branchHash = calculateBranchHash(repoUrl, branch);
+    const url = `/api/agents/branch/${branchHash}`;
+    const { data } = action === 'delete'
+      ? await this.agentRequest('delete', url, repoUrl, branch)
+      : await this.agentRequest('post', `${url}/${action}`, repoUrl, branch);
+    if (!data.success) {
+      const label = action.charAt(0).toUpperCase() + action.slice(1);
+      throw new BackendError(`${action.toUpperCase()}_FAILED`, `${label} was not confirmed by the backend: ${data.error || JSON.stringify(data)}`);
+    }
+    return { ...data, branch_hash: branchHash };
+  }
+
+  // A branch's strategy settings, or null when it has none (or the backend
+  // does not support them)
+  async getSettings(repoUrl, branch) {
+    try {
+      const { data } = await this.request('get', `/api/agents/branch/${calculateBranchHash(repoUrl, branch)}/settings`);
+      return data.settings || null;
+    } catch (err) {
+      if (err.code === 'NOT_FOUND') return null;
+      throw err;
+    }
+  }
+
+  // Replaces a branch's strategy settings
+  async putSettings(repoUrl, branch, settings) {
+    await this.agentRequest('put', `/api/agents/branch/${calculateBranchHash(repoUrl, branch)}/settings`, repoUrl, branch, { data: { settings } });
+  }
+
+  // The latest deployment of a branch, or null when the backend has not
+  // received a push for it yet
+  async getDeployment(repoUrl, branch) {
+    try {
+      const { data } = await this.request('get', `/api/deployments/${calculateBranchHash(repoUrl, branch)}`);
+      return toDeployment(data);
+    } catch (err) {
+      if (err.code === 'NOT_FOUND') return null;
+      throw err;
+    }
+  }
+
+  // --- Performance and History ---
+
+  // A branch's aggregated stats, with `branch_name`, `branch_hash` and `repo_url`
+  async getStats(repoUrl, branch) {
+    const branchHash = calculateBranchHash(repoUrl, branch);
+    const { data } = await this.agentRequest('get', `/api/stats/${branchHash}`, repoUrl, branch);
+    return { ...data, branch_name: branch, branch_hash: branchHash, repo_url: repoUrl };
+  }
+
+  // Yields each page of a cursor-paginated endpoint (newest first),
+  // following next_cursor until the backend returns no more pages
+  async* pages(url, params = {}) {
+    let cursor;
+    do {
+      const { data } = await this.request('get', url, { params: { ...params, before: cursor, limit: HISTORY_PAGE_LIMIT } });
+      yield data;
+      cursor = data.next_cursor;
+    } while (cursor);
+  }
+
+  /**
+   * Yields a branch's decision or trade records page by page, newest first.
+   *
+   * @param {string} repoUrl Repository URL
+   * @param {string} branch Branch name
+   * @param {string} type `decisions` or `trades`
+   * @param {object} [params] Query parameters, e.g. `since` and `until` (ISO timestamps)
+   * @throws {NotFoundError} AGENT_NOT_FOUND, or HISTORY_UNAVAILABLE when the
+   *   agent exists but the backend keeps no such history
+   */
+  async* history(repoUrl, branch, type, params = {}) {
+    const branchHash = calculateBranchHash(repoUrl, branch);
+    try {
+      for await (const data of this.pages(`/api/${type}/${branchHash}`, params)) {
+        yield data[type] || [];
+      }
+    } catch (err) {
+      if (err.code !== 'NOT_FOUND') throw err;
+      if (await this.agentExists(branchHash)) {
+        throw new NotFoundError('HISTORY_UNAVAILABLE', `The backend does not provide ${type.replace(/s$/, '')} history for ${branch}.`, { status: 404, requestId: err.requestId });
+      }
+      throw this.agentNotFound(repoUrl, branch, err);
+    }
+  }
+
+  // A branch's per-trade history, or null when the backend has none. With
+  // `since` (ISO timestamp), only trades still open or closed since then.
+  async getTradeHistory(repoUrl, branch, { since } = {}) {
+    const history = { trades: [], current_price: null, starting_capital: null };
+    try {
+      for await (const data of this.pages(`/api/trades/${calculateBranchHash(repoUrl, branch)}`, { since })) {
+        history.trades.push(...(data.trades || []));
+        history.current_price = history.current_price ?? data.current_price ?? null;
+        history.starting_capital = history.starting_capital ?? data.starting_capital ?? null;
+      }
+    } catch (err) {
+      if (err.code === 'NOT_FOUND') return null;
+      throw err;
+    }
+    return history;
+  }
+
+  // --- Logs ---
+
+  // A page of a branch's logs ({ logs, next_cursor }); older pages are
+  // reached with `before`, using the previous page's cursor
+  async getLogs(repoUrl, branch, params) {
+    const { data } = await this.request('get', `/api/logs/${encodeURIComponent(repoUrl)}/${encodeURIComponent(branch)}`, { params });
+    return { logs: data.logs || [], next_cursor: data.next_cursor || null };
+  }
+
+  /**
+   * Follows a branch's logs over Server-Sent Events.
+   *
+   * @param {string} repoUrl Repository URL
+   * @param {string} branch Branch name
+   * @param {object} params Query parameters, e.g. `since`
+   * @param {function(*): void} onEntry Called with each entry (parsed JSON, or the text line)
+   * @returns {Promise<void>} Resolves when the stream closes
+   * @throws {MantleForgeError} STREAM_UNSUPPORTED when the backend does not stream
+   */
+  async streamLogs(repoUrl, branch, params, onEntry) {
+    const response = await this.request('get', `/api/logs/${encodeURIComponent(repoUrl)}/${encodeURIComponent(branch)}/stream`, {
+      params,
+      responseType: 'stream',
+      headers: { Accept: 'text/event-stream' },
+      timeout: 0,
+    });
+
+    if (!String(response.headers['content-type'] || '').includes('text/event-stream')) {
+      response.data.destroy();
+      throw new MantleForgeError('STREAM_UNSUPPORTED', 'Backend does not support log streaming', { status: response.status });
+    }
+
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+      response.data.setEncoding('utf8');
+      response.data.on('data', (chunk) => {
+        buffer += chunk;
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop();
+        events.forEach((event) => {
+          const dataLines = event.split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).replace(/^ /, ''));
+          if (dataLines.length === 0) return;
+
+          const payload = dataLines.join('\n');
+          let entry = payload;
+          try {
+            entry = JSON.parse(payload);
+          } catch (err) {
+            // Plain-text log line
+          }
+          onEntry(entry);
+        });
+      });
+      response.data.on('end', resolve);
+      response.data.on('error', reject);
+    });
+  }
+
+  // --- Secrets ---
+
+  /**
+   * The public key the backend decrypts secrets with.
+   *
+   * Verify it out of band (or pin it) before trusting it: the CLI compares
+   * it with `secrets_public_key` and the fingerprint seen on first use.
+   *
+   * @returns {Promise<string>} secp256k1 public key (0x-prefixed hex)
+   * @throws {BackendError} ENCRYPTION_UNSUPPORTED for backends without one
+   */
+  async getSecretsPublicKey() {
+    try {
+      const { data } = await this.request('get', '/api/secrets/public-key');
+      return data.public_key;
+    } catch (err) {
+      if (err.code === 'NOT_FOUND') {
+        throw new BackendError('ENCRYPTION_UNSUPPORTED', `${this.apiUrl} does not publish a secrets encryption key.`, { status: 404, requestId: err.requestId });
+      }
+      throw err;
+    }
+  }
+
+  // Secret names and last-updated times for a branch (values are never returned)
+  async listSecrets(repoUrl, branch) {
+    const { data } = await this.agentRequest('get', `/api/secrets/${calculateBranchHash(repoUrl, branch)}`, repoUrl, branch);
+    return (data.secrets || []).map(secret => ({ key: secret.key, updated_at: secret.updated_at || null }));
+  }
+
+  // Which required and optional secrets are set for a branch
+  async checkSecrets(repoUrl, branch) {
+    const branchHash = calculateBranchHash(repoUrl, branch);
+    const { data } = await this.agentRequest('get', `/api/secrets/check/${branchHash}`, repoUrl, branch);
+    return {
+      branch,
+      branch_hash: branchHash,
+      required: data.secrets.required.map(secret => ({ key: secret.key, set: Boolean(secret.set) })),
+      optional: data.secrets.optional.map(secret => ({ key: secret.key, set: Boolean(secret.set) })),
+      missing: data.missing || [],
+      all_required_set: Boolean(data.all_required_set),
+    };
+  }
+
+  /**
+   * Encrypts and stores one secret for a branch.
+   *
+   * @param {string} repoUrl Repository URL
+   * @param {string} branch Branch name
+   * @param {string} key Secret name
+   * @param {string} value Secret value; it is encrypted before it is sent
+   * @param {object} [options]
+   * @param {string} [options.publicKey] Key to encrypt to (default: the
+   *   backend's, unverified; pass a pinned key to guard against a swapped one)
+   */
+  async setSecret(repoUrl, branch, key, value, { publicKey } = {}) {
+    const encrypted_value = encryptSecret(publicKey || await this.getSecretsPublicKey(), key, value);
+    await this.request('post', '/api/secrets', { data: { repo_url: repoUrl, branch_name: branch, key, encrypted_value } });
+  }
+
+  // Removes a secret from a branch
+  async deleteSecret(repoUrl, branch, key) {
+    try {
+      await this.request('delete', '/api/secrets', { data: { repo_url: repoUrl, branch_name: branch, key } });
+    } catch (err) {
+      if (err.code === 'NOT_FOUND') {
+        throw new NotFoundError('SECRET_NOT_FOUND', `Secret ${key} is not set for branch "${branch}".`, { status: 404, requestId: err.requestId });
+      }
+      throw err;
+    }
+  }
+
+  // Copies secrets between branches on the backend (values never leave it);
+  // returns the keys copied
+  async copySecrets(repoUrl, fromBranch, toBranch, keys, { overwrite = false } = {}) {
+    const { data } = await this.request('post', '/api/secrets/copy', {
+      data: { repo_url: repoUrl, from_branch: fromBranch, to_branch: toBranch, keys, overwrite: Boolean(overwrite) },
+    });
+    return data.copied || keys;
+  }
+
+  /**
+   * Downloads a branch's secret values, e.g. for a local run. The backend
+   * re-seals each value to a one-time key generated here, so plaintext never
+   * crosses the network.
+   *
+   * @returns {Promise<{ key: string, value: string }[]>}
+   * @throws {BackendError} SECRETS_EXPORT_UNSUPPORTED for backends that cannot export
+   */
+  async exportSecrets(repoUrl, branch) {
+    const branchHash = calculateBranchHash(repoUrl, branch);
+    const recipient = new ethers.SigningKey(ethers.randomBytes(32));
+    let data;
+    try {
+      ({ data } = await this.request('post', `/api/secrets/${branchHash}/export`, { data: { public_key: recipient.compressedPublicKey } }));
+    } catch (err) {
+      if (err.code !== 'NOT_FOUND') throw err;
+      if (await this.agentExists(branchHash)) {
+        throw new BackendError('SECRETS_EXPORT_UNSUPPORTED', `${this.apiUrl} does not support downloading secrets for local runs.`, { status: 404, requestId: err.requestId });
+      }
+      throw this.agentNotFound(repoUrl, branch, err);
+    }
+
+    return (data.secrets || []).map((secret) => {
+      try {
+        return { key: secret.key, value: decryptSecret(recipient.privateKey, secret.key, secret.encrypted_value) };
+      } catch (err) {
+        throw new MantleForgeError('SECRET_DECRYPT_FAILED', `Could not decrypt secret ${secret.key}: ${err.message}`);
+      }
+    });
+  }
+
+  // --- Push Webhooks ---
+
+  // Secret the backend verifies a repository's webhook deliveries with
+  async getWebhookSecret(repoUrl, provider) {
+    const { data } = await this.request('post', '/api/webhooks/secret', { data: { repo_url: repoUrl, provider } });
+    if (!data.secret) {
+      throw new BackendError('INVALID_RESPONSE', 'The backend returned no webhook secret');
+    }
+    return data.secret;
+  }
+
+  // Delivers a push webhook payload (a JSON string, signed by the caller) to
+  // the backend; returns { status, data }
+  async deliverWebhook(provider, body, headers) {
+    const response = await this.request('post', `/webhook/${provider}/push`, { data: body, headers });
+    return { status: response.status, data: response.data };
+  }
+}
+
+module.exports = {
+  MantleForgeClient,
+  calculateBranchHash,
+  normalizeRepoUrl,
+  encryptSecret,
+  MantleForgeError,
+  AuthError,
+  NotFoundError,
+  RequestError,
+  BackendError,
+  NetworkError,
+};
@@ -0,0 +1,127 @@
+// --- Strategy Comparison ---
+// Ranks branches for `compare` and tests whether their trade rates differ
+// significantly. Entries are `performanceEntry` results (./stats).
+
+// Leaderboard metrics. `source` says whether the value comes from the
+// backend stats or the computed PnL metrics; `lowerIsBetter` flips the
+// ranking order.
+const COMPARE_METRICS = {
+  roi_pct: { source: 'metrics' },
+  total_pnl: { source: 'metrics' },
+  max_drawdown_pct: { source: 'metrics', lowerIsBetter: true },
+  success_rate: { source: 'stats' },
+  trades_executed: { source: 'stats' },
+  sharpe: { source: 'metrics' },
+  win_rate_pct: { source: 'metrics' },
+  total_decisions: { source: 'stats' },
+  buy_count: { source: 'stats' },
+  hold_count: { source: 'stats' },
+  avg_price: { source: 'stats' },
+};
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Two-proportion z-test on trade rates (trades / decisions). Returns null
+// when a sample is too small for the normal approximation (fewer than 5
+// expected trades or non-trades in either branch).
+function twoProportionTest(x1, n1, x2, n2) {
+  if (!n1 || !n2) return null;
+  const pooled = (x1 + x2) / (n1 + n2);
+  if ([n1 * pooled, n1 * (1 - pooled), n2 * pooled, n2 * (1 - pooled)].some(expected => expected < 5)) {
+    return null;
+  }
+  const z = (x1 / n1 - x2 / n2) / Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+  return { z, p_value: 2 * (1 - normalCdf(Math.abs(z))) };
+}
+
+// Reads a leaderboard metric from an entry, or null
+function compareValue(entry, key) {
+  return entry[COMPARE_METRICS[key].source]?.[key] ?? null;
+}
+
+// Ranks entries by a metric, adding `rank`. Entries without a value (no
+// decisions or no trade history yet) go last.
+function rankBranches(entries, metric) {
+  const direction = COMPARE_METRICS[metric].lowerIsBetter ? -1 : 1;
+  return entries
+    .slice()
+    .sort((a, b) => {
+      const [va, vb] = [compareValue(a, metric), compareValue(b, metric)];
+      if (va === null || vb === null) return (va === null) - (vb === null);
+      return direction * (vb - va);
+    })
+    .map((entry, i) => ({ rank: i + 1, ...entry }));
+}
+
+// The single entry leading on a metric, or null on a tie or without values
+function leaderBy(entries, key) {
+  const sign = COMPARE_METRICS[key].lowerIsBetter ? -1 : 1;
+  const values = entries.map(entry => compareValue(entry, key)).filter(v => v !== null);
+  const best = sign * Math.max(...values.map(v => sign * v));
+  const leaders = entries.filter(entry => compareValue(entry, key) === best);
+  return leaders.length === 1 && Number.isFinite(best) ? leaders[0] : null;
+}
+
+/**
+ * Analyzes a comparison: the leader on each headline metric, and every
+ * branch's trade rate tested against the best one. With several branches
+ * the significance level is Bonferroni-corrected.
+ *
+ * @param {object[]} entries Ranked entries
+ * @param {object} [options]
+ * @param {number} [options.alpha] Significance level (default 0.05)
+ * @param {function(object): string} [options.nameOf] Name of an entry in the
+ *   analysis (default: its branch)
+ * @returns {object} The `analysis` section of `compare` output
+ */
+function analyzeComparison(entries, { alpha = 0.05, nameOf = entry => entry.branch } = {}) {
+  const leader = (key) => {
+    const entry = leaderBy(entries, key);
+    return entry ? nameOf(entry) : null;
+  };
+
+  const byRate = entries.filter(entry => entry.stats && entry.stats.total_decisions > 0)
+    .sort((a, b) => b.stats.success_rate - a.stats.success_rate);
+  const best = byRate[0];
+  const adjustedAlpha = byRate.length > 2 ? alpha / (byRate.length - 1) : alpha;
+  const comparisons = byRate.slice(1).map((entry) => {
+    const test = twoProportionTest(best.stats.trades_executed, best.stats.total_decisions, entry.stats.trades_executed, entry.stats.total_decisions);
+    return {
+      branch: nameOf(entry),
+      versus: nameOf(best),
+      difference: Number((best.stats.success_rate - entry.stats.success_rate).toFixed(1)),
+      z: test ? Number(test.z.toFixed(3)) : null,
+      p_value: test ? Number(test.p_value.toPrecision(3)) : null,
+      significant: test ? test.p_value < adjustedAlpha : false,
+      sufficient_sample: Boolean(test),
+    };
+  });
+
+  return {
+    best_roi: leader('roi_pct'),
+    lowest_drawdown: leader('max_drawdown_pct'),
+    most_trades: leader('trades_executed'),
+    best_success_rate: leader('success_rate'),
+    significance: {
+      test: 'two-proportion z-test on trades_executed / total_decisions',
+      alpha,
+      adjusted_alpha: Number(adjustedAlpha.toPrecision(3)),
+      comparisons,
+    },
+  };
+}
+
+module.exports = {
+  COMPARE_METRICS,
+  normalCdf,
+  twoProportionTest,
+  compareValue,
+  rankBranches,
+  analyzeComparison,
+};
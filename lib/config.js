@@ -0,0 +1,241 @@
+// --- Project Config Schema ---
+// The versioned schema of .mantlepush.json: the known settings, validation
+// with readable messages, and the migrations that bring older files up to
+// date. Reading and writing the file is done by the CLI.
+
+const { ethers } = require('ethers');
+const { normalizeRepoUrl, parseRepoUrl } = require('./repo');
+const { RULE_TYPES } = require('./alerts');
+const { PROVIDERS } = require('./webhooks');
+
+const CONFIG_VERSION = 1;
+
+const DURATION_PATTERN = /^\d+(?:\.\d+)?\s*(s|m|h|d|w)$/i;
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// True for an absolute http(s) URL. Parsed rather than pattern-matched, so
+// quotes, spaces and the like cannot ride along in a value that looks valid.
+function isHttpUrl(value) {
+  if (typeof value !== 'string' || /[\s"'`<>\\^{}|]/.test(value)) return false;
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) && Boolean(url.hostname);
+  } catch (err) {
+    return false;
+  }
+}
+
+// Checks for each value type; each returns an error message or null
+const TYPES = {
+  integer: value => (Number.isInteger(value) && value > 0 ? null : 'must be a positive integer'),
+  string: value => (typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string'),
+  url: value => (isHttpUrl(value) ? null : 'must be an http:// or https:// URL'),
+  duration: value => (typeof value === 'string' && DURATION_PATTERN.test(value) ? null : 'must be a duration such as 30s, 5m or 1h'),
+  provider: value => (Object.prototype.hasOwnProperty.call(PROVIDERS, value) ? null : `must be one of ${Object.keys(PROVIDERS).join(', ')}`),
+  address: value => (typeof value === 'string' && ethers.isAddress(value) ? null : 'must be a 0x-prefixed address'),
+  repo_url: (value) => {
+    if (typeof value !== 'string' || !parseRepoUrl(value)) {
+      return 'must be a repository URL such as https://github.com/user/repo.git';
+    }
+    const canonical = normalizeRepoUrl(value);
+    return canonical === value ? null : `must be the canonical URL ${canonical}`;
+  },
+  public_key: (value) => {
+    try {
+      ethers.SigningKey.computePublicKey(value, true);
+      return null;
+    } catch (err) {
+      return 'must be a secp256k1 public key (0x-prefixed hex)';
+    }
+  },
+  address_list: (value) => {
+    if (!Array.isArray(value)) return 'must be an array of addresses';
+    const i = value.findIndex(item => typeof item !== 'string' || !ethers.isAddress(item));
+    return i === -1 ? null : `item ${i + 1} ("${value[i]}") is not an address`;
+  },
+  watch_rules: (value) => {
+    if (!Array.isArray(value)) return 'must be an array of rules';
+    for (let i = 0; i < value.length; i += 1) {
+      const rule = value[i];
+      const type = RULE_TYPES[rule?.type];
+      if (!type) return `rule ${i + 1} has unknown type "${rule?.type}" (expected ${Object.keys(RULE_TYPES).join(', ')})`;
+      const missing = type.requires.filter(key => rule[key] === undefined);
+      if (missing.length > 0) return `rule ${i + 1} (${rule.type}) needs ${missing.join(', ')}`;
+      if (rule.for !== undefined && !DURATION_PATTERN.test(String(rule.for))) return `rule ${i + 1} has invalid duration "${rule.for}"`;
+      if (rule.above !== undefined && !Number.isFinite(Number(rule.above))) return `rule ${i + 1} has invalid threshold "${rule.above}"`;
+    }
+    return null;
+  },
+};
+
+// Known settings by dotted path. `*` matches any key (profile names).
+// Sections (objects holding other settings) have type "section".
+const CONFIG_FIELDS = [
+  { path: 'version', type: 'integer', description: 'Schema version of this file (managed by the CLI)' },
+  { path: 'repo_url', type: 'repo_url', required: true, description: 'Canonical repository URL; with the branch name it identifies each agent' },
+  { path: 'profile', type: 'string', description: 'Backend profile used in this repository' },
+  { path: 'profiles', type: 'section', description: 'Backend profiles shared with the repository' },
+  { path: 'profiles.*', type: 'section', description: 'A backend profile' },
+  { path: 'profiles.*.api_url', type: 'url', required: true, description: 'Backend API URL' },
+  { path: 'profiles.*.rpc_url', type: 'url', description: 'JSON-RPC endpoint for on-chain commands' },
+  { path: 'profiles.*.factory_address', type: 'address', description: 'AgentFactory contract address' },
+  { path: 'profiles.*.explorer_url', type: 'url', description: 'Block explorer base URL for links' },
+  { path: 'secrets_public_key', type: 'public_key', description: 'Pinned backend secrets key (set by `secrets key --pin`)' },
+  { path: 'watch', type: 'section', description: '`watch` settings' },
+  { path: 'watch.interval', type: 'duration', description: 'Poll interval' },
+  { path: 'watch.webhook_url', type: 'url', description: 'Slack-compatible webhook for alerts' },
+  { path: 'watch.rules', type: 'watch_rules', description: 'Alert rules' },
+  { path: 'run', type: 'section', description: '`run --local` and `backtest` settings' },
+  { path: 'run.command', type: 'string', description: 'Command that starts the agent' },
+  { path: 'wallet', type: 'section', description: '`wallet` settings' },
+  { path: 'wallet.tokens', type: 'address_list', description: 'ERC-20 tokens shown and moved by `wallet balance` / `wallet rotate`' },
+  { path: 'webhook', type: 'section', description: '`webhook` settings' },
+  { path: 'webhook.provider', type: 'provider', description: 'Git host API: github, gitlab or gitea (default: detected from repo_url)' },
+  { path: 'webhook.api_url', type: 'url', description: 'Git host REST API URL, e.g. for GitHub Enterprise or a self-hosted server' },
+];
+
+// Schema entry for a dotted path, or undefined for unknown settings
+function findField(path) {
+  const parts = path.split('.');
+  return CONFIG_FIELDS.find((field) => {
+    const pattern = field.path.split('.');
+    return pattern.length === parts.length && pattern.every((part, i) => part === '*' || part === parts[i]);
+  });
+}
+
+/**
+ * Validates a config against the current schema.
+ *
+ * Unknown settings are warnings rather than errors, so files written by a
+ * newer CLI (or hand-added notes) still load.
+ *
+ * @param {object} config Parsed .mantlepush.json
+ * @returns {{ errors: { path: string, message: string }[], warnings: { path: string, message: string }[] }}
+ */
+function validateConfig(config) {
+  const errors = [];
+  const warnings = [];
+  if (!isObject(config)) {
+    return { errors: [{ path: '(root)', message: 'must be a JSON object' }], warnings };
+  }
+
+  const visit = (value, path) => {
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = path ? `${path}.${key}` : key;
+      const field = findField(childPath);
+      if (!field) {
+        warnings.push({ path: childPath, message: 'is not a known setting and is ignored' });
+      } else if (field.type === 'section') {
+        if (isObject(child)) {
+          visit(child, childPath);
+        } else {
+          errors.push({ path: childPath, message: 'must be an object' });
+        }
+      } else {
+        const message = TYPES[field.type](child);
+        if (message) errors.push({ path: childPath, message });
+      }
+    });
+  };
+  visit(config, '');
+
+  // Required settings, including those inside each present section
+  CONFIG_FIELDS.filter(field => field.required).forEach((field) => {
+    const parts = field.path.split('.');
+    const parents = parts.slice(0, -1).reduce((objects, part) => objects.flatMap(({ value, path }) => {
+      const entries = part === '*' ? Object.entries(value) : [[part, value[part]]];
+      return entries.filter(([, child]) => isObject(child)).map(([key, child]) => ({ value: child, path: path ? `${path}.${key}` : key }));
+    }), [{ value: config, path: '' }]);
+    const key = parts[parts.length - 1];
+    parents.forEach(({ value, path }) => {
+      if (value[key] === undefined) errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+    });
+  });
+
+  return { errors, warnings };
+}
+
+// Migrations from each version to the next. Files without "version" are version 0.
+const MIGRATIONS = [
+  {
+    to: 1,
+    migrate: (config) => {
+      const changes = [];
+      const migrated = { ...config };
+      if (typeof config.repo_url === 'string' && parseRepoUrl(config.repo_url) && normalizeRepoUrl(config.repo_url) !== config.repo_url) {
+        migrated.repo_url = normalizeRepoUrl(config.repo_url);
+        changes.push(`repo_url: ${config.repo_url} → ${migrated.repo_url}`);
+      }
+      changes.push('add "version": 1');
+      return { config: migrated, changes };
+    },
+  },
+];
+
+/**
+ * Brings a config up to the current schema version.
+ *
+ * @param {object} config Parsed .mantlepush.json
+ * @returns {{ config: object, from: number, to: number, changes: string[] }}
+ *   The migrated config (version first) and a description of each change;
+ *   `changes` is empty when the file is current
+ */
+function migrateConfig(config) {
+  const from = Number.isInteger(config.version) ? config.version : 0;
+  let migrated = config;
+  const changes = [];
+  MIGRATIONS.filter(migration => migration.to > from).forEach((migration) => {
+    const step = migration.migrate(migrated);
+    migrated = step.config;
+    changes.push(...step.changes);
+  });
+  if (changes.length === 0) {
+    return { config, from, to: from, changes };
+  }
+  const { version, ...rest } = migrated;
+  return { config: { version: CONFIG_VERSION, ...rest }, from, to: CONFIG_VERSION, changes };
+}
+
+// Reads a setting by dotted path (undefined when not set)
+function getValue(config, path) {
+  return path.split('.').reduce((value, key) => (isObject(value) ? value[key] : undefined), config);
+}
+
+// Returns a copy of the config with a setting changed; sections on the way are created
+function setValue(config, path, value) {
+  const [key, ...rest] = path.split('.');
+  if (rest.length === 0) {
+    return { ...config, [key]: value };
+  }
+  return { ...config, [key]: setValue(isObject(config[key]) ? config[key] : {}, rest.join('.'), value) };
+}
+
+// Parses a `config set` value for a setting: JSON for lists, rules and
+// sections, otherwise the text as typed (numbers for integer settings)
+function parseValue(field, raw) {
+  if (['address_list', 'watch_rules', 'section'].includes(field.type)) {
+    try {
+      return JSON.parse(raw);
+    } catch (err) {
+      const error = new Error(`Expected JSON for ${field.path}: ${err.message}`);
+      error.code = 'INVALID_CONFIG_VALUE';
+      throw error;
+    }
+  }
+  if (field.type === 'integer') {
+    return Number(raw);
+  }
+  return field.type === 'repo_url' ? normalizeRepoUrl(raw) : raw;
+}
+
+module.exports = {
+  CONFIG_VERSION,
+  CONFIG_FIELDS,
+  isHttpUrl,
+  findField,
+  validateConfig,
+  migrateConfig,
+  getValue,
+  setValue,
+  parseValue,
+};
@@ -0,0 +1,87 @@
+// --- Deployments ---
+// Where a pushed commit is in the deploy pipeline, and waiting for it to go
+// live (`deploy wait`, `push`).
+
+const { MantleForgeError, BackendError, NetworkError } = require('./errors');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// True when two commit SHAs refer to the same commit (either may be abbreviated)
+function sameCommit(a, b) {
+  if (!a || !b) return false;
+  const [x, y] = [a.toLowerCase(), b.toLowerCase()];
+  return x.startsWith(y) || y.startsWith(x);
+}
+
+// Where a commit is in the deploy pipeline: not_deployed, pending, deploying,
+// live or failed. A deployment of another commit means the push has not been
+// picked up yet.
+function deploymentState(deployment, commit) {
+  if (!deployment) return 'not_deployed';
+  if (!sameCommit(deployment.commit_sha, commit)) return 'pending';
+  if (deployment.status === 'failed' || ['crashed', 'errored'].includes(deployment.process_state)) return 'failed';
+  if (deployment.status === 'live' && (!deployment.process_state || deployment.process_state === 'running')) return 'live';
+  return 'deploying';
+}
+
+/**
+ * Polls the backend until a commit is live on a branch.
+ *
+ * Transient backend failures (BackendError, NetworkError) are retried until
+ * the timeout, since a sleeping backend can take a while to wake; they show
+ * up as the `unreachable` state.
+ *
+ * @param {MantleForgeClient} client Backend client
+ * @param {string} repoUrl Repository URL
+ * @param {string} branch Branch name
+ * @param {string} commit Commit SHA to wait for
+ * @param {object} options
+ * @param {number} options.timeoutMs Give up after this long
+ * @param {number} options.intervalMs Time between checks
+ * @param {function(string, object|null): void} [options.onState] Called with
+ *   the state and deployment whenever the state changes
+ * @returns {Promise<{ deployment: object, waited_seconds: number }>}
+ * @throws {MantleForgeError} DEPLOY_FAILED with the backend's error, or
+ *   DEPLOY_TIMEOUT; both carry `branch` and the last `state`
+ */
+async function waitForDeployment(client, repoUrl, branch, commit, { timeoutMs, intervalMs, onState = () => {} }) {
+  const started = Date.now();
+  let lastState = null;
+  for (;;) {
+    let deployment = null;
+    let state;
+    try {
+      deployment = await client.getDeployment(repoUrl, branch);
+      state = deploymentState(deployment, commit);
+    } catch (err) {
+      if (!(err instanceof BackendError || err instanceof NetworkError)) throw err;
+      state = 'unreachable';
+    }
+
+    if (state !== lastState) {
+      onState(state, deployment);
+      lastState = state;
+    }
+
+    if (state === 'live') {
+      return { deployment, waited_seconds: Math.round((Date.now() - started) / 1000) };
+    }
+    if (state === 'failed') {
+      throw new MantleForgeError('DEPLOY_FAILED', `Deployment of ${commit.slice(0, 7)} to ${branch} failed: ${deployment.error || `process ${deployment.process_state || deployment.status}`}`, {
+        details: { branch, state },
+      });
+    }
+    if (Date.now() - started + intervalMs > timeoutMs) {
+      throw new MantleForgeError('DEPLOY_TIMEOUT', `Timed out after ${Math.round(timeoutMs / 1000)}s waiting for ${commit.slice(0, 7)} to go live on ${branch} (last state: ${state}).`, {
+        details: { branch, state },
+      });
+    }
+    await sleep(intervalMs);
+  }
+}
+
+module.exports = {
+  sameCommit,
+  deploymentState,
+  waitForDeployment,
+};
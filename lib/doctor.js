@@ -0,0 +1,321 @@
+// --- Doctor ---
+// The checks behind `doctor`, from git remote to running agent. Each check
+// returns { status, message, hints } where status is pass, warn, fail or
+// skip; commands in hints are quoted with backticks. Checks run in order and
+// share what earlier ones found in `ctx`, so a failed prerequisite skips the
+// checks that depend on it. Rendering is done by the CLI.
+
+const { spawnSync } = require('child_process');
+const chain = require('./chain');
+const { normalizeRepoUrl } = require('./repo');
+const { detectProvider } = require('./webhooks');
+const { findAlternateRepoUrl } = require('./agents');
+const { sameCommit } = require('./deployments');
+
+const DOCTOR_TIMEOUT_MS = 10 * 1000; // Per network check, so `doctor` never hangs
+const NETWORK_HINT = 'Check your network connection, or select another backend with --profile / --api-url';
+
+// Runs git with a timeout; returns { ok, stdout }
+function runGit(args) {
+  const result = spawnSync('git', args, { encoding: 'utf8', timeout: DOCTOR_TIMEOUT_MS });
+  return { ok: result.status === 0, stdout: (result.stdout || '').trim() };
+}
+
+// Full SHA of a local commit, or null if the ref does not exist
+function localCommit(ref) {
+  const { stdout } = runGit(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+  return /^[0-9a-f]{40}$/.test(stdout) ? stdout : null;
+}
+
+// Skip result for a check whose prerequisite failed
+const skipped = reason => ({ status: 'skip', message: reason, hints: [] });
+
+const DOCTOR_CHECKS = [
+  {
+    id: 'git_repo',
+    name: 'Git repository',
+    run: (ctx) => {
+      const root = runGit(['rev-parse', '--show-toplevel']);
+      if (!root.ok) {
+        return { status: 'fail', message: 'Not inside a git repository', hints: ['Run `git init`, or cd into your agent\'s repository'] };
+      }
+      ctx.git = true;
+      return { status: 'pass', message: root.stdout };
+    },
+  },
+  {
+    id: 'git_remote',
+    name: 'Git remote',
+    run: (ctx) => {
+      if (!ctx.git) return skipped('No git repository');
+      const remote = runGit(['remote', 'get-url', 'origin']);
+      if (!remote.ok || !remote.stdout) {
+        return { status: 'fail', message: 'No "origin" remote', hints: ['Add one with `git remote add origin https://github.com/<user>/<repo>.git`'] };
+      }
+      ctx.origin = remote.stdout;
+      return { status: 'pass', message: `origin → ${remote.stdout}` };
+    },
+  },
+  {
+    id: 'config',
+    name: ctx => ctx.setup.configFile,
+    run: (ctx) => {
+      // Outdated files only warn: they are migrated in memory
+      let loaded;
+      try {
+        loaded = ctx.setup.loadConfig();
+      } catch (err) {
+        return { status: 'fail', message: err.message, hints: err.hints?.length ? err.hints : ['Fix the file, or run `mantle-forge init --force`'] };
+      }
+      if (!loaded) {
+        return { status: 'fail', message: 'Missing', hints: ['Run `mantle-forge init`'] };
+      }
+      const { file, config, outdated } = loaded;
+      ctx.repo_url = config.repo_url;
+      ctx.provider = detectProvider(config.repo_url, config.webhook?.provider).provider;
+      if (outdated) {
+        return { status: 'warn', message: `${file} uses an older config format`, hints: ['Update it with `mantle-forge config migrate`'] };
+      }
+      return { status: 'pass', message: `repo_url ${config.repo_url}` };
+    },
+  },
+  {
+    id: 'repo_url',
+    name: 'repo_url matches origin',
+    run: (ctx) => {
+      const { configFile } = ctx.setup;
+      if (!ctx.repo_url || !ctx.origin) return skipped(`Needs ${configFile} and an origin remote`);
+      const origin = normalizeRepoUrl(ctx.origin);
+      if (origin !== ctx.repo_url) {
+        return {
+          status: 'fail',
+          message: `${configFile} points at ${ctx.repo_url}, but origin is ${origin}`,
+          hints: [
+            'Pushes to origin deploy a different agent than the one the CLI looks up',
+            `Use origin with \`mantle-forge config set repo_url ${origin}\``,
+          ],
+        };
+      }
+      return { status: 'pass', message: origin };
+    },
+  },
+  {
+    id: 'branch_pushed',
+    name: 'Branch pushed',
+    run: (ctx) => {
+      if (!ctx.origin) return skipped('No origin remote');
+      const local = localCommit('HEAD');
+      const remote = runGit(['ls-remote', '--heads', 'origin', ctx.branch]);
+      let remoteCommit = remote.ok ? (remote.stdout.split(/\s+/)[0] || null) : null;
+      let source = 'origin';
+      if (!remote.ok) {
+        // Unreachable remote: fall back to the last fetched state
+        remoteCommit = localCommit(`refs/remotes/origin/${ctx.branch}`);
+        source = 'last fetch of origin';
+      }
+      if (!remoteCommit) {
+        return {
+          status: remote.ok ? 'fail' : 'warn',
+          message: remote.ok ? `${ctx.branch} is not on origin` : `Could not reach origin, and ${ctx.branch} was never fetched from it`,
+          hints: ['Push it with `mantle-forge push`'],
+        };
+      }
+      ctx.pushed = true;
+      if (!sameCommit(remoteCommit, local)) {
+        return { status: 'warn', message: `origin/${ctx.branch} is at ${remoteCommit.slice(0, 7)}, local HEAD at ${(local || 'none').slice(0, 7)} (${source})`, hints: ['Deploy local commits with `mantle-forge push`'] };
+      }
+      return { status: 'pass', message: `origin/${ctx.branch} at ${remoteCommit.slice(0, 7)}` };
+    },
+  },
+  {
+    id: 'backend',
+    name: 'Backend',
+    run: async (ctx) => {
+      const { api_url, profile } = ctx.setup.backend;
+      try {
+        const { version } = await ctx.client.health({ timeout: DOCTOR_TIMEOUT_MS, retries: 0 });
+        ctx.backend = true;
+        ctx.backend_version = version;
+        return { status: 'pass', message: `${api_url} [${profile}]${version ? ` version ${version}` : ''}` };
+      } catch (err) {
+        if (err.status && err.status < 500) {
+          // Older backends have no health endpoint, but they answered
+          ctx.backend = true;
+          return { status: 'pass', message: `${api_url} [${profile}] (version unknown)` };
+        }
+        return {
+          status: 'fail',
+          message: err.status ? `${api_url} returned HTTP ${err.status}` : err.message.replace(/^./, c => c.toUpperCase()),
+          hints: [NETWORK_HINT],
+        };
+      }
+    },
+  },
+  {
+    id: 'auth',
+    name: 'Logged in',
+    run: async (ctx) => {
+      if (!ctx.backend) return skipped('Backend unreachable');
+      const { auth, backend } = ctx.setup;
+      if (!auth) {
+        return { status: 'fail', message: `Not logged in to ${backend.api_url}`, hints: ['Run `mantle-forge login`'] };
+      }
+      try {
+        const user = await ctx.client.whoami({ timeout: DOCTOR_TIMEOUT_MS, retries: 0 });
+        ctx.auth = true;
+        return { status: 'pass', message: `as ${user.login || 'unknown'} (${auth.source})` };
+      } catch (err) {
+        if (err.code === 'UNAUTHENTICATED' || err.code === 'FORBIDDEN') {
+          return { status: 'fail', message: 'The backend rejected the token', hints: ['Run `mantle-forge login` again'] };
+        }
+        return { status: 'fail', message: `Error fetching account: ${err.message}` };
+      }
+    },
+  },
+  {
+    id: 'webhook',
+    name: 'Webhook',
+    run: async (ctx) => {
+      if (!ctx.auth || !ctx.repo_url) return skipped(`Needs a working login and ${ctx.setup.configFile}`);
+      // The backend registers an agent when the webhook delivers a push, so
+      // any agent for the repository proves the webhook fires
+      const agents = await ctx.client.listAgents(ctx.repo_url);
+      ctx.agents = agents;
+      if (agents.length > 0) {
+        return { status: 'pass', message: `The backend has received pushes for ${agents.length} branch${agents.length === 1 ? '' : 'es'}` };
+      }
+      return {
+        status: ctx.pushed ? 'fail' : 'warn',
+        message: ctx.pushed ? `${ctx.branch} is pushed, but the backend has received no push for this repository` : 'No push received yet (nothing to check until a branch is pushed)',
+        hints: [
+          'Install it with `mantle-forge webhook install`, or check an installed one with `mantle-forge webhook verify`',
+          ...(ctx.provider === 'github' ? [`Or let the backend install it: ${ctx.setup.backend.api_url}/auth/github?repo_url=${encodeURIComponent(ctx.repo_url)}`] : []),
+        ],
+      };
+    },
+  },
+  {
+    id: 'agent',
+    name: 'Agent',
+    run: async (ctx) => {
+      if (!ctx.agents || !ctx.branch) return skipped('Could not list agents');
+      const agent = ctx.agents.find(a => a.branch_name === ctx.branch);
+      if (!agent) {
+        const alternate = await findAlternateRepoUrl(ctx.client, ctx.repo_url, ctx.branch);
+        if (alternate) {
+          return {
+            status: 'fail',
+            message: `Registered under ${alternate}, not ${ctx.repo_url}`,
+            hints: ['Register the canonical URL by re-running `mantle-forge init --force`, then push again'],
+          };
+        }
+        return { status: 'fail', message: `No agent for ${ctx.branch}`, hints: ['Deploy it with `mantle-forge push`'] };
+      }
+      ctx.agent = true;
+      const status = agent.status ? String(agent.status).toLowerCase() : 'unknown';
+      if (status === 'running') {
+        return { status: 'pass', message: `running${agent.contract_address ? ` ${agent.contract_address}` : ''}` };
+      }
+      if (status === 'stopped') {
+        return { status: 'warn', message: 'stopped', hints: [`Start it with \`mantle-forge agents start ${ctx.branch}\``] };
+      }
+      return { status: 'fail', message: status, hints: ['Check the agent logs with `mantle-forge logs`, then `mantle-forge restart`'] };
+    },
+  },
+  {
+    id: 'secrets',
+    name: 'Secrets',
+    run: async (ctx) => {
+      if (!ctx.agent) return skipped('No agent for this branch');
+      const secrets = await ctx.client.checkSecrets(ctx.repo_url, ctx.branch);
+      if (!secrets.all_required_set) {
+        return { status: 'fail', message: `Missing ${secrets.missing.join(', ')}`, hints: secrets.missing.map(key => `Set it with \`mantle-forge secrets set ${key}\``) };
+      }
+      return { status: 'pass', message: `${secrets.required.length} required set` };
+    },
+  },
+  {
+    id: 'rpc',
+    name: 'RPC node',
+    run: async (ctx) => {
+      let settings;
+      try {
+        settings = await ctx.setup.resolveChain();
+      } catch (err) {
+        return { status: 'warn', message: err.message, hints: err.hints || [] };
+      }
+      let network;
+      try {
+        network = await chain.connectNode(settings.rpc_url);
+      } catch (err) {
+        return { status: 'fail', message: err.message, hints: ['Check --rpc-url, or start a local node with `anvil` (or `npx hardhat node`)'] };
+      }
+      try {
+        const block = await network.provider.getBlockNumber();
+        const label = network.name === `Chain ${network.chain_id}` ? network.name : `${network.name} (chain ${network.chain_id})`;
+        return { status: 'pass', message: `${label} at block ${block} (${settings.rpc_url})` };
+      } finally {
+        network.provider.destroy();
+      }
+    },
+  },
+];
+
+/**
+ * Runs every doctor check in order.
+ *
+ * @param {MantleForgeClient} client Backend client
+ * @param {object} setup What the CLI resolved
+ * @param {string|null} setup.branch Branch to check (default: the current one)
+ * @param {{ api_url: string, profile: string }} setup.backend Selected backend
+ * @param {{ source: string }|null} setup.auth Where the API token comes from, or null
+ * @param {string} setup.configFile Name of the project config file
+ * @param {function(): ({ file: string, config: object, outdated: boolean }|null)} setup.loadConfig
+ *   Reads and validates the project config; null when there is none
+ * @param {function(): Promise<{ rpc_url: string }>} setup.resolveChain Chain settings
+ * @param {object} [options]
+ * @param {function(object): void} [options.onCheck] Called with each result as it
+ *   comes in, since network checks can be slow
+ * @returns {Promise<object>} `{ branch, repo_url, backend_version, checks,
+ *   summary, ok }`; a check that throws fails with the error's message
+ */
+async function runDoctor(client, setup, { onCheck = () => {} } = {}) {
+  const ctx = { client, setup, branch: setup.branch || null };
+  const checks = [];
+  for (const check of DOCTOR_CHECKS) {
+    if (!ctx.branch && check.id === 'branch_pushed' && ctx.git) {
+      const head = runGit(['rev-parse', '--abbrev-ref', 'HEAD']);
+      ctx.branch = head.ok && head.stdout ? head.stdout : null;
+    }
+    let outcome;
+    try {
+      outcome = await check.run(ctx);
+    } catch (err) {
+      outcome = { status: 'fail', message: err.message, hints: err.hints || [] };
+    }
+    const result = {
+      id: check.id,
+      name: typeof check.name === 'function' ? check.name(ctx) : check.name,
+      status: outcome.status,
+      message: outcome.message,
+      hints: outcome.hints || [],
+    };
+    checks.push(result);
+    onCheck(result);
+  }
+
+  const count = status => checks.filter(check => check.status === status).length;
+  return {
+    branch: ctx.branch,
+    repo_url: ctx.repo_url || null,
+    backend_version: ctx.backend_version || null,
+    checks,
+    summary: { passed: count('pass'), warnings: count('warn'), failed: count('fail'), skipped: count('skip') },
+    ok: count('fail') === 0,
+  };
+}
+
+module.exports = {
+  DOCTOR_CHECKS,
+  runDoctor,
+};
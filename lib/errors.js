@@ -0,0 +1,67 @@
+// --- Client Errors ---
+// Errors thrown by MantleForgeClient. Each carries a stable `code` (the same
+// codes the CLI reports), the HTTP `status` when the backend answered and the
+// `requestId` of the failed request, so scripts can branch on the class or
+// the code instead of parsing messages.
+
+class MantleForgeError extends Error {
+  constructor(code, message, { status = null, requestId = null, details = {} } = {}) {
+    super(message);
+    this.name = 'MantleForgeError';
+    this.code = code;
+    this.status = status;
+    this.requestId = requestId;
+    Object.assign(this, details);
+  }
+}
+
+// 401/403: missing, expired or insufficient token (UNAUTHENTICATED, FORBIDDEN)
+class AuthError extends MantleForgeError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'AuthError';
+  }
+}
+
+// The agent, secret or endpoint does not exist (AGENT_NOT_FOUND carries
+// `branch`, `repoUrl` and `branchHash`)
+class NotFoundError extends MantleForgeError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'NotFoundError';
+  }
+}
+
+// The backend refused the request (other 4xx responses)
+class RequestError extends MantleForgeError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'RequestError';
+  }
+}
+
+// The backend failed (5xx) or answered with something unusable
+class BackendError extends MantleForgeError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'BackendError';
+  }
+}
+
+// No answer: connection refused, DNS failure or timeout (BACKEND_UNREACHABLE,
+// BACKEND_TIMEOUT)
+class NetworkError extends MantleForgeError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'NetworkError';
+  }
+}
+
+module.exports = {
+  MantleForgeError,
+  AuthError,
+  NotFoundError,
+  RequestError,
+  BackendError,
+  NetworkError,
+};
@@ -0,0 +1,228 @@
+// --- Decision and Trade History ---
+// Pages through a branch's decision and trade records, flattens them into
+// export rows (CSV, JSON Lines, Parquet) and buckets decisions into time
+// series for terminal charts. Choosing output files is done by the CLI.
+
+// Export columns per record type. `type` is the Parquet column type; `value`
+// reads the field from a backend record, accepting older field names.
+const HISTORY_COLUMNS = {
+  decisions: [
+    { name: 'branch', type: 'STRING' },
+    { name: 'id', type: 'STRING', value: r => r.id },
+    { name: 'timestamp', type: 'TIMESTAMP', value: r => r.timestamp ?? r.created_at },
+    { name: 'decision', type: 'STRING', value: r => r.decision ?? r.action },
+    { name: 'price', type: 'DOUBLE', value: r => r.price },
+    { name: 'trade_executed', type: 'BOOLEAN', value: r => r.trade_executed },
+    { name: 'tx_hash', type: 'STRING', value: r => r.tx_hash },
+    { name: 'reason', type: 'STRING', value: r => r.reason },
+  ],
+  trades: [
+    { name: 'branch', type: 'STRING' },
+    { name: 'id', type: 'STRING', value: r => r.id },
+    { name: 'side', type: 'STRING', value: r => r.side },
+    { name: 'size', type: 'DOUBLE', value: r => r.size ?? r.amount },
+    { name: 'entry_price', type: 'DOUBLE', value: r => r.entry_price },
+    { name: 'exit_price', type: 'DOUBLE', value: r => r.exit_price },
+    { name: 'fees', type: 'DOUBLE', value: r => r.fees ?? r.fee },
+    { name: 'gas_cost', type: 'DOUBLE', value: r => r.gas_cost ?? r.gas },
+    { name: 'opened_at', type: 'TIMESTAMP', value: r => r.opened_at ?? r.entry_time ?? r.timestamp },
+    { name: 'closed_at', type: 'TIMESTAMP', value: r => r.closed_at ?? r.exit_time },
+    { name: 'tx_hash', type: 'STRING', value: r => r.tx_hash },
+  ],
+};
+
+// Converts a raw field to its column type; missing or unparseable values become null
+function toColumnValue(value, type) {
+  if (value === null || value === undefined || value === '') return null;
+  switch (type) {
+    case 'DOUBLE': {
+      const n = Number(value);
+      return Number.isFinite(n) ? n : null;
+    }
+    case 'BOOLEAN':
+      return value === true || value === 'true' || value === 1;
+    case 'TIMESTAMP': {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? null : date.toISOString();
+    }
+    default:
+      return String(value);
+  }
+}
+
+// Time of a record in epoch milliseconds, or null (decisions and trades)
+function recordTime(record) {
+  const value = record.timestamp ?? record.created_at ?? record.opened_at ?? record.entry_time;
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+// Flattens a backend record into an export row for the given record type
+function toRow(type, branch, record) {
+  return Object.fromEntries(HISTORY_COLUMNS[type].map(column => [
+    column.name,
+    column.value ? toColumnValue(column.value(record), column.type) : branch,
+  ]));
+}
+
+// Quotes a CSV field when needed (RFC 4180)
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV line (with trailing newline) for an array of values
+function csvLine(values) {
+  return `${values.map(csvField).join(',')}\n`;
+}
+
+/**
+ * Encodes export rows as a Parquet file.
+ *
+ * hyparquet-writer is an ES module, so it is only loaded when Parquet output
+ * is requested.
+ *
+ * @param {string} type Record type (`decisions` or `trades`)
+ * @param {object[]} rows Rows from `toRow`
+ * @returns {Promise<Buffer>} The Parquet file contents
+ */
+async function toParquet(type, rows) {
+  const { parquetWriteBuffer } = await import('hyparquet-writer');
+  const columnData = HISTORY_COLUMNS[type].map(column => ({
+    name: column.name,
+    type: column.type,
+    data: rows.map((row) => {
+      const value = row[column.name];
+      return column.type === 'TIMESTAMP' && value !== null ? new Date(value) : value;
+    }),
+  }));
+  return Buffer.from(parquetWriteBuffer({ columnData }));
+}
+
+/**
+ * Buckets decision records into equal time slots for charting.
+ *
+ * @param {object[]} decisions Decision records from the backend
+ * @param {object} options
+ * @param {number} options.start Series start in epoch milliseconds
+ * @param {number} options.end Series end in epoch milliseconds
+ * @param {number} options.buckets Number of slots
+ * @returns {object} `{ bucket_minutes, start, end, price, decisions_per_hour, cumulative_trades }`;
+ *   `price` is the average decision price per slot (null for slots without one)
+ */
+function bucketDecisions(decisions, { start, end, buckets }) {
+  const size = Math.max(1, (end - start) / buckets);
+  const prices = Array.from({ length: buckets }, () => []);
+  const counts = new Array(buckets).fill(0);
+  const trades = new Array(buckets).fill(0);
+
+  decisions.forEach((record) => {
+    const time = recordTime(record);
+    if (time === null || time < start || time > end) return;
+    const slot = Math.min(buckets - 1, Math.floor((time - start) / size));
+    counts[slot] += 1;
+    if (record.trade_executed === true || record.trade_executed === 'true' || record.trade_executed === 1) {
+      trades[slot] += 1;
+    }
+    const price = toColumnValue(record.price, 'DOUBLE');
+    if (price !== null) prices[slot].push(price);
+  });
+
+  const perHour = 60 * 60 * 1000 / size;
+  let total = 0;
+  return {
+    bucket_minutes: Number((size / 60000).toFixed(2)),
+    start: new Date(start).toISOString(),
+    end: new Date(end).toISOString(),
+    price: prices.map(slot => (slot.length > 0 ? Number((slot.reduce((sum, p) => sum + p, 0) / slot.length).toFixed(6)) : null)),
+    decisions_per_hour: counts.map(count => Number((count * perHour).toFixed(2))),
+    cumulative_trades: trades.map((count) => {
+      total += count;
+      return total;
+    }),
+  };
+}
+
+/**
+ * Yields a branch's decision or trade records page by page, newest first.
+ *
+ * Only records between `since` and `until` are kept (records without a
+ * timestamp always are). Paging stops at the first page that reaches back
+ * past `since`.
+ *
+ * @param {MantleForgeClient} client Backend client
+ * @param {string} repoUrl Repository URL
+ * @param {string} branch Branch name
+ * @param {string} type Record type (`decisions` or `trades`)
+ * @param {object} [range]
+ * @param {Date} [range.since] Oldest record to keep
+ * @param {Date} [range.until] Newest record to keep
+ * @yields {object[]} A page of backend records
+ * @throws {NotFoundError} AGENT_NOT_FOUND, or HISTORY_UNAVAILABLE
+ */
+async function* fetchHistory(client, repoUrl, branch, type, { since = null, until = null } = {}) {
+  const params = { since: since?.toISOString(), until: until?.toISOString() };
+  for await (const records of client.history(repoUrl, branch, type, params)) {
+    const times = records.map(recordTime);
+    yield records.filter((record, i) => times[i] === null
+      || ((!since || times[i] >= since.getTime()) && (!until || times[i] <= until.getTime())));
+    if (since && records.length > 0 && times.every(time => time !== null && time < since.getTime())) {
+      return;
+    }
+  }
+}
+
+// Chart series for a window (bucketDecisions). Windows without a start
+// begin at the agent's first decision, or a day back without one.
+async function chartSeries(client, repoUrl, branch, window, stats, { buckets }) {
+  const end = window.end.getTime();
+  const firstDecision = stats?.first_decision ? new Date(stats.first_decision).getTime() : NaN;
+  const start = window.start ? window.start.getTime() : (Number.isNaN(firstDecision) ? end - 24 * 60 * 60 * 1000 : firstDecision);
+  const decisions = [];
+  for await (const page of fetchHistory(client, repoUrl, branch, 'decisions', { since: new Date(start), until: window.end })) {
+    decisions.push(...page);
+  }
+  return bucketDecisions(decisions, { start, end, buckets });
+}
+
+// Returns a function that writes chunks to a stream, waiting for it to drain
+// when its buffer is full. The stream's 'error' event is tracked from the
+// start, so writes reject with it (e.g. a full disk) instead of hanging.
+function chunkWriter(stream) {
+  let failed = null;
+  stream.on('error', (err) => {
+    failed = err;
+  });
+  return async (chunk) => {
+    if (failed) {
+      throw failed;
+    }
+    if (!stream.write(chunk)) {
+      await new Promise((resolve, reject) => {
+        const onDrain = () => {
+          stream.off('error', onError);
+          resolve();
+        };
+        const onError = (err) => {
+          stream.off('drain', onDrain);
+          reject(err);
+        };
+        stream.once('drain', onDrain);
+        stream.once('error', onError);
+      });
+    }
+  };
+}
+
+module.exports = {
+  HISTORY_COLUMNS,
+  recordTime,
+  toRow,
+  csvLine,
+  toParquet,
+  bucketDecisions,
+  fetchHistory,
+  chartSeries,
+  chunkWriter,
+};
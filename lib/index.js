@@ -0,0 +1,75 @@
+// --- Package Entry Point ---
+// `require('mantle-forge')`: the backend client and the helpers the CLI's
+// commands are built from. Helpers that talk to the backend take a
+// MantleForgeClient as their first argument.
+//
+//   const { MantleForgeClient, getPerformance, parseWindow } = require('mantle-forge');
+//   const client = new MantleForgeClient({ token: process.env.MANTLE_FORGE_TOKEN });
+//   const { metrics } = await getPerformance(client, repoUrl, 'main', parseWindow('7d'));
+
+const client = require('./client');
+const { repoUrlVariants, parseRepoUrl } = require('./repo');
+const { parseDuration, parseWindow, parseTime } = require('./time');
+const { summarizeStats, getPerformance } = require('./stats');
+const { computeMetrics } = require('./metrics');
+const { twoProportionTest, rankBranches, analyzeComparison } = require('./compare');
+const { normalizeLogEntry, matchesLogFilters, fetchLogs, streamLogs } = require('./logs');
+const { deploymentState, waitForDeployment } = require('./deployments');
+const { fetchHistory, chunkWriter, toRow, csvLine, toParquet } = require('./history');
+const { decryptSecret, keyFingerprint, verifiedPublicKey, parseEnvFile, planSecretsCopy } = require('./secrets');
+const { validateStrategy, planStrategy } = require('./strategy');
+const { resolveWatchSettings, watchAgents } = require('./watch');
+const { webhookPayload } = require('./alerts');
+const { toAgentListing, findAlternateRepoUrl } = require('./agents');
+const { listWorkspaceAgents } = require('./workspace');
+const { runDoctor } = require('./doctor');
+const { readKeystore, decryptKeystore, rotateWallet } = require('./wallet');
+const { priceSource, startAnvil, startLocalEnvironment } = require('./local');
+const webhooks = require('./webhooks');
+
+module.exports = {
+  ...client,
+  parseRepoUrl,
+  repoUrlVariants,
+  parseDuration,
+  parseWindow,
+  parseTime,
+  summarizeStats,
+  getPerformance,
+  computeMetrics,
+  twoProportionTest,
+  rankBranches,
+  analyzeComparison,
+  normalizeLogEntry,
+  matchesLogFilters,
+  fetchLogs,
+  streamLogs,
+  deploymentState,
+  waitForDeployment,
+  fetchHistory,
+  chunkWriter,
+  toRow,
+  csvLine,
+  toParquet,
+  decryptSecret,
+  keyFingerprint,
+  verifiedPublicKey,
+  parseEnvFile,
+  planSecretsCopy,
+  validateStrategy,
+  planStrategy,
+  resolveWatchSettings,
+  watchAgents,
+  webhookPayload,
+  toAgentListing,
+  findAlternateRepoUrl,
+  listWorkspaceAgents,
+  runDoctor,
+  readKeystore,
+  decryptKeystore,
+  rotateWallet,
+  priceSource,
+  startAnvil,
+  startLocalEnvironment,
+  webhooks,
+};
@@ -0,0 +1,458 @@
+// --- Local Runs and Backtests ---
+// Price data, the mock price feed, Anvil and the agent process behind
+// `run --local` and `backtest`. The feed is a small HTTP server the agent
+// polls for prices and reports its decisions to. Choosing the agent command,
+// its secrets and the fork URL is done by the CLI.
+
+const http = require('http');
+const { spawn, spawnSync } = require('child_process');
+const { MantleForgeError } = require('./errors');
+const chain = require('./chain');
+const { parseDuration } = require('./time');
+
+const ANVIL_STARTUP_TIMEOUT_MS = 60 * 1000;
+
+// Splits CSV text into rows of fields (RFC 4180: quoted fields may contain
+// commas, quotes and newlines)
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Error for unusable price data
+function priceDataError(message) {
+  return new MantleForgeError('INVALID_PRICE_DATA', message);
+}
+
+/**
+ * Reads recorded prices from CSV.
+ *
+ * The first row must name a time column (`timestamp`, `time` or `date`) and a
+ * price column (`price` or `close`), so `history export` output can be
+ * replayed as-is. Rows are returned oldest first; rows without a price (e.g.
+ * decisions that carried none) are skipped.
+ *
+ * @param {string} content CSV text
+ * @returns {{ timestamp: string, price: number }[]}
+ */
+function parsePriceCsv(content) {
+  const [header, ...rows] = parseCsv(content);
+  const columns = (header || []).map(name => name.trim().toLowerCase());
+  const timeColumn = columns.findIndex(name => ['timestamp', 'time', 'date'].includes(name));
+  const priceColumn = columns.findIndex(name => ['price', 'close'].includes(name));
+  if (timeColumn === -1 || priceColumn === -1) {
+    throw priceDataError('Price data needs a header row with a timestamp (or time, date) and a price (or close) column');
+  }
+
+  const prices = [];
+  rows.forEach((row, i) => {
+    if (row[priceColumn] === undefined || row[priceColumn].trim() === '') return;
+    const price = Number(row[priceColumn]);
+    const raw = row[timeColumn]?.trim();
+    // Unix timestamps in seconds or milliseconds are accepted as well as dates
+    const time = /^\d+$/.test(raw) ? Number(raw) * (raw.length <= 10 ? 1000 : 1) : new Date(raw).getTime();
+    if (!Number.isFinite(price) || Number.isNaN(time)) {
+      throw priceDataError(`Row ${i + 2} has an invalid timestamp or price: ${row.join(',')}`);
+    }
+    prices.push({ timestamp: new Date(time).toISOString(), price });
+  });
+  if (prices.length === 0) {
+    throw priceDataError('Price data has no rows with a price');
+  }
+  return prices.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+// Seeded pseudo-random numbers in [0, 1) (mulberry32), so synthetic runs repeat
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Creates a synthetic price series: a geometric random walk.
+ *
+ * @param {object} options
+ * @param {number} options.startPrice First price
+ * @param {number} options.volatility Standard deviation of each step's return, e.g. 0.01 = 1%
+ * @param {number} options.seed Random seed; the same seed gives the same series
+ * @param {number} options.stepMs Time between prices
+ * @param {number} [options.start] Timestamp of the first price (epoch ms, defaults to now)
+ * @returns {function(): { timestamp: string, price: number }} Returns the next price on each call
+ */
+function syntheticPrices({ startPrice, volatility, seed, stepMs, start = Date.now() }) {
+  const random = seededRandom(seed);
+  let price = startPrice;
+  let time = start;
+  let first = true;
+  return () => {
+    if (!first) {
+      // Box-Muller transform for normally distributed returns
+      const normal = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+      price *= Math.exp(volatility * normal - (volatility ** 2) / 2);
+      time += stepMs;
+    }
+    first = false;
+    return { timestamp: new Date(time).toISOString(), price: Number(price.toFixed(8)) };
+  };
+}
+
+/**
+ * Price source for the mock feed: recorded prices from CSV, or a seeded
+ * synthetic random walk.
+ *
+ * @param {object} options
+ * @param {string} [options.csv] Recorded prices (see parsePriceCsv); synthetic without
+ * @param {string} [options.file] Where `csv` came from, for errors and the label
+ * @param {string} [options.step] Duration between synthetic prices, e.g. 1m
+ * @param {number} [options.startPrice] First synthetic price
+ * @param {number} [options.volatility] Synthetic volatility per step
+ * @param {number} [options.seed] Synthetic seed
+ * @param {object} [limits]
+ * @param {boolean} [limits.loop] Restart recorded prices at the end (live runs);
+ *   otherwise the source returns null once they run out
+ * @param {number} [limits.count] Number of synthetic prices, ending now
+ * @returns {{ label: string, total: number|null, next: function(): (object|null) }}
+ */
+function priceSource({ csv, file = 'price data', step, startPrice, volatility, seed }, { loop = false, count = Infinity } = {}) {
+  if (csv !== undefined) {
+    let prices;
+    try {
+      prices = parsePriceCsv(csv);
+    } catch (err) {
+      throw priceDataError(`${file}: ${err.message}`);
+    }
+    let i = 0;
+    return {
+      label: `${prices.length} prices from ${file}`,
+      total: prices.length,
+      next: () => (i < prices.length || loop ? prices[i++ % prices.length] : null),
+    };
+  }
+
+  const stepMs = parseDuration(step);
+  if (!stepMs || !(startPrice > 0) || !(volatility >= 0)) {
+    throw new MantleForgeError('INVALID_ARGUMENT', '--step must be a duration, --start-price positive and --volatility zero or more.');
+  }
+  const synthetic = syntheticPrices({
+    startPrice,
+    volatility,
+    seed,
+    stepMs,
+    start: count === Infinity ? Date.now() : Date.now() - (count - 1) * stepMs,
+  });
+  let served = 0;
+  return {
+    label: `synthetic, seed ${seed}, ${(volatility * 100).toFixed(2)}% per ${step}`,
+    total: count === Infinity ? null : count,
+    next: () => (served++ < count ? synthetic() : null),
+  };
+}
+
+// Normalizes a decision the agent posted to the feed. The decision is stamped
+// with the feed's current price time, which is simulated time in backtests.
+function normalizeDecision(body, current) {
+  const executed = body.trade_executed ?? body.executed;
+  return {
+    timestamp: current.timestamp,
+    decision: String(body.decision ?? body.action ?? 'HOLD').toUpperCase(),
+    price: Number.isFinite(Number(body.price)) && body.price !== null ? Number(body.price) : current.price,
+    trade_executed: executed === true || executed === 'true' || executed === 1,
+    size: Number.isFinite(Number(body.size ?? body.amount)) ? Number(body.size ?? body.amount) : null,
+    reason: body.reason ?? null,
+    tx_hash: body.tx_hash ?? null,
+  };
+}
+
+// Reads a JSON request body (at most 1 MB)
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > 1024 * 1024) reject(new Error('Request body too large'));
+    });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Starts the mock price feed on 127.0.0.1.
+ *
+ * Endpoints: `GET /price` (current price), `GET /prices?limit=N` (recent
+ * prices up to the current one, oldest first), `POST /decisions` (the agent reports a
+ * decision as `{ decision, price?, trade_executed?, size?, reason?, tx_hash? }`)
+ * and `GET /health`.
+ *
+ * In replay mode every `GET /price` moves to the next price, so the agent's
+ * loop drives the clock; once `next` returns null the feed answers 410 Gone
+ * and `done` resolves. Otherwise the CLI moves the price with `advance()`.
+ *
+ * @param {object} options
+ * @param {function(): ({ timestamp: string, price: number }|null)} options.next Price source
+ * @param {boolean} [options.replay] Advance on every price read
+ * @param {string} [options.symbol] Symbol reported with prices
+ * @param {number} [options.port] Port to listen on (0 = any free port)
+ * @param {function(object): void} [options.onDecision] Called for each reported decision
+ * @returns {Promise<object>} `{ url, prices, decisions, advance, done, close }`
+ */
+function startPriceFeed({ next, replay = false, symbol = 'MNT/USD', port = 0, onDecision = () => {} }) {
+  const prices = [];
+  const decisions = [];
+  let current = next();
+  let served = false;
+  if (current) prices.push(current);
+  let finish;
+  const done = new Promise((resolve) => {
+    finish = resolve;
+  });
+
+  const advance = () => {
+    const price = next();
+    if (price) {
+      current = price;
+      prices.push(price);
+    } else {
+      current = null;
+      finish();
+    }
+    return current;
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    const json = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method === 'GET' && url.pathname === '/price') {
+      if (replay && served && current) advance();
+      if (!current) {
+        json(410, { error: 'End of price data', done: true });
+        return;
+      }
+      served = true;
+      json(200, { symbol, price: current.price, timestamp: current.timestamp });
+    } else if (req.method === 'GET' && url.pathname === '/prices') {
+      const limit = Math.max(1, parseInt(url.searchParams.get('limit'), 10) || 100);
+      json(200, { symbol, prices: prices.slice(-limit) });
+    } else if (req.method === 'POST' && url.pathname === '/decisions') {
+      try {
+        const decision = normalizeDecision(await readJsonBody(req), current || prices[prices.length - 1] || { timestamp: new Date().toISOString(), price: null });
+        decisions.push(decision);
+        onDecision(decision);
+        json(201, { ok: true });
+      } catch (err) {
+        json(400, { error: `Invalid decision: ${err.message}` });
+      }
+    } else if (req.method === 'GET' && url.pathname === '/health') {
+      json(200, { ok: true, done: !current });
+    } else {
+      json(404, { error: 'Not found' });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        prices,
+        decisions,
+        advance,
+        done,
+        close: () => new Promise(closed => server.close(() => closed())),
+      });
+    });
+  });
+}
+
+/**
+ * Pairs executed decisions into trade records for `computeMetrics`.
+ *
+ * An executed BUY opens a long position (size 1 unless the agent reported
+ * one); an executed SELL closes the oldest open position at its price.
+ *
+ * @param {object[]} decisions Decisions reported to the feed
+ * @returns {object[]} Trade records in the backend's format
+ */
+function tradesFromDecisions(decisions) {
+  const trades = [];
+  const open = [];
+  decisions.filter(d => d.trade_executed && d.price !== null).forEach((decision) => {
+    if (decision.decision === 'BUY') {
+      const trade = { id: trades.length + 1, side: 'long', entry_price: decision.price, exit_price: null, size: decision.size || 1, opened_at: decision.timestamp, closed_at: null };
+      trades.push(trade);
+      open.push(trade);
+    } else if (decision.decision === 'SELL' && open.length > 0) {
+      const trade = open.shift();
+      trade.exit_price = decision.price;
+      trade.closed_at = decision.timestamp;
+    }
+  });
+  return trades;
+}
+
+// The agent's environment: the parent's, without the CLI's own MANTLE_FORGE_*
+// settings (API token, keystore password, webhook secret, ...), which the
+// agent code under test has no business reading, plus `variables`
+function agentEnvironment(parentEnv, variables) {
+  const inherited = Object.fromEntries(Object.entries(parentEnv).filter(([name]) => !/^MANTLE_FORGE_/i.test(name)));
+  return { ...inherited, ...variables };
+}
+
+// Starts an Anvil node forking `forkUrl` and waits until it answers JSON-RPC.
+// `onStart` is called once anvil is found. Throws ANVIL_NOT_FOUND,
+// ANVIL_FAILED (with `forkUrl`) or ANVIL_TIMEOUT.
+async function startAnvil(forkUrl, port, { timeoutMs = ANVIL_STARTUP_TIMEOUT_MS, onStart = () => {} } = {}) {
+  if (spawnSync('anvil', ['--version']).error) {
+    throw new MantleForgeError('ANVIL_NOT_FOUND', 'anvil is not installed.');
+  }
+  onStart();
+
+  const child = spawn('anvil', ['--fork-url', forkUrl, '--port', String(port), '--silent'], { stdio: ['ignore', 'ignore', 'pipe'] });
+  let stderr = '';
+  child.stderr.on('data', (chunk) => { stderr += chunk; });
+  const url = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new MantleForgeError('ANVIL_FAILED', `anvil exited with code ${child.exitCode}: ${stderr.trim() || 'no output'}`, { details: { forkUrl } });
+    }
+    try {
+      return { ...(await chain.connect(url)), rpc_url: url, fork_url: forkUrl, process: child };
+    } catch (err) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+  }
+  child.kill();
+  throw new MantleForgeError('ANVIL_TIMEOUT', `anvil did not start within ${timeoutMs / 1000}s.`);
+}
+
+/**
+ * Starts the local chain and price feed and builds the agent's environment.
+ *
+ * The chain is the node at `rpcUrl` when given, otherwise an Anvil fork of
+ * `forkUrl`, or none when both are null.
+ *
+ * @param {object} options
+ * @param {string} options.branch Branch the agent runs for
+ * @param {{ key: string, value: string }[]} [options.secrets] Agent secrets
+ * @param {string|null} [options.rpcUrl] Running node to use
+ * @param {string|null} [options.forkUrl] Upstream node for an Anvil fork
+ * @param {number} [options.port] Anvil port
+ * @param {object} options.feed startPriceFeed options
+ * @param {object} [options.parentEnv] Environment to inherit (see agentEnvironment)
+ * @param {function(): void} [options.onAnvil] Called as Anvil starts
+ * @returns {Promise<object>} `{ env, feed, node, stop }`; `stop()` stops
+ *   Anvil and the feed
+ */
+async function startLocalEnvironment({ branch, secrets = [], rpcUrl = null, forkUrl = null, port, feed: feedOptions, parentEnv = process.env, onAnvil }) {
+  let node = null;
+  if (rpcUrl) {
+    node = { ...(await chain.connectNode(rpcUrl)), rpc_url: rpcUrl, fork_url: null, process: null };
+  } else if (forkUrl) {
+    node = await startAnvil(forkUrl, port, { onStart: onAnvil });
+  }
+  let feed;
+  try {
+    feed = await startPriceFeed(feedOptions);
+  } catch (err) {
+    if (node?.process) node.process.kill();
+    throw err;
+  }
+
+  // Local endpoints override anything with the same name from the secrets
+  const env = agentEnvironment(parentEnv, {
+    ...Object.fromEntries(secrets.map(({ key, value }) => [key, value])),
+    MANTLE_FORGE_MODE: feedOptions.replay ? 'backtest' : 'local',
+    MANTLE_FORGE_BRANCH: branch,
+    PRICE_FEED_URL: `${feed.url}/price`,
+    DECISIONS_URL: `${feed.url}/decisions`,
+  });
+  if (node) {
+    Object.assign(env, { RPC_URL: node.rpc_url, MANTLE_RPC_URL: node.rpc_url, CHAIN_ID: String(node.chain_id) });
+  }
+  if (feedOptions.replay) {
+    env.AGENT_INTERVAL_MS = '0';
+  }
+
+  const stop = async () => {
+    if (node?.process && node.process.exitCode === null) node.process.kill();
+    await feed.close();
+  };
+  return { env, feed, node, stop };
+}
+
+// Starts the agent command with the local environment
+function spawnAgent(command, env, stdio) {
+  return spawn(command, { shell: true, stdio, env });
+}
+
+// Resolves with the exit code once a child process exits (signals count as 1)
+function waitForExit(child) {
+  return new Promise((resolve) => {
+    child.once('exit', code => resolve(code ?? 1));
+    child.once('error', () => resolve(1));
+  });
+}
+
+module.exports = {
+  parsePriceCsv,
+  syntheticPrices,
+  priceSource,
+  startPriceFeed,
+  tradesFromDecisions,
+  agentEnvironment,
+  startAnvil,
+  startLocalEnvironment,
+  spawnAgent,
+  waitForExit,
+};
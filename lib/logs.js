@@ -0,0 +1,95 @@
+// --- Agent Logs ---
+// Normalizes backend log entries (plain lines or objects), filters them and
+// drops the duplicates that history, the live stream and polling overlap on.
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const LOG_SEEN_LIMIT = 5000;
+
+// Guesses the level of a plain-text log line
+function detectLogLevel(line) {
+  if (/\b(error|fatal|failed)\b|❌/i.test(line)) return 'error';
+  if (/\bwarn(ing)?\b|⚠/i.test(line)) return 'warn';
+  if (/\bdebug\b/i.test(line)) return 'debug';
+  return 'info';
+}
+
+// Normalizes a backend log entry (plain string or object) to { id, timestamp, level, raw }
+function normalizeLogEntry(entry) {
+  if (typeof entry === 'string') {
+    const tsMatch = entry.match(/\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?/);
+    return { id: null, timestamp: tsMatch ? tsMatch[0] : null, level: detectLogLevel(entry), raw: entry };
+  }
+
+  const message = String(entry.message ?? entry.line ?? entry.msg ?? JSON.stringify(entry));
+  const timestamp = entry.timestamp || entry.time || entry.created_at || null;
+  return {
+    id: entry.id ?? null,
+    timestamp,
+    level: String(entry.level || detectLogLevel(message)).toLowerCase(),
+    raw: timestamp && !message.includes(timestamp) ? `${timestamp} ${message}` : message,
+  };
+}
+
+// Checks a normalized log entry against the logs command filters
+// ({ levels, grep, since, until }; each optional)
+function matchesLogFilters(entry, filters) {
+  if (filters.levels && !filters.levels.includes(entry.level)) return false;
+  if (filters.grep && !filters.grep.test(entry.raw)) return false;
+  const time = entry.timestamp ? new Date(entry.timestamp).getTime() : NaN;
+  if (!Number.isNaN(time)) {
+    if (filters.since && time < filters.since.getTime()) return false;
+    if (filters.until && time > filters.until.getTime()) return false;
+  }
+  return true;
+}
+
+/**
+ * Tracks the entries seen while following logs.
+ *
+ * `accept(entry)` is false for entries already seen (by id, or by line when
+ * the backend sends none) and for entries the filters reject. `filters` is
+ * read on every call, so moving `since` forward takes effect immediately.
+ *
+ * @param {object} filters As for matchesLogFilters
+ * @returns {{ accept: function(object): boolean, lastTimestamp: function(): (string|null) }}
+ */
+function logTracker(filters) {
+  const seen = new Set();
+  let lastTimestamp = null;
+  return {
+    accept: (entry) => {
+      const key = entry.id ?? entry.raw;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      if (seen.size > LOG_SEEN_LIMIT) {
+        seen.delete(seen.values().next().value);
+      }
+      if (entry.timestamp) lastTimestamp = entry.timestamp;
+      return matchesLogFilters(entry, filters);
+    },
+    lastTimestamp: () => lastTimestamp,
+  };
+}
+
+// Fetches a page of a branch's logs as normalized entries. Older pages are
+// reached with `before`, using the cursor returned by the previous page.
+async function fetchLogs(client, repoUrl, branch, params) {
+  const { logs, next_cursor } = await client.getLogs(repoUrl, branch, params);
+  return { entries: logs.map(normalizeLogEntry), next_cursor };
+}
+
+// Follows a branch's live log stream, calling onEntry with each normalized
+// entry. Rejects if the stream cannot be opened; resolves when it closes.
+async function streamLogs(client, repoUrl, branch, params, onEntry) {
+  return client.streamLogs(repoUrl, branch, params, entry => onEntry(normalizeLogEntry(entry)));
+}
+
+module.exports = {
+  LOG_LEVELS,
+  detectLogLevel,
+  normalizeLogEntry,
+  matchesLogFilters,
+  logTracker,
+  fetchLogs,
+  streamLogs,
+};
@@ -0,0 +1,209 @@
+// --- Performance Metrics ---
+// Computes profitability and risk metrics from an agent's per-trade history.
+// Pure functions only: fetching trades and rendering are done by the CLI.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const TRADING_DAYS_PER_YEAR = 365; // Crypto markets trade every day
+
+// Converts a value to a finite number, or 0
+function toNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+// Converts a date-like value to epoch milliseconds, or null
+function toTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+// Rounds to a fixed number of decimals, keeping null as null
+function round(value, decimals = 4) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  return Number(value.toFixed(decimals));
+}
+
+// Normalizes a backend trade record. Prices are in the quote currency, `size`
+// in the traded token, and fees and gas are converted to the quote currency
+// by the backend. A trade without an exit price is an open position.
+function normalizeTrade(trade) {
+  const exitPrice = trade.exit_price ?? null;
+  const openedAt = toTime(trade.opened_at ?? trade.entry_time ?? trade.timestamp);
+  return {
+    id: trade.id ?? null,
+    direction: String(trade.side || 'long').toLowerCase() === 'short' ? -1 : 1,
+    entry_price: Number(trade.entry_price),
+    exit_price: exitPrice === null ? null : Number(exitPrice),
+    size: toNumber(trade.size ?? trade.amount),
+    costs: toNumber(trade.fees ?? trade.fee) + toNumber(trade.gas_cost ?? trade.gas),
+    opened_at: openedAt,
+    closed_at: exitPrice === null ? null : (toTime(trade.closed_at ?? trade.exit_time) ?? openedAt),
+  };
+}
+
+// Profit of a trade marked at `price`, net of fees and gas
+function tradePnl(trade, price) {
+  return (price - trade.entry_price) * trade.size * trade.direction - trade.costs;
+}
+
+// Largest total notional held open at the same time
+function peakExposure(trades, end) {
+  const events = [];
+  trades.forEach((trade) => {
+    const notional = trade.entry_price * trade.size;
+    events.push([trade.opened_at ?? end, notional]);
+    events.push([trade.closed_at ?? end, -notional]);
+  });
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  let current = 0;
+  let peak = 0;
+  events.forEach(([, delta]) => {
+    current += delta;
+    peak = Math.max(peak, current);
+  });
+  return peak;
+}
+
+// Total time at least one position was open within [start, end]
+function exposureMs(trades, start, end) {
+  const intervals = trades
+    .map(trade => [Math.max(trade.opened_at ?? start, start), Math.min(trade.closed_at ?? end, end)])
+    .filter(([from, to]) => to > from)
+    .sort((a, b) => a[0] - b[0]);
+
+  let total = 0;
+  let current = null;
+  intervals.forEach(([from, to]) => {
+    if (current && from <= current[1]) {
+      current[1] = Math.max(current[1], to);
+    } else {
+      if (current) total += current[1] - current[0];
+      current = [from, to];
+    }
+  });
+  if (current) total += current[1] - current[0];
+  return total;
+}
+
+// Annualized Sharpe and Sortino ratios from daily returns (risk-free rate 0)
+function riskRatios(dailyReturns) {
+  if (dailyReturns.length < 2) {
+    return { sharpe: null, sortino: null };
+  }
+  const mean = dailyReturns.reduce((sum, r) => sum + r, 0) / dailyReturns.length;
+  const variance = dailyReturns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (dailyReturns.length - 1);
+  const downside = Math.sqrt(dailyReturns.reduce((sum, r) => sum + Math.min(r, 0) ** 2, 0) / dailyReturns.length);
+  const annualize = Math.sqrt(TRADING_DAYS_PER_YEAR);
+  return {
+    sharpe: variance > 0 ? (mean / Math.sqrt(variance)) * annualize : null,
+    sortino: downside > 0 ? (mean / downside) * annualize : null,
+  };
+}
+
+/**
+ * Computes performance metrics for one agent.
+ *
+ * Realized PnL counts trades closed inside the window; unrealized PnL marks
+ * every open position at `currentPrice` (null when no price is known).
+ * Drawdown and returns are measured against `startingCapital`, or the peak
+ * notional the agent held open at once when the backend does not report it.
+ *
+ * @param {object[]} rawTrades Trade records from the backend
+ * @param {object} [options]
+ * @param {number|null} [options.currentPrice] Latest price for open positions
+ * @param {number|null} [options.startingCapital] Capital the agent started with
+ * @param {Date|null} [options.start] Window start (null = first trade)
+ * @param {Date} [options.end] Window end (defaults to now)
+ * @returns {object} Metrics; ratio fields are null when undefined
+ */
+function computeMetrics(rawTrades, { currentPrice = null, startingCapital = null, start = null, end = new Date() } = {}) {
+  const endMs = end.getTime();
+  const trades = rawTrades.map(normalizeTrade).filter(trade => Number.isFinite(trade.entry_price) && trade.size > 0);
+  const firstOpen = trades.reduce((earliest, trade) => Math.min(earliest, trade.opened_at ?? endMs), endMs);
+  const startMs = start ? start.getTime() : firstOpen;
+
+  const closed = trades
+    .filter(trade => trade.closed_at !== null && trade.closed_at >= startMs && trade.closed_at <= endMs)
+    .sort((a, b) => a.closed_at - b.closed_at);
+  const open = trades.filter(trade => trade.closed_at === null);
+  const inScope = [...closed, ...open];
+
+  const closedPnls = closed.map(trade => tradePnl(trade, trade.exit_price));
+  const realized = closedPnls.reduce((sum, pnl) => sum + pnl, 0);
+  const price = currentPrice === null || currentPrice === undefined ? null : Number(currentPrice);
+  let unrealized = 0;
+  if (open.length > 0) {
+    unrealized = Number.isFinite(price) ? open.reduce((sum, trade) => sum + tradePnl(trade, price), 0) : null;
+  }
+
+  const capitalDeployed = inScope.reduce((sum, trade) => sum + trade.entry_price * trade.size, 0);
+  const base = toNumber(startingCapital) || peakExposure(inScope, endMs) || capitalDeployed;
+
+  // Equity curve over realized PnL, ending with open positions marked to market
+  let equity = base;
+  let peak = base;
+  let maxDrawdown = 0;
+  let maxDrawdownPct = 0;
+  const track = () => {
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, peak - equity);
+    maxDrawdownPct = peak > 0 ? Math.max(maxDrawdownPct, (peak - equity) / peak) : maxDrawdownPct;
+  };
+  closedPnls.forEach((pnl) => {
+    equity += pnl;
+    track();
+  });
+  if (unrealized) {
+    equity += unrealized;
+    track();
+  }
+
+  const wins = closedPnls.filter(pnl => pnl > 0);
+  const losses = closedPnls.filter(pnl => pnl < 0);
+  const grossWin = wins.reduce((sum, pnl) => sum + pnl, 0);
+  const grossLoss = -losses.reduce((sum, pnl) => sum + pnl, 0);
+
+  // Daily returns over the whole window, including days without trades
+  const days = Math.max(1, Math.ceil((endMs - startMs) / DAY_MS));
+  const dailyReturns = new Array(days).fill(0);
+  if (base > 0) {
+    closed.forEach((trade, i) => {
+      const day = Math.min(days - 1, Math.max(0, Math.floor((trade.closed_at - startMs) / DAY_MS)));
+      dailyReturns[day] += closedPnls[i] / base;
+    });
+  }
+  const { sharpe, sortino } = riskRatios(dailyReturns);
+
+  const exposure = exposureMs(inScope, startMs, endMs);
+  const total = unrealized === null ? null : realized + unrealized;
+
+  return {
+    trades: inScope.length,
+    closed_trades: closed.length,
+    open_trades: open.length,
+    realized_pnl: round(realized),
+    unrealized_pnl: round(unrealized),
+    total_pnl: round(total),
+    capital_deployed: round(capitalDeployed),
+    roi_pct: total !== null && capitalDeployed > 0 ? round((total / capitalDeployed) * 100, 2) : null,
+    max_drawdown: round(maxDrawdown),
+    max_drawdown_pct: round(maxDrawdownPct * 100, 2),
+    wins: wins.length,
+    losses: losses.length,
+    win_rate_pct: closed.length > 0 ? round((wins.length / closed.length) * 100, 2) : null,
+    win_loss_ratio: losses.length > 0 ? round(wins.length / losses.length, 2) : null,
+    profit_factor: grossLoss > 0 ? round(grossWin / grossLoss, 2) : null,
+    sharpe: round(sharpe, 2),
+    sortino: round(sortino, 2),
+    exposure_pct: endMs > startMs ? round((exposure / (endMs - startMs)) * 100, 2) : null,
+    exposure_hours: round(exposure / HOUR_MS, 2),
+  };
+}
+
+module.exports = {
+  computeMetrics,
+  normalizeTrade,
+};
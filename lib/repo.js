@@ -0,0 +1,97 @@
+// --- Repository URLs ---
+// Agent identities are keccak256(repo_url + "/" + branch), so every spelling
+// of a repository URL (SSH remote, missing .git, trailing slash, ...) has to
+// be reduced to a single canonical form before hashing.
+
+const { ethers } = require('ethers');
+
+// Splits a remote URL into host and owner/repo path. Handles https, http,
+// ssh://, git:// and scp-like (git@host:owner/repo) remotes; returns null for
+// anything else, e.g. local paths. SSH remotes map to https; plain http is
+// kept for self-hosted servers without TLS.
+function parseRepoUrl(value) {
+  const input = String(value || '').trim();
+  let scheme = 'https';
+  let host;
+  let repoPath;
+
+  const scpLike = input.match(/^(?:[^@/\s]+@)?([^:/\s]+):(?!\/\/)(.+)$/);
+  if (scpLike && !/^[a-z][a-z0-9+.-]*:\/\//i.test(input)) {
+    [, host, repoPath] = scpLike;
+  } else {
+    let url;
+    try {
+      url = new URL(input);
+    } catch (err) {
+      return null;
+    }
+    if (!['https:', 'http:', 'ssh:', 'git:', 'git+ssh:', 'ssh+git:'].includes(url.protocol) || !url.hostname) {
+      return null;
+    }
+    // Keep explicit ports for self-hosted web servers; SSH ports say nothing about the web URL
+    const isWeb = ['https:', 'http:'].includes(url.protocol);
+    scheme = url.protocol === 'http:' ? 'http' : 'https';
+    host = isWeb && url.port ? `${url.hostname}:${url.port}` : url.hostname;
+    repoPath = decodeURIComponent(url.pathname);
+  }
+
+  repoPath = repoPath.replace(/^\/+|\/+$/g, '').replace(/\.git$/i, '');
+  if (!repoPath.includes('/')) {
+    return null;
+  }
+  return { scheme, host: host.toLowerCase(), path: repoPath };
+}
+
+// Canonical form of a repository URL: https://<host>/<owner>/<repo>.git, the
+// clone URL git hosts send in push webhooks (http:// for http remotes).
+// Values that are not remote URLs are returned trimmed but otherwise unchanged.
+function normalizeRepoUrl(value) {
+  const parsed = parseRepoUrl(value);
+  if (!parsed) {
+    return String(value || '').trim();
+  }
+  return `${parsed.scheme}://${parsed.host}/${parsed.path}.git`;
+}
+
+// Other spellings of the same repository an agent may have been registered
+// under by older CLI versions, canonical form first
+function repoUrlVariants(value) {
+  const parsed = parseRepoUrl(value);
+  const original = String(value || '').trim();
+  if (!parsed) {
+    return [original];
+  }
+  const { scheme, host, path } = parsed;
+  const sshHost = host.replace(/:\d+$/, '');
+  const variants = [
+    `${scheme}://${host}/${path}.git`,
+    `${scheme}://${host}/${path}`,
+    `${scheme}://${host}/${path}/`,
+    `git@${sshHost}:${path}.git`,
+    `git@${sshHost}:${path}`,
+    `ssh://git@${sshHost}/${path}.git`,
+    `${scheme === 'https' ? 'http' : 'https'}://${host}/${path}.git`,
+    original,
+  ];
+  return [...new Set(variants)];
+}
+
+// Short display name of a repository, e.g. org/repo
+function repoLabel(value) {
+  return parseRepoUrl(value)?.path || String(value || '').trim();
+}
+
+// Identity of a branch's agent, as the backend computes it:
+// keccak256(repo_url + "/" + branch). The URL is hashed as given, so callers
+// pass the canonical form (or a variant they want to check).
+function calculateBranchHash(repo_url, branch_name) {
+  return ethers.id(`${repo_url}/${branch_name}`);
+}
+
+module.exports = {
+  calculateBranchHash,
+  parseRepoUrl,
+  normalizeRepoUrl,
+  repoUrlVariants,
+  repoLabel,
+};
@@ -0,0 +1,202 @@
+// --- Secret Envelopes ---
+// Secrets are sealed to the backend's secp256k1 public key before they leave
+// the machine (ECIES: ECDH with an ephemeral key, HKDF-SHA256, AES-256-GCM).
+// The backend key is checked against a pinned or trusted one before use;
+// storing pins and trusted fingerprints is done by the CLI.
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { MantleForgeError, AuthError, NotFoundError } = require('./errors');
+
+const SECRET_ENVELOPE_ALGORITHM = 'ecies-secp256k1-hkdf-sha256-aes-256-gcm';
+// Secret names must be valid environment variable names
+const SECRET_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// SHA-256 fingerprint of a compressed public key, as colon-separated hex pairs
+function keyFingerprint(publicKey) {
+  return ethers.sha256(publicKey).slice(2, 34).match(/../g).join(':');
+}
+
+// AES key shared by an ephemeral key pair and the recipient
+function envelopeKey(sharedSecret, epk) {
+  const sharedX = ethers.getBytes(sharedSecret).slice(1, 33);
+  return Buffer.from(crypto.hkdfSync('sha256', sharedX, ethers.getBytes(epk), SECRET_ENVELOPE_ALGORITHM, 32));
+}
+
+/**
+ * Seals a secret value to a recipient public key.
+ *
+ * The secret name is bound as associated data, so an envelope cannot be
+ * replayed under another name.
+ *
+ * @param {string} recipientPublicKey secp256k1 public key (0x-prefixed hex)
+ * @param {string} key Secret name
+ * @param {string} value Secret value
+ * @returns {{ v: number, alg: string, kid: string, epk: string, iv: string, ct: string, tag: string }}
+ */
+function encryptSecret(recipientPublicKey, key, value) {
+  const ephemeral = new ethers.SigningKey(ethers.randomBytes(32));
+  const epk = ephemeral.compressedPublicKey;
+  const aesKey = envelopeKey(ephemeral.computeSharedSecret(recipientPublicKey), epk);
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', aesKey, iv);
+  cipher.setAAD(Buffer.from(key, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+  return {
+    v: 1,
+    alg: SECRET_ENVELOPE_ALGORITHM,
+    kid: keyFingerprint(ethers.SigningKey.computePublicKey(recipientPublicKey, true)),
+    epk,
+    iv: iv.toString('base64'),
+    ct: ciphertext.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+  };
+}
+
+// Opens an envelope sealed by encryptSecret with the recipient's private key.
+// Throws if the envelope was tampered with or bound to another secret name.
+function decryptSecret(recipientPrivateKey, key, envelope) {
+  if (envelope?.alg !== SECRET_ENVELOPE_ALGORITHM) {
+    throw new Error(`Unsupported secret envelope algorithm: ${envelope?.alg}`);
+  }
+  const recipient = new ethers.SigningKey(recipientPrivateKey);
+  const aesKey = envelopeKey(recipient.computeSharedSecret(envelope.epk), envelope.epk);
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', aesKey, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAAD(Buffer.from(key, 'utf8'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(envelope.ct, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// Normalizes a secp256k1 public key to compressed hex. `source` says where
+// the key came from, for the error.
+function normalizePublicKey(publicKey, source) {
+  try {
+    return ethers.SigningKey.computePublicKey(publicKey, true);
+  } catch (err) {
+    throw new MantleForgeError('INVALID_ENCRYPTION_KEY', `Invalid secrets public key from ${source}: ${err.message}`);
+  }
+}
+
+/**
+ * Checks a backend key against the pinned key or, if none is pinned, against
+ * the fingerprint trusted on first use.
+ *
+ * @param {string} publicKey Backend key (compressed hex)
+ * @param {object} [trust]
+ * @param {string} [trust.pinned] Pinned key (compressed hex, the config's secrets_public_key)
+ * @param {string} [trust.known] Fingerprint trusted on first use
+ * @returns {{ public_key: string, fingerprint: string, status: string }} Status
+ *   is pinned, pin-mismatch (with `pinned_fingerprint`), trusted, changed
+ *   (with `known_fingerprint`) or new
+ */
+function checkPublicKey(publicKey, { pinned = null, known = null } = {}) {
+  const fingerprint = keyFingerprint(publicKey);
+  if (pinned) {
+    return { public_key: publicKey, fingerprint, status: pinned === publicKey ? 'pinned' : 'pin-mismatch', pinned_fingerprint: keyFingerprint(pinned) };
+  }
+  if (!known) {
+    return { public_key: publicKey, fingerprint, status: 'new' };
+  }
+  return { public_key: publicKey, fingerprint, status: known === fingerprint ? 'trusted' : 'changed', known_fingerprint: known };
+}
+
+/**
+ * Fetches the backend's secrets key and checks it (see checkPublicKey).
+ * A key seen for the first time is returned with status `new`; remembering
+ * it is up to the caller.
+ *
+ * @param {MantleForgeClient} client Backend client
+ * @param {object} [trust] As for checkPublicKey, plus `pinnedIn`: where the
+ *   pinned key comes from, for the mismatch message
+ * @returns {Promise<object>} The checkPublicKey result
+ * @throws {AuthError} ENCRYPTION_KEY_MISMATCH or ENCRYPTION_KEY_CHANGED, so
+ *   nothing is encrypted to a key nobody verified
+ */
+async function verifiedPublicKey(client, trust = {}) {
+  const key = checkPublicKey(normalizePublicKey(await client.getSecretsPublicKey(), client.apiUrl), trust);
+  if (key.status === 'pin-mismatch') {
+    throw new AuthError('ENCRYPTION_KEY_MISMATCH', `The backend's secrets key (${key.fingerprint}) does not match the ${trust.pinnedIn ? `key pinned in ${trust.pinnedIn}` : 'pinned key'} (${key.pinned_fingerprint}).`, {
+      details: { fingerprint: key.fingerprint, pinnedFingerprint: key.pinned_fingerprint },
+    });
+  }
+  if (key.status === 'changed') {
+    throw new AuthError('ENCRYPTION_KEY_CHANGED', `The backend's secrets key changed: was ${key.known_fingerprint}, now ${key.fingerprint}.`, {
+      details: { fingerprint: key.fingerprint, knownFingerprint: key.known_fingerprint },
+    });
+  }
+  return key;
+}
+
+// Parses the contents of a .env file into an ordered list of { key, value }
+function parseEnvFile(content) {
+  const entries = [];
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const match = line.match(/^(?:export\s+)?([^=\s]+)\s*=\s*(.*)$/);
+    if (!match) {
+      throw new MantleForgeError('INVALID_ENV_FILE', `Line ${index + 1} is not KEY=VALUE: ${rawLine}`, { details: { line: index + 1 } });
+    }
+
+    let value = match[2];
+    if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+      value = value.slice(1, -1).replace(/\\n/g, '\n').replace(/\\"/g, '"');
+    } else if (value.startsWith("'") && value.endsWith("'") && value.length >= 2) {
+      value = value.slice(1, -1);
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    entries.push({ key: match[1], value });
+  });
+  return entries;
+}
+
+/**
+ * Plans copying secrets between branches. Values are never read: the backend
+ * copies them (see MantleForgeClient#copySecrets).
+ *
+ * @param {MantleForgeClient} client Backend client
+ * @param {string} repoUrl Repository URL
+ * @param {string} fromBranch Branch to copy from
+ * @param {string} toBranch Branch to copy to
+ * @param {object} [options]
+ * @param {string[]} [options.keys] Only these secrets (default: all)
+ * @param {boolean} [options.overwrite] Replace secrets already set on toBranch
+ * @returns {Promise<Array<{ key: string, action: string }>>} One change per
+ *   secret; action is create, update or skip (already set, no overwrite)
+ * @throws {NotFoundError} SECRET_NOT_FOUND when a requested key is not set
+ *   on fromBranch (`keys` lists them)
+ */
+async function planSecretsCopy(client, repoUrl, fromBranch, toBranch, { keys = null, overwrite = false } = {}) {
+  const [source, target] = await Promise.all([
+    client.listSecrets(repoUrl, fromBranch),
+    client.listSecrets(repoUrl, toBranch),
+  ]);
+  const sourceKeys = source.map(secret => secret.key);
+  const unknown = (keys || []).filter(key => !sourceKeys.includes(key));
+  if (unknown.length > 0) {
+    throw new NotFoundError('SECRET_NOT_FOUND', `Not set on ${fromBranch}: ${unknown.join(', ')}`, { details: { keys: unknown } });
+  }
+
+  const targetKeys = new Set(target.map(secret => secret.key));
+  return sourceKeys
+    .filter(key => !keys || keys.includes(key))
+    .map(key => ({ key, action: !targetKeys.has(key) ? 'create' : (overwrite ? 'update' : 'skip') }));
+}
+
+module.exports = {
+  SECRET_ENVELOPE_ALGORITHM,
+  SECRET_KEY_PATTERN,
+  keyFingerprint,
+  encryptSecret,
+  decryptSecret,
+  normalizePublicKey,
+  checkPublicKey,
+  verifiedPublicKey,
+  parseEnvFile,
+  planSecretsCopy,
+};
@@ -0,0 +1,134 @@
+// --- Agent Performance ---
+// What `stats` and `compare` report for a branch over a time window: decision
+// statistics in the documented numeric schema, and PnL/risk metrics computed
+// from the trade history.
+
+const { computeMetrics } = require('./metrics');
+const { fetchHistory, recordTime } = require('./history');
+
+// Converts a backend value to a number, keeping missing values as null
+const toNumber = v => (v === null || v === undefined || v === '' ? null : Number(v));
+
+// Normalizes backend stats into the documented numeric schema used by
+// `stats` and `compare` output
+function summarizeStats(s = {}) {
+  const total = Number(s.total_decisions) || 0;
+  const trades = Number(s.trades_executed) || 0;
+  return {
+    total_decisions: total,
+    buy_count: Number(s.buy_count) || 0,
+    hold_count: Number(s.hold_count) || 0,
+    trades_executed: trades,
+    avg_price: toNumber(s.avg_price),
+    min_price: toNumber(s.min_price),
+    max_price: toNumber(s.max_price),
+    first_decision: s.first_decision || null,
+    last_decision: s.last_decision || null,
+    success_rate: total > 0 ? Number(((trades / total) * 100).toFixed(1)) : null,
+  };
+}
+
+// Aggregates decision records (backend or local) into the backend's stats format
+function statsFromDecisions(decisions) {
+  const records = decisions
+    .map(d => ({
+      time: recordTime(d),
+      decision: String(d.decision ?? d.action ?? '').toUpperCase(),
+      price: toNumber(d.price),
+      trade_executed: d.trade_executed === true || d.trade_executed === 'true' || d.trade_executed === 1,
+    }))
+    .sort((a, b) => (a.time ?? 0) - (b.time ?? 0));
+  const prices = records.map(d => d.price).filter(price => price !== null && Number.isFinite(price));
+  const times = records.map(d => d.time).filter(time => time !== null);
+  return {
+    total_decisions: records.length,
+    buy_count: records.filter(d => d.decision === 'BUY').length,
+    hold_count: records.filter(d => d.decision === 'HOLD').length,
+    trades_executed: records.filter(d => d.trade_executed).length,
+    avg_price: prices.length > 0 ? prices.reduce((sum, price) => sum + price, 0) / prices.length : null,
+    min_price: prices.length > 0 ? prices.reduce((low, price) => Math.min(low, price)) : null,
+    max_price: prices.length > 0 ? prices.reduce((high, price) => Math.max(high, price)) : null,
+    first_decision: times.length > 0 ? new Date(times[0]).toISOString() : null,
+    last_decision: times.length > 0 ? new Date(times[times.length - 1]).toISOString() : null,
+  };
+}
+
+// Decision statistics over a window with a start, from the decision history.
+// Null when the backend keeps no decision history (HISTORY_UNAVAILABLE).
+async function getWindowStats(client, repoUrl, branch, window) {
+  const decisions = [];
+  try {
+    for await (const page of fetchHistory(client, repoUrl, branch, 'decisions', { since: window.start, until: window.end })) {
+      decisions.push(...page);
+    }
+  } catch (err) {
+    if (err.code === 'HISTORY_UNAVAILABLE') return null;
+    throw err;
+  }
+  return statsFromDecisions(decisions);
+}
+
+/**
+ * Computes a branch's PnL/risk metrics over a window. Only trades closed
+ * since the window start or still open are requested from the backend.
+ *
+ * @param {MantleForgeClient} client Backend client
+ * @param {string} repoUrl Repository URL
+ * @param {string} branch Branch name
+ * @param {{ start: Date|null, end: Date }} window From `parseWindow`
+ * @returns {Promise<object|null>} `computeMetrics` output, or null when the
+ *   backend keeps no trade history
+ */
+async function getMetrics(client, repoUrl, branch, window) {
+  const history = await client.getTradeHistory(repoUrl, branch, { since: window.start?.toISOString() });
+  return history
+    ? computeMetrics(history.trades, {
+      currentPrice: history.current_price,
+      startingCapital: history.starting_capital,
+      start: window.start,
+      end: window.end,
+    })
+    : null;
+}
+
+/**
+ * Fetches a branch's stats and computes its PnL/risk metrics over a window.
+ *
+ * With a window start, `stats` counts only the decisions inside the window,
+ * so trade rates and the `compare` significance test cover the same period
+ * as the metrics; backends without decision history report all-time stats.
+ *
+ * @param {MantleForgeClient} client Backend client
+ * @param {string} repoUrl Repository URL
+ * @param {string} branch Branch name
+ * @param {{ start: Date|null, end: Date }} window From `parseWindow`
+ * @returns {Promise<object>} The backend stats (`getStats`) with `metrics`,
+ *   which is null when the backend keeps no trade history
+ * @throws {NotFoundError} AGENT_NOT_FOUND for unknown branches
+ */
+async function getPerformance(client, repoUrl, branch, window) {
+  const [result, metrics, windowStats] = await Promise.all([
+    client.getStats(repoUrl, branch),
+    getMetrics(client, repoUrl, branch, window),
+    window.start ? getWindowStats(client, repoUrl, branch, window) : null,
+  ]);
+  return { ...result, stats: result.stats && windowStats ? windowStats : result.stats, metrics };
+}
+
+// One branch of a `stats --workspace` or `compare` report
+function performanceEntry(branch, result) {
+  return {
+    branch,
+    branch_hash: result.branch_hash,
+    stats: result.stats ? summarizeStats(result.stats) : null,
+    metrics: result.metrics,
+  };
+}
+
+module.exports = {
+  summarizeStats,
+  statsFromDecisions,
+  getMetrics,
+  getPerformance,
+  performanceEntry,
+};
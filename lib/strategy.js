@@ -0,0 +1,143 @@
+// --- Declarative Strategy Settings ---
+// Validates mantle-forge.strategy.json, resolves the settings declared for a
+// branch and diffs them against the backend's. Reading the file is done by
+// the CLI.
+
+const STRATEGY_FILE = 'mantle-forge.strategy.json';
+
+const SETTING_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+// Names that look like credentials; those belong in `secrets set`, not in git
+const SECRET_LIKE_PATTERN = /(^|_)(KEY|SECRET|PASSWORD|PRIVATE|MNEMONIC)(_|$)|_TOKEN$/i;
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Settings with a known meaning; any other non-secret setting is passed
+// through as declared
+const STRATEGY_FIELDS = {
+  prompt: { check: value => (typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string'), description: 'System prompt for the model' },
+  model: { check: value => (typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string'), description: 'Model the agent asks for decisions' },
+  trade_size: { check: value => (typeof value === 'number' && value > 0 ? null : 'must be a positive number'), description: 'Size of each trade' },
+  buy_threshold: { check: value => (typeof value === 'number' ? null : 'must be a number'), description: 'Signal above which the agent buys' },
+  sell_threshold: { check: value => (typeof value === 'number' ? null : 'must be a number'), description: 'Signal below which the agent sells' },
+};
+
+// Checks one block of settings (defaults or a branch); returns error messages
+function checkSettings(settings, where) {
+  if (!isObject(settings)) {
+    return [`${where} must be an object`];
+  }
+  const errors = [];
+  Object.entries(settings).forEach(([key, value]) => {
+    if (!SETTING_KEY_PATTERN.test(key)) {
+      errors.push(`${where}.${key} has an invalid name (use letters, digits and underscores)`);
+    } else if (SECRET_LIKE_PATTERN.test(key)) {
+      errors.push(`${where}.${key} looks like a secret; strategy files are committed, so set it with \`mantle-forge secrets set ${key}\` instead`);
+    } else if (value === null || value === undefined) {
+      errors.push(`${where}.${key} must have a value`);
+    } else if (STRATEGY_FIELDS[key]) {
+      const message = STRATEGY_FIELDS[key].check(value);
+      if (message) errors.push(`${where}.${key} ${message}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validates a parsed strategy file.
+ *
+ * The file is `{ version?, defaults?, branches: { <branch>: { <setting>: value } } }`;
+ * each branch's settings are layered over `defaults`.
+ *
+ * @param {object} doc Parsed mantle-forge.strategy.json
+ * @returns {string[]} Readable error messages (empty when valid)
+ */
+function validateStrategy(doc) {
+  if (!isObject(doc)) {
+    return ['The file must contain a JSON object'];
+  }
+  const errors = Object.keys(doc)
+    .filter(key => !['version', 'defaults', 'branches'].includes(key))
+    .map(key => `${key} is not a known top-level key (expected version, defaults, branches)`);
+  if (doc.version !== undefined && doc.version !== 1) {
+    errors.push(`version ${JSON.stringify(doc.version)} is not supported (expected 1)`);
+  }
+  if (doc.defaults !== undefined) {
+    errors.push(...checkSettings(doc.defaults, 'defaults'));
+  }
+  if (!isObject(doc.branches)) {
+    errors.push('branches must be an object mapping branch names to settings');
+  } else {
+    Object.entries(doc.branches).forEach(([branch, settings]) => {
+      errors.push(...checkSettings(settings, `branches.${branch}`));
+    });
+  }
+  return errors;
+}
+
+// Settings declared for a branch (defaults overlaid with the branch's own),
+// or null when the file does not declare the branch
+function declaredSettings(doc, branch) {
+  if (!Object.prototype.hasOwnProperty.call(doc.branches, branch)) {
+    return null;
+  }
+  return { ...(doc.defaults || {}), ...doc.branches[branch] };
+}
+
+// True when two JSON values are equal (object key order does not matter)
+function sameValue(a, b) {
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => sameValue(a[key], b[key]));
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((value, i) => sameValue(value, b[i]));
+  }
+  return a === b;
+}
+
+/**
+ * Diffs a branch's backend settings against the declared ones.
+ *
+ * @param {object|null} current Settings the backend has (null for none)
+ * @param {object} declared Settings from the strategy file
+ * @returns {{ key: string, action: string, from: *, to: * }[]} One entry per
+ *   differing setting, sorted by key; `action` is `add`, `change` or `remove`
+ */
+function diffSettings(current, declared) {
+  const before = current || {};
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(declared)])].sort();
+  return keys.flatMap((key) => {
+    const has = Object.prototype.hasOwnProperty.call(before, key);
+    const wants = Object.prototype.hasOwnProperty.call(declared, key);
+    if (!has) return [{ key, action: 'add', from: null, to: declared[key] }];
+    if (!wants) return [{ key, action: 'remove', from: before[key], to: null }];
+    return sameValue(before[key], declared[key]) ? [] : [{ key, action: 'change', from: before[key], to: declared[key] }];
+  });
+}
+
+/**
+ * Plans `apply`: diffs each branch's backend settings against the declared ones.
+ *
+ * @param {MantleForgeClient} client Backend client
+ * @param {string} repoUrl Repository URL
+ * @param {object} doc Validated strategy file
+ * @param {string[]} branches Branches declared in the file
+ * @returns {Promise<object[]>} `{ branch, declared, current, changes, in_sync }`
+ *   per branch (changes as from diffSettings)
+ */
+async function planStrategy(client, repoUrl, doc, branches) {
+  return Promise.all(branches.map(async (branch) => {
+    const declared = declaredSettings(doc, branch);
+    const current = await client.getSettings(repoUrl, branch);
+    const changes = diffSettings(current, declared);
+    return { branch, declared, current, changes, in_sync: changes.length === 0 };
+  }));
+}
+
+module.exports = {
+  STRATEGY_FILE,
+  STRATEGY_FIELDS,
+  validateStrategy,
+  declaredSettings,
+  diffSettings,
+  planStrategy,
+};
@@ -0,0 +1,60 @@
+// --- Durations and Time Windows ---
+// Parses the relative durations (30s, 10m, 2h, 7d, 1w), time windows and
+// --since/--until values the commands accept.
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Parses a relative duration such as 30s, 10m, 2h, 7d or 1w into
+// milliseconds, or null
+function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(s|m|h|d|w)$/i);
+  if (!match) {
+    return null;
+  }
+  return parseFloat(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * Parses a time window: "all" (or nothing) or a duration such as 24h, 7d or 30d.
+ *
+ * @param {string} [value] Window
+ * @param {Date} [end] Window end (defaults to now)
+ * @returns {{ label: string, start: Date|null, end: Date }|null} null when
+ *   the value is not a window; `start` is null for "all"
+ */
+function parseWindow(value, end = new Date()) {
+  if (!value || value === 'all') {
+    return { label: 'all', start: null, end };
+  }
+  const duration = parseDuration(value);
+  if (duration === null) {
+    return null;
+  }
+  return { label: value, start: new Date(end.getTime() - duration), end };
+}
+
+// Parses a point in time: a relative duration ("10m" = 10 minutes ago) or
+// anything Date can parse. Returns null otherwise.
+function parseTime(value, now = Date.now()) {
+  const duration = parseDuration(value);
+  const date = duration !== null ? new Date(now - duration) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// A window as reported in command output, with ISO timestamps
+function windowSummary(window) {
+  return { label: window.label, start: window.start?.toISOString() || null, end: window.end.toISOString() };
+}
+
+module.exports = {
+  parseDuration,
+  parseWindow,
+  parseTime,
+  windowSummary,
+};
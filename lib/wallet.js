@@ -0,0 +1,140 @@
+// --- Agent Wallet ---
+// Agent keys are generated locally, kept in an encrypted keystore (Web3 Secret
+// Storage, scrypt) and uploaded as the AGENT_PRIVATE_KEY secret. The private
+// key is never returned to the caller. Keystores are named by branch hash, in
+// a directory the caller chooses (the CLI uses ~/.mantle-forge/keystores).
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { MantleForgeError } = require('./errors');
+const { calculateBranchHash } = require('./repo');
+const chain = require('./chain');
+
+const AGENT_KEY_SECRET = 'AGENT_PRIVATE_KEY';
+
+// Keystore file of a branch's agent wallet
+function keystorePath(dir, repoUrl, branch) {
+  return path.join(dir, `${calculateBranchHash(repoUrl, branch)}.json`);
+}
+
+// Reads a branch's keystore without decrypting it, or returns null
+function readKeystore(dir, repoUrl, branch) {
+  const file = keystorePath(dir, repoUrl, branch);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new MantleForgeError('INVALID_KEYSTORE', `Could not parse ${file}: ${err.message}`);
+  }
+  return { file, json, address: ethers.getAddress(`0x${String(json.address).replace(/^0x/, '')}`) };
+}
+
+// Encrypts a wallet into a keystore file readable only by the current user
+async function saveKeystore(file, wallet, password) {
+  const json = await wallet.encrypt(password);
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, json, { mode: 0o600 });
+  fs.chmodSync(file, 0o600);
+}
+
+// Decrypts a keystore read with readKeystore
+async function decryptKeystore(keystore, password) {
+  try {
+    return await ethers.Wallet.fromEncryptedJson(JSON.stringify(keystore.json), password);
+  } catch (err) {
+    throw new MantleForgeError('KEYSTORE_DECRYPT_FAILED', `Could not decrypt ${keystore.file}: ${err.shortMessage || err.message}`);
+  }
+}
+
+// Moves a keystore aside (e.g. before it is replaced) and returns the new path
+function backupKeystore(file) {
+  const backup = file.replace(/\.json$/, `.${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+  fs.renameSync(file, backup);
+  return backup;
+}
+
+/**
+ * Replaces a branch's agent key.
+ *
+ * The new key is encrypted next to the old keystore and uploaded as
+ * AGENT_PRIVATE_KEY before anything else changes, so a failed upload leaves
+ * the wallet as it was. The old keystore is then kept as a backup, the funds
+ * in `balances` are moved to the new address and the agent is restarted.
+ *
+ * @param {MantleForgeClient} client Backend client
+ * @param {string} repoUrl Repository URL
+ * @param {string} branch Branch name
+ * @param {object} options
+ * @param {ethers.Wallet} options.wallet The current key (see decryptKeystore)
+ * @param {object} options.keystore The current keystore (see readKeystore)
+ * @param {string} options.password Password for the new keystore
+ * @param {string} options.publicKey Backend key to encrypt the secret with
+ * @param {ethers.Provider|null} [options.provider] Connected provider; funds are
+ *   only moved with one
+ * @param {object[]} [options.balances] Balances to move (see chain.getBalances)
+ * @param {boolean} [options.restart] Restart the agent afterwards
+ * @param {function(string, string): void} [options.onStep] Called with the step
+ *   (encrypt, upload, transfer or restart) and the new address as each starts
+ * @returns {Promise<object>} `{ old_address, new_address, keystore,
+ *   backup_keystore, transfers, secret_updated, restarted }`. A failed
+ *   transfer throws TRANSFER_FAILED, carrying `newAddress`, `oldAddress` and
+ *   `backup`; the secret already holds the new key by then.
+ */
+async function rotateWallet(client, repoUrl, branch, {
+  wallet, keystore, password, publicKey, provider = null, balances = [], restart = true, onStep = () => {},
+}) {
+  const newWallet = ethers.Wallet.createRandom();
+  const pending = `${keystore.file}.new`;
+  onStep('encrypt', newWallet.address);
+  await saveKeystore(pending, newWallet, password);
+  try {
+    onStep('upload', newWallet.address);
+    await client.setSecret(repoUrl, branch, AGENT_KEY_SECRET, newWallet.privateKey, { publicKey });
+  } catch (err) {
+    fs.rmSync(pending, { force: true });
+    throw err;
+  }
+  const backup = backupKeystore(keystore.file);
+  fs.renameSync(pending, keystore.file);
+
+  let transfers = [];
+  if (provider) {
+    onStep('transfer', newWallet.address);
+    try {
+      transfers = await chain.sweepWallet(wallet.connect(provider), newWallet.address, balances);
+    } catch (err) {
+      throw new MantleForgeError('TRANSFER_FAILED', `Moving funds to the new key failed: ${err.shortMessage || err.message}`, {
+        details: { newAddress: newWallet.address, oldAddress: wallet.address, backup },
+      });
+    }
+  }
+
+  if (restart) {
+    onStep('restart', newWallet.address);
+    await client.agentAction(repoUrl, branch, 'restart');
+  }
+
+  return {
+    old_address: wallet.address,
+    new_address: newWallet.address,
+    keystore: keystore.file,
+    backup_keystore: backup,
+    transfers,
+    secret_updated: true,
+    restarted: restart,
+  };
+}
+
+module.exports = {
+  AGENT_KEY_SECRET,
+  keystorePath,
+  readKeystore,
+  saveKeystore,
+  decryptKeystore,
+  backupKeystore,
+  rotateWallet,
+};
@@ -0,0 +1,199 @@
+// --- Watch ---
+// Polls agents on an interval for `watch`: resolves the settings, takes one
+// snapshot per branch, evaluates the alert rules (./alerts) and delivers
+// firing and resolved alerts to a webhook. Rendering is done by the CLI.
+
+const axios = require('axios');
+const alerts = require('./alerts');
+const { MantleForgeError, AuthError } = require('./errors');
+const { getMetrics, summarizeStats } = require('./stats');
+const { parseDuration, parseWindow } = require('./time');
+
+const DEFAULT_WATCH_INTERVAL = '30s';
+// Rules used when the settings define none
+const DEFAULT_WATCH_RULES = [
+  { type: 'process_down' },
+  { type: 'no_decision', for: '10m' },
+];
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Resolves watch settings, validating the alert rules. Durations become
+ * `*_ms` fields.
+ *
+ * @param {object} [watch] The "watch" section of .mantlepush.json or of the
+ *   workspace file: `{ interval?, webhook_url?, rules? }`
+ * @param {object} [overrides]
+ * @param {string} [overrides.interval] Wins over watch.interval
+ * @param {string} [overrides.webhookUrl] Wins over watch.webhook_url
+ * @param {string} [overrides.source] File the settings came from, for errors
+ * @returns {{ interval: string, interval_ms: number, webhook_url: string|null, rules: object[] }}
+ * @throws {MantleForgeError} INVALID_ARGUMENT for a bad interval or webhook
+ *   URL, INVALID_CONFIG for a bad rule
+ */
+function resolveWatchSettings(watch = {}, { interval: intervalOverride, webhookUrl, source } = {}) {
+  const invalid = message => new MantleForgeError('INVALID_CONFIG', `Invalid watch settings${source ? ` in ${source}` : ''}: ${message}`);
+
+  const interval = intervalOverride || watch.interval || DEFAULT_WATCH_INTERVAL;
+  const interval_ms = parseDuration(interval);
+  if (!interval_ms || interval_ms < 1000) {
+    throw new MantleForgeError('INVALID_ARGUMENT', `Invalid interval "${interval}". Use a duration of at least 1s, e.g. 30s or 5m.`);
+  }
+
+  const webhook_url = webhookUrl || watch.webhook_url || null;
+  if (webhook_url && !/^https?:\/\//.test(webhook_url)) {
+    throw new MantleForgeError('INVALID_ARGUMENT', 'Webhook URL must start with http:// or https://');
+  }
+
+  const rules = (watch.rules || DEFAULT_WATCH_RULES).map((rule, i) => {
+    const type = alerts.RULE_TYPES[rule?.type];
+    if (!type) {
+      throw invalid(`rule ${i + 1} has unknown type "${rule?.type}" (expected ${Object.keys(alerts.RULE_TYPES).join(', ')})`);
+    }
+    const missing = type.requires.filter(key => rule[key] === undefined);
+    if (missing.length > 0) {
+      throw invalid(`rule ${i + 1} (${rule.type}) needs ${missing.join(', ')}`);
+    }
+    const normalized = { ...rule };
+    if (rule.for !== undefined) {
+      normalized.for_ms = parseDuration(rule.for);
+      if (!normalized.for_ms) throw invalid(`rule ${i + 1} has invalid duration "${rule.for}"`);
+    }
+    if (rule.above !== undefined && !Number.isFinite(Number(rule.above))) {
+      throw invalid(`rule ${i + 1} has invalid threshold "${rule.above}"`);
+    }
+    if (rule.type === 'drawdown') {
+      normalized.above = Number(rule.above);
+      normalized.window = rule.window || 'all';
+      if (!parseWindow(normalized.window)) throw invalid(`rule ${i + 1} has invalid window "${normalized.window}"`);
+    }
+    return normalized;
+  });
+
+  return { interval, interval_ms, webhook_url, rules };
+}
+
+// Posts JSON to an alert webhook (Slack incoming webhooks and compatible receivers)
+async function postWebhook(url, payload) {
+  await axios.post(url, payload, { timeout: WEBHOOK_TIMEOUT_MS, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * Takes one snapshot per branch: stats, PnL metrics (only when a drawdown
+ * rule needs them) and the agent process status. Per-branch errors are
+ * recorded in `error` instead of failing the poll.
+ *
+ * @param {MantleForgeClient} client Backend client
+ * @param {string} repoUrl Repository URL
+ * @param {string[]} branches Branches to snapshot
+ * @param {object} settings From resolveWatchSettings
+ * @returns {Promise<object[]>} `{ branch, stats, metrics, status, error }`
+ *   per branch; `status` is null when the backend does not list agents
+ * @throws {AuthError} Auth errors abort, since every later poll would fail too
+ */
+async function pollSnapshots(client, repoUrl, branches, settings) {
+  const agentStatus = new Map();
+  try {
+    (await client.listAgents(repoUrl)).forEach(agent => agentStatus.set(agent.branch_name, agent.status ? String(agent.status).toLowerCase() : null));
+  } catch (err) {
+    if (err instanceof AuthError) throw err;
+  }
+
+  const drawdown = settings.rules.find(rule => rule.type === 'drawdown');
+  const window = drawdown ? parseWindow(drawdown.window) : null;
+  return Promise.all(branches.map(async (branch) => {
+    const snapshot = { branch, stats: null, metrics: null, status: agentStatus.size > 0 ? (agentStatus.get(branch) || 'missing') : null, error: null };
+    try {
+      // All-time stats: the alert rules follow the last decision and trade count
+      const [result, metrics] = await Promise.all([
+        client.getStats(repoUrl, branch),
+        window ? getMetrics(client, repoUrl, branch, window) : null,
+      ]);
+      snapshot.stats = result.stats ? summarizeStats(result.stats) : null;
+      snapshot.metrics = metrics;
+    } catch (err) {
+      if (err instanceof AuthError) throw err;
+      snapshot.error = err.message;
+    }
+    return snapshot;
+  }));
+}
+
+/**
+ * Watches agents until the caller stops iterating, yielding one poll per
+ * interval.
+ *
+ * Each poll is `{ at, branches, alerts, resolved }`: a row per branch, the
+ * firing alerts (`new` on the poll where they started) and the alerts that
+ * stopped firing. Alerts are posted to the webhook only when they start or
+ * resolve, so a rule that keeps firing alerts once; a failed delivery is
+ * passed to `onWarning` and the watch goes on.
+ *
+ * @param {MantleForgeClient} client Backend client
+ * @param {Array<{ repo_url: string, branches: string[] }>} targets Branches to watch per repository
+ * @param {object} settings From resolveWatchSettings
+ * @param {object} [options]
+ * @param {boolean} [options.workspace] Several repositories: rows and alerts carry their `repo_url`
+ * @param {function(string): void} [options.onWarning] Receives webhook delivery failures
+ * @yields {object} A poll
+ * @throws {AuthError} See pollSnapshots
+ */
+async function* watchAgents(client, targets, settings, { workspace = false, onWarning = () => {} } = {}) {
+  const previous = new Map();
+  const active = new Map();
+  const repoUrl = workspace ? null : targets[0].repo_url;
+
+  const notify = async (alert, state) => {
+    if (!settings.webhook_url) return;
+    try {
+      await postWebhook(settings.webhook_url, alerts.webhookPayload(alert, state, repoUrl));
+    } catch (err) {
+      onWarning(`Could not deliver alert to webhook: ${err.message}`);
+    }
+  };
+
+  for (;;) {
+    // Workspace snapshots carry their repository, so alerts tell them apart
+    const snapshots = (await Promise.all(targets.map(async (target) => {
+      const polled = await pollSnapshots(client, target.repo_url, target.branches, settings);
+      return workspace ? polled.map(snapshot => ({ repo_url: target.repo_url, ...snapshot })) : polled;
+    }))).flat();
+    const firing = alerts.evaluateRules(settings.rules, snapshots, previous);
+    snapshots.forEach(snapshot => previous.set(alerts.snapshotKey(snapshot), snapshot));
+
+    const started = firing.filter(alert => !active.has(alert.id));
+    const resolved = [...active.values()].filter(alert => !firing.some(f => f.id === alert.id));
+    active.clear();
+    firing.forEach(alert => active.set(alert.id, alert));
+    await Promise.all([
+      ...started.map(alert => notify(alert, 'firing')),
+      ...resolved.map(alert => notify(alert, 'resolved')),
+    ]);
+
+    yield {
+      at: new Date().toISOString(),
+      branches: snapshots.map(snapshot => ({
+        ...(snapshot.repo_url ? { repo_url: snapshot.repo_url } : {}),
+        branch: snapshot.branch,
+        status: snapshot.status,
+        stats: snapshot.stats,
+        max_drawdown_pct: snapshot.metrics?.max_drawdown_pct ?? null,
+        error: snapshot.error,
+      })),
+      alerts: firing.map(alert => ({ ...alert, new: started.includes(alert) })),
+      resolved,
+    };
+    await sleep(settings.interval_ms);
+  }
+}
+
+module.exports = {
+  DEFAULT_WATCH_INTERVAL,
+  DEFAULT_WATCH_RULES,
+  resolveWatchSettings,
+  postWebhook,
+  pollSnapshots,
+  watchAgents,
+};
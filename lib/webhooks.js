@@ -0,0 +1,370 @@
+// --- Push Webhooks ---
+// Git host adapters for `webhook install|verify|test`: which REST calls
+// manage a repository's push webhook on GitHub, GitLab and Gitea (Forgejo),
+// how each host signs deliveries, and sample push payloads. Requests are
+// sent with the user's own host token, never through the backend; only the
+// webhook secret comes from the backend (see resolveWebhookSecret).
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { parseRepoUrl } = require('./repo');
+const {
+  MantleForgeError,
+  AuthError,
+  NotFoundError,
+  NetworkError,
+} = require('./errors');
+
+const GIT_HOST_TIMEOUT_MS = 10 * 1000;
+
+// Repository path segments, URL-encoded for REST paths
+const ownerRepo = repo => repo.path.split('/').map(encodeURIComponent).join('/');
+
+// Signs a payload with HMAC-SHA256 (hex)
+const hmac = (secret, body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+// Commit fields shared by the GitHub and Gitea push formats
+function sampleCommit({ repoUrl, commit, message }) {
+  return {
+    id: commit,
+    message,
+    timestamp: new Date().toISOString(),
+    url: `${repoUrl.replace(/\.git$/, '')}/commit/${commit}`,
+    author: { name: 'mantle-forge', email: 'webhook-test@mantle-forge.invalid' },
+  };
+}
+
+const PROVIDERS = {
+  github: {
+    name: 'GitHub',
+    apiUrl: repo => (repo.host === 'github.com' ? 'https://api.github.com' : `${repo.scheme}://${repo.host}/api/v3`),
+    authHeaders: token => ({ Authorization: `Bearer ${token}`, Accept: 'application/vnd.github+json', 'X-GitHub-Api-Version': '2022-11-28' }),
+    tokenEnv: ['GITHUB_TOKEN', 'GH_TOKEN'],
+    tokenScopes: 'the admin:repo_hook scope (fine-grained tokens: Webhooks read and write)',
+    settingsUrl: repo => `${repo.scheme}://${repo.host}/${repo.path}/settings/hooks`,
+    listHooks: repo => ({ method: 'get', url: `/repos/${ownerRepo(repo)}/hooks`, params: { per_page: 100 } }),
+    createHook: (repo, { url, secret }) => ({
+      method: 'post',
+      url: `/repos/${ownerRepo(repo)}/hooks`,
+      data: { name: 'web', active: true, events: ['push'], config: { url, content_type: 'json', secret, insecure_ssl: '0' } },
+    }),
+    updateHook: (repo, id, { url, secret }) => ({
+      method: 'patch',
+      url: `/repos/${ownerRepo(repo)}/hooks/${id}`,
+      data: { active: true, events: ['push'], config: { url, content_type: 'json', secret, insecure_ssl: '0' } },
+    }),
+    listDeliveries: (repo, id, limit) => ({ method: 'get', url: `/repos/${ownerRepo(repo)}/hooks/${id}/deliveries`, params: { per_page: limit } }),
+    normalizeHook: hook => ({ id: hook.id, url: hook.config?.url || null, active: Boolean(hook.active), events: hook.events || [] }),
+    normalizeDelivery: delivery => ({
+      id: String(delivery.id),
+      event: delivery.event || null,
+      status_code: delivery.status_code ?? null,
+      delivered_at: delivery.delivered_at || null,
+    }),
+    signedRequest: ({ body, secret, deliveryId }) => ({
+      'X-GitHub-Event': 'push',
+      'X-GitHub-Delivery': deliveryId,
+      'X-Hub-Signature-256': `sha256=${hmac(secret, body)}`,
+    }),
+    samplePush: ({ repo, repoUrl, branch, commit, before, message }) => ({
+      ref: `refs/heads/${branch}`,
+      before,
+      after: commit,
+      repository: { full_name: repo.path, clone_url: repoUrl, html_url: repoUrl.replace(/\.git$/, '') },
+      pusher: { name: 'mantle-forge' },
+      head_commit: sampleCommit({ repoUrl, commit, message }),
+      commits: [sampleCommit({ repoUrl, commit, message })],
+    }),
+  },
+
+  gitlab: {
+    name: 'GitLab',
+    apiUrl: repo => `${repo.scheme}://${repo.host}/api/v4`,
+    authHeaders: token => ({ 'PRIVATE-TOKEN': token }),
+    tokenEnv: ['GITLAB_TOKEN'],
+    tokenScopes: 'the api scope and the Maintainer role',
+    settingsUrl: repo => `${repo.scheme}://${repo.host}/${repo.path}/-/hooks`,
+    // Projects are addressed by their URL-encoded full path (groups may be nested)
+    listHooks: repo => ({ method: 'get', url: `/projects/${encodeURIComponent(repo.path)}/hooks`, params: { per_page: 100 } }),
+    createHook: (repo, { url, secret }) => ({
+      method: 'post',
+      url: `/projects/${encodeURIComponent(repo.path)}/hooks`,
+      data: { url, token: secret, push_events: true, enable_ssl_verification: true },
+    }),
+    updateHook: (repo, id, { url, secret }) => ({
+      method: 'put',
+      url: `/projects/${encodeURIComponent(repo.path)}/hooks/${id}`,
+      data: { url, token: secret, push_events: true, enable_ssl_verification: true },
+    }),
+    listDeliveries: (repo, id, limit) => ({ method: 'get', url: `/projects/${encodeURIComponent(repo.path)}/hooks/${id}/events`, params: { per_page: limit } }),
+    // GitLab has no "active" flag; it disables hooks that keep failing
+    normalizeHook: hook => ({
+      id: hook.id,
+      url: hook.url || null,
+      active: !['disabled', 'temporarily_disabled'].includes(hook.alert_status),
+      events: hook.push_events ? ['push'] : [],
+    }),
+    normalizeDelivery: delivery => ({
+      id: String(delivery.id),
+      event: delivery.trigger ? delivery.trigger.replace(/_hooks$/, '') : null,
+      status_code: Number.isFinite(Number(delivery.response_status)) ? Number(delivery.response_status) : null,
+      delivered_at: delivery.created_at || null,
+    }),
+    // GitLab sends the secret itself rather than a signature
+    signedRequest: ({ secret, deliveryId }) => ({
+      'X-Gitlab-Event': 'Push Hook',
+      'X-Gitlab-Event-UUID': deliveryId,
+      'X-Gitlab-Token': secret,
+    }),
+    samplePush: ({ repo, repoUrl, branch, commit, before, message }) => ({
+      object_kind: 'push',
+      event_name: 'push',
+      ref: `refs/heads/${branch}`,
+      before,
+      after: commit,
+      checkout_sha: commit,
+      user_username: 'mantle-forge',
+      project: { path_with_namespace: repo.path, git_http_url: repoUrl, web_url: repoUrl.replace(/\.git$/, '') },
+      repository: { git_http_url: repoUrl, homepage: repoUrl.replace(/\.git$/, '') },
+      commits: [sampleCommit({ repoUrl, commit, message })],
+      total_commits_count: 1,
+    }),
+  },
+
+  gitea: {
+    name: 'Gitea',
+    apiUrl: repo => `${repo.scheme}://${repo.host}/api/v1`,
+    authHeaders: token => ({ Authorization: `token ${token}` }),
+    tokenEnv: ['GITEA_TOKEN'],
+    tokenScopes: 'the write:repository scope and admin access to the repository',
+    settingsUrl: repo => `${repo.scheme}://${repo.host}/${repo.path}/settings/hooks`,
+    listHooks: repo => ({ method: 'get', url: `/repos/${ownerRepo(repo)}/hooks`, params: { limit: 50 } }),
+    createHook: (repo, { url, secret }) => ({
+      method: 'post',
+      url: `/repos/${ownerRepo(repo)}/hooks`,
+      data: { type: 'gitea', active: true, events: ['push'], config: { url, content_type: 'json', secret } },
+    }),
+    updateHook: (repo, id, { url, secret }) => ({
+      method: 'patch',
+      url: `/repos/${ownerRepo(repo)}/hooks/${id}`,
+      data: { active: true, events: ['push'], config: { url, content_type: 'json', secret } },
+    }),
+    // Gitea's API does not expose delivery history
+    listDeliveries: null,
+    normalizeHook: hook => ({ id: hook.id, url: hook.config?.url || null, active: Boolean(hook.active), events: hook.events || [] }),
+    normalizeDelivery: null,
+    signedRequest: ({ body, secret, deliveryId }) => ({
+      'X-Gitea-Event': 'push',
+      'X-Gitea-Delivery': deliveryId,
+      'X-Gitea-Signature': hmac(secret, body),
+    }),
+    // Gitea accepts GitHub's push format
+    samplePush: options => PROVIDERS.github.samplePush(options),
+  },
+};
+
+/**
+ * Works out which git host serves a repository.
+ *
+ * github.com and gitlab.com are recognized by name; self-hosted servers by
+ * "gitlab", "gitea", "forgejo" or "codeberg" in the host name. Anything else
+ * needs an explicit provider.
+ *
+ * @param {string} repoUrl Canonical repository URL
+ * @param {string} [provider] Explicit provider (github, gitlab or gitea)
+ * @returns {{ provider: string|null, repo: object|null }} `repo` is `{ scheme, host, path }`
+ */
+function detectProvider(repoUrl, provider) {
+  const repo = parseRepoUrl(repoUrl);
+  if (provider || !repo) {
+    return { provider: provider || null, repo };
+  }
+  const host = repo.host.replace(/:\d+$/, '');
+  if (host === 'github.com') return { provider: 'github', repo };
+  if (/(^|[.-])gitlab[.-]/.test(host)) return { provider: 'gitlab', repo };
+  if (/(^|[.-])(gitea|forgejo)[.-]|^codeberg\.org$/.test(host)) return { provider: 'gitea', repo };
+  return { provider: null, repo };
+}
+
+/**
+ * Builds a signed sample push delivery, as the git host would send it.
+ *
+ * @param {string} provider github, gitlab or gitea
+ * @param {object} options
+ * @param {object} options.repo Parsed repository (`detectProvider`)
+ * @param {string} options.repoUrl Canonical repository URL
+ * @param {string} options.branch Branch the push is for
+ * @param {string} options.commit Commit SHA the branch points to
+ * @param {string} options.secret Webhook secret
+ * @returns {{ body: string, headers: object, delivery_id: string }}
+ */
+function signedSamplePush(provider, { repo, repoUrl, branch, commit, secret }) {
+  const adapter = PROVIDERS[provider];
+  const deliveryId = crypto.randomUUID();
+  const body = JSON.stringify(adapter.samplePush({
+    repo,
+    repoUrl,
+    branch,
+    commit,
+    before: '0'.repeat(40),
+    message: 'mantle-forge webhook test',
+  }));
+  return {
+    body,
+    delivery_id: deliveryId,
+    headers: { 'Content-Type': 'application/json', ...adapter.signedRequest({ body, secret, deliveryId }) },
+  };
+}
+
+/**
+ * Resolves the git host serving a repository, its REST API and the backend
+ * URL the push webhook delivers to.
+ *
+ * @param {string} repoUrl Canonical repository URL
+ * @param {object} options
+ * @param {string} [options.provider] Explicit provider (see detectProvider)
+ * @param {string} [options.apiUrl] Git host API URL (default: the host's own)
+ * @param {string} options.backendUrl MantleForge backend URL
+ * @returns {{ provider: string, adapter: object, repo: object, api_url: string, hook_url: string }}
+ * @throws {MantleForgeError} UNKNOWN_GIT_HOST when the provider cannot be told
+ *   from the host name (`host` names it)
+ */
+function resolveGitHost(repoUrl, { provider: explicit, apiUrl, backendUrl }) {
+  const { provider, repo } = detectProvider(repoUrl, explicit);
+  if (!provider) {
+    throw new MantleForgeError('UNKNOWN_GIT_HOST', `Cannot tell which git host runs ${repo.host}.`, { details: { host: repo.host } });
+  }
+  const adapter = PROVIDERS[provider];
+  return {
+    provider,
+    adapter,
+    repo,
+    api_url: (apiUrl || adapter.apiUrl(repo)).replace(/\/+$/, ''),
+    hook_url: `${backendUrl.replace(/\/+$/, '')}/webhook/${provider}/push`,
+  };
+}
+
+/**
+ * Sends a request built by an adapter to the git host.
+ *
+ * @param {object} host From resolveGitHost
+ * @param {string} token Git host API token
+ * @param {object} request From the adapter (axios request config)
+ * @param {string} action What the request does, for messages, e.g. "listing webhooks"
+ * @returns {Promise<*>} The response body
+ * @throws {AuthError} GIT_HOST_AUTH (`tokenScopes` and `repoPath` say what the token needs)
+ * @throws {NotFoundError} GIT_HOST_NOT_FOUND
+ * @throws {NetworkError} GIT_HOST_UNREACHABLE
+ * @throws {MantleForgeError} GIT_HOST_ERROR for other failures
+ */
+async function gitHostRequest(host, token, request, action) {
+  try {
+    const { data } = await axios.request({
+      ...request,
+      baseURL: host.api_url,
+      timeout: GIT_HOST_TIMEOUT_MS,
+      headers: host.adapter.authHeaders(token),
+    });
+    return data;
+  } catch (err) {
+    const status = err.response?.status ?? null;
+    const detail = err.response?.data?.message || err.response?.data?.error || err.message;
+    if (status === 401 || status === 403) {
+      throw new AuthError('GIT_HOST_AUTH', `${host.adapter.name} refused ${action}: ${detail}`, {
+        status,
+        details: { tokenScopes: host.adapter.tokenScopes, repoPath: host.repo.path },
+      });
+    }
+    if (status === 404) {
+      throw new NotFoundError('GIT_HOST_NOT_FOUND', `${host.adapter.name} could not find ${host.repo.path} while ${action} (${host.api_url}).`, { status });
+    }
+    if (err.isAxiosError && !err.response) {
+      throw new NetworkError('GIT_HOST_UNREACHABLE', `Could not reach ${host.api_url} while ${action} (${err.message}).`);
+    }
+    throw new MantleForgeError('GIT_HOST_ERROR', `${host.adapter.name} failed ${action}: ${detail}`, { status });
+  }
+}
+
+// The repository's webhook that delivers to the backend (normalized), or null
+async function findRepoHook(host, token) {
+  const hooks = await gitHostRequest(host, token, host.adapter.listHooks(host.repo), 'listing webhooks');
+  const target = host.hook_url.replace(/\/+$/, '');
+  return (Array.isArray(hooks) ? hooks : [])
+    .map(host.adapter.normalizeHook)
+    .find(hook => (hook.url || '').replace(/\/+$/, '') === target) || null;
+}
+
+// Creates the push webhook, or repairs the existing one (URL, secret, push
+// events). Returns { hook, created }.
+async function installHook(host, token, secret) {
+  const existing = await findRepoHook(host, token);
+  const request = existing
+    ? host.adapter.updateHook(host.repo, existing.id, { url: host.hook_url, secret })
+    : host.adapter.createHook(host.repo, { url: host.hook_url, secret });
+  const hook = host.adapter.normalizeHook(await gitHostRequest(host, token, request, existing ? 'updating the webhook' : 'creating the webhook'));
+  return { hook, created: !existing };
+}
+
+// A hook's recent deliveries (normalized), newest first. Null when the host
+// has no delivery API: Gitea, and older GitLab servers that answer 404.
+async function listDeliveries(host, token, hookId, limit) {
+  if (!host.adapter.listDeliveries) {
+    return null;
+  }
+  try {
+    const data = await gitHostRequest(host, token, host.adapter.listDeliveries(host.repo, hookId, limit), 'listing deliveries');
+    return (Array.isArray(data) ? data : []).slice(0, limit).map(host.adapter.normalizeDelivery);
+  } catch (err) {
+    if (err.code === 'GIT_HOST_NOT_FOUND') return null;
+    throw err;
+  }
+}
+
+// Secret the backend verifies deliveries with: `secret` when set (the CLI
+// passes MANTLE_FORGE_WEBHOOK_SECRET), otherwise the repository's secret
+// issued by the backend. Backends that issue none throw
+// WEBHOOK_SECRET_UNAVAILABLE.
+async function resolveWebhookSecret(client, repoUrl, provider, { secret } = {}) {
+  if (secret) {
+    return secret;
+  }
+  try {
+    return await client.getWebhookSecret(repoUrl, provider);
+  } catch (err) {
+    if (err.code === 'NOT_FOUND') {
+      throw new NotFoundError('WEBHOOK_SECRET_UNAVAILABLE', 'This backend does not issue webhook secrets.', { status: err.status, requestId: err.requestId });
+    }
+    throw err;
+  }
+}
+
+// True when the git host got a 2xx answer to a delivery
+function deliverySucceeded(delivery) {
+  return delivery.status_code >= 200 && delivery.status_code < 300;
+}
+
+// What keeps a hook from deploying pushes: disabled, no push events or a
+// failing latest delivery. Empty when it works.
+function hookProblems(host, hook, deliveries) {
+  const problems = [];
+  if (!hook.active) problems.push(`The webhook is disabled on ${host.adapter.name}`);
+  if (!hook.events.includes('push')) problems.push('The webhook does not send push events');
+  if (deliveries && deliveries.length > 0 && !deliverySucceeded(deliveries[0])) {
+    problems.push(`The latest delivery failed (${deliveries[0].status_code ? `HTTP ${deliveries[0].status_code}` : 'no response'})`);
+  }
+  return problems;
+}
+
+module.exports = {
+  PROVIDERS,
+  detectProvider,
+  signedSamplePush,
+  resolveGitHost,
+  gitHostRequest,
+  findRepoHook,
+  installHook,
+  listDeliveries,
+  resolveWebhookSecret,
+  deliverySucceeded,
+  hookProblems,
+};
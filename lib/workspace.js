@@ -0,0 +1,106 @@
+// --- Workspaces ---
+// A user-level list of repositories (with optional branch filters) that
+// `stats`, `agents list`, `compare` and `watch` aggregate over with
+// --workspace. Reading and writing the file are done by the CLI.
+
+const { AuthError } = require('./errors');
+const { parseRepoUrl, normalizeRepoUrl } = require('./repo');
+
+const WORKSPACE_VERSION = 1;
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validates a parsed workspace file.
+ *
+ * The file is `{ version?, repos: [{ repo_url, branches? }], watch? }`.
+ * `branches` limits a repository to the listed branch names, where `*`
+ * matches any run of characters (e.g. `exp-*`); `watch` takes the same
+ * settings as the "watch" section of .mantlepush.json.
+ *
+ * @param {object} doc Parsed workspace file
+ * @returns {string[]} Readable error messages (empty when valid)
+ */
+function validateWorkspace(doc) {
+  if (!isObject(doc)) {
+    return ['The file must contain a JSON object'];
+  }
+  const errors = Object.keys(doc)
+    .filter(key => !['version', 'repos', 'watch'].includes(key))
+    .map(key => `${key} is not a known top-level key (expected version, repos, watch)`);
+  if (doc.version !== undefined && doc.version !== WORKSPACE_VERSION) {
+    errors.push(`version ${JSON.stringify(doc.version)} is not supported (expected ${WORKSPACE_VERSION})`);
+  }
+  if (doc.watch !== undefined && !isObject(doc.watch)) {
+    errors.push('watch must be an object');
+  }
+  if (!Array.isArray(doc.repos)) {
+    errors.push('repos must be a list of { "repo_url": ..., "branches": [...] }');
+    return errors;
+  }
+  const seen = new Set();
+  doc.repos.forEach((repo, i) => {
+    const where = `repos[${i}]`;
+    if (!isObject(repo)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (!parseRepoUrl(repo.repo_url)) {
+      errors.push(`${where}.repo_url must be a repository URL such as https://github.com/org/repo.git`);
+    } else if (seen.has(normalizeRepoUrl(repo.repo_url))) {
+      errors.push(`${where}.repo_url lists ${repo.repo_url} a second time`);
+    } else {
+      seen.add(normalizeRepoUrl(repo.repo_url));
+    }
+    if (repo.branches !== undefined
+      && (!Array.isArray(repo.branches) || repo.branches.length === 0 || !repo.branches.every(b => typeof b === 'string' && b.trim() !== ''))) {
+      errors.push(`${where}.branches must be a non-empty list of branch names or patterns`);
+    }
+    Object.keys(repo)
+      .filter(key => !['repo_url', 'branches'].includes(key))
+      .forEach(key => errors.push(`${where}.${key} is not a known key (expected repo_url, branches)`));
+  });
+  return errors;
+}
+
+// True when a branch matches one of the patterns (exact names, `*` wildcards).
+// No patterns means every branch.
+function matchesBranches(branch, patterns) {
+  if (!patterns || patterns.length === 0) {
+    return true;
+  }
+  return patterns.some((pattern) => {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(branch);
+  });
+}
+
+/**
+ * Lists each repository's agents, keeping the branches that pass its own
+ * filters and `patterns` (e.g. branch arguments).
+ *
+ * @param {MantleForgeClient} client Backend client
+ * @param {Array<{ repo_url: string, branches: string[]|null }>} repos Repositories and their filters
+ * @param {string[]} [patterns] Further branch filters
+ * @returns {Promise<object[]>} Each repository with its `agents`, or with an
+ *   `error` when it could not be listed
+ * @throws {AuthError} Auth errors abort, since every repository would fail
+ */
+async function listWorkspaceAgents(client, repos, patterns = []) {
+  return Promise.all(repos.map(async (repo) => {
+    try {
+      const agents = (await client.listAgents(repo.repo_url)).filter(agent => matchesBranches(agent.branch_name, repo.branches)
+        && matchesBranches(agent.branch_name, patterns));
+      return { ...repo, agents, error: null };
+    } catch (err) {
+      if (err instanceof AuthError) throw err;
+      return { ...repo, agents: [], error: err };
+    }
+  }));
+}
+
+module.exports = {
+  WORKSPACE_VERSION,
+  validateWorkspace,
+  matchesBranches,
+  listWorkspaceAgents,
+};
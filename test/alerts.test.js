@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { webhookPayload, resolveWatchSettings, watchAgents } = require('../lib');
+const { startServer, sendJson } = require('./helpers');
+
+const REPO_URL = 'https://github.com/org/repo.git';
+const alert = { id: 'main#0', branch: 'main', rule: 'agent process not running', message: 'agent process is stopped' };
+
+describe('webhookPayload', () => {
+  it('describes a firing alert', () => {
+    const payload = webhookPayload(alert, 'firing', REPO_URL);
+    assert.equal(payload.text, '🚨 [mantle-forge] main: agent process is stopped (rule: agent process not running)');
+    assert.deepEqual({ ...payload.alert, at: null }, { ...alert, state: 'firing', repo_url: REPO_URL, at: null });
+    assert.ok(!Number.isNaN(Date.parse(payload.alert.at)));
+  });
+
+  it('describes a resolved alert', () => {
+    const payload = webhookPayload(alert, 'resolved', REPO_URL);
+    assert.equal(payload.text, '✅ [mantle-forge] main: resolved: agent process is stopped (rule: agent process not running)');
+    assert.equal(payload.alert.state, 'resolved');
+  });
+
+  it('names the repository of a workspace alert', () => {
+    const payload = webhookPayload({ ...alert, repo_url: 'https://gitlab.com/team/bot.git' }, 'firing', null);
+    assert.match(payload.text, /\] team\/bot:main: /);
+    assert.equal(payload.alert.repo_url, 'https://gitlab.com/team/bot.git');
+  });
+});
+
+describe('watchAgents', () => {
+  let receiver;
+  before(async () => { receiver = await startServer((req, res) => sendJson(res, 500, { error: 'receiver down' })); });
+  after(() => receiver.close());
+
+  // A client whose agent reports the next status on each poll
+  const fakeClient = statuses => ({
+    listAgents: async () => [{ branch_name: 'main', status: statuses.shift() }],
+    getStats: async () => ({ stats: { total_decisions: 10, trades_executed: 2, last_decision: new Date().toISOString() } }),
+  });
+
+  it('keeps watching when the webhook fails, warning once per delivery', async () => {
+    const settings = { ...resolveWatchSettings({ rules: [{ type: 'process_down' }] }, { webhookUrl: receiver.url }), interval_ms: 10 };
+    const warnings = [];
+    const polls = [];
+    const watch = watchAgents(fakeClient(['stopped', 'stopped', 'running', 'running']), [{ repo_url: REPO_URL, branches: ['main'] }], settings, {
+      onWarning: message => warnings.push(message),
+    });
+    for await (const poll of watch) {
+      polls.push(poll);
+      if (polls.length === 4) break;
+    }
+
+    assert.deepEqual(polls.map(poll => poll.alerts.map(a => a.new)), [[true], [false], [], []]);
+    assert.deepEqual(polls.map(poll => poll.resolved.length), [0, 0, 1, 0]);
+    assert.equal(polls[0].branches[0].status, 'stopped');
+    assert.equal(polls[0].branches[0].stats.trades_executed, 2);
+
+    // Posted when the alert started and when it resolved, not while it kept firing
+    const posted = receiver.requests.map(req => req.body);
+    assert.deepEqual(posted.map(body => body.alert.state), ['firing', 'resolved']);
+    posted.forEach(body => assert.equal(body.alert.repo_url, REPO_URL));
+    assert.equal(warnings.length, 2);
+    warnings.forEach(warning => assert.match(warning, /^Could not deliver alert to webhook: .*500/));
+  });
+
+  it('does not post without a webhook', async () => {
+    const settings = { ...resolveWatchSettings({ rules: [{ type: 'process_down' }] }), interval_ms: 10 };
+    const count = receiver.requests.length;
+    const watch = watchAgents(fakeClient(['stopped']), [{ repo_url: REPO_URL, branches: ['main'] }], settings);
+    const { value } = await watch.next();
+    await watch.return();
+    assert.equal(value.alerts.length, 1);
+    assert.equal(receiver.requests.length, count);
+  });
+});
@@ -0,0 +1,186 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MantleForgeClient,
+  MantleForgeError,
+  AuthError,
+  NotFoundError,
+  RequestError,
+  BackendError,
+  NetworkError,
+} = require('../lib');
+const { startServer, sendJson, closedUrl } = require('./helpers');
+
+// Each path answers with its status code: /status/503, /status/404, ...
+// `/flaky/<n>` fails with 503 n times, then answers 200.
+function backend() {
+  const attempts = {};
+  return startServer((req, res) => {
+    let m;
+    if ((m = req.path.match(/^\/status\/(\d+)$/))) {
+      return sendJson(res, Number(m[1]), { error: `status ${m[1]}` }, req.query.retry_after ? { 'Retry-After': req.query.retry_after } : {});
+    }
+    if ((m = req.path.match(/^\/flaky\/(\d+)$/))) {
+      attempts[req.path] = (attempts[req.path] || 0) + 1;
+      return attempts[req.path] <= Number(m[1]) ? sendJson(res, 503, { error: 'waking up' }) : sendJson(res, 200, { ok: true });
+    }
+    if (req.path === '/request-id') {
+      return sendJson(res, 500, { error: 'kaboom' }, { 'X-Request-Id': 'server-id' });
+    }
+    if (req.path === '/slow') {
+      return setTimeout(() => sendJson(res, 200, { ok: true }), 1000);
+    }
+    return sendJson(res, 404, { error: 'Not found' });
+  });
+}
+
+describe('MantleForgeClient', () => {
+  let server;
+  before(async () => { server = await backend(); });
+  after(() => server.close());
+
+  const client = (options = {}) => {
+    const lines = [];
+    const instance = new MantleForgeClient({ apiUrl: server.url, token: 't0k', retryDelay: 10, logger: line => lines.push(line), ...options });
+    return { client: instance, lines };
+  };
+  const attemptsFor = path => server.requests.filter(req => req.path === path).length;
+  const retryDelays = lines => lines.filter(line => line.startsWith('↻')).map(line => Number(line.match(/in (\d+) ms/)[1]));
+
+  describe('retries', () => {
+    it('retries a read until the backend answers', async () => {
+      const { client: c } = client();
+      const response = await c.request('get', '/flaky/2');
+      assert.equal(response.status, 200);
+      assert.equal(attemptsFor('/flaky/2'), 3);
+    });
+
+    it('backs off exponentially with jitter', async () => {
+      const { client: c, lines } = client({ retryDelay: 40 });
+      await assert.rejects(c.request('get', '/status/502'), BackendError);
+      const delays = retryDelays(lines);
+      assert.equal(delays.length, 3);
+      // 40, 80 and 160 ms, each ±25%
+      [40, 80, 160].forEach((base, i) => {
+        assert.ok(delays[i] >= base * 0.75 && delays[i] <= base * 1.25, `retry ${i + 1} waited ${delays[i]} ms`);
+      });
+    });
+
+    it('honours Retry-After', async () => {
+      const { client: c, lines } = client({ retries: 1, retryDelay: 5000 });
+      await assert.rejects(c.request('get', '/status/429', { params: { retry_after: '0' } }), RequestError);
+      assert.deepEqual(retryDelays(lines), [0]);
+    });
+
+    it('gives up after the configured retries', async () => {
+      const { client: c } = client({ retries: 2 });
+      await assert.rejects(c.request('get', '/status/504'), { code: 'BACKEND_ERROR', status: 504 });
+      assert.equal(attemptsFor('/status/504'), 3);
+    });
+
+    it('does not retry writes the backend may have applied', async () => {
+      const { client: c } = client();
+      await assert.rejects(c.request('post', '/status/503'), BackendError);
+      assert.equal(server.requests.filter(req => req.path === '/status/503' && req.method === 'POST').length, 1);
+    });
+
+    it('does not retry answers that will not change', async () => {
+      const { client: c } = client();
+      await assert.rejects(c.request('get', '/status/500'), BackendError);
+      assert.equal(attemptsFor('/status/500'), 1);
+    });
+  });
+
+  describe('typed errors', () => {
+    const cases = [
+      [401, AuthError, 'UNAUTHENTICATED'],
+      [403, AuthError, 'FORBIDDEN'],
+      [404, NotFoundError, 'NOT_FOUND'],
+      [400, RequestError, 'REQUEST_FAILED'],
+      [500, BackendError, 'BACKEND_ERROR'],
+      [503, BackendError, 'BACKEND_ERROR'],
+    ];
+    cases.forEach(([status, ErrorClass, code]) => {
+      it(`maps HTTP ${status} to ${ErrorClass.name} ${code}`, async () => {
+        const { client: c } = client({ retries: 0 });
+        const err = await c.request('get', `/status/${status}`).catch(e => e);
+        assert.ok(err instanceof ErrorClass, `got ${err.name}`);
+        assert.ok(err instanceof MantleForgeError);
+        assert.equal(err.code, code);
+        assert.equal(err.status, status);
+      });
+    });
+
+    it('maps a refused connection to NetworkError and retries it, even for writes', async () => {
+      const lines = [];
+      const c = new MantleForgeClient({ apiUrl: await closedUrl(), retries: 2, retryDelay: 10, logger: line => lines.push(line) });
+      const err = await c.request('post', '/api/secrets').catch(e => e);
+      assert.ok(err instanceof NetworkError, `got ${err.name}`);
+      assert.equal(err.code, 'BACKEND_UNREACHABLE');
+      assert.equal(err.status, null);
+      assert.match(err.message, /ECONNREFUSED/);
+      assert.equal(retryDelays(lines).length, 2);
+    });
+
+    it('maps an agent 404 to AGENT_NOT_FOUND with the branch hash', async () => {
+      const { client: c } = client({ retries: 0 });
+      const err = await c.getStats('https://github.com/org/repo.git', 'main').catch(e => e);
+      assert.ok(err instanceof NotFoundError);
+      assert.equal(err.code, 'AGENT_NOT_FOUND');
+      assert.equal(err.branch, 'main');
+      assert.match(err.branchHash, /^0x[0-9a-f]{64}$/);
+    });
+  });
+
+  describe('timeout', () => {
+    it('fails with BACKEND_TIMEOUT when the backend does not answer in time', async () => {
+      const { client: c } = client({ timeout: 100, retries: 0 });
+      const err = await c.request('get', '/slow').catch(e => e);
+      assert.ok(err instanceof NetworkError, `got ${err.name}`);
+      assert.equal(err.code, 'BACKEND_TIMEOUT');
+      assert.match(err.message, /did not answer within 0.1s/);
+    });
+
+    it('retries timed-out reads', async () => {
+      const { client: c } = client({ timeout: 100, retries: 1 });
+      const before = attemptsFor('/slow');
+      await assert.rejects(c.request('get', '/slow'), { code: 'BACKEND_TIMEOUT' });
+      assert.equal(attemptsFor('/slow') - before, 2);
+    });
+  });
+
+  describe('request IDs', () => {
+    it('sends a fresh X-Request-Id per attempt and logs it', async () => {
+      const { client: c, lines } = client();
+      await c.request('get', '/flaky/1');
+      const sent = server.requests.filter(req => req.path === '/flaky/1').map(req => req.headers['x-request-id']);
+      assert.equal(sent.length, 2);
+      assert.notEqual(sent[0], sent[1]);
+      sent.forEach(id => assert.match(id, /^[0-9a-f-]{36}$/));
+
+      assert.equal(lines[0], `→ GET /flaky/1 [${sent[0]}]`);
+      assert.match(lines[1], new RegExp(`^← 503 GET /flaky/1 in \\d+ ms \\[${sent[0]}\\]$`));
+      assert.match(lines[2], /^↻ Retry 1\/3 in \d+ ms$/);
+      assert.equal(lines[3], `→ GET /flaky/1 [${sent[1]}]`);
+      assert.match(lines[4], new RegExp(`^← 200 GET /flaky/1 in \\d+ ms \\[${sent[1]}\\]$`));
+    });
+
+    it('reports the request ID on errors, preferring the backend\'s', async () => {
+      const { client: c, lines } = client({ retries: 0 });
+      const err = await c.request('get', '/request-id').catch(e => e);
+      assert.equal(err.requestId, 'server-id');
+      assert.match(lines[1], /\[server-id\]$/);
+
+      const notFound = await c.request('get', '/status/404').catch(e => e);
+      assert.equal(notFound.requestId, server.requests.at(-1).headers['x-request-id']);
+    });
+
+    it('sends the token and user agent', async () => {
+      const { client: c } = client();
+      await c.request('get', '/flaky/0');
+      const { headers } = server.requests.at(-1);
+      assert.equal(headers.authorization, 'Bearer t0k');
+      assert.match(headers['user-agent'], /^mantle-forge\//);
+    });
+  });
+});
@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isHttpUrl, validateConfig } = require('../lib/config');
+
+describe('isHttpUrl', () => {
+  it('accepts http and https URLs', () => {
+    ['http://localhost:3000', 'https://mantle-git-agent.onrender.com', 'https://api.example.com/v1?x=1&y=2'].forEach((url) => {
+      assert.equal(isHttpUrl(url), true, url);
+    });
+  });
+
+  it('refuses other schemes and values that would need quoting', () => {
+    ['ftp://example.com', 'javascript:alert(1)', 'http://', 'example.com', 'http://x/"$(touch pwned)"', 'https://x y', 'http://x/`id`', 42, null].forEach((url) => {
+      assert.equal(isHttpUrl(url), false, String(url));
+    });
+  });
+});
+
+describe('validateConfig', () => {
+  it('reports a profile api_url that is not an http(s) URL', () => {
+    const { errors } = validateConfig({
+      version: 1,
+      repo_url: 'https://github.com/org/repo.git',
+      profiles: { evil: { api_url: 'http://x/"$(id)"' } },
+    });
+    assert.deepEqual(errors.map(error => error.path), ['profiles.evil.api_url']);
+  });
+});
@@ -0,0 +1,61 @@
+// --- Test Helpers ---
+// A local HTTP stand-in for the backend and the git hosts: each request is
+// recorded with its parsed JSON body and answered by the test's handler.
+
+const http = require('http');
+
+/**
+ * Starts a stand-in server on a free port.
+ *
+ * @param {function(object, http.ServerResponse): void} handler Called with
+ *   `{ method, path, query, headers, body, raw }` and the response
+ * @returns {Promise<{ url: string, requests: object[], close: function(): Promise<void> }>}
+ */
+async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      let body = null;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch {
+        body = null;
+      }
+      const request = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body, raw };
+      requests.push(request);
+      handler(request, res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+// Answers with a JSON body
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// A URL nothing listens on, for connection failures
+async function closedUrl() {
+  const server = await startServer(() => {});
+  await server.close();
+  return server.url;
+}
+
+module.exports = {
+  startServer,
+  sendJson,
+  closedUrl,
+};
@@ -0,0 +1,166 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const local = require('../lib/local');
+
+describe('parsePriceCsv', () => {
+  it('reads history export output, oldest first', () => {
+    const csv = [
+      'id,timestamp,decision,price,reason',
+      '2,2026-10-19T10:01:00.000Z,HOLD,1.25,"momentum, ""fading"""',
+      '1,2026-10-19T10:00:00.000Z,BUY,1.2,"multi',
+      'line"',
+      '3,2026-10-19T10:02:00.000Z,HOLD,,no price',
+      '',
+    ].join('\r\n');
+    assert.deepEqual(local.parsePriceCsv(csv), [
+      { timestamp: '2026-10-19T10:00:00.000Z', price: 1.2 },
+      { timestamp: '2026-10-19T10:01:00.000Z', price: 1.25 },
+    ]);
+  });
+
+  it('accepts time/close columns and Unix timestamps in seconds or milliseconds', () => {
+    const csv = 'Time,Open,Close\n1760868000,1,2\n1760868060000,2,3\n';
+    assert.deepEqual(local.parsePriceCsv(csv), [
+      { timestamp: '2025-10-19T10:00:00.000Z', price: 2 },
+      { timestamp: '2025-10-19T10:01:00.000Z', price: 3 },
+    ]);
+  });
+
+  it('names the columns it needs', () => {
+    assert.throws(() => local.parsePriceCsv('when,value\n1,2\n'), { code: 'INVALID_PRICE_DATA', message: /timestamp .*price/ });
+  });
+
+  it('names the row with an invalid value', () => {
+    assert.throws(() => local.parsePriceCsv('date,price\n2026-10-19,1\nyesterday,2\n'), { code: 'INVALID_PRICE_DATA', message: /^Row 3 / });
+    assert.throws(() => local.parsePriceCsv('date,price\n2026-10-19,abc\n'), { code: 'INVALID_PRICE_DATA', message: /^Row 2 / });
+  });
+
+  it('refuses data without any price', () => {
+    assert.throws(() => local.parsePriceCsv('date,price\n2026-10-19,\n'), { code: 'INVALID_PRICE_DATA', message: /no rows/ });
+  });
+});
+
+describe('syntheticPrices', () => {
+  const options = { startPrice: 1, volatility: 0.02, seed: 42, stepMs: 60000, start: Date.parse('2026-10-19T00:00:00Z') };
+  const take = (next, n) => Array.from({ length: n }, () => next());
+
+  it('repeats for the same seed and differs for another', () => {
+    const a = take(local.syntheticPrices(options), 20);
+    assert.deepEqual(a, take(local.syntheticPrices(options), 20));
+    assert.notDeepEqual(a, take(local.syntheticPrices({ ...options, seed: 43 }), 20));
+  });
+
+  it('starts at the start price and steps the clock', () => {
+    const [first, second] = take(local.syntheticPrices(options), 2);
+    assert.deepEqual(first, { timestamp: '2026-10-19T00:00:00.000Z', price: 1 });
+    assert.equal(second.timestamp, '2026-10-19T00:01:00.000Z');
+    assert.ok(second.price > 0 && second.price !== 1);
+  });
+
+  it('stays flat without volatility', () => {
+    assert.ok(take(local.syntheticPrices({ ...options, volatility: 0 }), 5).every(p => p.price === 1));
+  });
+});
+
+describe('startPriceFeed', () => {
+  const series = prices => () => prices.shift() || null;
+  const point = (minute, price) => ({ timestamp: `2026-10-19T10:0${minute}:00.000Z`, price });
+  const getJson = async (url, init) => {
+    const res = await fetch(url, init);
+    return { status: res.status, body: await res.json() };
+  };
+  const postDecision = (feed, body) => getJson(`${feed.url}/decisions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+
+  it('replays one price per read and stamps decisions with simulated time', async () => {
+    const seen = [];
+    const feed = await local.startPriceFeed({ next: series([point(0, 1), point(1, 2), point(2, 3)]), replay: true, onDecision: d => seen.push(d) });
+    try {
+      assert.deepEqual((await getJson(`${feed.url}/price`)).body, { symbol: 'MNT/USD', price: 1, timestamp: point(0).timestamp });
+      assert.equal((await postDecision(feed, { decision: 'buy', trade_executed: true, size: '2' })).status, 201);
+
+      assert.equal((await getJson(`${feed.url}/price`)).body.price, 2);
+      await postDecision(feed, { action: 'sell', executed: 'true', price: 2.1 });
+
+      assert.equal((await getJson(`${feed.url}/price`)).body.price, 3);
+      const end = await getJson(`${feed.url}/price`);
+      assert.equal(end.status, 410);
+      assert.equal(end.body.done, true);
+      await feed.done;
+
+      assert.deepEqual(feed.decisions.map(d => [d.timestamp, d.decision, d.price, d.trade_executed, d.size]), [
+        [point(0).timestamp, 'BUY', 1, true, 2],
+        [point(1).timestamp, 'SELL', 2.1, true, null],
+      ]);
+      assert.equal(seen.length, 2);
+      assert.deepEqual((await getJson(`${feed.url}/prices?limit=2`)).body.prices, [point(1, 2), point(2, 3)]);
+    } finally {
+      await feed.close();
+    }
+  });
+
+  it('moves only on advance() outside replay', async () => {
+    const feed = await local.startPriceFeed({ next: series([point(0, 1), point(1, 2)]) });
+    try {
+      await getJson(`${feed.url}/price`);
+      assert.equal((await getJson(`${feed.url}/price`)).body.price, 1);
+      assert.deepEqual(feed.advance(), point(1, 2));
+      assert.equal((await getJson(`${feed.url}/price`)).body.price, 2);
+      assert.equal(feed.advance(), null);
+      assert.equal((await getJson(`${feed.url}/health`)).body.done, true);
+    } finally {
+      await feed.close();
+    }
+  });
+
+  it('rejects a decision that is not JSON', async () => {
+    const feed = await local.startPriceFeed({ next: series([point(0, 1)]) });
+    try {
+      const res = await postDecision(feed, '{nope');
+      assert.equal(res.status, 400);
+      assert.match(res.body.error, /^Invalid decision/);
+      assert.equal(feed.decisions.length, 0);
+    } finally {
+      await feed.close();
+    }
+  });
+});
+
+describe('tradesFromDecisions', () => {
+  const decision = (minute, kind, price, executed = true, size = null) => ({
+    timestamp: `2026-10-19T10:0${minute}:00.000Z`, decision: kind, price, trade_executed: executed, size,
+  });
+
+  it('pairs executed sells with the oldest open buy', () => {
+    const trades = local.tradesFromDecisions([
+      decision(0, 'SELL', 9),
+      decision(1, 'BUY', 1, true, 2),
+      decision(2, 'BUY', 2),
+      decision(3, 'BUY', 5, false),
+      decision(4, 'HOLD', 3, true),
+      decision(5, 'SELL', 4),
+      decision(6, 'BUY', null),
+    ]);
+    assert.deepEqual(trades, [
+      { id: 1, side: 'long', entry_price: 1, exit_price: 4, size: 2, opened_at: '2026-10-19T10:01:00.000Z', closed_at: '2026-10-19T10:05:00.000Z' },
+      { id: 2, side: 'long', entry_price: 2, exit_price: null, size: 1, opened_at: '2026-10-19T10:02:00.000Z', closed_at: null },
+    ]);
+  });
+});
+
+describe('agentEnvironment', () => {
+  it('drops the CLI\'s own settings and keeps the rest', () => {
+    const env = local.agentEnvironment({
+      PATH: '/usr/bin',
+      HOME: '/home/dev',
+      MANTLE_FORGE_TOKEN: 'mf_token',
+      MANTLE_FORGE_KEYSTORE_PASSWORD: 'hunter2',
+      MANTLE_FORGE_WEBHOOK_SECRET: 's3cret',
+      MANTLE_FORGE_API_URL: 'http://localhost:3000',
+    }, { GROQ_API_KEY: 'gsk', MANTLE_FORGE_MODE: 'backtest' });
+    assert.deepEqual(env, { PATH: '/usr/bin', HOME: '/home/dev', GROQ_API_KEY: 'gsk', MANTLE_FORGE_MODE: 'backtest' });
+  });
+});
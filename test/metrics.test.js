@@ -0,0 +1,136 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeMetrics } = require('../lib');
+
+const T0 = Date.parse('2026-10-01T00:00:00Z');
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const at = ms => new Date(T0 + ms).toISOString();
+
+// A long trade of one token, opened and closed at offsets from T0
+const trade = (entry, exit, openedMs, closedMs, extra = {}) => ({
+  entry_price: entry,
+  exit_price: exit,
+  size: 1,
+  opened_at: at(openedMs),
+  closed_at: exit === null ? null : at(closedMs),
+  ...extra,
+});
+
+describe('computeMetrics', () => {
+  describe('drawdown', () => {
+    it('measures the largest drop of the equity curve from its peak', () => {
+      const metrics = computeMetrics([
+        trade(10, 20, 0, HOUR), // +10 → 110
+        trade(30, 10, HOUR, 2 * HOUR), // -20 → 90
+        trade(5, 10, 2 * HOUR, 3 * HOUR), // +5 → 95
+      ], { startingCapital: 100, end: new Date(T0 + DAY) });
+      assert.equal(metrics.realized_pnl, -5);
+      assert.equal(metrics.max_drawdown, 20);
+      assert.equal(metrics.max_drawdown_pct, 18.18);
+      assert.deepEqual([metrics.wins, metrics.losses, metrics.win_rate_pct, metrics.profit_factor], [2, 1, 66.67, 0.75]);
+    });
+
+    it('orders the curve by close time and includes open positions marked to market', () => {
+      const metrics = computeMetrics([
+        trade(10, 15, 0, 3 * HOUR), // +5, closed last
+        trade(10, 20, 0, HOUR), // +10
+        trade(10, null, 0, null), // open: -8 at 2
+      ], { startingCapital: 100, currentPrice: 2, end: new Date(T0 + DAY) });
+      // 100 → 110 → 115 → 107
+      assert.equal(metrics.max_drawdown, 8);
+      assert.equal(metrics.max_drawdown_pct, 6.96);
+    });
+
+    it('falls back to the peak open exposure without a starting capital', () => {
+      const metrics = computeMetrics([
+        trade(50, 40, 0, 2 * HOUR), // -10
+        trade(50, 55, HOUR, 3 * HOUR), // +5; both open at once: 100 exposure
+      ], { end: new Date(T0 + DAY) });
+      assert.equal(metrics.max_drawdown, 10);
+      assert.equal(metrics.max_drawdown_pct, 10);
+    });
+  });
+
+  describe('Sharpe and Sortino', () => {
+    const window = { start: new Date(T0), end: new Date(T0 + 3 * DAY) };
+
+    it('annualizes daily returns over the window', () => {
+      const metrics = computeMetrics([
+        trade(10, 20, 0, HOUR), // day 1: +10%
+        trade(20, 15, DAY, DAY + HOUR), // day 2: -5%
+        trade(10, 14, 2 * DAY, 2 * DAY + HOUR), // day 3: +4%
+      ], { startingCapital: 100, ...window });
+      // mean 3%, sample deviation 7.55%, downside deviation 2.89%, × √365
+      assert.equal(metrics.sharpe, 7.59);
+      assert.equal(metrics.sortino, 19.85);
+    });
+
+    it('counts days without trades as flat', () => {
+      const metrics = computeMetrics([trade(10, 20, 0, HOUR), trade(10, 12, 2 * DAY, 2 * DAY + HOUR)], { startingCapital: 100, ...window });
+      // Returns 10%, 0%, 2%: no losing day, so no Sortino
+      assert.equal(metrics.sharpe, 14.44);
+      assert.equal(metrics.sortino, null);
+    });
+
+    it('is undefined with less than two days of data', () => {
+      const metrics = computeMetrics([trade(10, 20, 0, HOUR)], { startingCapital: 100, start: new Date(T0), end: new Date(T0 + 12 * HOUR) });
+      assert.equal(metrics.sharpe, null);
+      assert.equal(metrics.sortino, null);
+    });
+  });
+
+  describe('unrealized PnL', () => {
+    it('marks open positions at the current price, net of costs', () => {
+      const metrics = computeMetrics([
+        trade(2, null, 0, null, { size: 10, fees: 0.5, gas_cost: 0.25 }),
+        trade(3, null, 0, null, { size: 10, side: 'short' }),
+        trade(1, 2, 0, HOUR),
+      ], { currentPrice: 2.5 });
+      // long +5 - 0.75, short +5, closed +1
+      assert.equal(metrics.unrealized_pnl, 9.25);
+      assert.equal(metrics.realized_pnl, 1);
+      assert.equal(metrics.total_pnl, 10.25);
+      assert.equal(metrics.open_trades, 2);
+      assert.equal(metrics.capital_deployed, 51);
+      assert.equal(metrics.roi_pct, 20.1);
+    });
+
+    it('is unknown without a current price', () => {
+      const metrics = computeMetrics([trade(2, null, 0, null), trade(1, 2, 0, HOUR)]);
+      assert.equal(metrics.unrealized_pnl, null);
+      assert.equal(metrics.total_pnl, null);
+      assert.equal(metrics.roi_pct, null);
+      assert.equal(metrics.realized_pnl, 1);
+    });
+
+    it('keeps positions opened before the window', () => {
+      const metrics = computeMetrics([
+        trade(2, null, -10 * DAY, null),
+        trade(1, 5, -10 * DAY, -9 * DAY),
+      ], { currentPrice: 3, start: new Date(T0), end: new Date(T0 + DAY) });
+      assert.equal(metrics.unrealized_pnl, 1);
+      assert.equal(metrics.realized_pnl, 0);
+      assert.deepEqual([metrics.trades, metrics.closed_trades, metrics.open_trades], [1, 0, 1]);
+    });
+  });
+
+  describe('exposure', () => {
+    it('counts time with any position open within the window once', () => {
+      const metrics = computeMetrics([
+        trade(1, 1, HOUR, 3 * HOUR),
+        trade(1, 1, 2 * HOUR, 5 * HOUR), // overlaps the first
+        trade(1, null, 8 * HOUR, null), // open until the end
+        trade(1, 1, -5 * HOUR, -4 * HOUR), // closed before the window
+      ], { currentPrice: 1, start: new Date(T0), end: new Date(T0 + 10 * HOUR) });
+      assert.equal(metrics.exposure_hours, 6);
+      assert.equal(metrics.exposure_pct, 60);
+    });
+
+    it('clips positions opened before the window to its start', () => {
+      const metrics = computeMetrics([trade(1, 1, -5 * HOUR, 2 * HOUR)], { start: new Date(T0), end: new Date(T0 + 4 * HOUR) });
+      assert.equal(metrics.exposure_hours, 2);
+      assert.equal(metrics.exposure_pct, 50);
+    });
+  });
+});
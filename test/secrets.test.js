@@ -0,0 +1,87 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { MantleForgeClient, AuthError, decryptSecret, keyFingerprint, verifiedPublicKey } = require('../lib');
+const { startServer, sendJson } = require('./helpers');
+
+const REPO_URL = 'https://github.com/org/repo.git';
+
+// A backend stand-in holding its own secrets key: it publishes the public
+// half and accepts the envelopes posted to it
+function secretsBackend(signingKey) {
+  return startServer((req, res) => {
+    if (req.method === 'GET' && req.path === '/api/secrets/public-key') {
+      return sendJson(res, 200, { public_key: signingKey.publicKey });
+    }
+    if (req.method === 'POST' && req.path === '/api/secrets') {
+      return sendJson(res, 200, { success: true });
+    }
+    return sendJson(res, 404, { error: 'Not found' });
+  });
+}
+
+describe('client-side secret encryption', () => {
+  const backendKey = new ethers.SigningKey(ethers.hexlify(ethers.randomBytes(32)));
+  const compressed = ethers.SigningKey.computePublicKey(backendKey.publicKey, true);
+  let server;
+  let client;
+  before(async () => {
+    server = await secretsBackend(backendKey);
+    client = new MantleForgeClient({ apiUrl: server.url, retries: 0 });
+  });
+  after(() => server.close());
+
+  const posted = () => server.requests.filter(req => req.method === 'POST' && req.path === '/api/secrets');
+
+  it('sends only an envelope the backend can open with its private key', async () => {
+    const value = 'gsk_live_0123456789 "quoted" ünïcode';
+    await client.setSecret(REPO_URL, 'main', 'GROQ_API_KEY', value);
+
+    const { body, raw } = posted().at(-1);
+    assert.equal(body.repo_url, REPO_URL);
+    assert.equal(body.branch_name, 'main');
+    assert.equal(body.key, 'GROQ_API_KEY');
+    assert.ok(!raw.includes('gsk_live'), 'the plaintext reached the backend');
+    assert.equal(body.encrypted_value.kid, keyFingerprint(compressed));
+    assert.equal(decryptSecret(backendKey.privateKey, 'GROQ_API_KEY', body.encrypted_value), value);
+  });
+
+  it('binds the envelope to the secret name', async () => {
+    await client.setSecret(REPO_URL, 'main', 'AGENT_PRIVATE_KEY', 'hunter2');
+    const { encrypted_value } = posted().at(-1).body;
+    assert.throws(() => decryptSecret(backendKey.privateKey, 'GROQ_API_KEY', encrypted_value));
+  });
+
+  it('encrypts to a verified key when one is passed', async () => {
+    const key = await verifiedPublicKey(client, { pinned: compressed });
+    assert.equal(key.status, 'pinned');
+    await client.setSecret(REPO_URL, 'main', 'GROQ_API_KEY', 'pinned value', { publicKey: key.public_key });
+    assert.equal(decryptSecret(backendKey.privateKey, 'GROQ_API_KEY', posted().at(-1).body.encrypted_value), 'pinned value');
+  });
+
+  it('refuses a backend key that does not match the pinned one', async () => {
+    const pinned = ethers.SigningKey.computePublicKey(new ethers.SigningKey(ethers.hexlify(ethers.randomBytes(32))).publicKey, true);
+    const count = posted().length;
+    const err = await verifiedPublicKey(client, { pinned, pinnedIn: '.mantlepush.json' }).catch(e => e);
+    assert.ok(err instanceof AuthError, `got ${err.name}`);
+    assert.equal(err.code, 'ENCRYPTION_KEY_MISMATCH');
+    assert.equal(err.fingerprint, keyFingerprint(compressed));
+    assert.equal(err.pinnedFingerprint, keyFingerprint(pinned));
+    assert.match(err.message, /key pinned in \.mantlepush\.json/);
+    assert.equal(posted().length, count);
+  });
+
+  it('refuses a backend key that changed since it was trusted', async () => {
+    const err = await verifiedPublicKey(client, { known: 'aa:bb:cc:dd:ee:ff:00:11:22:33:44:55:66:77:88:99' }).catch(e => e);
+    assert.ok(err instanceof AuthError, `got ${err.name}`);
+    assert.equal(err.code, 'ENCRYPTION_KEY_CHANGED');
+    assert.equal(err.fingerprint, keyFingerprint(compressed));
+  });
+
+  it('reports a key seen for the first time as new', async () => {
+    const key = await verifiedPublicKey(client);
+    assert.equal(key.status, 'new');
+    assert.equal(key.public_key, compressed);
+    assert.equal((await verifiedPublicKey(client, { known: key.fingerprint })).status, 'trusted');
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MantleForgeClient, parseWindow, analyzeComparison } = require('../lib');
+const { getPerformance, performanceEntry, statsFromDecisions } = require('../lib/stats');
+const { calculateBranchHash } = require('../lib/repo');
+const { startServer, sendJson } = require('./helpers');
+
+const REPO_URL = 'https://github.com/org/repo.git';
+const END = new Date('2026-10-19T12:00:00Z');
+const hoursAgo = hours => new Date(END.getTime() - hours * 60 * 60 * 1000).toISOString();
+
+// One decision per hour over the last `hours`, trading every `every`-th one
+const decisions = (hours, every) => Array.from({ length: hours }, (_, i) => ({
+  id: i,
+  timestamp: hoursAgo(i + 0.5),
+  decision: i % every === 0 ? 'BUY' : 'HOLD',
+  price: 1 + i / 100,
+  trade_executed: i % every === 0,
+}));
+
+// A backend whose agents report all-time stats far from their recent
+// decisions. `state.branches` is keyed by branch hash; `state.decisions` is
+// false for a backend without decision history.
+function backend(state) {
+  return startServer((req, res) => {
+    const [, , type, hash] = req.path.split('/');
+    if (!state.branches[hash]) return sendJson(res, 404, { error: 'Agent not found' });
+    const branch = state.branches[hash];
+    if (type === 'stats') return sendJson(res, 200, { stats: { total_decisions: 10000, trades_executed: 5000, buy_count: 5000, hold_count: 5000 } });
+    if (type === 'decisions') {
+      if (!state.decisions) return sendJson(res, 404, { error: 'Not found' });
+      const since = Date.parse(req.query.since);
+      return sendJson(res, 200, { decisions: branch.decisions.filter(d => Date.parse(d.timestamp) >= since), next_cursor: null });
+    }
+    if (type === 'trades') return sendJson(res, 200, { trades: branch.trades, current_price: 1, starting_capital: 100, next_cursor: null });
+    return sendJson(res, 404, { error: 'Not found' });
+  });
+}
+
+describe('getPerformance', () => {
+  const state = { branches: {}, decisions: true };
+  let server;
+  let client;
+  before(async () => {
+    server = await backend(state);
+    client = new MantleForgeClient({ apiUrl: server.url, token: 't0k', retries: 0 });
+    state.branches[calculateBranchHash(REPO_URL, 'main')] = { decisions: decisions(48, 2), trades: [] };
+    state.branches[calculateBranchHash(REPO_URL, 'calm')] = { decisions: decisions(48, 8), trades: [] };
+  });
+  after(() => server.close());
+  beforeEach(() => {
+    state.decisions = true;
+    server.requests.length = 0;
+  });
+
+  it('counts only the decisions inside the window', async () => {
+    const { stats } = await getPerformance(client, REPO_URL, 'main', parseWindow('24h', END));
+    assert.equal(stats.avg_price.toFixed(3), '1.115');
+    assert.deepEqual({ ...stats, avg_price: null }, {
+      total_decisions: 24,
+      buy_count: 12,
+      hold_count: 12,
+      trades_executed: 12,
+      avg_price: null,
+      min_price: 1,
+      max_price: 1.23,
+      first_decision: hoursAgo(23.5),
+      last_decision: hoursAgo(0.5),
+    });
+  });
+
+  it('asks for trades and decisions since the window start only', async () => {
+    await getPerformance(client, REPO_URL, 'main', parseWindow('24h', END));
+    const query = type => server.requests.find(req => req.path.startsWith(`/api/${type}/`)).query;
+    assert.equal(query('trades').since, hoursAgo(24));
+    assert.equal(query('decisions').since, hoursAgo(24));
+    assert.equal(query('decisions').until, END.toISOString());
+  });
+
+  it('reports the backend stats for all time without reading decisions', async () => {
+    const result = await getPerformance(client, REPO_URL, 'main', parseWindow('all', END));
+    assert.equal(result.stats.total_decisions, 10000);
+    assert.ok(!server.requests.some(req => req.path.startsWith('/api/decisions/')));
+    assert.equal(server.requests.find(req => req.path.startsWith('/api/trades/')).query.since, undefined);
+  });
+
+  it('falls back to the backend stats without decision history', async () => {
+    state.decisions = false;
+    const result = await getPerformance(client, REPO_URL, 'main', parseWindow('24h', END));
+    assert.equal(result.stats.total_decisions, 10000);
+  });
+
+  it('tests trade rates over the window', async () => {
+    const window = parseWindow('24h', END);
+    const entries = await Promise.all(['main', 'calm'].map(async branch => performanceEntry(branch, await getPerformance(client, REPO_URL, branch, window))));
+    assert.deepEqual(entries.map(entry => [entry.stats.total_decisions, entry.stats.success_rate]), [[24, 50], [24, 12.5]]);
+    const [comparison] = analyzeComparison(entries).significance.comparisons;
+    assert.equal(comparison.difference, 37.5);
+    assert.equal(comparison.sufficient_sample, true);
+  });
+});
+
+describe('statsFromDecisions', () => {
+  it('reads backend and local decision records in any order', () => {
+    const stats = statsFromDecisions([
+      { created_at: hoursAgo(1), action: 'hold', price: '3', trade_executed: 'true' },
+      { timestamp: hoursAgo(3), decision: 'BUY', price: 1, trade_executed: true },
+      { timestamp: hoursAgo(2), decision: 'SELL', price: null, trade_executed: false },
+    ]);
+    assert.deepEqual(stats, {
+      total_decisions: 3,
+      buy_count: 1,
+      hold_count: 1,
+      trades_executed: 2,
+      avg_price: 2,
+      min_price: 1,
+      max_price: 3,
+      first_decision: hoursAgo(3),
+      last_decision: hoursAgo(1),
+    });
+  });
+});
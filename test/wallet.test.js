@@ -0,0 +1,72 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { MantleForgeClient } = require('../lib');
+const wallet = require('../lib/wallet');
+const { calculateBranchHash } = require('../lib/repo');
+const { startServer, sendJson } = require('./helpers');
+
+const REPO_URL = 'https://github.com/org/repo.git';
+const PASSWORD = 'password123';
+
+describe('rotateWallet', () => {
+  const state = { secretStatus: 200 };
+  let server;
+  let client;
+  let dir;
+  let oldWallet;
+  before(async () => {
+    server = await startServer((req, res) => {
+      if (req.path === '/api/secrets') return sendJson(res, state.secretStatus, state.secretStatus === 200 ? { success: true } : { error: 'Backend error' });
+      if (req.path.startsWith('/api/agents/')) return sendJson(res, 200, { success: true, message: 'restarted' });
+      return sendJson(res, 404, { error: 'Not found' });
+    });
+    client = new MantleForgeClient({ apiUrl: server.url, token: 't0k', retries: 0 });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mantle-forge-wallet-'));
+    oldWallet = ethers.Wallet.createRandom();
+  });
+  after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  beforeEach(async () => {
+    state.secretStatus = 200;
+    server.requests.length = 0;
+    fs.readdirSync(dir).forEach(file => fs.rmSync(path.join(dir, file)));
+    await wallet.saveKeystore(wallet.keystorePath(dir, REPO_URL, 'main'), oldWallet, PASSWORD);
+  });
+
+  const rotate = options => wallet.rotateWallet(client, REPO_URL, 'main', {
+    wallet: oldWallet,
+    keystore: wallet.readKeystore(dir, REPO_URL, 'main'),
+    password: PASSWORD,
+    publicKey: ethers.Wallet.createRandom().signingKey.publicKey,
+    ...options,
+  });
+
+  it('uploads the new key, keeps the old keystore as a backup and restarts the agent', async () => {
+    const steps = [];
+    const result = await rotate({ restart: true, onStep: step => steps.push(step) });
+    assert.deepEqual(steps, ['encrypt', 'upload', 'restart']);
+    assert.equal(result.old_address, oldWallet.address);
+    assert.equal(wallet.readKeystore(dir, REPO_URL, 'main').address, result.new_address);
+    assert.equal(JSON.parse(fs.readFileSync(result.backup_keystore, 'utf8')).address.toLowerCase(), oldWallet.address.slice(2).toLowerCase());
+    assert.deepEqual(server.requests.map(req => req.path), ['/api/secrets', `/api/agents/branch/${calculateBranchHash(REPO_URL, 'main')}/restart`]);
+    assert.equal(result.restarted, true);
+  });
+
+  it('leaves the wallet as it was when the upload fails', async () => {
+    state.secretStatus = 500;
+    await assert.rejects(rotate({ restart: true }), { code: 'BACKEND_ERROR' });
+    assert.deepEqual(fs.readdirSync(dir), [path.basename(wallet.keystorePath(dir, REPO_URL, 'main'))]);
+    assert.equal(wallet.readKeystore(dir, REPO_URL, 'main').address, oldWallet.address);
+    assert.ok(!server.requests.some(req => req.path.startsWith('/api/agents/')));
+  });
+
+  it('refuses a wrong password', async () => {
+    await assert.rejects(wallet.decryptKeystore(wallet.readKeystore(dir, REPO_URL, 'main'), 'wrong-password'), { code: 'KEYSTORE_DECRYPT_FAILED' });
+  });
+});
@@ -0,0 +1,248 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { webhooks, MantleForgeClient } = require('../lib');
+const { startServer, sendJson } = require('./helpers');
+
+const BACKEND_URL = 'https://backend.example.com';
+const TOKEN = 'host-token';
+const REPOS = {
+  github: 'https://github.com/org/repo.git',
+  gitlab: 'https://gitlab.example.com/group/sub/repo.git',
+  gitea: 'https://gitea.example.com/org/repo.git',
+};
+// Where each host serves a repository's hooks below its API URL
+const HOOKS_PATHS = {
+  github: '/repos/org/repo/hooks',
+  gitlab: '/projects/group%2Fsub%2Frepo/hooks',
+  gitea: '/repos/org/repo/hooks',
+};
+
+// A stand-in for the three git hosts' REST APIs, each below /<provider>.
+// Hooks are stored as the host returns them; `state.gitlabEvents` is false
+// for GitLab servers without the hook events API.
+function gitHosts(state) {
+  return startServer((req, res) => {
+    const [, provider, ...rest] = req.path.split('/');
+    const path = `/${rest.join('/')}`;
+    if (!HOOKS_PATHS[provider]) return sendJson(res, 404, { message: 'Not Found' });
+    if (req.headers['private-token'] === 'bad' || /bad$/.test(req.headers.authorization || '')) {
+      return sendJson(res, 401, { message: 'Bad credentials' });
+    }
+    const hooks = state.hooks[provider];
+    if (path === HOOKS_PATHS[provider]) {
+      if (req.method === 'GET') return sendJson(res, 200, hooks);
+      if (req.method === 'POST') {
+        const { token, ...data } = req.body;
+        const hook = { id: state.nextId++, ...data };
+        hooks.push(hook);
+        return sendJson(res, 201, hook);
+      }
+    }
+    const m = path.slice(HOOKS_PATHS[provider].length).match(/^\/(\d+)(\/deliveries|\/events)?$/);
+    const hook = m && hooks.find(h => h.id === Number(m[1]));
+    if (!path.startsWith(HOOKS_PATHS[provider]) || !hook) return sendJson(res, 404, { message: 'Not Found' });
+    if (m[2] === '/deliveries' && provider === 'github') {
+      return sendJson(res, 200, [
+        { id: 22, event: 'push', status_code: 502, delivered_at: '2026-10-19T10:00:00Z' },
+        { id: 21, event: 'ping', status_code: 200, delivered_at: '2026-10-18T10:00:00Z' },
+      ]);
+    }
+    if (m[2] === '/events' && provider === 'gitlab') {
+      if (!state.gitlabEvents) return sendJson(res, 404, { message: '404 Not Found' });
+      return sendJson(res, 200, [{ id: 7, trigger: 'push_hooks', response_status: '200', created_at: '2026-10-19T10:00:00Z' }]);
+    }
+    if (!m[2] && ['PATCH', 'PUT'].includes(req.method)) {
+      const { token, ...data } = req.body;
+      Object.assign(hook, data, data.config ? { config: { ...hook.config, ...data.config } } : {});
+      return sendJson(res, 200, hook);
+    }
+    return sendJson(res, 404, { message: 'Not Found' });
+  });
+}
+
+describe('git host webhook adapters', () => {
+  const state = {};
+  let server;
+  before(async () => { server = await gitHosts(state); });
+  after(() => server.close());
+  beforeEach(() => {
+    Object.assign(state, { hooks: { github: [], gitlab: [], gitea: [] }, nextId: 1, gitlabEvents: true });
+    server.requests.length = 0;
+  });
+
+  const hostFor = provider => webhooks.resolveGitHost(REPOS[provider], { apiUrl: `${server.url}/${provider}`, backendUrl: BACKEND_URL });
+
+  it('detects each provider from the repository URL', () => {
+    Object.keys(REPOS).forEach((provider) => {
+      const host = hostFor(provider);
+      assert.equal(host.provider, provider);
+      assert.equal(host.hook_url, `${BACKEND_URL}/webhook/${provider}/push`);
+    });
+  });
+
+  Object.keys(REPOS).forEach((provider) => {
+    describe(provider, () => {
+      it('creates the push webhook when none exists', async () => {
+        const host = hostFor(provider);
+        state.hooks[provider].push(provider === 'gitlab'
+          ? { id: 90, url: 'https://ci.example.com/hook', push_events: true }
+          : { id: 90, active: true, events: ['push'], config: { url: 'https://ci.example.com/hook' } });
+        state.nextId = 91;
+
+        const { hook, created } = await webhooks.installHook(host, TOKEN, 's3cret');
+        assert.equal(created, true);
+        assert.deepEqual(hook, { id: 91, url: host.hook_url, active: true, events: ['push'] });
+
+        const create = server.requests.find(req => req.method === 'POST');
+        assert.equal(create.path, `/${provider}${HOOKS_PATHS[provider]}`);
+        if (provider === 'gitlab') {
+          assert.equal(create.headers['private-token'], TOKEN);
+          assert.equal(create.body.token, 's3cret');
+          assert.equal(create.body.push_events, true);
+        } else {
+          assert.equal(create.headers.authorization, provider === 'github' ? `Bearer ${TOKEN}` : `token ${TOKEN}`);
+          assert.equal(create.body.config.secret, 's3cret');
+          assert.deepEqual(create.body.events, ['push']);
+        }
+      });
+
+      it('updates the existing webhook instead of adding another', async () => {
+        const host = hostFor(provider);
+        await webhooks.installHook(host, TOKEN, 'old');
+        const id = state.hooks[provider][0].id;
+        state.hooks[provider][0][provider === 'gitlab' ? 'push_events' : 'events'] = provider === 'gitlab' ? false : [];
+
+        const { hook, created } = await webhooks.installHook(host, TOKEN, 'new');
+        assert.equal(created, false);
+        assert.equal(state.hooks[provider].length, 1);
+        assert.deepEqual(hook, { id, url: host.hook_url, active: true, events: ['push'] });
+
+        const update = server.requests.at(-1);
+        assert.equal(update.method, provider === 'gitlab' ? 'PUT' : 'PATCH');
+        assert.equal(update.path, `/${provider}${HOOKS_PATHS[provider]}/${id}`);
+        assert.equal(provider === 'gitlab' ? update.body.token : update.body.config.secret, 'new');
+      });
+
+      it('reports a refused token as GIT_HOST_AUTH', async () => {
+        const err = await webhooks.findRepoHook(hostFor(provider), 'bad').catch(e => e);
+        assert.equal(err.name, 'AuthError');
+        assert.equal(err.code, 'GIT_HOST_AUTH');
+        assert.equal(err.repoPath, hostFor(provider).repo.path);
+      });
+    });
+  });
+
+  describe('deliveries', () => {
+    it('lists GitHub deliveries newest first', async () => {
+      const host = hostFor('github');
+      const { hook } = await webhooks.installHook(host, TOKEN, 's3cret');
+      const deliveries = await webhooks.listDeliveries(host, TOKEN, hook.id, 10);
+      assert.deepEqual(deliveries, [
+        { id: '22', event: 'push', status_code: 502, delivered_at: '2026-10-19T10:00:00Z' },
+        { id: '21', event: 'ping', status_code: 200, delivered_at: '2026-10-18T10:00:00Z' },
+      ]);
+      assert.deepEqual(webhooks.hookProblems(host, hook, deliveries), ['The latest delivery failed (HTTP 502)']);
+      assert.equal(server.requests.at(-1).query.per_page, '10');
+    });
+
+    it('lists GitLab hook events', async () => {
+      const host = hostFor('gitlab');
+      const { hook } = await webhooks.installHook(host, TOKEN, 's3cret');
+      const deliveries = await webhooks.listDeliveries(host, TOKEN, hook.id, 10);
+      assert.deepEqual(deliveries, [{ id: '7', event: 'push', status_code: 200, delivered_at: '2026-10-19T10:00:00Z' }]);
+      assert.deepEqual(webhooks.hookProblems(host, hook, deliveries), []);
+    });
+
+    it('falls back to null when GitLab has no events API (GIT_HOST_NOT_FOUND)', async () => {
+      state.gitlabEvents = false;
+      const host = hostFor('gitlab');
+      const { hook } = await webhooks.installHook(host, TOKEN, 's3cret');
+      assert.equal(await webhooks.listDeliveries(host, TOKEN, hook.id, 10), null);
+      assert.equal(server.requests.at(-1).path, `/gitlab${HOOKS_PATHS.gitlab}/${hook.id}/events`);
+    });
+
+    it('returns null for Gitea without asking it', async () => {
+      const host = hostFor('gitea');
+      const { hook } = await webhooks.installHook(host, TOKEN, 's3cret');
+      const count = server.requests.length;
+      assert.equal(await webhooks.listDeliveries(host, TOKEN, hook.id, 10), null);
+      assert.equal(server.requests.length, count);
+    });
+
+    it('does not hide other failures', async () => {
+      const host = hostFor('github');
+      await assert.rejects(webhooks.listDeliveries(host, 'bad', 1, 10), { code: 'GIT_HOST_AUTH' });
+    });
+  });
+
+  describe('signedSamplePush', () => {
+    const sample = provider => webhooks.signedSamplePush(provider, {
+      repo: hostFor(provider).repo,
+      repoUrl: REPOS[provider],
+      branch: 'main',
+      commit: 'a'.repeat(40),
+      secret: 's3cret',
+    });
+    const hmac = body => crypto.createHmac('sha256', 's3cret').update(body).digest('hex');
+
+    it('signs GitHub pushes with X-Hub-Signature-256', () => {
+      const { body, headers, delivery_id } = sample('github');
+      assert.equal(headers['X-Hub-Signature-256'], `sha256=${hmac(body)}`);
+      assert.equal(headers['X-GitHub-Event'], 'push');
+      assert.equal(headers['X-GitHub-Delivery'], delivery_id);
+      const push = JSON.parse(body);
+      assert.equal(push.ref, 'refs/heads/main');
+      assert.equal(push.after, 'a'.repeat(40));
+      assert.equal(push.repository.clone_url, REPOS.github);
+    });
+
+    it('signs Gitea pushes with X-Gitea-Signature', () => {
+      const { body, headers } = sample('gitea');
+      assert.equal(headers['X-Gitea-Signature'], hmac(body));
+      assert.equal(JSON.parse(body).ref, 'refs/heads/main');
+    });
+
+    it('sends the secret as X-Gitlab-Token for GitLab', () => {
+      const { body, headers } = sample('gitlab');
+      assert.equal(headers['X-Gitlab-Token'], 's3cret');
+      assert.equal(headers['X-Gitlab-Event'], 'Push Hook');
+      const push = JSON.parse(body);
+      assert.equal(push.object_kind, 'push');
+      assert.equal(push.project.path_with_namespace, 'group/sub/repo');
+    });
+  });
+});
+
+describe('resolveWebhookSecret', () => {
+  const state = { status: 200 };
+  let server;
+  let client;
+  before(async () => {
+    server = await startServer((req, res) => {
+      if (state.status !== 200) return sendJson(res, state.status, { error: 'Not found' });
+      return sendJson(res, 200, { secret: `issued-for-${req.body.provider}` });
+    });
+    client = new MantleForgeClient({ apiUrl: server.url, token: 't0k', retries: 0 });
+  });
+  after(() => server.close());
+  beforeEach(() => {
+    state.status = 200;
+    server.requests.length = 0;
+  });
+
+  it('prefers the given secret without asking the backend', async () => {
+    assert.equal(await webhooks.resolveWebhookSecret(client, REPOS.github, 'github', { secret: 'mine' }), 'mine');
+    assert.equal(server.requests.length, 0);
+  });
+
+  it('fetches the repository\'s secret from the backend', async () => {
+    assert.equal(await webhooks.resolveWebhookSecret(client, REPOS.gitea, 'gitea'), 'issued-for-gitea');
+    assert.deepEqual(server.requests[0].body, { repo_url: REPOS.gitea, provider: 'gitea' });
+  });
+
+  it('reports a backend that issues no secrets', async () => {
+    state.status = 404;
+    await assert.rejects(webhooks.resolveWebhookSecret(client, REPOS.github, 'github'), { name: 'NotFoundError', code: 'WEBHOOK_SECRET_UNAVAILABLE', status: 404 });
+  });
+});